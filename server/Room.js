@@ -0,0 +1,591 @@
+import { LICENSE_PLANS } from './licensing/LicenseVerifier.js';
+import { verifyPassphrase } from './passphrase.js';
+import { MEDIA_RATES } from '../shared/mediaRates.js';
+import { createWorldSeed } from './world/worldGen.js';
+import { STREAM_QUALITIES } from '../shared/streamQuality.js';
+
+// Moderation events act on another user; see getModerationBlock() for who
+// may target whom.
+export const MODERATION_EVENTS = ['kick-user', 'ban-user', 'mute-user', 'unseat-user'];
+
+// Synced media playback controls; see MediaSyncManager on the client.
+export const MEDIA_EVENTS = ['media-load', 'media-control', 'media-stop'];
+
+// Room control events each role may send. Anything not listed is denied.
+export const ROLE_PERMISSIONS = {
+    host: new Set(['request-host', 'set-co-host', 'start-stream', 'stop-stream', 'start-screen-share', 'stop-screen-share', 'set-privacy', 'review-knock', ...MODERATION_EVENTS, ...MEDIA_EVENTS]),
+    'co-host': new Set(['start-stream', 'stop-stream', 'start-screen-share', 'stop-screen-share', 'review-knock', ...MODERATION_EVENTS, ...MEDIA_EVENTS]),
+    viewer: new Set()
+};
+
+const MAX_CHAT_HISTORY = 50;
+
+// A room can show a few live sources at once, e.g. a host's screen share
+// with their webcam picture-in-picture and a second presenter. Each user
+// streams at most one source of each kind; its stream id is
+// `${userId}:${kind}` (keep in step with src/StreamManager.js).
+export const STREAM_KINDS = ['screen', 'camera'];
+export const MAX_STREAMS = 4;
+
+// Room class to manage room state
+export class Room {
+    constructor(id) {
+        this.id = id;
+        this.users = new Map();
+        this.host = null;
+        this.coHosts = new Set();
+        this.seats = new Array(160).fill(null);
+        this.screenSharing = false;
+        this.streams = new Map();
+        this.chatHistory = [];
+        this.license = null;
+        this.maxPlayers = null;
+        this.codeExpiresAt = null;
+        this.isPrivate = false;
+        this.passphraseHash = null;
+        this.lobby = new Map();
+        this.admitted = new Set();
+        this.bans = new Map();
+        this.chatMuted = new Set();
+        this.voiceMuted = new Set();
+        this.media = null;
+        // The outside world: its layout seed, which temple chests are looted
+        // and, for players without a stored profile, who emptied which vault
+        this.world = { seed: createWorldSeed(), openedChests: {}, lootedVaults: {} };
+    }
+    
+    // Rebuild a room from toSnapshot() or toState() output. Users restored
+    // from a durable snapshot have no live socket until they rejoin.
+    static fromSnapshot(snapshot) {
+        const room = new Room(snapshot.id);
+        
+        (snapshot.users || []).forEach(userData => {
+            room.users.set(userData.id, {
+                ...userData,
+                socketId: userData.socketId ?? null,
+                seatIndex: null
+            });
+            if (Number.isInteger(userData.seatIndex)) {
+                room.assignSeat(userData.id, userData.seatIndex);
+            }
+        });
+        
+        room.host = room.users.has(snapshot.host) ? snapshot.host : (room.users.keys().next().value || null);
+        (snapshot.coHosts || []).forEach(userId => room.setCoHost(userId, true));
+        room.chatHistory = (snapshot.chatHistory || []).slice(-MAX_CHAT_HISTORY);
+        room.screenSharing = !!snapshot.screenSharing;
+        (snapshot.streams || []).forEach(stream => room.streams.set(stream.streamId, { quality: 'standard', ...stream }));
+        if (snapshot.license) {
+            room.setLicense(snapshot.license);
+        }
+        room.codeExpiresAt = snapshot.codeExpiresAt ?? null;
+        room.isPrivate = !!snapshot.isPrivate;
+        room.passphraseHash = snapshot.passphraseHash ?? null;
+        (snapshot.lobby || []).forEach(entry => room.lobby.set(entry.id, entry));
+        (snapshot.admitted || []).forEach(userId => room.admitted.add(userId));
+        Object.entries(snapshot.bans || {}).forEach(([userId, until]) => room.bans.set(userId, until));
+        (snapshot.chatMuted || []).forEach(userId => room.chatMuted.add(userId));
+        (snapshot.voiceMuted || []).forEach(userId => room.voiceMuted.add(userId));
+        room.media = snapshot.media ?? null;
+        if (snapshot.world) {
+            room.world = {
+                seed: snapshot.world.seed,
+                openedChests: { ...snapshot.world.openedChests },
+                lootedVaults: { ...snapshot.world.lootedVaults }
+            };
+        }
+        
+        return room;
+    }
+    
+    // The license a room was created under decides how many players fit
+    setLicense(license) {
+        this.license = { accountId: license.accountId, type: license.type };
+        this.maxPlayers = LICENSE_PLANS[license.type]?.maxPlayers ?? null;
+    }
+    
+    // A room reserved under a room code lapses if nobody joins it in time
+    isExpired(now = Date.now()) {
+        return this.users.size === 0 && this.codeExpiresAt !== null && this.codeExpiresAt <= now;
+    }
+    
+    isFull() {
+        return this.maxPlayers !== null && this.users.size >= this.maxPlayers;
+    }
+    
+    // A user whose connection dropped keeps their place until the grace
+    // period ends, but is no longer connected
+    markDisconnected(userId, socketId) {
+        const user = this.users.get(userId);
+        if (!user || user.socketId !== socketId) return false;
+        user.socketId = null;
+        return true;
+    }
+    
+    isConnected(userId) {
+        return !!this.users.get(userId)?.socketId;
+    }
+    
+    addUser(userId, userData) {
+        if (this.isFull()) {
+            return { success: false, reason: `Room is full (${this.maxPlayers} players max)` };
+        }
+        
+        this.users.set(userId, {
+            ...userData,
+            socketId: null,
+            seatIndex: null
+        });
+        
+        // If first user, make them host
+        if (this.users.size === 1) {
+            this.host = userId;
+        }
+        
+        return { success: true };
+    }
+    
+    removeUser(userId) {
+        const user = this.users.get(userId);
+        if (user && user.seatIndex !== null) {
+            this.seats[user.seatIndex] = null;
+        }
+        
+        this.users.delete(userId);
+        this.coHosts.delete(userId);
+        
+        if (this.host === userId && this.users.size > 0) {
+            // Prefer promoting a co-host over an arbitrary viewer
+            const nextHost = this.coHosts.values().next().value || this.users.keys().next().value;
+            this.coHosts.delete(nextHost);
+            this.host = nextHost;
+        } else if (this.users.size === 0) {
+            this.host = null;
+        }
+
+        this.getStreamsFrom(userId).forEach(stream => this.stopStream(stream.streamId));
+    }
+    
+    assignSeat(userId, seatIndex) {
+        if (seatIndex < 0 || seatIndex >= this.seats.length) {
+            return { success: false, reason: 'Invalid seat index' };
+        }
+        
+        if (this.seats[seatIndex] !== null) {
+            return { success: false, reason: 'Seat already occupied' };
+        }
+        
+        const user = this.users.get(userId);
+        if (!user) {
+            return { success: false, reason: 'User not found' };
+        }
+        
+        // Free previous seat if any
+        if (user.seatIndex !== null) {
+            this.seats[user.seatIndex] = null;
+        }
+        
+        // Assign new seat
+        this.seats[seatIndex] = userId;
+        user.seatIndex = seatIndex;
+        
+        return { success: true, seatIndex };
+    }
+    
+    freeSeat(userId) {
+        const user = this.users.get(userId);
+        if (!user || user.seatIndex === null) return false;
+        
+        this.seats[user.seatIndex] = null;
+        user.seatIndex = null;
+        return true;
+    }
+    
+    updateUserPosition(userId, position) {
+        const user = this.users.get(userId);
+        if (user) {
+            user.position = position;
+        }
+    }
+    
+    getRole(userId) {
+        if (userId && userId === this.host) return 'host';
+        if (this.coHosts.has(userId)) return 'co-host';
+        return 'viewer';
+    }
+    
+    authorize(userId, action) {
+        if (!this.users.has(userId)) {
+            return { allowed: false, role: null, reason: 'User not in room' };
+        }
+        
+        const role = this.getRole(userId);
+        
+        // A vacant host slot can be claimed by anyone in the room, and a
+        // co-host can take over from a host whose connection has dropped
+        if (action === 'request-host' && role !== 'host') {
+            if (!this.host || (role === 'co-host' && !this.isConnected(this.host))) {
+                return { allowed: true, role };
+            }
+            if (role === 'co-host') {
+                return { allowed: false, role, reason: 'The host is still here' };
+            }
+        }
+        
+        // Whoever is streaming may always stop their own streams; which
+        // ones is checked by the caller
+        if (action === 'stop-stream' && this.getStreamsFrom(userId).length > 0) {
+            return { allowed: true, role };
+        }
+        
+        // Only the person streaming picks how their stream is encoded
+        if (action === 'set-stream-quality') {
+            if (this.getStreamsFrom(userId).length > 0) return { allowed: true, role };
+            return { allowed: false, role, reason: 'Only the stream host can change its quality' };
+        }
+        
+        if (ROLE_PERMISSIONS[role]?.has(action)) {
+            return { allowed: true, role };
+        }
+        
+        const allowedRoles = Object.keys(ROLE_PERMISSIONS).filter(r => ROLE_PERMISSIONS[r].has(action));
+        return { allowed: false, role, reason: `Requires ${allowedRoles.join(' or ')} role` };
+    }
+    
+    setHost(userId) {
+        if (!this.users.has(userId)) return false;
+        
+        // Outgoing host keeps control rights as a co-host
+        if (this.host && this.host !== userId && this.users.has(this.host)) {
+            this.coHosts.add(this.host);
+        }
+        this.coHosts.delete(userId);
+        this.host = userId;
+        return true;
+    }
+    
+    setCoHost(userId, enabled) {
+        if (!this.users.has(userId) || userId === this.host) return false;
+        
+        if (enabled) {
+            this.coHosts.add(userId);
+        } else {
+            this.coHosts.delete(userId);
+        }
+        return true;
+    }
+    
+    // Returns the lobby entries let in by opening the room up
+    setPrivacy(isPrivate, passphraseHash = null) {
+        this.isPrivate = !!isPrivate;
+        this.passphraseHash = this.isPrivate ? passphraseHash : null;
+        if (this.isPrivate) return [];
+        
+        const waiting = Array.from(this.lobby.values());
+        waiting.forEach(entry => this.admitted.add(entry.id));
+        this.lobby.clear();
+        return waiting;
+    }
+    
+    // Whether a newcomer may enter now, must knock, or gave a wrong passphrase
+    checkEntry(userId, passphrase) {
+        if (!this.isPrivate || this.users.size === 0 || this.admitted.has(userId)) {
+            return { allowed: true };
+        }
+        if (passphrase && this.passphraseHash) {
+            return verifyPassphrase(passphrase, this.passphraseHash)
+                ? { allowed: true }
+                : { allowed: false, reason: 'Incorrect passphrase' };
+        }
+        return { allowed: false, knock: true };
+    }
+    
+    knock(userId, userData, socketId, now) {
+        this.lobby.set(userId, {
+            id: userId,
+            name: userData.name || userId,
+            socketId,
+            requestedAt: this.lobby.get(userId)?.requestedAt ?? now
+        });
+    }
+    
+    // Resolve a knock; returns the lobby entry, or null if it was already handled
+    reviewKnock(userId, approve) {
+        const entry = this.lobby.get(userId);
+        if (!entry) return null;
+        
+        this.lobby.delete(userId);
+        if (approve) {
+            this.admitted.add(userId);
+        }
+        return entry;
+    }
+    
+    leaveLobby(userId, socketId) {
+        if (this.lobby.get(userId)?.socketId !== socketId) return false;
+        return this.lobby.delete(userId);
+    }
+    
+    getLobby() {
+        return Array.from(this.lobby.values()).map(({ socketId, ...entry }) => entry);
+    }
+    
+    canReviewKnocks(userId) {
+        return !!ROLE_PERMISSIONS[this.getRole(userId)]?.has('review-knock');
+    }
+    
+    // Hosts and co-hosts moderate viewers, only the host moderates co-hosts,
+    // and nobody moderates the host. Returns why not, or null if allowed.
+    getModerationBlock(actorId, targetId) {
+        if (!this.users.has(targetId)) return 'User not in room';
+        if (targetId === actorId) return 'You cannot moderate yourself';
+        if (targetId === this.host) return 'The host cannot be moderated';
+        if (this.coHosts.has(targetId) && actorId !== this.host) return 'Only the host can moderate a co-host';
+        return null;
+    }
+    
+    ban(userId, until, now) {
+        this.bans.forEach((bannedUntil, bannedId) => {
+            if (bannedUntil <= now) this.bans.delete(bannedId);
+        });
+        this.bans.set(userId, until);
+    }
+    
+    getBan(userId, now) {
+        const until = this.bans.get(userId);
+        return until !== undefined && until > now ? until : null;
+    }
+    
+    // kind is 'chat' or 'voice'; returns whether anything changed
+    setMuted(userId, kind, muted) {
+        const muteSet = kind === 'voice' ? this.voiceMuted : this.chatMuted;
+        if (muteSet.has(userId) === muted) return false;
+        
+        if (muted) {
+            muteSet.add(userId);
+        } else {
+            muteSet.delete(userId);
+        }
+        return true;
+    }
+    
+    // Start (or restart) a user's source of the given kind
+    startStream(userId, kind = 'screen', quality = 'standard') {
+        if (!STREAM_KINDS.includes(kind)) {
+            return { success: false, reason: `Streams are one of ${STREAM_KINDS.join(', ')}` };
+        }
+        if (!STREAM_QUALITIES.includes(quality)) {
+            return { success: false, reason: `Stream quality is one of ${STREAM_QUALITIES.join(', ')}` };
+        }
+        const streamId = `${userId}:${kind}`;
+        if (!this.streams.has(streamId) && this.streams.size >= MAX_STREAMS) {
+            return { success: false, reason: `Up to ${MAX_STREAMS} streams can run at once` };
+        }
+        
+        const stream = { streamId, hostId: userId, kind, quality };
+        this.streams.set(streamId, stream);
+        this.screenSharing = true;
+        return { success: true, stream };
+    }
+    
+    setStreamQuality(streamId, quality) {
+        const stream = this.streams.get(streamId);
+        if (!stream) {
+            return { success: false, reason: 'Stream not found' };
+        }
+        if (!STREAM_QUALITIES.includes(quality)) {
+            return { success: false, reason: `Stream quality is one of ${STREAM_QUALITIES.join(', ')}` };
+        }
+        stream.quality = quality;
+        return { success: true, stream };
+    }
+    
+    // Returns the stopped stream, or null if it was not running
+    stopStream(streamId) {
+        const stream = this.streams.get(streamId) ?? null;
+        this.streams.delete(streamId);
+        if (this.streams.size === 0) {
+            this.screenSharing = false;
+        }
+        return stream;
+    }
+    
+    // Anyone may stop their own stream; stopping someone else's takes a
+    // role that may stop streams, and only the host stops the host's
+    canStopStream(userId, stream) {
+        if (stream.hostId === userId) return true;
+        const role = this.getRole(userId);
+        if (role === 'co-host' && stream.hostId === this.host) return false;
+        return !!ROLE_PERMISSIONS[role]?.has('stop-stream');
+    }
+    
+    getStreams() {
+        return Array.from(this.streams.values(), stream => ({ ...stream }));
+    }
+    
+    getStreamsFrom(userId) {
+        return this.getStreams().filter(stream => stream.hostId === userId);
+    }
+    
+    isMuted(userId, kind) {
+        return (kind === 'voice' ? this.voiceMuted : this.chatMuted).has(userId);
+    }
+    
+    // Synced playback keeps the position as of updatedAt, so anyone can work
+    // out where playback should be without the server ticking it forward.
+    loadMedia(id, source, userId, now) {
+        if (this.screenSharing) {
+            return { success: false, reason: 'Stop the screen share before playing media' };
+        }
+        
+        this.media = {
+            id,
+            source,
+            loadedBy: userId,
+            playing: false,
+            position: 0,
+            rate: 1,
+            updatedAt: now,
+            revision: (this.media?.revision ?? 0) + 1
+        };
+        return { success: true };
+    }
+    
+    getMediaPosition(now) {
+        if (!this.media) return 0;
+        const { playing, position, rate, updatedAt } = this.media;
+        return playing ? position + Math.max(0, now - updatedAt) / 1000 * rate : position;
+    }
+    
+    controlMedia({ action, position, rate }, now) {
+        if (!this.media) return { success: false, reason: 'No media is playing' };
+        
+        const current = this.getMediaPosition(now);
+        let change;
+        switch (action) {
+            case 'play':
+                change = { playing: true, position: current };
+                break;
+            case 'pause':
+                change = { playing: false, position: current };
+                break;
+            case 'seek':
+                if (!Number.isFinite(position) || position < 0) {
+                    return { success: false, reason: 'Invalid seek position' };
+                }
+                change = { position };
+                break;
+            case 'rate':
+                if (!MEDIA_RATES.includes(rate)) {
+                    return { success: false, reason: 'Unsupported playback rate' };
+                }
+                change = { rate, position: current };
+                break;
+            default:
+                return { success: false, reason: 'Unknown media action' };
+        }
+        
+        this.media = { ...this.media, ...change, updatedAt: now, revision: this.media.revision + 1 };
+        return { success: true };
+    }
+    
+    stopMedia() {
+        if (!this.media) return false;
+        this.media = null;
+        return true;
+    }
+    
+    // Each temple chest can be looted once per room
+    openChest(chestKey, userId) {
+        if (this.world.openedChests[chestKey]) {
+            return { success: false, reason: 'Someone already opened this chest' };
+        }
+        this.world.openedChests[chestKey] = userId;
+        return { success: true };
+    }
+
+    // Undoes openChest() when the loot could not be handed over
+    closeChest(chestKey, userId) {
+        if (this.world.openedChests[chestKey] === userId) delete this.world.openedChests[chestKey];
+    }
+
+    lootVault(cellKey, userId) {
+        const looted = this.world.lootedVaults[cellKey] ?? [];
+        if (looted.includes(userId)) {
+            return { success: false, reason: 'You have already emptied this vault' };
+        }
+        this.world.lootedVaults[cellKey] = [...looted, userId];
+        return { success: true };
+    }
+    
+    addChatMessage(entry) {
+        this.chatHistory.push(entry);
+        if (this.chatHistory.length > MAX_CHAT_HISTORY) {
+            this.chatHistory.splice(0, this.chatHistory.length - MAX_CHAT_HISTORY);
+        }
+    }
+    
+    // Durable state only: live sockets and stream state do not survive a restart
+    toSnapshot() {
+        return {
+            id: this.id,
+            host: this.host,
+            coHosts: Array.from(this.coHosts),
+            users: Array.from(this.users.values()).map(({ socketId, ...user }) => user),
+            chatHistory: this.chatHistory.slice(),
+            license: this.license,
+            codeExpiresAt: this.codeExpiresAt,
+            isPrivate: this.isPrivate,
+            passphraseHash: this.passphraseHash,
+            bans: Object.fromEntries(this.bans),
+            chatMuted: Array.from(this.chatMuted),
+            voiceMuted: Array.from(this.voiceMuted),
+            world: this.world,
+            savedAt: Date.now()
+        };
+    }
+    
+    // Full live state, shared between nodes through a room registry
+    toState() {
+        return {
+            id: this.id,
+            host: this.host,
+            coHosts: Array.from(this.coHosts),
+            users: Array.from(this.users.values()),
+            chatHistory: this.chatHistory.slice(),
+            screenSharing: this.screenSharing,
+            streams: this.getStreams(),
+            license: this.license,
+            codeExpiresAt: this.codeExpiresAt,
+            isPrivate: this.isPrivate,
+            passphraseHash: this.passphraseHash,
+            lobby: Array.from(this.lobby.values()),
+            admitted: Array.from(this.admitted),
+            bans: Object.fromEntries(this.bans),
+            chatMuted: Array.from(this.chatMuted),
+            voiceMuted: Array.from(this.voiceMuted),
+            media: this.media,
+            world: this.world
+        };
+    }
+    
+    toJSON() {
+        return {
+            id: this.id,
+            userCount: this.users.size,
+            maxPlayers: this.maxPlayers,
+            host: this.host,
+            coHosts: Array.from(this.coHosts),
+            users: Array.from(this.users.values()),
+            screenSharing: this.screenSharing,
+            streams: this.getStreams(),
+            chatHistory: this.chatHistory,
+            isPrivate: this.isPrivate,
+            hasPassphrase: !!this.passphraseHash,
+            chatMuted: Array.from(this.chatMuted),
+            voiceMuted: Array.from(this.voiceMuted),
+            media: this.media,
+            world: this.world
+        };
+    }
+}
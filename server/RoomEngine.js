@@ -0,0 +1,1644 @@
+import { randomUUID } from 'crypto';
+import { Room } from './Room.js';
+import { LocalRoomRegistry } from './RoomRegistry.js';
+import { generateRoomCode, isRoomCode } from './roomCodes.js';
+import { hashPassphrase } from './passphrase.js';
+import { normalizeMediaSource } from './mediaSources.js';
+import { createProfile, getProfileKey, getPublicProfile, normalizeProgress } from './playerProfiles.js';
+import { Inventory } from './items/Inventory.js';
+import { TradeBook } from './items/TradeBook.js';
+import { describeItem, ITEMS, rollChestLoot } from './items/catalog.js';
+import { OutsideWorld } from './world/OutsideWorld.js';
+import { getEntryPosition, parseSeedCode } from './world/worldGen.js';
+import { QUESTS, QuestLog } from '../shared/quests.js';
+
+const DISCONNECT_GRACE_MS = 25000;
+const RESTORE_GRACE_MS = 60000;
+const ROOM_CODE_TTL_MS = 10 * 60 * 1000;
+const MAX_ROOM_CODE_ATTEMPTS = 20;
+const DEFAULT_BAN_MINUTES = 60;
+const MAX_BAN_MINUTES = 7 * 24 * 60;
+const WORLD_TICK_MS = 100;
+// Latency reports past this are nonsense
+const MAX_STREAM_LATENCY_MS = 10000;
+
+// Peer-to-peer signaling events relayed verbatim to a single target user,
+// with the fields each carries. Stream signaling is tagged with the stream
+// it sets up, since a user can host or watch several at once.
+const RELAY_EVENTS = [
+    ['stream-offer', ['streamId', 'offer']],
+    ['stream-answer', ['streamId', 'answer']],
+    ['stream-ice-candidate', ['streamId', 'candidate']],
+    ['stream-ceiling', ['streamId', 'ceiling']],
+    ['voice-offer', ['offer']],
+    ['voice-answer', ['answer']],
+    ['voice-ice-candidate', ['candidate']]
+];
+
+// Transport-agnostic room/session engine shared by server.js and api/socket.js.
+//
+// A transport must provide:
+//   emitToRoom(roomId, event, payload, exceptSocketId?)
+//   emitToSocket(socketId, event, payload)
+//   removeFromRoom(socketId, roomId)
+// and each connection passed to handleConnection() must provide
+// id, rooms (a Set of joined room ids), on(event, handler), emit(event, payload),
+// join(roomId) and leave(roomId).
+//
+// Rooms live in a registry (see server/RoomRegistry.js); pass a
+// SharedRoomRegistry to run several engines against the same rooms.
+//
+// An optional store (see server/storage) receives a snapshot whenever durable
+// room state changes, and restore() reloads those rooms after a restart.
+//
+// An optional profile store (see server/storage) keeps each player's profile
+// (see server/playerProfiles.js) between sessions. With one, the server owns
+// every player's inventory: chest loot is rolled here from the item catalog
+// (see server/items) and clients can only ask to move, wear or use what the
+// server says they have. Players in the same room can also trade items,
+// and each completed trade is written to the optional trade log (see
+// server/storage). Trades are held by the engine both players are connected
+// to, so with several nodes only players on the same node can trade.
+//
+// With a license verifier (see server/licensing), creating a room requires a
+// signed license token and the license tier caps how many players can join.
+//
+// A room can run several streams at once (see Room.startStream()). With a
+// stream relay (see server/relay), each stream's host publishes it once to
+// the relay and viewers subscribe to it instead of connecting to the host.
+//
+// The outside world's seed and looted chests are room state; its ghosts are
+// simulated here (see server/world) while anyone in the room is outside, so
+// with several nodes each node simulates ghosts for its own players.
+export class RoomEngine {
+    constructor({
+        transport,
+        registry = new LocalRoomRegistry(),
+        store = null,
+        profiles = null,
+        tradeLog = null,
+        licenses = null,
+        relay = null,
+        disconnectGraceMs = DISCONNECT_GRACE_MS,
+        restoreGraceMs = RESTORE_GRACE_MS,
+        roomCodeTtlMs = ROOM_CODE_TTL_MS,
+        worldTickMs = WORLD_TICK_MS,
+        logger = console
+    } = {}) {
+        this.transport = transport;
+        this.registry = registry;
+        this.store = store;
+        this.profiles = profiles;
+        this.tradeLog = tradeLog;
+        this.licenses = licenses;
+        this.relay = relay;
+        this.disconnectGraceMs = disconnectGraceMs;
+        this.restoreGraceMs = restoreGraceMs;
+        this.roomCodeTtlMs = roomCodeTtlMs;
+        this.worldTickMs = worldTickMs;
+        this.logger = logger;
+        this.pendingDisconnects = new Map();
+        this.worlds = new Map();
+        this.worldTimer = null;
+        this.profileUpdates = new Map();
+        this.socketProfiles = new Map();
+        this.trades = new TradeBook();
+    }
+
+    async restore() {
+        if (!this.store) return 0;
+
+        const snapshots = await this.store.loadRooms();
+        let restored = 0;
+        for (const snapshot of snapshots) {
+            const room = Room.fromSnapshot(snapshot);
+            if (room.users.size === 0) {
+                this.forgetRoom(room.id);
+                continue;
+            }
+
+            // Another node may already have brought this room back
+            if (!await this.registry.createRoom(room)) continue;
+            restored++;
+
+            // Give everyone a window to reconnect before their seat is released
+            room.users.forEach((user, userId) => {
+                this.scheduleRemoval(room.id, userId, null, this.restoreGraceMs);
+            });
+        }
+
+        this.logger.log(`Restored ${restored} room(s) from storage`);
+        return restored;
+    }
+
+    persistRoom(room) {
+        if (!this.store) return;
+        this.store.saveRoom(room.toSnapshot()).catch(error => {
+            this.logger.error(`Failed to persist room ${room.id}:`, error);
+        });
+    }
+
+    forgetRoom(roomId) {
+        if (!this.store) return;
+        this.store.deleteRoom(roomId).catch(error => {
+            this.logger.error(`Failed to delete stored room ${roomId}:`, error);
+        });
+    }
+
+    // Apply a mutation through the registry and persist whatever it committed.
+    // Resolves to null when the room does not exist.
+    async updateRoom(roomId, mutate, options) {
+        const update = await this.registry.updateRoom(roomId, mutate, options);
+        if (!update) return null;
+
+        if (update.deleted) {
+            this.forgetRoom(roomId);
+        } else {
+            this.persistRoom(update.room);
+        }
+        return update;
+    }
+
+    // Like updateRoom(), but only runs the mutation if the socket's user may
+    // perform the event. Denials are reported to the socket and resolve to null.
+    async authorizedUpdate(socket, roomId, event, mutate) {
+        if (!socket.userId) return null;
+
+        const update = await this.updateRoom(roomId, room => {
+            const auth = room.authorize(socket.userId, event);
+            return auth.allowed ? { value: mutate(room) } : { denied: auth };
+        });
+        if (!update) return null;
+
+        const { denied, value } = update.result;
+        if (denied) {
+            socket.emit('permission-denied', {
+                event,
+                role: denied.role,
+                reason: denied.reason
+            });
+            this.logger.log(`Denied ${event} for user ${socket.userId} (${denied.role}) in room ${roomId}`);
+            return null;
+        }
+        return { room: update.room, value };
+    }
+
+    // Profile changes run one at a time per profile, however many tabs or
+    // trades share it. task() runs once every earlier change to any of the
+    // keys has finished.
+    lockProfiles(keys, task) {
+        const run = Promise.all(keys.map(key => this.profileUpdates.get(key))).then(task);
+        const settled = run.catch(() => {});
+        keys.forEach(key => this.profileUpdates.set(key, settled));
+        settled.then(() => keys.forEach(key => {
+            if (this.profileUpdates.get(key) === settled) this.profileUpdates.delete(key);
+        }));
+        return run;
+    }
+
+    async loadProfileForUpdate(key) {
+        const profile = { ...createProfile(), ...await this.profiles.loadProfile(key) };
+        return { profile, inventory: Inventory.fromJSON(profile.inventory) };
+    }
+
+    async saveProfileUpdate(key, { profile, inventory }) {
+        profile.inventory = inventory.toJSON();
+        profile.updatedAt = Date.now();
+        await this.profiles.saveProfile(key, profile);
+    }
+
+    // mutate(profile, inventory) may change either; both are saved after
+    updateProfile(key, mutate) {
+        return this.lockProfiles([key], async () => {
+            const loaded = await this.loadProfileForUpdate(key);
+            const result = mutate(loaded.profile, loaded.inventory);
+            await this.saveProfileUpdate(key, loaded);
+            return { ...loaded, result };
+        });
+    }
+
+    // Change the inventory of the socket's profile and show the player the
+    // result. Resolves to null when the server keeps no inventory for them.
+    async changeInventory(socket, change) {
+        if (!this.profiles || !socket.profileKey) return null;
+        const { inventory, result } = await this.updateProfile(socket.profileKey, (profile, inventory) => change(inventory, profile));
+        socket.emit('inventory-state', inventory.describe());
+        return result;
+    }
+
+    // Quests are tracked from what the server sees happen; any quest the
+    // event finishes pays its reward straight away
+    async recordQuestEvent(socket, event) {
+        if (!this.profiles || !socket.profileKey) return;
+        const { result: completed } = await this.updateProfile(socket.profileKey, (profile) => {
+            const log = new QuestLog(QUESTS, profile.quests);
+            const completed = log.record(event);
+            profile.quests = log.toJSON();
+            return completed;
+        });
+        for (const quest of completed) {
+            await this.payQuestReward(socket, quest.id);
+        }
+    }
+
+    // Each reward is paid once per profile, and only for a quest the server
+    // has seen finished. The client may finish one before the server hears
+    // of it, so asking early is not an error.
+    async payQuestReward(socket, questId) {
+        const result = await this.changeInventory(socket, (inventory, profile) => {
+            const log = new QuestLog(QUESTS, profile.quests);
+            const quest = log.getQuests().find(q => q.id === questId);
+            if (!quest?.completed) return null;
+            if (quest.rewarded) return { item: null };
+
+            const { itemId, quantity } = quest.reward;
+            if (!inventory.add(itemId, quantity)) return { reason: 'Bindle is full! Cannot claim the reward' };
+            log.markRewarded(questId);
+            profile.quests = log.toJSON();
+            return { item: describeItem(itemId, quantity) };
+        });
+        if (!result) return;
+        if (result.reason) {
+            socket.emit('inventory-denied', { reason: result.reason });
+        } else {
+            socket.emit('inventory-reward', { questId, item: result.item });
+        }
+    }
+
+    async getInventory(socket) {
+        if (!this.profiles || !socket.profileKey) return null;
+        const profile = await this.profiles.loadProfile(socket.profileKey);
+        return profile ? Inventory.fromJSON(profile.inventory) : null;
+    }
+
+    setProfileKey(socket, key) {
+        socket.profileKey = key;
+        this.socketProfiles.set(socket.id, key);
+    }
+
+    // Both sides see the same trade window: each offer with its items
+    emitTrade(trade) {
+        const payload = {
+            tradeId: trade.id,
+            roomId: trade.roomId,
+            users: trade.users,
+            status: trade.status,
+            offers: Object.fromEntries(trade.users.map(id => [
+                id,
+                trade.offers[id].map(({ slotIndex, itemId, quantity }) => ({ slotIndex, ...describeItem(itemId, quantity) }))
+            ])),
+            confirmed: trade.confirmed
+        };
+        trade.users.forEach(id => this.transport.emitToSocket(trade.parties[id].socketId, 'trade-updated', payload));
+    }
+
+    closeTrade(trade, reason) {
+        this.trades.close(trade.id);
+        trade.users.forEach(id => {
+            this.transport.emitToSocket(trade.parties[id].socketId, 'trade-closed', { tradeId: trade.id, reason });
+        });
+    }
+
+    // A user who leaves walks away from whatever they were trading
+    closeTradeFor(roomId, userId, reason) {
+        const trade = this.trades.findByUser(roomId, userId);
+        if (trade) this.closeTrade(trade, reason);
+    }
+
+    // The trade the socket's user is part of, or null
+    getTrade(socket, tradeId) {
+        const trade = this.trades.get(tradeId);
+        if (!trade || !this.inRoom(socket, trade.roomId)) return null;
+        return trade.parties[socket.userId]?.socketId === socket.id ? trade : null;
+    }
+
+    // Swap both offers in one go under both profiles' locks, then log it.
+    // If the store fails part way one side may already be saved, so the
+    // trade is closed rather than reopened.
+    async settleTrade(trade) {
+        const [first, second] = trade.users;
+        const keys = trade.users.map(id => trade.parties[id].profileKey);
+        let result = null;
+        try {
+            result = await this.lockProfiles(keys, async () => {
+                const loaded = await Promise.all(keys.map(key => this.loadProfileForUpdate(key)));
+                const swap = Inventory.trade(loaded[0].inventory, trade.offers[first], loaded[1].inventory, trade.offers[second]);
+                if (swap.success) {
+                    await Promise.all(keys.map((key, i) => this.saveProfileUpdate(key, loaded[i])));
+                }
+                return { ...swap, inventories: loaded.map(({ inventory }) => inventory) };
+            });
+        } finally {
+            if (!result) this.closeTrade(trade, 'The trade could not be completed');
+        }
+
+        if (!result.success) {
+            trade.users.forEach(id => {
+                this.transport.emitToSocket(trade.parties[id].socketId, 'trade-denied', { tradeId: trade.id, reason: result.reason });
+            });
+            if (this.trades.reopen(trade.id)) this.emitTrade(trade);
+            return;
+        }
+
+        this.trades.close(trade.id);
+        trade.users.forEach((id, i) => {
+            const { socketId } = trade.parties[id];
+            this.transport.emitToSocket(socketId, 'inventory-state', result.inventories[i].describe());
+            this.transport.emitToSocket(socketId, 'trade-completed', { tradeId: trade.id });
+        });
+
+        const entry = {
+            tradeId: trade.id,
+            roomId: trade.roomId,
+            completedAt: Date.now(),
+            sides: trade.users.map(id => ({
+                userId: id,
+                profileKey: trade.parties[id].profileKey,
+                gave: trade.offers[id].map(({ itemId, quantity }) => ({ itemId, quantity }))
+            }))
+        };
+        this.logger.log(`Trade ${trade.id} completed between ${first} and ${second} in room ${trade.roomId}`);
+        if (this.tradeLog) {
+            await this.tradeLog.record(entry).catch(error => {
+                this.logger.error(`Failed to log trade ${trade.id}:`, error);
+            });
+        }
+    }
+
+    getDisconnectKey(roomId, userId) {
+        return `${roomId}:${userId}`;
+    }
+
+    clearPendingDisconnect(roomId, userId) {
+        const key = this.getDisconnectKey(roomId, userId);
+        const timer = this.pendingDisconnects.get(key);
+        if (timer) {
+            clearTimeout(timer);
+            this.pendingDisconnects.delete(key);
+        }
+    }
+
+    async getStats() {
+        const rooms = await this.registry.listRooms();
+        return {
+            rooms: rooms.length,
+            totalUsers: rooms.reduce((total, room) => total + room.users.size, 0)
+        };
+    }
+
+    async pruneEmptyRooms() {
+        const rooms = await this.registry.listRooms();
+        for (const room of rooms) {
+            // Freshly reserved room codes stay empty until their creator arrives
+            if (room.users.size > 0 || (room.codeExpiresAt !== null && !room.isExpired())) continue;
+
+            const update = await this.updateRoom(room.id, () => {}, { deleteIfEmpty: true });
+            if (update?.deleted) {
+                this.logger.log(`Cleaned up empty room: ${room.id}`);
+            }
+        }
+    }
+
+    dispose() {
+        this.pendingDisconnects.forEach(timer => clearTimeout(timer));
+        this.pendingDisconnects.clear();
+        this.worlds.clear();
+        this.stopWorldTicker();
+    }
+
+    toRoom(roomId, event, payload, exceptSocketId) {
+        this.transport.emitToRoom(roomId, event, payload, exceptSocketId);
+    }
+
+    emitRoles(roomId, room) {
+        this.toRoom(roomId, 'roles-updated', {
+            host: room.host,
+            coHosts: Array.from(room.coHosts)
+        });
+    }
+
+    // The socket's own view of membership; a kick on another node removes the
+    // socket from the transport room even though currentRoom is still set.
+    inRoom(socket, roomId) {
+        return !!socket.userId && socket.currentRoom === roomId && socket.rooms.has(roomId);
+    }
+
+    // Run a moderation action against targetUserId if the socket's user holds
+    // the permission and outranks the target. Resolves to
+    // { room, target, outcome } with the target as it was before the action.
+    async moderate(socket, event, roomId, targetUserId, apply) {
+        const update = await this.authorizedUpdate(socket, roomId, event, room => {
+            const blocked = room.getModerationBlock(socket.userId, targetUserId);
+            if (blocked) return { blocked };
+
+            const target = { ...room.users.get(targetUserId) };
+            return { target, outcome: apply(room) };
+        });
+        if (!update) return null;
+
+        const { blocked, target, outcome } = update.value;
+        if (blocked) {
+            socket.emit('permission-denied', {
+                event,
+                role: update.room.getRole(socket.userId),
+                reason: blocked
+            });
+            return null;
+        }
+        return { room: update.room, target, outcome };
+    }
+
+    // Remove a user inside a registry update, noting what they held so
+    // announceRemoval() can tell the room afterwards
+    detachUser(room, userId) {
+        const removal = {
+            wasHost: room.host === userId,
+            wasCoHost: room.coHosts.has(userId),
+            streams: room.getStreamsFrom(userId)
+        };
+        room.removeUser(userId);
+        return removal;
+    }
+
+    announceRemoval(roomId, room, userId, { wasHost, wasCoHost, streams }) {
+        this.toRoom(roomId, 'user-left', userId);
+        this.toRoom(roomId, 'user-count-update', room.users.size);
+
+        if (wasHost && room.host) {
+            this.toRoom(roomId, 'host-changed', room.host);
+        }
+        if (wasHost || wasCoHost) {
+            this.emitRoles(roomId, room);
+        }
+        streams.forEach(stream => this.toRoom(roomId, 'stream-stopped', stream));
+        this.releaseRelay(roomId, { ended: streams, viewerId: userId, watched: room.getStreams() });
+        this.leaveWorld(roomId, userId);
+        this.closeTradeFor(roomId, userId, 'They left the room');
+    }
+
+    async negotiateRelay(socket, role, streamId, negotiate) {
+        try {
+            socket.emit('relay-answer', { role, streamId, answer: await negotiate() });
+        } catch (error) {
+            this.logger.error(`Relay negotiation failed for ${socket.userId} (${role} of ${streamId}):`, error);
+            socket.emit('relay-error', { role, streamId, reason: 'The stream relay is unavailable' });
+        }
+    }
+
+    // The relay keeps each stream apart by this key
+    getRelayKey(roomId, streamId) {
+        return `${roomId}/${streamId}`;
+    }
+
+    // Drop the streams that ended, and a departed viewer's connections to
+    // the streams they were watching
+    releaseRelay(roomId, { ended = [], viewerId = null, watched = [] }) {
+        if (!this.relay) return;
+
+        const releases = ended.map(stream => this.relay.unpublish(this.getRelayKey(roomId, stream.streamId)));
+        if (viewerId) {
+            watched.forEach(stream => releases.push(this.relay.unsubscribe(this.getRelayKey(roomId, stream.streamId), viewerId)));
+        }
+        releases.forEach(release => Promise.resolve(release).catch(error => {
+            this.logger.error(`Failed to release relay resources in room ${roomId}:`, error);
+        }));
+    }
+
+    // Ghost snapshots only go to the players who are outside to see them
+    emitToWorld(world, event, payload) {
+        world.players.forEach(player => this.transport.emitToSocket(player.socketId, event, payload));
+    }
+
+    // socketId, when given, must be the socket the player entered with
+    leaveWorld(roomId, userId, socketId = null) {
+        const world = this.worlds.get(roomId);
+        const player = world?.players.get(userId);
+        if (!player || (socketId && player.socketId !== socketId)) return;
+
+        world.removePlayer(userId);
+        this.toRoom(roomId, 'world-presence', { userId, outside: false });
+        this.dropWorldIfEmpty(roomId, world);
+    }
+
+    // Nobody outside: the ghosts reset for whoever goes out next
+    dropWorldIfEmpty(roomId, world) {
+        if (world.players.size > 0) return;
+        this.worlds.delete(roomId);
+        if (this.worlds.size === 0) this.stopWorldTicker();
+    }
+
+    startWorldTicker() {
+        if (this.worldTimer) return;
+        let last = Date.now();
+        this.worldTimer = setInterval(() => {
+            const now = Date.now();
+            this.tickWorlds((now - last) / 1000, now);
+            last = now;
+        }, this.worldTickMs);
+        this.worldTimer.unref?.();
+    }
+
+    stopWorldTicker() {
+        clearInterval(this.worldTimer);
+        this.worldTimer = null;
+    }
+
+    tickWorlds(dt, now = Date.now()) {
+        this.worlds.forEach((world, roomId) => {
+            this.reportWorldHits(roomId, world.step(Math.min(dt, 0.5), now));
+            this.emitToWorld(world, 'world-ghosts', { ghosts: world.getGhosts(), health: world.getPlayerHealth() });
+            this.dropWorldIfEmpty(roomId, world);
+        });
+    }
+
+    // Tell players what ghosts and traps did to them; the caught are out
+    reportWorldHits(roomId, { hits, caught }) {
+        hits.forEach(({ socketId, damage, health, from }) => {
+            this.transport.emitToSocket(socketId, 'world-player-hit', { damage, health, from });
+        });
+        caught.forEach(({ userId, socketId }) => {
+            this.transport.emitToSocket(socketId, 'world-caught', { roomId });
+            this.toRoom(roomId, 'world-presence', { userId, outside: false });
+        });
+    }
+
+    // Tell a kicked or banned user and pull their socket out of the room
+    expelUser(roomId, moderation, userId, details) {
+        const { room, target, outcome } = moderation;
+
+        if (target.socketId) {
+            this.transport.emitToSocket(target.socketId, 'kicked', { roomId, ...details });
+            this.transport.removeFromRoom(target.socketId, roomId);
+        }
+        this.clearPendingDisconnect(roomId, userId);
+        this.announceRemoval(roomId, room, userId, outcome);
+    }
+
+    emitMediaState(roomId, room) {
+        this.toRoom(roomId, 'media-state', { media: room.media, serverTime: Date.now() });
+    }
+
+    // Pending knocks are only shown to the people who can answer them
+    emitLobby(roomId, room) {
+        const pending = room.getLobby();
+        room.users.forEach((user, userId) => {
+            if (user.socketId && room.canReviewKnocks(userId)) {
+                this.transport.emitToSocket(user.socketId, 'lobby-updated', { roomId, pending });
+            }
+        });
+    }
+
+    async leaveLobby(socket, { roomId, userId }) {
+        const update = await this.updateRoom(roomId, room => room.leaveLobby(userId, socket.id));
+        if (update?.result) {
+            this.emitLobby(roomId, update.room);
+        }
+    }
+
+    async relayToUser(socket, roomId, targetUserId, event, payload) {
+        if (!this.inRoom(socket, roomId)) return;
+        const room = await this.registry.getRoom(roomId);
+        if (!room?.users.has(socket.userId)) return;
+
+        // Voice-muted users cannot set up new voice connections
+        if (event.startsWith('voice-') && room.isMuted(socket.userId, 'voice')) return;
+
+        const target = room.users.get(targetUserId);
+        if (target?.socketId) {
+            this.transport.emitToSocket(target.socketId, event, {
+                fromUserId: socket.userId,
+                ...payload
+            });
+        }
+    }
+
+    // Registry updates are asynchronous, so each socket's events are queued
+    // and handled one at a time in the order they arrived.
+    on(socket, event, handler) {
+        socket.on(event, (data) => {
+            socket.eventQueue = (socket.eventQueue || Promise.resolve())
+                .then(() => handler(data ?? {}))
+                .catch(error => this.logger.error(`Error handling ${event} from ${socket.id}:`, error));
+            return socket.eventQueue;
+        });
+    }
+
+    handleConnection(socket) {
+        this.logger.log('User connected:', socket.id);
+
+        this.on(socket, 'create-room', async (data) => {
+            const licenseCheck = this.licenses ? this.licenses.verify(data.licenseToken) : null;
+            if (licenseCheck && !licenseCheck.valid) {
+                socket.emit('license-required', { roomId: null, reason: licenseCheck.reason });
+                return;
+            }
+
+            // A shared seed code recreates a world someone liked
+            const worldSeed = data.worldSeed ? parseSeedCode(data.worldSeed) : null;
+            if (data.worldSeed && worldSeed === null) {
+                socket.emit('room-create-failed', { reason: 'That is not a valid world seed code' });
+                return;
+            }
+
+            // Reserve an unused code; the room stays empty until someone joins it
+            for (let attempt = 0; attempt < MAX_ROOM_CODE_ATTEMPTS; attempt++) {
+                const room = new Room(generateRoomCode());
+                room.codeExpiresAt = Date.now() + this.roomCodeTtlMs;
+                if (worldSeed !== null) {
+                    room.world.seed = worldSeed;
+                }
+                if (licenseCheck) {
+                    room.setLicense(licenseCheck.license);
+                }
+
+                if (await this.registry.createRoom(room)) {
+                    socket.emit('room-created', { code: room.id, expiresAt: room.codeExpiresAt });
+                    this.logger.log(`Allocated room code ${room.id}`);
+                    return;
+                }
+            }
+
+            socket.emit('room-create-failed', { reason: 'No free room code found, please try again' });
+        });
+
+        this.on(socket, 'lookup-room-code', async (data) => {
+            const code = String(data.code || '').toUpperCase();
+            const room = isRoomCode(code) ? await this.registry.getRoom(code) : null;
+
+            if (!room || room.isExpired()) {
+                socket.emit('room-code-status', { code, exists: false, reason: `Room ${code} does not exist or has expired` });
+            } else if (room.isFull()) {
+                socket.emit('room-code-status', { code, exists: true, full: true, reason: `Room ${code} is full` });
+            } else {
+                socket.emit('room-code-status', { code, exists: true, full: false });
+            }
+        });
+
+        this.on(socket, 'join-room', async (data) => {
+            const { roomId, userData, licenseToken, passphrase } = data;
+            const now = Date.now();
+
+            // Verified up front so the registry update stays a pure mutation
+            const licenseCheck = this.licenses ? this.licenses.verify(licenseToken) : null;
+
+            // Add or restore user in room. Room codes must have been allocated
+            // by create-room; any other room id is created on first join.
+            const update = await this.updateRoom(roomId, room => {
+                if (room.isExpired(now)) return { rejected: 'room-not-found' };
+
+                const bannedUntil = room.getBan(userData.id, now);
+                if (bannedUntil) return { rejected: 'kicked', bannedUntil, reason: 'You are banned from this room' };
+
+                const existingUser = room.users.get(userData.id);
+                if (existingUser) {
+                    existingUser.socketId = socket.id;
+                    existingUser.name = userData.name || existingUser.name;
+                    existingUser.color = userData.color || existingUser.color;
+                    existingUser.position = userData.position || existingUser.position;
+                    return { isReconnection: true };
+                }
+
+                // Private rooms let newcomers in with the passphrase or once
+                // the host has approved their knock
+                const entry = room.checkEntry(userData.id, passphrase);
+                if (entry.knock) {
+                    room.knock(userData.id, userData, socket.id, now);
+                    return { knocked: true };
+                }
+                if (!entry.allowed) return { rejected: 'join-decision', reason: entry.reason };
+
+                // Whoever creates a room must hold a license, which sets its player cap
+                if (room.users.size === 0 && !room.license && licenseCheck) {
+                    if (!licenseCheck.valid) return { rejected: 'license-required', reason: licenseCheck.reason };
+                    room.setLicense(licenseCheck.license);
+                }
+
+                const added = room.addUser(userData.id, userData);
+                if (!added.success) return { rejected: 'room-full', reason: added.reason };
+                room.users.get(userData.id).socketId = socket.id;
+                room.admitted.delete(userData.id);
+                room.codeExpiresAt = null;
+                return { isReconnection: false };
+            }, { create: !isRoomCode(roomId), deleteIfEmpty: true });
+
+            const rejected = update ? update.result.rejected : 'room-not-found';
+            if (rejected === 'join-decision') {
+                socket.emit('join-decision', { roomId, approved: false, reason: update.result.reason });
+                this.logger.log(`User ${userData.id} was refused entry to room ${roomId}: ${update.result.reason}`);
+                return;
+            }
+            if (rejected) {
+                const reason = rejected === 'room-not-found'
+                    ? `Room ${roomId} does not exist or has expired`
+                    : update.result.reason;
+                socket.emit(rejected, rejected === 'kicked'
+                    ? { roomId, bannedUntil: update.result.bannedUntil, reason }
+                    : { roomId, maxPlayers: update?.room.maxPlayers ?? null, reason });
+                this.logger.log(`User ${userData.id} could not join room ${roomId}: ${reason}`);
+                return;
+            }
+            const { room, result } = update;
+
+            if (result.knocked) {
+                socket.pendingRoom = { roomId, userId: userData.id };
+                socket.emit('join-pending', { roomId, hasPassphrase: !!room.passphraseHash });
+                this.emitLobby(roomId, room);
+                this.logger.log(`User ${userData.id} is waiting in the lobby of room ${roomId}`);
+                return;
+            }
+            socket.pendingRoom = null;
+
+            // Leave previous room if any
+            if (socket.currentRoom && socket.currentRoom !== roomId) {
+                const oldRoomId = socket.currentRoom;
+                socket.leave(oldRoomId);
+                const left = await this.updateRoom(oldRoomId, room => room.removeUser(userData.id), { deleteIfEmpty: true });
+                if (left && !left.deleted) {
+                    this.toRoom(oldRoomId, 'user-left', userData.id, socket.id);
+                    this.toRoom(oldRoomId, 'user-count-update', left.room.users.size, socket.id);
+                }
+            }
+
+            // Join new room
+            socket.join(roomId);
+            socket.currentRoom = roomId;
+            socket.userId = userData.id;
+            this.clearPendingDisconnect(roomId, userData.id);
+
+            // Send room data to user
+            socket.emit('room-joined', {
+                ...room.toJSON(),
+                isHost: room.host === userData.id,
+                role: room.getRole(userData.id),
+                relay: !!this.relay,
+                outside: this.worlds.get(roomId)?.getPlayerIds() ?? [],
+                serverTime: Date.now()
+            });
+
+            if (room.lobby.size > 0 && room.canReviewKnocks(userData.id)) {
+                socket.emit('lobby-updated', { roomId, pending: room.getLobby() });
+            }
+
+            // Notify other users
+            if (!result.isReconnection) {
+                this.toRoom(roomId, 'user-joined', userData, socket.id);
+                this.toRoom(roomId, 'user-count-update', room.users.size, socket.id);
+                this.logger.log(`User ${userData.id} joined room ${roomId}`);
+            } else {
+                this.toRoom(roomId, 'user-count-update', room.users.size, socket.id);
+                this.logger.log(`User ${userData.id} reconnected to room ${roomId}`);
+            }
+        });
+
+        this.on(socket, 'position-update', (data) => {
+            const { roomId, position } = data;
+
+            if (this.inRoom(socket, roomId)) {
+                this.registry.updatePosition(roomId, socket.userId, position);
+                const world = this.worlds.get(roomId);
+                const templeFound = world?.movePlayer(socket.userId, position);
+
+                // Broadcast position to other users in room
+                this.toRoom(roomId, 'user-position-update', {
+                    userId: socket.userId,
+                    position: position
+                }, socket.id);
+
+                if (templeFound) {
+                    return this.recordQuestEvent(socket, { type: 'discover', key: `${world.seed}:${templeFound}` });
+                }
+            }
+        });
+
+        this.on(socket, 'request-seat', async (data) => {
+            const { roomId, seatIndex } = data;
+            if (!socket.userId) return;
+
+            const update = await this.updateRoom(roomId, room => room.assignSeat(socket.userId, seatIndex));
+            if (!update) return;
+
+            const result = update.result;
+            if (result.success) {
+                // Notify all users in room about seat assignment
+                this.toRoom(roomId, 'seat-assigned', {
+                    userId: socket.userId,
+                    seatIndex: result.seatIndex
+                });
+                this.logger.log(`User ${socket.userId} assigned to seat ${result.seatIndex} in room ${roomId}`);
+            } else {
+                // Notify user that seat request was denied
+                socket.emit('seat-request-denied', {
+                    reason: result.reason
+                });
+                this.logger.log(`Seat request denied for user ${socket.userId}: ${result.reason}`);
+            }
+        });
+
+        this.on(socket, 'leave-seat', async (data) => {
+            const { roomId } = data;
+            if (!socket.userId) return;
+
+            const update = await this.updateRoom(roomId, room => room.freeSeat(socket.userId));
+            if (update?.result) {
+                this.toRoom(roomId, 'seat-left', {
+                    userId: socket.userId
+                });
+                this.logger.log(`User ${socket.userId} left their seat in room ${roomId}`);
+            }
+        });
+
+        this.on(socket, 'request-host', async (data) => {
+            const { roomId } = data;
+
+            const update = await this.authorizedUpdate(socket, roomId, 'request-host', room => {
+                if (room.host === socket.userId) return false;
+                room.setHost(socket.userId);
+                return true;
+            });
+
+            if (update?.value) {
+                this.toRoom(roomId, 'host-changed', socket.userId);
+                this.emitRoles(roomId, update.room);
+                this.logger.log(`User ${socket.userId} became host of room ${roomId}`);
+            }
+        });
+
+        this.on(socket, 'set-co-host', async (data) => {
+            const { roomId, targetUserId, enabled } = data;
+
+            const update = await this.authorizedUpdate(socket, roomId, 'set-co-host',
+                room => room.setCoHost(targetUserId, !!enabled));
+
+            if (update?.value) {
+                this.emitRoles(roomId, update.room);
+                this.logger.log(`User ${targetUserId} ${enabled ? 'promoted to' : 'removed as'} co-host in room ${roomId}`);
+            }
+        });
+
+        this.on(socket, 'set-privacy', async (data) => {
+            const { roomId, isPrivate, passphrase } = data;
+            const passphraseHash = isPrivate && passphrase ? hashPassphrase(passphrase) : null;
+
+            const update = await this.authorizedUpdate(socket, roomId, 'set-privacy',
+                room => room.setPrivacy(isPrivate, passphraseHash));
+            if (!update) return;
+
+            this.toRoom(roomId, 'privacy-updated', {
+                isPrivate: update.room.isPrivate,
+                hasPassphrase: !!update.room.passphraseHash
+            });
+            this.logger.log(`Room ${roomId} is now ${update.room.isPrivate ? 'private' : 'public'}`);
+
+            // Opening the room lets everyone waiting in the lobby through
+            update.value.forEach(entry => {
+                this.transport.emitToSocket(entry.socketId, 'join-decision', { roomId, approved: true });
+            });
+            if (update.value.length > 0) {
+                this.emitLobby(roomId, update.room);
+            }
+        });
+
+        this.on(socket, 'review-knock', async (data) => {
+            const { roomId, targetUserId, approve } = data;
+
+            const update = await this.authorizedUpdate(socket, roomId, 'review-knock',
+                room => room.reviewKnock(targetUserId, !!approve));
+            if (!update?.value) return;
+
+            this.transport.emitToSocket(update.value.socketId, 'join-decision', approve
+                ? { roomId, approved: true }
+                : { roomId, approved: false, reason: 'The host declined your request to join' });
+            this.emitLobby(roomId, update.room);
+            this.logger.log(`User ${targetUserId} was ${approve ? 'admitted to' : 'turned away from'} room ${roomId}`);
+        });
+
+        this.on(socket, 'kick-user', async (data) => {
+            const { roomId, targetUserId } = data;
+
+            const moderation = await this.moderate(socket, 'kick-user', roomId, targetUserId,
+                room => this.detachUser(room, targetUserId));
+            if (!moderation) return;
+
+            this.expelUser(roomId, moderation, targetUserId, {
+                bannedUntil: null,
+                reason: 'You were removed from the room'
+            });
+            this.logger.log(`User ${targetUserId} was kicked from room ${roomId} by ${socket.userId}`);
+        });
+
+        this.on(socket, 'ban-user', async (data) => {
+            const { roomId, targetUserId } = data;
+            const minutes = Math.min(Math.max(Number(data.durationMinutes) || DEFAULT_BAN_MINUTES, 1), MAX_BAN_MINUTES);
+            const now = Date.now();
+            const bannedUntil = now + minutes * 60 * 1000;
+
+            const moderation = await this.moderate(socket, 'ban-user', roomId, targetUserId, room => {
+                room.ban(targetUserId, bannedUntil, now);
+                return this.detachUser(room, targetUserId);
+            });
+            if (!moderation) return;
+
+            this.expelUser(roomId, moderation, targetUserId, {
+                bannedUntil,
+                reason: `You were banned from the room for ${minutes} minute${minutes === 1 ? '' : 's'}`
+            });
+            this.logger.log(`User ${targetUserId} was banned from room ${roomId} for ${minutes} minutes by ${socket.userId}`);
+        });
+
+        this.on(socket, 'mute-user', async (data) => {
+            const { roomId, targetUserId, kind, muted } = data;
+            if (kind !== 'chat' && kind !== 'voice') return;
+
+            const moderation = await this.moderate(socket, 'mute-user', roomId, targetUserId,
+                room => room.setMuted(targetUserId, kind, !!muted));
+            if (!moderation?.outcome) return;
+
+            this.toRoom(roomId, 'user-muted', { userId: targetUserId, kind, muted: !!muted });
+            if (kind === 'voice' && muted) {
+                this.toRoom(roomId, 'voice-status', { userId: targetUserId, enabled: false });
+            }
+            this.logger.log(`User ${targetUserId} ${muted ? 'muted' : 'unmuted'} (${kind}) in room ${roomId} by ${socket.userId}`);
+        });
+
+        this.on(socket, 'unseat-user', async (data) => {
+            const { roomId, targetUserId } = data;
+
+            const moderation = await this.moderate(socket, 'unseat-user', roomId, targetUserId,
+                room => room.freeSeat(targetUserId));
+            if (!moderation?.outcome) return;
+
+            this.toRoom(roomId, 'seat-left', { userId: targetUserId, forced: true });
+            this.logger.log(`User ${targetUserId} was unseated in room ${roomId} by ${socket.userId}`);
+        });
+
+        this.on(socket, 'start-screen-share', async (data) => {
+            const { roomId } = data;
+
+            const update = await this.authorizedUpdate(socket, roomId, 'start-screen-share', room => {
+                room.screenSharing = true;
+            });
+
+            if (update) {
+                this.toRoom(roomId, 'screen-share-started', {
+                    hostId: socket.userId
+                }, socket.id);
+                this.logger.log(`Screen sharing started in room ${roomId}`);
+            }
+        });
+
+        this.on(socket, 'stop-screen-share', async (data) => {
+            const { roomId } = data;
+
+            const update = await this.authorizedUpdate(socket, roomId, 'stop-screen-share', room => {
+                room.screenSharing = false;
+            });
+
+            if (update) {
+                this.toRoom(roomId, 'screen-share-stopped', undefined, socket.id);
+                this.logger.log(`Screen sharing stopped in room ${roomId}`);
+            }
+        });
+
+        // Streams are one source each, e.g. { kind: 'camera' } for a webcam
+        // shown picture-in-picture; the kind defaults to a screen share and
+        // the quality preset to 'standard'
+        this.on(socket, 'start-stream', async (data) => {
+            const { roomId, kind = 'screen', quality = 'standard' } = data;
+
+            const update = await this.authorizedUpdate(socket, roomId, 'start-stream', room => {
+                if (room.media) return { reason: 'Stop the synced media before streaming' };
+                return room.startStream(socket.userId, kind, quality);
+            });
+            if (!update) return;
+
+            const { stream, reason } = update.value;
+            if (reason) {
+                socket.emit('permission-denied', {
+                    event: 'start-stream',
+                    role: update.room.getRole(socket.userId),
+                    reason
+                });
+                return;
+            }
+            // The sender hears it too: that is when their stream is live
+            this.toRoom(roomId, 'stream-started', stream);
+            this.logger.log(`WebRTC stream ${stream.streamId} started in room ${roomId}`);
+        });
+
+        // Without a streamId this stops all of the sender's own streams;
+        // hosts and co-hosts can also stop anyone else's
+        this.on(socket, 'stop-stream', async (data) => {
+            const { roomId, streamId } = data;
+
+            const update = await this.authorizedUpdate(socket, roomId, 'stop-stream', room => {
+                const own = room.getStreamsFrom(socket.userId);
+                if (!streamId) return { stopped: own.map(stream => room.stopStream(stream.streamId)) };
+
+                const stream = room.streams.get(streamId);
+                if (!stream) return { stopped: [] };
+                if (!room.canStopStream(socket.userId, stream)) {
+                    if (room.getRole(socket.userId) === 'co-host') return { reason: 'Only the host can stop the host\'s stream' };
+                    return { reason: 'Only hosts and co-hosts can stop someone else\'s stream' };
+                }
+                return { stopped: [room.stopStream(streamId)] };
+            });
+            if (!update) return;
+
+            const { stopped, reason } = update.value;
+            if (reason) {
+                socket.emit('permission-denied', {
+                    event: 'stop-stream',
+                    role: update.room.getRole(socket.userId),
+                    reason
+                });
+                return;
+            }
+            this.releaseRelay(roomId, { ended: stopped });
+            stopped.forEach(stream => {
+                // Only the sender's own streams are news to everyone but them
+                this.toRoom(roomId, 'stream-stopped', stream, stream.hostId === socket.userId ? socket.id : undefined);
+                this.logger.log(`WebRTC stream ${stream.streamId} stopped in room ${roomId}`);
+            });
+        });
+
+        // A host switching presets mid-stream, e.g. from slides to a film
+        this.on(socket, 'set-stream-quality', async (data) => {
+            const { roomId, streamId, quality } = data;
+
+            const update = await this.authorizedUpdate(socket, roomId, 'set-stream-quality', room => {
+                if (room.streams.get(streamId)?.hostId !== socket.userId) {
+                    return { reason: 'Only the stream host can change its quality' };
+                }
+                return room.setStreamQuality(streamId, quality);
+            });
+            if (!update) return;
+
+            const { stream, reason } = update.value;
+            if (reason) {
+                socket.emit('permission-denied', {
+                    event: 'set-stream-quality',
+                    role: update.room.getRole(socket.userId),
+                    reason
+                });
+                return;
+            }
+            this.toRoom(roomId, 'stream-quality', { streamId, quality: stream.quality }, socket.id);
+
+            // Relayed viewers are stepped between layers by the preset's bitrates
+            if (this.relay) {
+                await this.relay.setQuality(this.getRelayKey(roomId, streamId), stream.quality).catch(error => {
+                    this.logger.error(`Failed to change relay quality in room ${roomId}:`, error);
+                });
+            }
+        });
+
+        this.on(socket, 'relay-publish', async (data) => {
+            const { roomId, streamId, offer } = data;
+            if (!this.relay || !this.inRoom(socket, roomId)) return;
+
+            const room = await this.registry.getRoom(roomId);
+            const stream = room?.streams.get(streamId);
+            if (stream?.hostId !== socket.userId) {
+                socket.emit('permission-denied', {
+                    event: 'relay-publish',
+                    role: room?.getRole(socket.userId) ?? null,
+                    reason: 'Only the stream host can publish to the relay'
+                });
+                return;
+            }
+            // The relay sizes its layers to the stream's preset
+            await this.negotiateRelay(socket, 'publisher', streamId,
+                () => this.relay.publish(this.getRelayKey(roomId, streamId), offer, { quality: stream.quality }));
+        });
+
+        this.on(socket, 'relay-subscribe', async (data) => {
+            // bestLayer is the viewer's quality ceiling: the best simulcast
+            // layer the relay may forward them
+            const { roomId, streamId, offer, bestLayer = 0 } = data;
+            if (!this.relay || !this.inRoom(socket, roomId)) return;
+
+            const room = await this.registry.getRoom(roomId);
+            if (!room?.users.has(socket.userId) || !room.streams.has(streamId)) return;
+            await this.negotiateRelay(socket, 'subscriber', streamId,
+                () => this.relay.subscribe(this.getRelayKey(roomId, streamId), socket.userId, offer, { bestLayer }));
+        });
+
+        // Stream latency alignment (see src/streamLatency.js). Hosts publish
+        // how their media clock maps onto the server's and viewers report
+        // how far behind they play; both go to the whole room, which works
+        // out the common target itself.
+        this.on(socket, 'stream-timestamp', async (data) => {
+            const { roomId, streamId, mediaTime, serverTime } = data;
+            if (!this.inRoom(socket, roomId) || !Number.isFinite(mediaTime) || !Number.isFinite(serverTime)) return;
+
+            const room = await this.registry.getRoom(roomId);
+            if (room?.streams.get(streamId)?.hostId !== socket.userId) return;
+            this.toRoom(roomId, 'stream-timestamp', { streamId, mediaTime, serverTime }, socket.id);
+        });
+
+        this.on(socket, 'stream-latency', async (data) => {
+            const { roomId, streamId } = data;
+            const latency = [data.baseMs, data.latencyMs];
+            if (!this.inRoom(socket, roomId) || !latency.every(ms => Number.isFinite(ms) && ms >= 0 && ms <= MAX_STREAM_LATENCY_MS)) return;
+
+            const room = await this.registry.getRoom(roomId);
+            if (!room?.users.has(socket.userId) || !room.streams.has(streamId)) return;
+            const [baseMs, latencyMs] = latency;
+            this.toRoom(roomId, 'stream-latency', { streamId, userId: socket.userId, baseMs, latencyMs }, socket.id);
+        });
+
+        // The outside world. Entering adds the player to the room's ghost
+        // simulation; chests are claimed through the registry so each one
+        // is looted once however many nodes race for it.
+        this.on(socket, 'world-enter', async (data) => {
+            const { roomId, position, bonuses } = data;
+            if (!this.inRoom(socket, roomId)) return;
+
+            const room = await this.registry.getRoom(roomId);
+            if (!room?.users.has(socket.userId)) return;
+
+            // What the server knows they wear beats what the client claims
+            const worn = (await this.getInventory(socket))?.getBonuses() ?? bonuses;
+
+            let world = this.worlds.get(roomId);
+            if (!world) {
+                world = new OutsideWorld(room.world.seed);
+                this.worlds.set(roomId, world);
+                this.startWorldTicker();
+            }
+            world.addPlayer(socket.userId, socket.id, getEntryPosition(position), worn);
+
+            socket.emit('world-state', {
+                seed: room.world.seed,
+                openedChests: Object.keys(room.world.openedChests),
+                ghosts: world.getGhosts()
+            });
+            this.toRoom(roomId, 'world-presence', { userId: socket.userId, outside: true }, socket.id);
+        });
+
+        this.on(socket, 'world-leave', (data) => {
+            const { roomId } = data;
+            if (this.inRoom(socket, roomId)) {
+                this.leaveWorld(roomId, socket.userId);
+            }
+        });
+
+        this.on(socket, 'world-ghost-hit', (data) => {
+            const { roomId, ghostId } = data;
+            const world = this.inRoom(socket, roomId) ? this.worlds.get(roomId) : null;
+            if (!world) return;
+
+            const hit = world.hitGhost(socket.userId, ghostId);
+            if (hit.success) {
+                this.emitToWorld(world, 'world-ghost-hit', { ghostId, health: hit.health, x: hit.x, z: hit.z, userId: socket.userId });
+                if (hit.health <= 0) return this.recordQuestEvent(socket, { type: 'banish', archetype: hit.archetype });
+            }
+        });
+
+        // Throwing a tomato is loud; ghosts nearby come to see. The noise
+        // comes from where the server last saw the thrower.
+        this.on(socket, 'world-noise', (data) => {
+            const { roomId } = data;
+            const world = this.inRoom(socket, roomId) ? this.worlds.get(roomId) : null;
+            world?.makeNoise(socket.userId);
+        });
+
+        this.on(socket, 'world-trap', (data) => {
+            const { roomId } = data;
+            const world = this.inRoom(socket, roomId) ? this.worlds.get(roomId) : null;
+            if (!world) return;
+            this.reportWorldHits(roomId, world.springTrap(socket.userId, { x: data.x, z: data.z }));
+            this.dropWorldIfEmpty(roomId, world);
+        });
+
+        this.on(socket, 'world-open-chest', async (data) => {
+            const { roomId, chestKey } = data;
+            const world = this.inRoom(socket, roomId) ? this.worlds.get(roomId) : null;
+            if (!world?.canReachChest(socket.userId, chestKey)) {
+                socket.emit('world-chest-denied', { chestKey, reason: 'You need to be at the chest to open it' });
+                return;
+            }
+
+            // The loot is rolled here. The chest is claimed first and shut
+            // again if the loot does not fit in the Bindle. A profile opens
+            // each chest of a seed once, whichever room it is in.
+            const loot = rollChestLoot(world.seed, chestKey);
+            const update = await this.updateRoom(roomId, room => room.openChest(chestKey, socket.userId));
+            if (!update) return;
+            if (!update.result.success) {
+                socket.emit('world-chest-denied', { chestKey, reason: update.result.reason });
+                return;
+            }
+
+            const openedKey = `${world.seed}:${chestKey}`;
+            const result = await this.changeInventory(socket, (inventory, profile) => {
+                if (profile.openedChests.includes(openedKey)) return { reason: 'You have already opened this chest' };
+                if (!inventory.add(loot.itemId, loot.quantity)) return { reason: 'Your bindle is full' };
+                profile.openedChests.push(openedKey);
+                return {};
+            });
+            if (result?.reason) {
+                await this.updateRoom(roomId, room => room.closeChest(chestKey, socket.userId));
+                socket.emit('world-chest-denied', { chestKey, reason: result.reason });
+                return;
+            }
+            this.toRoom(roomId, 'world-chest-opened', { chestKey, userId: socket.userId, loot: describeItem(loot.itemId, loot.quantity) });
+            return this.recordQuestEvent(socket, { type: 'open-chest', rarity: ITEMS[loot.itemId].rarity });
+        });
+
+        // Every player may empty each temple's vault once, from inside its
+        // dungeon. Their profile remembers it, or without one the room does.
+        this.on(socket, 'world-open-vault', async (data) => {
+            const { roomId, cellKey } = data;
+            const world = this.inRoom(socket, roomId) ? this.worlds.get(roomId) : null;
+            if (!world?.canReachVault(socket.userId, cellKey)) {
+                socket.emit('world-chest-denied', { chestKey: null, reason: 'You need to be at the chest to open it' });
+                return;
+            }
+
+            const loot = rollChestLoot(world.seed, cellKey, 'vault');
+            const vaultKey = `${world.seed}:${cellKey}`;
+            let result = await this.changeInventory(socket, (inventory, profile) => {
+                if (profile.lootedVaults.includes(vaultKey)) return { reason: 'You have already emptied this vault' };
+                if (!inventory.add(loot.itemId, loot.quantity)) return { reason: 'Your bindle is full' };
+                profile.lootedVaults.push(vaultKey);
+                return {};
+            });
+            if (!result) {
+                const update = await this.updateRoom(roomId, room => room.lootVault(cellKey, socket.userId));
+                if (!update) return;
+                result = update.result;
+            }
+            if (result.reason) {
+                socket.emit('world-chest-denied', { chestKey: null, reason: result.reason });
+                return;
+            }
+            socket.emit('world-vault-opened', { cellKey, loot: describeItem(loot.itemId, loot.quantity) });
+            return this.recordQuestEvent(socket, { type: 'open-chest', rarity: ITEMS[loot.itemId].rarity });
+        });
+
+        // Player profiles. Clients load theirs after joining a room and save
+        // whenever it changes; without a profile store they keep it locally.
+        // A new profile starts with the starting items.
+        this.on(socket, 'profile-load', async (data) => {
+            if (!this.profiles || !socket.userId) return;
+            const key = getProfileKey(data.token);
+            if (!key) {
+                socket.emit('profile-rejected', { reason: 'Invalid profile token' });
+                return;
+            }
+            this.setProfileKey(socket, key);
+
+            let created = false;
+            const { profile, inventory } = await this.updateProfile(key, profile => {
+                created = !profile.updatedAt;
+            });
+            socket.emit('profile-loaded', { profile: created ? null : getPublicProfile(profile) });
+            socket.emit('inventory-state', inventory.describe());
+        });
+
+        this.on(socket, 'profile-save', async (data) => {
+            if (!this.profiles || !socket.userId) return;
+            const key = getProfileKey(data.token);
+            const progress = key ? normalizeProgress(data.profile) : null;
+            if (!progress) {
+                socket.emit('profile-rejected', { reason: key ? 'Invalid profile' : 'Invalid profile token' });
+                return;
+            }
+            this.setProfileKey(socket, key);
+            const { profile } = await this.updateProfile(key, profile => Object.assign(profile, progress));
+            socket.emit('profile-saved', { updatedAt: profile.updatedAt });
+        });
+
+        // The Bindle: clients ask, the server's inventory decides
+        this.on(socket, 'inventory-move', (data) => {
+            return this.changeInventory(socket, inventory => inventory.move(data.from, data.to));
+        });
+
+        this.on(socket, 'inventory-equip', async (data) => {
+            const result = await this.changeInventory(socket, inventory => inventory.equip(data.slotIndex));
+            if (result && !result.success) socket.emit('inventory-denied', { reason: result.reason });
+        });
+
+        this.on(socket, 'inventory-unequip', async (data) => {
+            const result = await this.changeInventory(socket, inventory => inventory.unequip(data.slot));
+            if (result && !result.success) socket.emit('inventory-denied', { reason: result.reason });
+        });
+
+        this.on(socket, 'inventory-use', async (data) => {
+            const item = await this.changeInventory(socket, inventory => inventory.use(data.slotIndex));
+            if (item) {
+                socket.emit('inventory-used', { item });
+            } else if (item === null && socket.profileKey) {
+                socket.emit('inventory-denied', { reason: 'That cannot be used' });
+            }
+        });
+
+        // Quests ask for items to be brought back to the theatre
+        this.on(socket, 'inventory-take', async (data) => {
+            const taken = await this.changeInventory(socket, inventory => inventory.take(data.itemId));
+            if (taken) return this.recordQuestEvent(socket, { type: 'return-item', item: ITEMS[data.itemId].name });
+        });
+
+        // Asks again for a reward that did not fit in the Bindle
+        this.on(socket, 'inventory-claim-reward', (data) => {
+            if (typeof data.questId !== 'string') return;
+            return this.payQuestReward(socket, data.questId);
+        });
+
+        // Trading: one player asks another, who accepts or declines; both
+        // then offer items from their Bindle and confirm. The swap only
+        // happens once both confirm the offers as they stand.
+        this.on(socket, 'trade-request', async (data) => {
+            const { roomId, targetUserId } = data;
+            if (!this.profiles || !socket.profileKey || !this.inRoom(socket, roomId)) return;
+            const room = await this.registry.getRoom(roomId);
+            const target = room?.users.get(targetUserId);
+            const targetKey = target?.socketId ? this.socketProfiles.get(target.socketId) : null;
+            if (!targetKey) {
+                socket.emit('trade-denied', { tradeId: null, reason: 'They cannot trade right now' });
+                return;
+            }
+
+            const { trade, reason } = this.trades.propose(
+                roomId,
+                { userId: socket.userId, socketId: socket.id, profileKey: socket.profileKey },
+                { userId: targetUserId, socketId: target.socketId, profileKey: targetKey }
+            );
+            if (!trade) {
+                socket.emit('trade-denied', { tradeId: null, reason });
+                return;
+            }
+            this.transport.emitToSocket(target.socketId, 'trade-requested', {
+                tradeId: trade.id,
+                fromUserId: socket.userId,
+                fromName: room.users.get(socket.userId)?.name || socket.userId
+            });
+            this.emitTrade(trade);
+        });
+
+        this.on(socket, 'trade-respond', (data) => {
+            const trade = this.getTrade(socket, data.tradeId);
+            if (!trade) return;
+            if (!data.accept) {
+                if (trade.users[1] === socket.userId) this.closeTrade(trade, 'They declined the trade');
+                return;
+            }
+            if (this.trades.accept(trade.id, socket.userId)) this.emitTrade(trade);
+        });
+
+        // slots lists the Bindle slots offered; the server reads what is in them
+        this.on(socket, 'trade-offer', async (data) => {
+            const trade = this.getTrade(socket, data.tradeId);
+            if (!trade) return;
+            const slots = Array.isArray(data.slots) ? data.slots : null;
+            const inventory = await this.getInventory(socket);
+            const offer = slots && inventory && slots.every((slotIndex, i) => Number.isInteger(slotIndex) && inventory.slots[slotIndex] && slots.indexOf(slotIndex) === i)
+                ? slots.map(slotIndex => ({ slotIndex, ...inventory.slots[slotIndex] }))
+                : null;
+            const result = offer ? this.trades.setOffer(trade.id, socket.userId, offer) : { reason: 'Those items are not in your bindle' };
+            if (result.trade) {
+                this.emitTrade(trade);
+            } else {
+                socket.emit('trade-denied', { tradeId: trade.id, reason: result.reason });
+            }
+        });
+
+        this.on(socket, 'trade-confirm', async (data) => {
+            const trade = this.getTrade(socket, data.tradeId);
+            const confirmation = trade ? this.trades.confirm(trade.id, socket.userId) : null;
+            if (!confirmation) return;
+            if (confirmation.ready) {
+                await this.settleTrade(trade);
+            } else {
+                this.emitTrade(trade);
+            }
+        });
+
+        this.on(socket, 'trade-cancel', (data) => {
+            const trade = this.getTrade(socket, data.tradeId);
+            if (trade && trade.status !== 'settling') this.closeTrade(trade, 'The trade was cancelled');
+        });
+
+        // Synced media playback: the room holds the playback state and every
+        // client plays the media itself, correcting its own drift
+        this.on(socket, 'media-load', async (data) => {
+            const { roomId } = data;
+            const source = normalizeMediaSource(data.source);
+            if (!source) {
+                socket.emit('media-rejected', { reason: 'Unsupported media source' });
+                return;
+            }
+
+            const id = randomUUID();
+            const now = Date.now();
+            const update = await this.authorizedUpdate(socket, roomId, 'media-load',
+                room => room.loadMedia(id, source, socket.userId, now));
+            if (!update) return;
+
+            if (!update.value.success) {
+                socket.emit('media-rejected', { reason: update.value.reason });
+                return;
+            }
+            this.emitMediaState(roomId, update.room);
+            this.logger.log(`User ${socket.userId} loaded ${source.kind} media "${source.title}" in room ${roomId}`);
+        });
+
+        this.on(socket, 'media-control', async (data) => {
+            const { roomId, action, position, rate } = data;
+            const now = Date.now();
+
+            const update = await this.authorizedUpdate(socket, roomId, 'media-control',
+                room => room.controlMedia({ action, position, rate }, now));
+            if (!update) return;
+
+            if (!update.value.success) {
+                socket.emit('media-rejected', { reason: update.value.reason });
+                return;
+            }
+            this.emitMediaState(roomId, update.room);
+        });
+
+        this.on(socket, 'media-stop', async (data) => {
+            const { roomId } = data;
+
+            const update = await this.authorizedUpdate(socket, roomId, 'media-stop', room => room.stopMedia());
+            if (update?.value) {
+                this.emitMediaState(roomId, update.room);
+                this.logger.log(`Synced media stopped in room ${roomId}`);
+            }
+        });
+
+        // Clients ask again after falling behind, e.g. a backgrounded tab
+        this.on(socket, 'media-sync', async (data) => {
+            const { roomId } = data;
+            if (!this.inRoom(socket, roomId)) return;
+
+            const room = await this.registry.getRoom(roomId);
+            if (room) {
+                socket.emit('media-state', { media: room.media, serverTime: Date.now() });
+            }
+        });
+
+        RELAY_EVENTS.forEach(([event, fields]) => {
+            this.on(socket, event, (data) => {
+                const { roomId, targetUserId } = data;
+                const payload = Object.fromEntries(fields.map(field => [field, data[field]]));
+                return this.relayToUser(socket, roomId, targetUserId, event, payload);
+            });
+        });
+
+        this.on(socket, 'avatar-changed', (data) => {
+            const { roomId, userId } = data;
+
+            if (this.inRoom(socket, roomId) && socket.userId === userId) {
+                // Broadcast avatar change to other users in room
+                this.toRoom(roomId, 'avatar-changed', {
+                    userId: userId
+                }, socket.id);
+                this.logger.log(`Avatar changed for user ${userId} in room ${roomId}`);
+            }
+        });
+
+        this.on(socket, 'chat-message', async (data) => {
+            const { roomId, message, userName } = data;
+            if (!this.inRoom(socket, roomId)) return;
+
+            const entry = {
+                userId: socket.userId,
+                message: message,
+                userName: userName,
+                timestamp: Date.now()
+            };
+            const update = await this.updateRoom(roomId, room => {
+                if (!room.users.has(socket.userId)) return { sent: false };
+                if (room.isMuted(socket.userId, 'chat')) return { sent: false, muted: true };
+                room.addChatMessage(entry);
+                return { sent: true };
+            });
+            if (!update) return;
+
+            if (update.result.muted) {
+                socket.emit('permission-denied', {
+                    event: 'chat-message',
+                    role: update.room.getRole(socket.userId),
+                    reason: 'You are muted in this room'
+                });
+            } else if (update.result.sent) {
+                // Broadcast message to all users in room except sender
+                this.toRoom(roomId, 'chat-message', entry, socket.id);
+                this.logger.log(`Chat message from ${socket.userId} in room ${roomId}: ${message}`);
+            }
+        });
+
+        this.on(socket, 'voice-status', async (data) => {
+            const { roomId, enabled } = data;
+            if (!this.inRoom(socket, roomId)) return;
+
+            if (enabled) {
+                const room = await this.registry.getRoom(roomId);
+                if (!room || room.isMuted(socket.userId, 'voice')) return;
+            }
+
+            this.toRoom(roomId, 'voice-status', {
+                userId: socket.userId,
+                enabled: enabled
+            }, socket.id);
+        });
+
+        socket.on('client-heartbeat', () => {
+            // Application-level keepalive to reduce idle disconnect churn.
+        });
+
+        // Clock sync pings skip the event queue, which would skew the round trip
+        socket.on('clock-ping', (data) => {
+            socket.emit('clock-pong', { clientTime: data?.clientTime, serverTime: Date.now() });
+        });
+
+        socket.on('disconnect', () => {
+            this.logger.log('User disconnected:', socket.id);
+
+            if (socket.pendingRoom) {
+                this.leaveLobby(socket, socket.pendingRoom).catch(error => {
+                    this.logger.error(`Failed to clear lobby entry for ${socket.id}:`, error);
+                });
+            }
+
+            this.socketProfiles.delete(socket.id);
+            if (socket.currentRoom && socket.userId) {
+                // Ghosts stop chasing a player the moment their connection
+                // drops, and trades do not wait for them to come back
+                this.leaveWorld(socket.currentRoom, socket.userId, socket.id);
+                const trade = this.trades.findByUser(socket.currentRoom, socket.userId);
+                if (trade?.parties[socket.userId].socketId === socket.id && trade.status !== 'settling') {
+                    this.closeTrade(trade, 'They disconnected');
+                }
+                this.updateRoom(socket.currentRoom, room => room.markDisconnected(socket.userId, socket.id)).catch(error => {
+                    this.logger.error(`Failed to mark ${socket.userId} disconnected:`, error);
+                });
+                this.scheduleRemoval(socket.currentRoom, socket.userId, socket.id);
+            }
+        });
+    }
+
+    // Hold the user's seat and host role for a grace period so a flaky
+    // connection can rejoin without the room reshuffling around them.
+    scheduleRemoval(roomId, userId, socketId, graceMs = this.disconnectGraceMs) {
+        const key = this.getDisconnectKey(roomId, userId);
+
+        this.clearPendingDisconnect(roomId, userId);
+        const timer = setTimeout(() => {
+            this.pendingDisconnects.delete(key);
+            this.removeUserNow(roomId, userId, socketId).catch(error => {
+                this.logger.error(`Failed to remove user ${userId} from room ${roomId}:`, error);
+            });
+        }, graceMs);
+
+        this.pendingDisconnects.set(key, timer);
+    }
+
+    async removeUserNow(roomId, userId, socketId) {
+        const update = await this.updateRoom(roomId, room => {
+            const currentUser = room.users.get(userId);
+            if (!currentUser) return null;
+
+            // User reconnected and replaced socket before timeout.
+            if (currentUser.socketId && currentUser.socketId !== socketId) return null;
+
+            return this.detachUser(room, userId);
+        }, { deleteIfEmpty: true });
+
+        if (!update?.result) return;
+        const { room, deleted } = update;
+
+        if (deleted) {
+            this.releaseRelay(roomId, { ended: update.result.streams });
+            this.leaveWorld(roomId, userId);
+            this.logger.log(`Room ${roomId} deleted (empty)`);
+            return;
+        }
+
+        this.announceRemoval(roomId, room, userId, update.result);
+    }
+}
+
+// Adapts a Socket.IO server to the RoomEngine transport interface
+export function createSocketIOTransport(io) {
+    return {
+        emitToRoom(roomId, event, payload, exceptSocketId) {
+            const target = exceptSocketId ? io.to(roomId).except(exceptSocketId) : io.to(roomId);
+            if (payload === undefined) {
+                target.emit(event);
+            } else {
+                target.emit(event, payload);
+            }
+        },
+        emitToSocket(socketId, event, payload) {
+            io.to(socketId).emit(event, payload);
+        },
+        removeFromRoom(socketId, roomId) {
+            // Reaches sockets on other nodes through the adapter
+            io.in(socketId).socketsLeave(roomId);
+        }
+    };
+}
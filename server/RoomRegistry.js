@@ -0,0 +1,52 @@
+import { Room } from './Room.js';
+
+// Process-local room registry. RoomEngine reads and mutates rooms only
+// through a registry so the same engine can run against the shared,
+// broker-backed registry in server/cluster when scaled across nodes.
+//
+// updateRoom() callbacks must only touch the room they are given: the
+// shared registry may run them more than once when nodes race.
+export class LocalRoomRegistry {
+    constructor() {
+        this.rooms = new Map();
+    }
+
+    async getRoom(roomId) {
+        return this.rooms.get(roomId) || null;
+    }
+
+    async listRooms() {
+        return Array.from(this.rooms.values());
+    }
+
+    async updateRoom(roomId, mutate, { create = false, deleteIfEmpty = false } = {}) {
+        let room = this.rooms.get(roomId);
+        if (!room) {
+            if (!create) return null;
+            room = new Room(roomId);
+            this.rooms.set(roomId, room);
+        }
+
+        const result = mutate(room);
+
+        const deleted = deleteIfEmpty && room.users.size === 0;
+        if (deleted) {
+            this.rooms.delete(roomId);
+        }
+        return { room, result, deleted };
+    }
+
+    // Add a room (restored from storage or reserved under a new room code)
+    // unless one with the same id is already live
+    async createRoom(room) {
+        if (this.rooms.has(room.id)) return false;
+        this.rooms.set(room.id, room);
+        return true;
+    }
+
+    // Positions change many times a second; they are kept locally and never
+    // need to be consistent across nodes.
+    updatePosition(roomId, userId, position) {
+        this.rooms.get(roomId)?.updateUserPosition(userId, position);
+    }
+}
@@ -0,0 +1,39 @@
+import { ClusterAdapterWithHeartbeat } from 'socket.io-adapter';
+
+// Socket.IO adapter that fans broadcasts out to every node through the
+// broker's pub/sub channels, so io.to(room).emit() reaches sockets connected
+// to other server.js processes.
+class BrokerAdapter extends ClusterAdapterWithHeartbeat {
+    constructor(nsp, broker, opts = {}) {
+        super(nsp, opts);
+        this.broker = broker;
+        this.channel = `socket.io#${nsp.name}#`;
+        this.responseChannel = `socket.io-response#${nsp.name}#${this.uid}#`;
+
+        broker.subscribe(this.channel, (message) => this.onMessage(message));
+        broker.subscribe(this.responseChannel, (response) => this.onResponse(response));
+    }
+
+    async doPublish(message) {
+        await this.broker.publish(this.channel, message);
+        return '';
+    }
+
+    async doPublishResponse(requesterUid, response) {
+        await this.broker.publish(`socket.io-response#${this.nsp.name}#${requesterUid}#`, response);
+    }
+
+    close() {
+        super.close();
+        this.broker.unsubscribe(this.channel).catch(() => {});
+        this.broker.unsubscribe(this.responseChannel).catch(() => {});
+    }
+}
+
+export function createBrokerAdapter(broker, opts = {}) {
+    return function (nsp) {
+        const adapter = new BrokerAdapter(nsp, broker, opts);
+        adapter.init();
+        return adapter;
+    };
+}
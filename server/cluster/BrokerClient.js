@@ -0,0 +1,139 @@
+import { connect } from 'net';
+
+const RECONNECT_DELAY_MS = 1000;
+
+// Client for BrokerServer. Requests are queued while disconnected and
+// subscriptions are re-established after a reconnect.
+export class BrokerClient {
+    constructor(url, { logger = console } = {}) {
+        const { hostname, port } = new URL(url);
+        this.host = hostname;
+        this.port = Number(port);
+        this.logger = logger;
+        this.socket = null;
+        this.connected = false;
+        this.closed = false;
+        this.nextId = 1;
+        this.pending = new Map();
+        this.outbox = [];
+        this.handlers = new Map();
+    }
+
+    connect() {
+        return new Promise((resolve, reject) => {
+            const socket = connect(this.port, this.host);
+            this.socket = socket;
+            socket.setEncoding('utf8');
+            socket.setNoDelay(true);
+
+            let buffer = '';
+            socket.on('data', (chunk) => {
+                buffer += chunk;
+                let newline;
+                while ((newline = buffer.indexOf('\n')) !== -1) {
+                    const line = buffer.slice(0, newline);
+                    buffer = buffer.slice(newline + 1);
+                    if (line) this.handleLine(line);
+                }
+            });
+
+            socket.once('connect', () => {
+                this.connected = true;
+                this.handlers.forEach((handler, channel) => this.write({ op: 'subscribe', channel }));
+                this.outbox.splice(0).forEach(line => socket.write(line));
+                resolve(this);
+            });
+
+            socket.on('error', (error) => {
+                if (!this.connected) reject(error);
+            });
+
+            socket.on('close', () => {
+                const wasConnected = this.connected;
+                this.connected = false;
+                if (this.closed || !wasConnected) return;
+
+                this.logger.warn('Lost connection to broker, reconnecting...');
+                this.pending.forEach(({ reject: rejectRequest }) => rejectRequest(new Error('Broker connection lost')));
+                this.pending.clear();
+                setTimeout(() => this.reconnect(), RECONNECT_DELAY_MS);
+            });
+        });
+    }
+
+    reconnect() {
+        if (this.closed) return;
+        this.connect().catch(() => setTimeout(() => this.reconnect(), RECONNECT_DELAY_MS));
+    }
+
+    close() {
+        this.closed = true;
+        this.socket?.end();
+    }
+
+    handleLine(line) {
+        const payload = JSON.parse(line);
+
+        if (payload.channel !== undefined) {
+            this.handlers.get(payload.channel)?.(payload.message);
+            return;
+        }
+
+        const request = this.pending.get(payload.id);
+        if (!request) return;
+        this.pending.delete(payload.id);
+
+        if (payload.error) {
+            request.reject(new Error(payload.error));
+        } else {
+            request.resolve(payload.result);
+        }
+    }
+
+    write(request) {
+        const line = JSON.stringify(request) + '\n';
+        if (this.connected) {
+            this.socket.write(line);
+        } else {
+            this.outbox.push(line);
+        }
+    }
+
+    request(op, args = {}) {
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject });
+            this.write({ id, op, ...args });
+        });
+    }
+
+    get(key) {
+        return this.request('get', { key });
+    }
+
+    compareAndSet(key, version, value) {
+        return this.request('cas', { key, version, value });
+    }
+
+    compareAndDelete(key, version) {
+        return this.request('cad', { key, version });
+    }
+
+    keys(prefix) {
+        return this.request('keys', { prefix });
+    }
+
+    publish(channel, message) {
+        return this.request('publish', { channel, message });
+    }
+
+    subscribe(channel, handler) {
+        this.handlers.set(channel, handler);
+        return this.request('subscribe', { channel });
+    }
+
+    unsubscribe(channel) {
+        this.handlers.delete(channel);
+        return this.request('unsubscribe', { channel });
+    }
+}
@@ -0,0 +1,120 @@
+import { createServer } from 'net';
+
+// Minimal pub/sub + versioned key/value broker speaking newline-delimited
+// JSON over TCP. It is the stand-in for Redis that lets several server.js
+// processes share a room registry and relay Socket.IO broadcasts, and it is
+// small enough to run inside a test process.
+//
+// Requests:  { id, op, ...args }  ->  { id, result } | { id, error }
+// Pushes:    { channel, message }
+export class BrokerServer {
+    constructor() {
+        this.entries = new Map();
+        this.subscriptions = new Map();
+        this.connections = new Set();
+        this.server = createServer(connection => this.handleConnection(connection));
+    }
+
+    listen(port = 0, host = '127.0.0.1') {
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, () => {
+                this.server.off('error', reject);
+                const address = this.server.address();
+                resolve(`tcp://${address.address}:${address.port}`);
+            });
+        });
+    }
+
+    close() {
+        this.connections.forEach(connection => connection.destroy());
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    handleConnection(connection) {
+        this.connections.add(connection);
+        connection.setEncoding('utf8');
+        connection.channels = new Set();
+
+        let buffer = '';
+        connection.on('data', (chunk) => {
+            buffer += chunk;
+            let newline;
+            while ((newline = buffer.indexOf('\n')) !== -1) {
+                const line = buffer.slice(0, newline);
+                buffer = buffer.slice(newline + 1);
+                if (line) this.handleLine(connection, line);
+            }
+        });
+
+        connection.on('close', () => {
+            this.connections.delete(connection);
+            connection.channels.forEach(channel => this.subscriptions.get(channel)?.delete(connection));
+        });
+        connection.on('error', () => {});
+    }
+
+    handleLine(connection, line) {
+        let request;
+        try {
+            request = JSON.parse(line);
+        } catch (error) {
+            return;
+        }
+
+        try {
+            const result = this.execute(connection, request);
+            this.send(connection, { id: request.id, result });
+        } catch (error) {
+            this.send(connection, { id: request.id, error: error.message });
+        }
+    }
+
+    execute(connection, request) {
+        const { op, key, version, value, channel, message, prefix } = request;
+
+        switch (op) {
+            case 'get':
+                return this.entries.get(key) || null;
+            case 'cas': {
+                // Write only if the caller saw the latest version (0 = absent)
+                const current = this.entries.get(key)?.version || 0;
+                if (current !== version) return false;
+                this.entries.set(key, { version: current + 1, value });
+                return true;
+            }
+            case 'cad': {
+                const current = this.entries.get(key)?.version || 0;
+                if (current !== version) return false;
+                this.entries.delete(key);
+                return true;
+            }
+            case 'keys':
+                return Array.from(this.entries.keys()).filter(k => k.startsWith(prefix || ''));
+            case 'publish': {
+                const subscribers = this.subscriptions.get(channel);
+                subscribers?.forEach(subscriber => this.send(subscriber, { channel, message }));
+                return subscribers?.size || 0;
+            }
+            case 'subscribe':
+                if (!this.subscriptions.has(channel)) {
+                    this.subscriptions.set(channel, new Set());
+                }
+                this.subscriptions.get(channel).add(connection);
+                connection.channels.add(channel);
+                return true;
+            case 'unsubscribe':
+                this.subscriptions.get(channel)?.delete(connection);
+                connection.channels.delete(channel);
+                return true;
+            default:
+                throw new Error(`Unknown broker op "${op}"`);
+        }
+    }
+
+    send(connection, payload) {
+        if (!connection.destroyed) {
+            connection.write(JSON.stringify(payload) + '\n');
+        }
+    }
+}
@@ -0,0 +1,67 @@
+import { Room } from '../Room.js';
+
+const KEY_PREFIX = 'room:';
+const MAX_ATTEMPTS = 20;
+
+// Room registry stored in the broker so every node sees the same seats,
+// host and co-hosts. Updates are optimistic: read the room and its version,
+// apply the mutation locally, then compare-and-set. A concurrent write from
+// another node makes the CAS fail and the mutation is replayed on fresh state.
+export class SharedRoomRegistry {
+    constructor(broker, { maxAttempts = MAX_ATTEMPTS } = {}) {
+        this.broker = broker;
+        this.maxAttempts = maxAttempts;
+    }
+
+    key(roomId) {
+        return `${KEY_PREFIX}${roomId}`;
+    }
+
+    async getRoom(roomId) {
+        const entry = await this.broker.get(this.key(roomId));
+        return entry ? Room.fromSnapshot(entry.value) : null;
+    }
+
+    async listRooms() {
+        const keys = await this.broker.keys(KEY_PREFIX);
+        const rooms = await Promise.all(keys.map(key => this.getRoom(key.slice(KEY_PREFIX.length))));
+        return rooms.filter(Boolean);
+    }
+
+    async updateRoom(roomId, mutate, { create = false, deleteIfEmpty = false } = {}) {
+        const key = this.key(roomId);
+
+        for (let attempt = 0; attempt < this.maxAttempts; attempt++) {
+            const entry = await this.broker.get(key);
+            if (!entry && !create) return null;
+
+            const version = entry?.version || 0;
+            const room = entry ? Room.fromSnapshot(entry.value) : new Room(roomId);
+            const result = mutate(room);
+
+            if (deleteIfEmpty && room.users.size === 0) {
+                if (!entry || await this.broker.compareAndDelete(key, version)) {
+                    return { room, result, deleted: true };
+                }
+                continue;
+            }
+
+            const state = room.toState();
+            if (entry && JSON.stringify(state) === JSON.stringify(entry.value)) {
+                return { room, result, deleted: false };
+            }
+            if (await this.broker.compareAndSet(key, version, state)) {
+                return { room, result, deleted: false };
+            }
+        }
+
+        throw new Error(`Gave up updating room ${roomId} after ${this.maxAttempts} conflicting writes`);
+    }
+
+    async createRoom(room) {
+        return this.broker.compareAndSet(this.key(room.id), 0, room.toState());
+    }
+
+    // Positions are relayed live and not replicated
+    updatePosition() {}
+}
@@ -0,0 +1,16 @@
+import { BrokerServer } from './BrokerServer.js';
+
+// Standalone broker for running several server.js nodes side by side:
+//   BROKER_PORT=6380 node server/cluster/broker.js
+//   BROKER_URL=tcp://127.0.0.1:6380 PORT=3001 node server.js
+//   BROKER_URL=tcp://127.0.0.1:6380 PORT=3002 node server.js
+const broker = new BrokerServer();
+const url = await broker.listen(Number(process.env.BROKER_PORT) || 6380, process.env.BROKER_HOST || '127.0.0.1');
+console.log(`Room broker listening on ${url}`);
+
+for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, async () => {
+        await broker.close();
+        process.exit(0);
+    });
+}
@@ -0,0 +1,174 @@
+import { ITEMS, STARTING_ITEMS, describeItem } from './catalog.js';
+import { EQUIPMENT_SLOTS, SLOT_ALIASES } from './itemFormat.js';
+import { INVENTORY_SLOTS } from '../../shared/bindle.js';
+
+const MAX_STACK = 999;
+
+function isSlotIndex(index) {
+    return Number.isInteger(index) && index >= 0 && index < INVENTORY_SLOTS;
+}
+
+function isEquippable(item) {
+    return item?.type === 'equipment' || item?.type === 'wearable';
+}
+
+// A slot as stored: { itemId, quantity }, or null for anything unknown
+function normalizeEntry(entry) {
+    const item = ITEMS[entry?.itemId];
+    if (!item) return null;
+    const quantity = Number(entry.quantity);
+    if (!item.stackable) return { itemId: entry.itemId, quantity: 1 };
+    return Number.isInteger(quantity) && quantity > 0 ? { itemId: entry.itemId, quantity: Math.min(quantity, MAX_STACK) } : null;
+}
+
+// A player's Bindle as the server keeps it: catalog ids in 80 slots plus
+// what they wear. Every change a client asks for goes through here.
+export class Inventory {
+    constructor(slots = [], equipment = {}) {
+        this.slots = Array.from({ length: INVENTORY_SLOTS }, (_, i) => normalizeEntry(slots[i]));
+        this.equipment = {};
+        EQUIPMENT_SLOTS.forEach(slot => {
+            const entry = normalizeEntry(equipment[slot]);
+            this.equipment[slot] = isEquippable(ITEMS[entry?.itemId]) ? entry : null;
+        });
+    }
+
+    static fromJSON(data) {
+        return new Inventory(data?.slots, data?.equipment);
+    }
+
+    static starting() {
+        const inventory = new Inventory();
+        STARTING_ITEMS.forEach(({ itemId, quantity }) => inventory.add(itemId, quantity));
+        return inventory;
+    }
+
+    // Swap two offers at once, or change nothing. An offer lists the
+    // { slotIndex, itemId, quantity } entries as they were when offered.
+    static trade(first, firstOffer, second, secondOffer) {
+        const a = Inventory.fromJSON(first.toJSON());
+        const b = Inventory.fromJSON(second.toJSON());
+        const takeOffer = (inventory, offer) => offer.every(({ slotIndex, itemId, quantity }) => {
+            const entry = inventory.slots[slotIndex];
+            if (entry?.itemId !== itemId || entry.quantity !== quantity) return false;
+            inventory.slots[slotIndex] = null;
+            return true;
+        });
+        if (!takeOffer(a, firstOffer) || !takeOffer(b, secondOffer)) {
+            return { success: false, reason: 'An offered item is no longer in the bindle' };
+        }
+        const giveOffer = (inventory, offer) => offer.every(({ itemId, quantity }) => inventory.add(itemId, quantity));
+        if (!giveOffer(a, secondOffer) || !giveOffer(b, firstOffer)) {
+            return { success: false, reason: 'Not enough room in the bindle' };
+        }
+
+        first.slots = a.slots;
+        second.slots = b.slots;
+        return { success: true };
+    }
+
+    canAdd(itemId) {
+        const item = ITEMS[itemId];
+        if (!item) return false;
+        return this.slots.some(entry => entry === null || (item.stackable && entry.itemId === itemId));
+    }
+
+    add(itemId, quantity = 1) {
+        if (!this.canAdd(itemId)) return false;
+        const stack = ITEMS[itemId].stackable && this.slots.find(entry => entry?.itemId === itemId);
+        if (stack) {
+            stack.quantity = Math.min(stack.quantity + quantity, MAX_STACK);
+        } else {
+            this.slots[this.slots.indexOf(null)] = { itemId, quantity: ITEMS[itemId].stackable ? quantity : 1 };
+        }
+        return true;
+    }
+
+    move(from, to) {
+        if (!isSlotIndex(from) || !isSlotIndex(to) || from === to) return false;
+        [this.slots[from], this.slots[to]] = [this.slots[to], this.slots[from]];
+        return true;
+    }
+
+    equip(slotIndex) {
+        const entry = isSlotIndex(slotIndex) ? this.slots[slotIndex] : null;
+        const item = ITEMS[entry?.itemId];
+        if (!isEquippable(item)) return { success: false, reason: 'That cannot be worn' };
+
+        let slot = SLOT_ALIASES[item.slot] || item.slot;
+        if (slot === 'finger') {
+            slot = this.equipment.accessory1 ? 'accessory2' : 'accessory1';
+        }
+        if (!EQUIPMENT_SLOTS.includes(slot)) return { success: false, reason: 'That cannot be worn' };
+
+        // Whatever was worn there takes the item's place in the Bindle
+        this.slots[slotIndex] = this.equipment[slot];
+        this.equipment[slot] = entry;
+        return { success: true, slot };
+    }
+
+    unequip(slot) {
+        const equipSlot = SLOT_ALIASES[slot] || slot;
+        const entry = EQUIPMENT_SLOTS.includes(equipSlot) ? this.equipment[equipSlot] : null;
+        if (!entry) return { success: false, reason: 'Nothing is worn there' };
+
+        const emptySlot = this.slots.indexOf(null);
+        if (emptySlot === -1) return { success: false, reason: 'No empty inventory slot available' };
+        this.slots[emptySlot] = entry;
+        this.equipment[equipSlot] = null;
+        return { success: true };
+    }
+
+    // Use up one consumable; returns the item used or null
+    use(slotIndex) {
+        const entry = isSlotIndex(slotIndex) ? this.slots[slotIndex] : null;
+        if (ITEMS[entry?.itemId]?.type !== 'consumable') return null;
+        this.removeOne(slotIndex);
+        return describeItem(entry.itemId);
+    }
+
+    // Hand over one of an item, e.g. for a quest
+    take(itemId) {
+        const slotIndex = this.slots.findIndex(entry => entry?.itemId === itemId);
+        if (slotIndex === -1) return false;
+        this.removeOne(slotIndex);
+        return true;
+    }
+
+    removeOne(slotIndex) {
+        const entry = this.slots[slotIndex];
+        entry.quantity--;
+        if (entry.quantity <= 0) this.slots[slotIndex] = null;
+    }
+
+    // Summed numeric stats of everything worn
+    getBonuses() {
+        const bonuses = {};
+        Object.values(this.equipment).forEach(entry => {
+            Object.entries(ITEMS[entry?.itemId]?.stats || {}).forEach(([stat, value]) => {
+                if (typeof value === 'number') bonuses[stat] = (bonuses[stat] || 0) + value;
+            });
+        });
+        return bonuses;
+    }
+
+    // What the client's Bindle shows
+    describe() {
+        const equipment = {};
+        EQUIPMENT_SLOTS.forEach(slot => {
+            const entry = this.equipment[slot];
+            equipment[slot] = entry ? describeItem(entry.itemId, entry.quantity) : null;
+        });
+        return {
+            inventory: this.slots.map(entry => (entry ? describeItem(entry.itemId, entry.quantity) : null)),
+            equipment
+        };
+    }
+
+    toJSON() {
+        return {
+            slots: this.slots.map(entry => (entry ? { ...entry } : null)),
+            equipment: Object.fromEntries(EQUIPMENT_SLOTS.map(slot => [slot, this.equipment[slot] ? { ...this.equipment[slot] } : null]))
+        };
+    }
+}
@@ -0,0 +1,99 @@
+import { randomUUID } from 'crypto';
+
+const MAX_OFFER = 8;
+
+// Trades between two players in a room. One player proposes, the other
+// accepts, then each offers items from their Bindle and confirms; changing
+// either offer takes back both confirmations. Once both have confirmed the
+// trade is settling and cannot change while the caller (see RoomEngine)
+// swaps the items.
+//
+// A trade is { id, roomId, users: [proposer, partner], parties, status, offers, confirmed }
+// with status 'proposed', 'open' or 'settling', and parties, offers and
+// confirmed keyed by user id. Each party is the { socketId, profileKey } they
+// traded from.
+export class TradeBook {
+    constructor() {
+        this.trades = new Map();
+    }
+
+    get(tradeId) {
+        return this.trades.get(tradeId) ?? null;
+    }
+
+    findByUser(roomId, userId) {
+        return Array.from(this.trades.values()).find(trade => trade.roomId === roomId && trade.users.includes(userId)) ?? null;
+    }
+
+    // from and to are { userId, socketId, profileKey }
+    propose(roomId, from, to) {
+        if (from.userId === to.userId || from.profileKey === to.profileKey) return { reason: 'You cannot trade with yourself' };
+        if (this.findByUser(roomId, from.userId)) return { reason: 'You are already trading' };
+        if (this.findByUser(roomId, to.userId)) return { reason: 'They are already trading' };
+
+        const users = [from.userId, to.userId];
+        const trade = {
+            id: randomUUID(),
+            roomId,
+            users,
+            parties: {
+                [from.userId]: { socketId: from.socketId, profileKey: from.profileKey },
+                [to.userId]: { socketId: to.socketId, profileKey: to.profileKey }
+            },
+            status: 'proposed',
+            offers: Object.fromEntries(users.map(id => [id, []])),
+            confirmed: Object.fromEntries(users.map(id => [id, false]))
+        };
+        this.trades.set(trade.id, trade);
+        return { trade };
+    }
+
+    // Only the partner can accept; returns the trade or null
+    accept(tradeId, userId) {
+        const trade = this.get(tradeId);
+        if (trade?.status !== 'proposed' || trade.users[1] !== userId) return null;
+        trade.status = 'open';
+        return trade;
+    }
+
+    // offer is a list of { slotIndex, itemId, quantity }
+    setOffer(tradeId, userId, offer) {
+        const trade = this.get(tradeId);
+        if (trade?.status !== 'open' || !trade.users.includes(userId)) return { reason: 'That trade is not open' };
+        if (offer.length > MAX_OFFER) return { reason: `You can offer up to ${MAX_OFFER} items at once` };
+
+        trade.offers[userId] = offer;
+        this.unconfirm(trade);
+        return { trade };
+    }
+
+    // Returns { trade, ready }, where ready means both sides have now
+    // confirmed and the trade is settling, or null
+    confirm(tradeId, userId) {
+        const trade = this.get(tradeId);
+        if (trade?.status !== 'open' || !trade.users.includes(userId)) return null;
+        trade.confirmed[userId] = true;
+        const ready = trade.users.every(id => trade.confirmed[id]);
+        if (ready) trade.status = 'settling';
+        return { trade, ready };
+    }
+
+    // A trade that could not be settled goes back to being haggled over
+    reopen(tradeId) {
+        const trade = this.get(tradeId);
+        if (trade?.status !== 'settling') return null;
+        trade.status = 'open';
+        this.unconfirm(trade);
+        return trade;
+    }
+
+    unconfirm(trade) {
+        trade.users.forEach(id => { trade.confirmed[id] = false; });
+    }
+
+    close(tradeId) {
+        const trade = this.get(tradeId);
+        this.trades.delete(tradeId);
+        return trade;
+    }
+}
@@ -0,0 +1,37 @@
+import { readFileSync } from 'fs';
+import { createLootRoller } from '../../shared/loot.js';
+import { validateCatalog } from './itemFormat.js';
+
+// Every item that can exist. Inventories on the server only hold catalog ids
+// and quantities, so nothing a client sends can make up an item. The items
+// and loot tables are data in items/ at the top of the repository, which the
+// client bundles too; see itemFormat.js for the format.
+export const CATALOG_PATH = new URL('../../items/catalog.json', import.meta.url);
+export const LOOT_TABLES_PATH = new URL('../../items/loot-tables.json', import.meta.url);
+
+// Throws with every problem found rather than starting with a broken catalog
+export function loadCatalog(catalogPath = CATALOG_PATH, lootTablesPath = LOOT_TABLES_PATH) {
+    const catalog = JSON.parse(readFileSync(catalogPath, 'utf8'));
+    const lootTables = JSON.parse(readFileSync(lootTablesPath, 'utf8'));
+    const errors = validateCatalog(catalog, lootTables);
+    if (errors.length > 0) {
+        throw new Error(`Invalid item catalog:\n  ${errors.join('\n  ')}`);
+    }
+    return { catalog, lootTables };
+}
+
+const { catalog, lootTables } = loadCatalog();
+
+export const ITEMS = Object.fromEntries(catalog.items.map(item => [item.id, item]));
+export const STARTING_ITEMS = catalog.startingItems;
+// The order of each table's entries matters, since it decides which entry a
+// seeded roll lands on
+export const LOOT_TABLES = lootTables.tables;
+
+// rollChestLoot(seed, chestKey, tier) gives { itemId, quantity }
+export const rollChestLoot = createLootRoller(LOOT_TABLES, ITEMS);
+
+// The full item a client shows for a catalog id
+export function describeItem(itemId, quantity = 1) {
+    return { ...ITEMS[itemId], id: itemId, itemId, quantity };
+}
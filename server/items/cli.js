@@ -0,0 +1,29 @@
+import { readFile } from 'fs/promises';
+import { validateCatalog } from './itemFormat.js';
+
+// Checks the item catalog and loot tables before they go live:
+//   npm run items -- [catalog.json] [loot-tables.json]
+// Defaults to the files the game ships (items/catalog.json and
+// items/loot-tables.json).
+const [catalogPath = 'items/catalog.json', lootTablesPath = 'items/loot-tables.json'] = process.argv.slice(2);
+
+async function readJSON(path) {
+    try {
+        return JSON.parse(await readFile(path, 'utf8'));
+    } catch (error) {
+        console.error(`${path}: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+const catalog = await readJSON(catalogPath);
+const lootTables = await readJSON(lootTablesPath);
+const errors = validateCatalog(catalog, lootTables);
+
+if (errors.length > 0) {
+    errors.forEach(error => console.error(`✗ ${error}`));
+    console.error(`${errors.length} problem(s) found`);
+    process.exitCode = 1;
+} else {
+    console.log(`✓ ${catalog.items.length} items and ${Object.keys(lootTables.tables).length} loot tables look good`);
+}
@@ -0,0 +1,224 @@
+import { getLootWeight } from '../../shared/loot.js';
+
+// The item catalog and loot table formats (items/catalog.json and
+// items/loot-tables.json), and a validator that explains what is wrong with
+// them. The server refuses to start on an invalid catalog; designers can run
+// `npm run items` to check their changes first.
+export const ITEM_TYPES = ['consumable', 'equipment', 'wearable'];
+export const RARITIES = ['common', 'uncommon', 'rare', 'epic', 'legendary', 'mythic'];
+
+// Keep in step with the Bindle (src/Bindle.js)
+export const EQUIPMENT_SLOTS = [
+    'head', 'face', 'eyes', 'ear', 'neck', 'torso', 'back', 'hands', 'finger',
+    'legs', 'feet', 'leftHand', 'rightHand', 'accessory1', 'accessory2'
+];
+export const SLOT_ALIASES = { chest: 'torso', ring: 'finger', hand: 'rightHand', weapon: 'rightHand' };
+
+export const EFFECT_TYPES = ['throwable', 'boost'];
+export const MODEL_SHAPES = ['wings'];
+export const MODEL_ANIMATIONS = ['spin', 'flap', 'float'];
+
+// The loot tables the game rolls from
+export const LOOT_TIERS = ['temple', 'vault'];
+
+const ITEM_FIELDS = ['id', 'name', 'icon', 'description', 'type', 'rarity', 'stackable', 'slot', 'stats', 'model', 'effect'];
+const MODEL_FIELDS = ['file', 'color', 'shape', 'glow', 'animations'];
+const EFFECT_FIELDS = { throwable: ['type'], boost: ['type', 'stats', 'durationMs', 'message', 'endMessage'] };
+const ID_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const HTML_ENTITY = /&#?\w+;/;
+
+function isObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isText(value) {
+    return typeof value === 'string' && value.trim().length > 0;
+}
+
+function isCount(value) {
+    return Number.isInteger(value) && value > 0;
+}
+
+function checkFields(errors, where, value, allowed) {
+    Object.keys(value).forEach(key => {
+        if (!allowed.includes(key)) errors.push(`${where}: unknown field "${key}"`);
+    });
+}
+
+function checkStats(errors, where, stats, allowBooleans) {
+    if (!isObject(stats) || Object.keys(stats).length === 0) {
+        errors.push(`${where}: stats must be an object of stat names to numbers`);
+        return;
+    }
+    Object.entries(stats).forEach(([stat, value]) => {
+        const valid = typeof value === 'number' ? Number.isFinite(value) : allowBooleans && typeof value === 'boolean';
+        if (!valid) errors.push(`${where}: stat "${stat}" must be a number${allowBooleans ? ' or true/false' : ''}`);
+    });
+}
+
+function checkModel(errors, where, model) {
+    if (!isObject(model)) {
+        errors.push(`${where}: wearables need a model`);
+        return;
+    }
+    checkFields(errors, `${where} model`, model, MODEL_FIELDS);
+    if (!isText(model.file) || !/\.(glb|gltf)$/.test(model.file)) errors.push(`${where}: model.file must be a .glb or .gltf file name`);
+    if (model.color !== undefined && !/^#[0-9a-f]{6}$/i.test(model.color)) errors.push(`${where}: model.color must look like #a1b2c3`);
+    if (model.shape !== undefined && !MODEL_SHAPES.includes(model.shape)) errors.push(`${where}: model.shape must be one of ${MODEL_SHAPES.join(', ')}`);
+    if (model.glow !== undefined && typeof model.glow !== 'boolean') errors.push(`${where}: model.glow must be true or false`);
+    if (model.animations !== undefined && !(Array.isArray(model.animations) && model.animations.every(name => MODEL_ANIMATIONS.includes(name)))) {
+        errors.push(`${where}: model.animations must list some of ${MODEL_ANIMATIONS.join(', ')}`);
+    }
+}
+
+function checkEffect(errors, where, effect) {
+    if (!isObject(effect) || !EFFECT_TYPES.includes(effect.type)) {
+        errors.push(`${where}: consumables need an effect whose type is one of ${EFFECT_TYPES.join(', ')}`);
+        return;
+    }
+    checkFields(errors, `${where} effect`, effect, EFFECT_FIELDS[effect.type]);
+    if (effect.type === 'boost') {
+        checkStats(errors, `${where} effect`, effect.stats, false);
+        if (!isCount(effect.durationMs)) errors.push(`${where}: effect.durationMs must be a whole number of milliseconds`);
+        ['message', 'endMessage'].forEach(field => {
+            if (effect[field] !== undefined && !isText(effect[field])) errors.push(`${where}: effect.${field} must be text`);
+        });
+    }
+}
+
+function checkItem(errors, item, index, seen) {
+    if (!isObject(item)) {
+        errors.push(`items[${index}]: must be an object`);
+        return;
+    }
+    const where = `items[${index}]${typeof item.id === 'string' ? ` (${item.id})` : ''}`;
+    checkFields(errors, where, item, ITEM_FIELDS);
+
+    if (typeof item.id !== 'string' || !ID_PATTERN.test(item.id)) {
+        errors.push(`${where}: id must be lower-case words joined by dashes, like "golden-tomato"`);
+    } else if (seen.has(item.id)) {
+        errors.push(`${where}: id "${item.id}" is used twice`);
+    }
+    seen.add(item.id);
+
+    ['name', 'icon', 'description'].forEach(field => {
+        if (!isText(item[field])) errors.push(`${where}: ${field} must be text`);
+    });
+    if (isText(item.icon) && HTML_ENTITY.test(item.icon)) errors.push(`${where}: icon must be the emoji itself, not an HTML entity`);
+    if (item.rarity !== undefined && !RARITIES.includes(item.rarity)) errors.push(`${where}: rarity must be one of ${RARITIES.join(', ')}`);
+    if (item.stackable !== undefined && typeof item.stackable !== 'boolean') errors.push(`${where}: stackable must be true or false`);
+
+    if (!ITEM_TYPES.includes(item.type)) {
+        errors.push(`${where}: type must be one of ${ITEM_TYPES.join(', ')}`);
+        return;
+    }
+    if (item.type === 'consumable') {
+        checkEffect(errors, where, item.effect);
+        ['slot', 'stats', 'model'].forEach(field => {
+            if (item[field] !== undefined) errors.push(`${where}: consumables have no ${field}`);
+        });
+        return;
+    }
+
+    if (!EQUIPMENT_SLOTS.includes(item.slot) && !Object.hasOwn(SLOT_ALIASES, item.slot)) {
+        errors.push(`${where}: slot must be one of ${EQUIPMENT_SLOTS.join(', ')}`);
+    }
+    if (item.stats !== undefined) checkStats(errors, where, item.stats, true);
+    if (item.stackable) errors.push(`${where}: worn items cannot stack`);
+    if (item.effect !== undefined) errors.push(`${where}: only consumables have an effect`);
+    if (item.type === 'wearable') {
+        checkModel(errors, where, item.model);
+    } else if (item.model !== undefined) {
+        errors.push(`${where}: only wearables have a model`);
+    }
+}
+
+// An { itemId, quantity } entry as starting items and loot tables list them
+function checkEntry(errors, where, entry, items) {
+    if (!isObject(entry)) {
+        errors.push(`${where}: must be an object`);
+        return null;
+    }
+    const item = items.get(entry.itemId);
+    if (!item) {
+        errors.push(`${where}: "${entry.itemId}" is not in the catalog`);
+        return null;
+    }
+    if (!isCount(entry.quantity)) {
+        errors.push(`${where}: quantity must be a whole number above 0`);
+    } else if (entry.quantity > 1 && !item.stackable) {
+        errors.push(`${where}: ${entry.itemId} does not stack, so quantity must be 1`);
+    }
+    return item;
+}
+
+function checkLootTable(errors, tier, table, items) {
+    const where = `loot table "${tier}"`;
+    if (!isObject(table)) {
+        errors.push(`${where}: must be an object`);
+        return;
+    }
+    checkFields(errors, where, table, ['rarityWeights', 'entries']);
+
+    const weights = isObject(table.rarityWeights) ? table.rarityWeights : {};
+    if (!isObject(table.rarityWeights)) errors.push(`${where}: rarityWeights must map rarities to weights`);
+    Object.entries(weights).forEach(([rarity, weight]) => {
+        if (!RARITIES.includes(rarity)) errors.push(`${where}: rarityWeights has unknown rarity "${rarity}"`);
+        if (typeof weight !== 'number' || !(weight >= 0)) errors.push(`${where}: the weight for ${rarity} must be 0 or more`);
+    });
+
+    if (!Array.isArray(table.entries) || table.entries.length === 0) {
+        errors.push(`${where}: entries must list at least one item`);
+        return;
+    }
+    let total = 0;
+    let broken = false;
+    table.entries.forEach((entry, index) => {
+        const entryWhere = `${where} entries[${index}]`;
+        const item = checkEntry(errors, entryWhere, entry, items);
+        if (!item) {
+            broken = true;
+            return;
+        }
+        checkFields(errors, entryWhere, entry, ['itemId', 'quantity', 'weight']);
+        if (entry.weight !== undefined && (typeof entry.weight !== 'number' || !(entry.weight >= 0))) {
+            errors.push(`${entryWhere}: weight must be 0 or more`);
+            broken = true;
+            return;
+        }
+        total += getLootWeight(entry, item, weights);
+    });
+    if (!broken && !(total > 0)) errors.push(`${where}: every entry has a weight of 0, so nothing can drop`);
+}
+
+// Returns a list of problems with the catalog and loot tables; empty when
+// both are fine
+export function validateCatalog(catalog, lootTables) {
+    const errors = [];
+    const items = new Map();
+
+    if (!isObject(catalog) || !Array.isArray(catalog.items)) {
+        errors.push('catalog: must be an object with an items list');
+    } else {
+        const seen = new Set();
+        catalog.items.forEach((item, index) => {
+            checkItem(errors, item, index, seen);
+            if (isObject(item) && typeof item.id === 'string') items.set(item.id, item);
+        });
+        if (!Array.isArray(catalog.startingItems)) {
+            errors.push('catalog: startingItems must list what new players carry');
+        } else {
+            catalog.startingItems.forEach((entry, index) => checkEntry(errors, `startingItems[${index}]`, entry, items));
+        }
+    }
+
+    if (!isObject(lootTables) || !isObject(lootTables.tables)) {
+        errors.push('loot tables: must be an object with tables');
+    } else {
+        LOOT_TIERS.forEach(tier => {
+            if (!Object.hasOwn(lootTables.tables, tier)) errors.push(`loot tables: the "${tier}" table is missing`);
+        });
+        Object.entries(lootTables.tables).forEach(([tier, table]) => checkLootTable(errors, tier, table, items));
+    }
+    return errors;
+}
@@ -0,0 +1,77 @@
+import { createPrivateKey, createPublicKey, generateKeyPairSync, sign, verify } from 'crypto';
+
+// Player caps per license tier. Rooms created without licensing enforcement
+// have no cap.
+export const LICENSE_PLANS = {
+    basic: { maxPlayers: 16 },
+    premium: { maxPlayers: 32 }
+};
+
+// License tokens are "<payload>.<signature>", both base64url. The payload is
+// JSON { accountId, type, issuedAt, expiresAt } signed with the Ed25519
+// private key that only the license issuer holds; servers only need the
+// public key to verify.
+export function generateLicenseKeyPair() {
+    const { publicKey, privateKey } = generateKeyPairSync('ed25519');
+    return {
+        publicKey: publicKey.export({ type: 'spki', format: 'pem' }),
+        privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' })
+    };
+}
+
+export function issueLicense(privateKeyPem, { accountId, type, expiresAt = null, issuedAt = Date.now() }) {
+    if (!LICENSE_PLANS[type]) {
+        throw new Error(`Unknown license type "${type}" (expected ${Object.keys(LICENSE_PLANS).join(' or ')})`);
+    }
+    if (!accountId) {
+        throw new Error('A license needs an accountId');
+    }
+
+    const payload = Buffer.from(JSON.stringify({ accountId, type, issuedAt, expiresAt }));
+    const signature = sign(null, payload, createPrivateKey(privateKeyPem));
+    return `${payload.toString('base64url')}.${signature.toString('base64url')}`;
+}
+
+export class LicenseVerifier {
+    constructor(publicKeyPem) {
+        this.publicKey = createPublicKey(publicKeyPem);
+    }
+
+    // Returns { valid: true, license } or { valid: false, reason }
+    verify(token, now = Date.now()) {
+        if (typeof token !== 'string' || !token.includes('.')) {
+            return { valid: false, reason: 'A license is required to host a room' };
+        }
+
+        const [encodedPayload, encodedSignature] = token.split('.');
+        const payload = Buffer.from(encodedPayload, 'base64url');
+        let signed;
+        try {
+            signed = verify(null, payload, this.publicKey, Buffer.from(encodedSignature || '', 'base64url'));
+        } catch (error) {
+            signed = false;
+        }
+        if (!signed) {
+            return { valid: false, reason: 'License signature is invalid' };
+        }
+
+        let license;
+        try {
+            license = JSON.parse(payload.toString('utf8'));
+        } catch (error) {
+            return { valid: false, reason: 'License payload is malformed' };
+        }
+
+        if (!LICENSE_PLANS[license.type]) {
+            return { valid: false, reason: `Unknown license type "${license.type}"` };
+        }
+        if (license.expiresAt && license.expiresAt <= now) {
+            return { valid: false, reason: 'License has expired' };
+        }
+
+        return {
+            valid: true,
+            license: { accountId: license.accountId, type: license.type }
+        };
+    }
+}
@@ -0,0 +1,35 @@
+import { mkdir, readFile, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { generateLicenseKeyPair, issueLicense } from './LicenseVerifier.js';
+
+// License key tooling:
+//   npm run license -- keygen [dir]                       writes private.pem + public.pem
+//   npm run license -- issue <basic|premium> <accountId> [days]
+// The private key is read from LICENSE_PRIVATE_KEY_PATH (default
+// ./data/license/private.pem) and must never be deployed with the server.
+const DEFAULT_KEY_DIR = './data/license';
+
+const [command, ...args] = process.argv.slice(2);
+
+switch (command) {
+    case 'keygen': {
+        const dir = args[0] || DEFAULT_KEY_DIR;
+        const { publicKey, privateKey } = generateLicenseKeyPair();
+        await mkdir(dir, { recursive: true });
+        await writeFile(join(dir, 'private.pem'), privateKey, { mode: 0o600 });
+        await writeFile(join(dir, 'public.pem'), publicKey);
+        console.log(`Wrote ${join(dir, 'private.pem')} and ${join(dir, 'public.pem')}`);
+        console.log(`Point the server at the public key with LICENSE_PUBLIC_KEY_PATH=${join(dir, 'public.pem')}`);
+        break;
+    }
+    case 'issue': {
+        const [type, accountId, days] = args;
+        const privateKey = await readFile(process.env.LICENSE_PRIVATE_KEY_PATH || join(DEFAULT_KEY_DIR, 'private.pem'), 'utf8');
+        const expiresAt = days ? Date.now() + Number(days) * 24 * 60 * 60 * 1000 : null;
+        console.log(issueLicense(privateKey, { accountId, type, expiresAt }));
+        break;
+    }
+    default:
+        console.log('Usage: npm run license -- keygen [dir] | issue <basic|premium> <accountId> [days]');
+        process.exitCode = 1;
+}
@@ -0,0 +1,18 @@
+import { readFileSync } from 'fs';
+import { LICENSE_PLANS, LicenseVerifier, generateLicenseKeyPair, issueLicense } from './LicenseVerifier.js';
+
+export { LICENSE_PLANS, LicenseVerifier, generateLicenseKeyPair, issueLicense };
+
+// Build a license verifier from environment configuration:
+//   LICENSE_PUBLIC_KEY=<PEM, "\n" escapes allowed>
+//   LICENSE_PUBLIC_KEY_PATH=./data/license/public.pem
+// Returns null when neither is set, which leaves room creation unrestricted.
+export function createLicenseVerifier(env = process.env) {
+    if (env.LICENSE_PUBLIC_KEY) {
+        return new LicenseVerifier(env.LICENSE_PUBLIC_KEY.replace(/\\n/g, '\n'));
+    }
+    if (env.LICENSE_PUBLIC_KEY_PATH) {
+        return new LicenseVerifier(readFileSync(env.LICENSE_PUBLIC_KEY_PATH, 'utf8'));
+    }
+    return null;
+}
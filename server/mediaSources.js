@@ -0,0 +1,52 @@
+// Sources for synced ("watch together") playback. A URL is played by every
+// client directly; a local file never leaves the host's machine, so viewers
+// are asked for their own copy and matched on name and size.
+const MAX_TITLE_LENGTH = 120;
+const MAX_URL_LENGTH = 2048;
+
+// Returns a clean { kind, url|name+size, title } or null if unusable
+export function normalizeMediaSource(source) {
+    if (!source || typeof source !== 'object') return null;
+
+    if (source.kind === 'url') {
+        if (typeof source.url !== 'string' || source.url.length > MAX_URL_LENGTH) return null;
+        let url;
+        try {
+            url = new URL(source.url);
+        } catch (error) {
+            return null;
+        }
+        if (url.protocol !== 'https:' && url.protocol !== 'http:') return null;
+
+        const name = url.pathname.split('/').pop() || url.hostname;
+        return { kind: 'url', url: url.href, title: cleanTitle(source.title, decodeName(name)) };
+    }
+
+    if (source.kind === 'file') {
+        if (typeof source.name !== 'string' || !source.name) return null;
+        if (!Number.isSafeInteger(source.size) || source.size <= 0) return null;
+
+        return {
+            kind: 'file',
+            name: source.name.slice(0, MAX_TITLE_LENGTH),
+            size: source.size,
+            title: cleanTitle(source.title, source.name)
+        };
+    }
+
+    return null;
+}
+
+// A name with a broken escape in it is shown as it was written
+function decodeName(name) {
+    try {
+        return decodeURIComponent(name);
+    } catch (error) {
+        return name;
+    }
+}
+
+function cleanTitle(title, fallback) {
+    const text = typeof title === 'string' && title.trim() ? title.trim() : fallback;
+    return text.slice(0, MAX_TITLE_LENGTH);
+}
@@ -0,0 +1,18 @@
+import { randomBytes, scryptSync, timingSafeEqual } from 'crypto';
+
+// Room passphrases are kept as "salt:hash" so neither persisted snapshots nor
+// the shared registry ever hold them in clear text.
+export function hashPassphrase(passphrase) {
+    const salt = randomBytes(16).toString('hex');
+    const hash = scryptSync(String(passphrase), salt, 32).toString('hex');
+    return `${salt}:${hash}`;
+}
+
+export function verifyPassphrase(passphrase, stored) {
+    if (!stored || typeof passphrase !== 'string') return false;
+
+    const [salt, hash] = stored.split(':');
+    const expected = Buffer.from(hash, 'hex');
+    const actual = scryptSync(passphrase, salt, expected.length);
+    return timingSafeEqual(actual, expected);
+}
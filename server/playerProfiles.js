@@ -0,0 +1,72 @@
+import { createHash } from 'crypto';
+import { Inventory } from './items/Inventory.js';
+import { shouldSpawnTemple } from '../shared/worldGen.js';
+
+// Player profiles: what a player carries in their Bindle, their score, the
+// temples they have found and the avatars they have unlocked. Profiles are
+// keyed by a private token each browser makes for itself rather than the
+// per-session user id, and stores only ever see a hash of that token.
+//
+// The inventory belongs to the server (see server/items), as do unlocked
+// avatars; clients only report their score and discoveries, which are
+// checked against the world they were made in.
+const TOKEN_PATTERN = /^[0-9a-f]{32,128}$/;
+const MAX_KEY_LENGTH = 100;
+const MAX_LANDMARKS = 1000;
+// Score is only earned at temples: finding one, then emptying its chest
+// and its vault
+const POINTS_PER_TEMPLE = 5 + 1 + 1;
+// Discoveries are `${seed}:${cellKey}` of a temple
+const LANDMARK_KEY = /^(\d{1,10}):(-?\d{1,6}):(-?\d{1,6})$/;
+
+// Returns the store key for a profile token, or null if it is not one
+export function getProfileKey(token) {
+    if (typeof token !== 'string' || !TOKEN_PATTERN.test(token)) return null;
+    return createHash('sha256').update(token).digest('hex');
+}
+
+export function createProfile() {
+    return {
+        inventory: Inventory.starting().toJSON(),
+        // QuestLog progress, as the server saw it happen (shared/quests.js)
+        quests: {},
+        // Temple chests and vaults emptied, as `${seed}:${cellKey}`
+        openedChests: [],
+        lootedVaults: [],
+        score: 0,
+        discoveredLandmarks: [],
+        unlockedAvatars: ['default']
+    };
+}
+
+function normalizeKeys(keys, max) {
+    if (!Array.isArray(keys)) return [];
+    const valid = keys.filter(key => typeof key === 'string' && key.length > 0 && key.length <= MAX_KEY_LENGTH);
+    return Array.from(new Set(valid)).slice(0, max);
+}
+
+// A discovery counts only if that world has a temple there
+function isTempleDiscovery(key) {
+    const match = LANDMARK_KEY.exec(key);
+    if (!match) return false;
+    const [seed, cellX, cellZ] = match.slice(1).map(Number);
+    return seed < 2 ** 32 && shouldSpawnTemple(seed, cellX, cellZ);
+}
+
+// Returns the clean client-reported part of a profile, or null if the data
+// is not one. The score is capped at what the discoveries could have earned.
+export function normalizeProgress(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) return null;
+    const discoveredLandmarks = normalizeKeys(data.discoveredLandmarks, MAX_LANDMARKS).filter(isTempleDiscovery);
+    const score = Number(data.score);
+    return {
+        score: Number.isSafeInteger(score) && score > 0 ? Math.min(score, discoveredLandmarks.length * POINTS_PER_TEMPLE) : 0,
+        discoveredLandmarks
+    };
+}
+
+// What the client is sent back; the inventory goes separately
+export function getPublicProfile(profile) {
+    const { score, discoveredLandmarks, unlockedAvatars, updatedAt } = profile;
+    return { score, discoveredLandmarks, unlockedAvatars, updatedAt };
+}
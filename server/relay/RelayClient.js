@@ -0,0 +1,49 @@
+// Talks to a standalone relay (see RelayServer) with the same interface as
+// an in-process StreamRelay, so RoomEngine does not care where it runs.
+export class RelayClient {
+    constructor(url, { secret = null } = {}) {
+        this.url = url.replace(/\/+$/, '');
+        this.secret = secret;
+    }
+
+    async request(path, body) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.secret) {
+            headers.Authorization = `Bearer ${this.secret}`;
+        }
+
+        const response = await fetch(`${this.url}${path}`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify(body)
+        });
+        const payload = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(payload.error || `Relay responded with ${response.status}`);
+        }
+        return payload;
+    }
+
+    async publish(roomId, offer, { quality } = {}) {
+        return (await this.request('/publish', { roomId, offer, quality })).answer;
+    }
+
+    async subscribe(roomId, subscriberId, offer, { bestLayer = 0 } = {}) {
+        return (await this.request('/subscribe', { roomId, subscriberId, offer, bestLayer })).answer;
+    }
+
+    async setQuality(roomId, quality) {
+        await this.request('/quality', { roomId, quality });
+    }
+
+    async unsubscribe(roomId, subscriberId) {
+        await this.request('/unsubscribe', { roomId, subscriberId });
+    }
+
+    async unpublish(roomId) {
+        await this.request('/unpublish', { roomId });
+    }
+
+    // The standalone relay outlives any one app server, so nothing to release
+    async close() {}
+}
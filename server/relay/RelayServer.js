@@ -0,0 +1,115 @@
+import { createServer } from 'http';
+
+const MAX_BODY_BYTES = 256 * 1024;
+
+// HTTP front for a StreamRelay running in its own process. App servers
+// authorize each request and forward it here; the optional shared secret
+// keeps anyone else from publishing into the relay.
+//
+// POST /publish      { roomId, offer, quality }                   -> { answer }
+// POST /subscribe    { roomId, subscriberId, offer, bestLayer }   -> { answer }
+// POST /quality      { roomId, quality }                          -> {}
+// POST /unsubscribe  { roomId, subscriberId }                     -> {}
+// POST /unpublish    { roomId }                                   -> {}
+// GET  /health                                                     -> relay stats
+export class RelayServer {
+    constructor(relay, { secret = null } = {}) {
+        this.relay = relay;
+        this.secret = secret;
+        this.server = createServer((req, res) => {
+            this.handleRequest(req, res).catch(error => {
+                this.send(res, 500, { error: error.message });
+            });
+        });
+    }
+
+    listen(port = 0, host = '127.0.0.1') {
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, () => {
+                this.server.off('error', reject);
+                const address = this.server.address();
+                resolve(`http://${address.address}:${address.port}`);
+            });
+        });
+    }
+
+    close() {
+        this.server.closeAllConnections?.();
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    async handleRequest(req, res) {
+        if (this.secret && req.headers.authorization !== `Bearer ${this.secret}`) {
+            this.send(res, 401, { error: 'Unauthorized' });
+            return;
+        }
+
+        if (req.method === 'GET' && req.url === '/health') {
+            this.send(res, 200, this.relay.getStats());
+            return;
+        }
+        if (req.method !== 'POST') {
+            this.send(res, 405, { error: 'Method not allowed' });
+            return;
+        }
+
+        const body = await this.readBody(req);
+        const { roomId, subscriberId, offer, bestLayer, quality } = body;
+        if (typeof roomId !== 'string') {
+            this.send(res, 400, { error: 'roomId is required' });
+            return;
+        }
+
+        switch (req.url) {
+            case '/publish':
+                this.send(res, 200, { answer: await this.relay.publish(roomId, offer, { quality }) });
+                break;
+            case '/subscribe':
+                this.send(res, 200, { answer: await this.relay.subscribe(roomId, subscriberId, offer, { bestLayer }) });
+                break;
+            case '/quality':
+                await this.relay.setQuality(roomId, quality);
+                this.send(res, 200, {});
+                break;
+            case '/unsubscribe':
+                await this.relay.unsubscribe(roomId, subscriberId);
+                this.send(res, 200, {});
+                break;
+            case '/unpublish':
+                await this.relay.unpublish(roomId);
+                this.send(res, 200, {});
+                break;
+            default:
+                this.send(res, 404, { error: 'Not found' });
+        }
+    }
+
+    readBody(req) {
+        return new Promise((resolve, reject) => {
+            let body = '';
+            req.setEncoding('utf8');
+            req.on('data', (chunk) => {
+                body += chunk;
+                if (body.length > MAX_BODY_BYTES) {
+                    reject(new Error('Request body too large'));
+                    req.destroy();
+                }
+            });
+            req.on('end', () => {
+                try {
+                    resolve(body ? JSON.parse(body) : {});
+                } catch (error) {
+                    reject(new Error('Request body is not valid JSON'));
+                }
+            });
+            req.on('error', reject);
+        });
+    }
+
+    send(res, status, payload) {
+        if (res.headersSent) return;
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(payload));
+    }
+}
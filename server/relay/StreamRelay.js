@@ -0,0 +1,231 @@
+import { RTCPeerConnection, useOPUS, useSdesMid, useSdesRTPStreamId, useVP8 } from 'werift';
+import { INITIAL_LAYER, chooseLayer, getRelayLayers } from './layers.js';
+
+const LAYER_CHECK_INTERVAL_MS = 3000;
+
+// Selective forwarding relay for room streams. The stream host publishes one
+// (ideally simulcast) connection per room; each viewer subscribes with its
+// own connection and is forwarded whichever layer its receiver reports can
+// take. Packets are forwarded as-is, nothing is decoded. A backend running
+// several streams in one room gives each its own room id here (see
+// RoomEngine.getRelayKey()).
+//
+// Signaling is a single offer/answer exchange without trickle ICE: callers
+// send a complete offer and get back an answer carrying all candidates.
+export class StreamRelay {
+    constructor({
+        announcedAddresses = [],
+        layerCheckIntervalMs = LAYER_CHECK_INTERVAL_MS,
+        logger = console
+    } = {}) {
+        this.logger = logger;
+        this.rooms = new Map();
+        this.peerConfig = {
+            codecs: { audio: [useOPUS()], video: [useVP8()] },
+            headerExtensions: { audio: [useSdesMid()], video: [useSdesMid(), useSdesRTPStreamId()] },
+            // Host candidates only: the relay must work without any outside service
+            iceServers: [],
+            iceAdditionalHostAddresses: announcedAddresses.length > 0 ? announcedAddresses : undefined
+        };
+
+        this.layerTimer = setInterval(() => this.updateLayers(), layerCheckIntervalMs);
+        this.layerTimer.unref?.();
+    }
+
+    getRoom(roomId) {
+        let room = this.rooms.get(roomId);
+        if (!room) {
+            room = { publisher: null, subscribers: new Map() };
+            this.rooms.set(roomId, room);
+        }
+        return room;
+    }
+
+    // direction is how the relay uses each of the offer's media sections
+    async answer(offer, direction) {
+        const pc = new RTCPeerConnection(this.peerConfig);
+        try {
+            await pc.setRemoteDescription(offer);
+            pc.getTransceivers().forEach(transceiver => transceiver.setDirection(direction));
+            await pc.setLocalDescription(await pc.createAnswer());
+            return pc;
+        } catch (error) {
+            await pc.close();
+            throw error;
+        }
+    }
+
+    // quality is the stream's preset, which sets the bitrate of each layer
+    async publish(roomId, offer, { quality } = {}) {
+        const room = this.getRoom(roomId);
+        this.closePublisher(room);
+
+        const pc = await this.answer(offer, 'recvonly');
+        const publisher = { pc, video: null, audio: null };
+        pc.getTransceivers().forEach(transceiver => {
+            if (transceiver.kind === 'video') {
+                publisher.video = { receiver: transceiver.receiver, layers: this.getLayers(transceiver.receiver, getRelayLayers(quality)) };
+            } else if (transceiver.kind === 'audio') {
+                publisher.audio = { track: transceiver.receiver.track };
+            }
+        });
+        room.publisher = publisher;
+
+        // Viewers who subscribed while the host was still connecting
+        room.subscribers.forEach(subscriber => this.attach(room, subscriber));
+
+        this.logger.log(`Relay: room ${roomId} publishing ${publisher.video?.layers.map(layer => layer.rid || 'single').join('/') || 'no video'}`);
+        return this.describe(pc);
+    }
+
+    // The host switched the stream's preset mid-stream; its layers now carry
+    // that preset's bitrates, which viewers are stepped against from here on
+    async setQuality(roomId, quality) {
+        const video = this.rooms.get(roomId)?.publisher?.video;
+        if (!video) return;
+        video.layers = this.getLayers(video.receiver, getRelayLayers(quality));
+    }
+
+    // Simulcast tracks ordered best first; a plain stream is a single layer
+    getLayers(receiver, encodings = getRelayLayers()) {
+        const simulcast = receiver.tracks.filter(track => track.rid);
+        if (simulcast.length === 0) {
+            return [{ rid: null, maxBitrate: Infinity, track: receiver.track }];
+        }
+
+        return simulcast
+            .map(track => {
+                const index = encodings.findIndex(layer => layer.rid === track.rid);
+                return { ...(encodings[index] || { rid: track.rid, maxBitrate: 0 }), index, track };
+            })
+            .sort((a, b) => (a.index === -1) - (b.index === -1) || a.index - b.index);
+    }
+
+    // bestLayer is the viewer's quality ceiling, the best layer they take
+    async subscribe(roomId, subscriberId, offer, { bestLayer = 0 } = {}) {
+        const room = this.getRoom(roomId);
+        this.closeSubscriber(room, subscriberId);
+
+        const pc = await this.answer(offer, 'sendonly');
+        const best = Number.isInteger(bestLayer) && bestLayer > 0 ? bestLayer : 0;
+        const subscriber = { id: subscriberId, pc, video: null, audio: null, best, layer: Math.max(INITIAL_LAYER, best) };
+        pc.getTransceivers().forEach(transceiver => {
+            subscriber[transceiver.kind] = transceiver.sender;
+        });
+        subscriber.video?.onPictureLossIndication.subscribe(() => this.requestKeyframe(room, subscriber));
+
+        room.subscribers.set(subscriberId, subscriber);
+        this.attach(room, subscriber);
+        return this.describe(pc);
+    }
+
+    attach(room, subscriber) {
+        const { publisher } = room;
+        if (!publisher) return;
+
+        if (subscriber.audio && publisher.audio) {
+            subscriber.audio.replaceTrack(publisher.audio.track).catch(error => this.logForwardError(error));
+        }
+        this.forwardLayer(room, subscriber);
+    }
+
+    forwardLayer(room, subscriber) {
+        const layers = room.publisher?.video?.layers;
+        if (!subscriber.video || !layers) return;
+
+        subscriber.layer = Math.min(subscriber.layer, layers.length - 1);
+        subscriber.video.replaceTrack(layers[subscriber.layer].track)
+            .then(() => this.requestKeyframe(room, subscriber))
+            .catch(error => this.logForwardError(error));
+    }
+
+    // A viewer joining or switching layers can only start decoding at a keyframe
+    requestKeyframe(room, subscriber) {
+        const video = room.publisher?.video;
+        const track = video?.layers[subscriber.layer]?.track;
+        if (track?.ssrc) {
+            video.receiver.sendRtcpPLI(track.ssrc).catch(error => this.logForwardError(error));
+        }
+    }
+
+    updateLayers() {
+        this.rooms.forEach(room => {
+            const layers = room.publisher?.video?.layers;
+            if (!layers || layers.length < 2) return;
+
+            room.subscribers.forEach(subscriber => {
+                const sender = subscriber.video;
+                if (!sender) return;
+
+                const next = chooseLayer(subscriber.layer, {
+                    lossRate: sender.remoteFractionLost ?? 0,
+                    rtt: sender.rtt ?? 0,
+                    estimatedBitrate: sender.receiverEstimatedMaxBitrate ? Number(sender.receiverEstimatedMaxBitrate) : null
+                }, layers, subscriber.best);
+                if (next !== subscriber.layer) {
+                    subscriber.layer = next;
+                    this.forwardLayer(room, subscriber);
+                }
+            });
+        });
+    }
+
+    async unsubscribe(roomId, subscriberId) {
+        const room = this.rooms.get(roomId);
+        if (!room) return;
+        this.closeSubscriber(room, subscriberId);
+        this.forgetIfIdle(roomId, room);
+    }
+
+    // Ending the stream ends every viewer's connection with it
+    async unpublish(roomId) {
+        const room = this.rooms.get(roomId);
+        if (!room) return;
+        this.closePublisher(room);
+        room.subscribers.forEach((subscriber, subscriberId) => this.closeSubscriber(room, subscriberId));
+        this.rooms.delete(roomId);
+    }
+
+    closePublisher(room) {
+        if (!room.publisher) return;
+        room.publisher.pc.close().catch(() => {});
+        room.publisher = null;
+    }
+
+    closeSubscriber(room, subscriberId) {
+        const subscriber = room.subscribers.get(subscriberId);
+        if (!subscriber) return;
+        subscriber.pc.close().catch(() => {});
+        room.subscribers.delete(subscriberId);
+    }
+
+    forgetIfIdle(roomId, room) {
+        if (!room.publisher && room.subscribers.size === 0) {
+            this.rooms.delete(roomId);
+        }
+    }
+
+    describe(pc) {
+        const { type, sdp } = pc.localDescription;
+        return { type, sdp };
+    }
+
+    logForwardError(error) {
+        this.logger.warn('Relay: forwarding error:', error.message);
+    }
+
+    getStats() {
+        let subscribers = 0;
+        let publishers = 0;
+        this.rooms.forEach(room => {
+            subscribers += room.subscribers.size;
+            if (room.publisher) publishers++;
+        });
+        return { rooms: this.rooms.size, publishers, subscribers };
+    }
+
+    async close() {
+        clearInterval(this.layerTimer);
+        await Promise.all(Array.from(this.rooms.keys()).map(roomId => this.unpublish(roomId)));
+    }
+}
@@ -0,0 +1,28 @@
+import { RelayClient } from './RelayClient.js';
+import { RelayServer } from './RelayServer.js';
+
+// StreamRelay is not re-exported here: it pulls in werift, which servers
+// without a relay should never have to load
+export { RelayClient, RelayServer };
+
+// Build the stream relay from environment configuration:
+//   STREAM_RELAY=local                     relay inside this server process
+//   STREAM_RELAY_URL=http://127.0.0.1:6390 standalone relay (`npm run relay`),
+//                                          shared by every node of a cluster
+//   STREAM_RELAY_SECRET=...                shared secret for the standalone relay
+//   STREAM_RELAY_ANNOUNCED_IP=203.0.113.7  extra address to offer viewers
+// Resolves to null when neither is set, which keeps streams peer-to-peer.
+export async function createStreamRelay(env = process.env) {
+    if (env.STREAM_RELAY_URL) {
+        return new RelayClient(env.STREAM_RELAY_URL, { secret: env.STREAM_RELAY_SECRET || null });
+    }
+    if (env.STREAM_RELAY === 'local') {
+        const { StreamRelay } = await import('./StreamRelay.js');
+        return new StreamRelay({ announcedAddresses: parseAddresses(env.STREAM_RELAY_ANNOUNCED_IP) });
+    }
+    return null;
+}
+
+export function parseAddresses(value) {
+    return (value || '').split(',').map(address => address.trim()).filter(Boolean);
+}
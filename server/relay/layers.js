@@ -0,0 +1,34 @@
+import { DEFAULT_QUALITY, getSimulcastEncodings } from '../../shared/streamQuality.js';
+
+// The simulcast layers a host encodes a stream of this preset in, best
+// first, with the bitrate each is sent at
+export function getRelayLayers(quality = DEFAULT_QUALITY) {
+    return getSimulcastEncodings(quality).map(({ rid, maxBitrate }) => ({ rid, maxBitrate }));
+}
+
+// New viewers start in the middle and work their way up
+export const INITIAL_LAYER = 1;
+
+// Pick the layer (index into layers, 0 = best) to forward to one viewer from
+// that viewer's receiver reports. The thresholds are the ones the host used to
+// apply to every peer-to-peer sender at once: step down on loss or latency,
+// step up one layer at a time once the connection is clean. A viewer's
+// quality ceiling keeps them at best on the layer they asked for.
+export function chooseLayer(current, { lossRate = 0, rtt = 0, estimatedBitrate = null } = {}, layers = getRelayLayers(), best = 0) {
+    const last = layers.length - 1;
+    const top = Math.min(Math.max(best, 0), last);
+    const layer = Math.min(Math.max(current, top), last);
+
+    const congested = lossRate > 0.05 || rtt > 0.3
+        || (estimatedBitrate !== null && estimatedBitrate < layers[layer].maxBitrate);
+    if (congested) {
+        return Math.min(layer + 1, last);
+    }
+
+    const clean = lossRate < 0.01 && rtt < 0.15;
+    const roomAbove = layer > top && (estimatedBitrate === null || estimatedBitrate >= layers[layer - 1].maxBitrate);
+    if (clean && roomAbove) {
+        return layer - 1;
+    }
+    return layer;
+}
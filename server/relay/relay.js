@@ -0,0 +1,21 @@
+import { RelayServer } from './RelayServer.js';
+import { StreamRelay } from './StreamRelay.js';
+import { parseAddresses } from './index.js';
+
+// Standalone stream relay that one or more server.js nodes forward to:
+//   STREAM_RELAY_PORT=6390 node server/relay/relay.js
+//   STREAM_RELAY_URL=http://127.0.0.1:6390 node server.js
+// Viewers reach the relay's media ports directly, so on a remote machine set
+// STREAM_RELAY_ANNOUNCED_IP to an address they can connect to.
+const relay = new StreamRelay({ announcedAddresses: parseAddresses(process.env.STREAM_RELAY_ANNOUNCED_IP) });
+const server = new RelayServer(relay, { secret: process.env.STREAM_RELAY_SECRET || null });
+const url = await server.listen(Number(process.env.STREAM_RELAY_PORT) || 6390, process.env.STREAM_RELAY_HOST || '127.0.0.1');
+console.log(`Stream relay listening on ${url}`);
+
+for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, async () => {
+        await relay.close();
+        await server.close();
+        process.exit(0);
+    });
+}
@@ -0,0 +1,22 @@
+import { randomInt } from 'crypto';
+
+// Short codes people can read out to each other. I and O are left out so
+// they are not confused with 1 and 0.
+export const ROOM_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ';
+export const ROOM_CODE_LENGTH = 4;
+
+const ROOM_CODE_PATTERN = new RegExp(`^[${ROOM_CODE_ALPHABET}]{${ROOM_CODE_LENGTH}}$`);
+
+export function generateRoomCode() {
+    let code = '';
+    for (let i = 0; i < ROOM_CODE_LENGTH; i++) {
+        code += ROOM_CODE_ALPHABET[randomInt(ROOM_CODE_ALPHABET.length)];
+    }
+    return code;
+}
+
+// Rooms whose id is a room code only exist once the server has allocated
+// the code; any other id (e.g. the public session) is created on first join.
+export function isRoomCode(roomId) {
+    return typeof roomId === 'string' && ROOM_CODE_PATTERN.test(roomId);
+}
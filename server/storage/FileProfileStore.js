@@ -0,0 +1,72 @@
+import { mkdir, readFile, rename, writeFile } from 'fs/promises';
+import { dirname } from 'path';
+
+// Persists player profiles to a single JSON file, read once on first use.
+// Like FileRoomStore, writes are coalesced and go through a temp file +
+// rename so a crash never leaves a torn file.
+export class FileProfileStore {
+    constructor(filePath, { writeDelayMs = 250 } = {}) {
+        this.filePath = filePath;
+        this.writeDelayMs = writeDelayMs;
+        this.profiles = new Map();
+        this.loading = null;
+        this.writeTimer = null;
+        this.writing = Promise.resolve();
+    }
+
+    load() {
+        if (!this.loading) {
+            this.loading = readFile(this.filePath, 'utf8').then(text => {
+                const data = JSON.parse(text);
+                Object.entries(data.profiles || {}).forEach(([key, profile]) => this.profiles.set(key, profile));
+            }).catch(error => {
+                if (error.code !== 'ENOENT') {
+                    console.warn(`Could not read profile store ${this.filePath}:`, error.message);
+                }
+            });
+        }
+        return this.loading;
+    }
+
+    async loadProfile(key) {
+        await this.load();
+        return this.profiles.get(key) ?? null;
+    }
+
+    async saveProfile(key, profile) {
+        // Never write before the existing profiles are in memory
+        await this.load();
+        this.profiles.set(key, profile);
+        this.scheduleWrite();
+    }
+
+    scheduleWrite() {
+        if (this.writeTimer) return;
+        this.writeTimer = setTimeout(() => {
+            this.writeTimer = null;
+            this.writing = this.writing.then(() => this.writeFile());
+        }, this.writeDelayMs);
+    }
+
+    async writeFile() {
+        const tempPath = `${this.filePath}.tmp`;
+        const data = JSON.stringify({ profiles: Object.fromEntries(this.profiles) });
+
+        try {
+            await mkdir(dirname(this.filePath), { recursive: true });
+            await writeFile(tempPath, data);
+            await rename(tempPath, this.filePath);
+        } catch (error) {
+            console.error(`Failed to write profile store ${this.filePath}:`, error.message);
+        }
+    }
+
+    async flush() {
+        if (this.writeTimer) {
+            clearTimeout(this.writeTimer);
+            this.writeTimer = null;
+            this.writing = this.writing.then(() => this.writeFile());
+        }
+        await this.writing;
+    }
+}
@@ -0,0 +1,68 @@
+import { mkdir, readFile, rename, writeFile } from 'fs/promises';
+import { dirname } from 'path';
+
+// Persists room snapshots to a single JSON file. Writes are coalesced so a
+// burst of seat changes or chat messages costs one write, and each write
+// goes through a temp file + rename so a crash never leaves a torn file.
+export class FileRoomStore {
+    constructor(filePath, { writeDelayMs = 250 } = {}) {
+        this.filePath = filePath;
+        this.writeDelayMs = writeDelayMs;
+        this.snapshots = new Map();
+        this.writeTimer = null;
+        this.writing = Promise.resolve();
+    }
+
+    async loadRooms() {
+        try {
+            const data = JSON.parse(await readFile(this.filePath, 'utf8'));
+            (data.rooms || []).forEach(snapshot => this.snapshots.set(snapshot.id, snapshot));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn(`Could not read room store ${this.filePath}:`, error.message);
+            }
+        }
+        return Array.from(this.snapshots.values());
+    }
+
+    async saveRoom(snapshot) {
+        this.snapshots.set(snapshot.id, snapshot);
+        this.scheduleWrite();
+    }
+
+    async deleteRoom(roomId) {
+        if (this.snapshots.delete(roomId)) {
+            this.scheduleWrite();
+        }
+    }
+
+    scheduleWrite() {
+        if (this.writeTimer) return;
+        this.writeTimer = setTimeout(() => {
+            this.writeTimer = null;
+            this.writing = this.writing.then(() => this.writeFile());
+        }, this.writeDelayMs);
+    }
+
+    async writeFile() {
+        const tempPath = `${this.filePath}.tmp`;
+        const data = JSON.stringify({ rooms: Array.from(this.snapshots.values()) });
+
+        try {
+            await mkdir(dirname(this.filePath), { recursive: true });
+            await writeFile(tempPath, data);
+            await rename(tempPath, this.filePath);
+        } catch (error) {
+            console.error(`Failed to write room store ${this.filePath}:`, error.message);
+        }
+    }
+
+    async flush() {
+        if (this.writeTimer) {
+            clearTimeout(this.writeTimer);
+            this.writeTimer = null;
+            this.writing = this.writing.then(() => this.writeFile());
+        }
+        await this.writing;
+    }
+}
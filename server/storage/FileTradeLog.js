@@ -0,0 +1,27 @@
+import { appendFile, mkdir } from 'fs/promises';
+import { dirname } from 'path';
+
+// Audit log of completed trades: one JSON line per trade, appended in the
+// order trades complete. Nothing is ever rewritten.
+export class FileTradeLog {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.writing = Promise.resolve();
+    }
+
+    async record(entry) {
+        this.writing = this.writing.then(async () => {
+            try {
+                await mkdir(dirname(this.filePath), { recursive: true });
+                await appendFile(this.filePath, JSON.stringify(entry) + '\n');
+            } catch (error) {
+                console.error(`Failed to write trade log ${this.filePath}:`, error.message);
+            }
+        });
+        return this.writing;
+    }
+
+    async flush() {
+        await this.writing;
+    }
+}
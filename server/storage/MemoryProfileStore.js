@@ -0,0 +1,17 @@
+// Keeps player profiles in process memory; they are gone after a restart.
+export class MemoryProfileStore {
+    constructor() {
+        this.profiles = new Map();
+    }
+
+    async loadProfile(key) {
+        const profile = this.profiles.get(key);
+        return profile ? structuredClone(profile) : null;
+    }
+
+    async saveProfile(key, profile) {
+        this.profiles.set(key, structuredClone(profile));
+    }
+
+    async flush() {}
+}
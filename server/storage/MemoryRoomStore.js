@@ -0,0 +1,22 @@
+// Keeps room snapshots in process memory. State survives engine restarts
+// within one process (useful for tests and the serverless handler) but not
+// a process restart.
+export class MemoryRoomStore {
+    constructor() {
+        this.snapshots = new Map();
+    }
+
+    async loadRooms() {
+        return Array.from(this.snapshots.values()).map(snapshot => structuredClone(snapshot));
+    }
+
+    async saveRoom(snapshot) {
+        this.snapshots.set(snapshot.id, structuredClone(snapshot));
+    }
+
+    async deleteRoom(roomId) {
+        this.snapshots.delete(roomId);
+    }
+
+    async flush() {}
+}
@@ -0,0 +1,13 @@
+// Keeps the trade audit log in process memory, for tests and the serverless
+// handler.
+export class MemoryTradeLog {
+    constructor() {
+        this.entries = [];
+    }
+
+    async record(entry) {
+        this.entries.push(structuredClone(entry));
+    }
+
+    async flush() {}
+}
@@ -0,0 +1,57 @@
+import { FileRoomStore } from './FileRoomStore.js';
+import { MemoryRoomStore } from './MemoryRoomStore.js';
+import { FileProfileStore } from './FileProfileStore.js';
+import { MemoryProfileStore } from './MemoryProfileStore.js';
+import { FileTradeLog } from './FileTradeLog.js';
+import { MemoryTradeLog } from './MemoryTradeLog.js';
+
+export { FileRoomStore, MemoryRoomStore, FileProfileStore, MemoryProfileStore, FileTradeLog, MemoryTradeLog };
+
+// Pick a room store from environment configuration:
+//   ROOM_STORE=memory (default) | file
+//   ROOM_STORE_PATH=./data/rooms.json
+export function createRoomStore(env = process.env) {
+    switch (env.ROOM_STORE) {
+        case 'file':
+            return new FileRoomStore(env.ROOM_STORE_PATH || './data/rooms.json');
+        case 'memory':
+        case undefined:
+        case '':
+            return new MemoryRoomStore();
+        default:
+            throw new Error(`Unknown ROOM_STORE "${env.ROOM_STORE}" (expected "memory" or "file")`);
+    }
+}
+
+// Pick a player profile store from environment configuration:
+//   PROFILE_STORE=memory (default) | file
+//   PROFILE_STORE_PATH=./data/profiles.json
+export function createProfileStore(env = process.env) {
+    switch (env.PROFILE_STORE) {
+        case 'file':
+            return new FileProfileStore(env.PROFILE_STORE_PATH || './data/profiles.json');
+        case 'memory':
+        case undefined:
+        case '':
+            return new MemoryProfileStore();
+        default:
+            throw new Error(`Unknown PROFILE_STORE "${env.PROFILE_STORE}" (expected "memory" or "file")`);
+    }
+}
+
+// Pick where completed trades are logged. An audit log is meant to last, so
+// unlike the stores above it is written to a file unless told otherwise:
+//   TRADE_LOG=file (default) | memory
+//   TRADE_LOG_PATH=./data/trades.jsonl
+export function createTradeLog(env = process.env) {
+    switch (env.TRADE_LOG) {
+        case 'file':
+        case undefined:
+        case '':
+            return new FileTradeLog(env.TRADE_LOG_PATH || './data/trades.jsonl');
+        case 'memory':
+            return new MemoryTradeLog();
+        default:
+            throw new Error(`Unknown TRADE_LOG "${env.TRADE_LOG}" (expected "file" or "memory")`);
+    }
+}
@@ -0,0 +1,223 @@
+import { generateGhostSpawns, getTempleCellKey, getTemplePosition, getTemplesNear, isInDungeon, isSafePosition, parseTempleCellKey, shouldSpawnTemple, SPAWN, TRAP_DAMAGE } from './worldGen.js';
+import { prepareGhost, stepGhosts, strikeGhost } from '../../shared/ghostBehaviors.js';
+
+const GRACE_PERIOD_MS = 14000;
+const MAX_HEALTH = 100;
+// Health regained per second while sheltering in a safe zone
+const SAFE_REGEN = 8;
+const TRAP_COOLDOWN_MS = 1000;
+const MAX_HIT_DISTANCE = 45;
+const MAX_CHEST_DISTANCE = 12;
+// How close to a temple counts as finding it, as on the client
+const DISCOVER_DISTANCE = 14;
+// A sprint with every speed item worn and a ghost's knockback behind it,
+// plus some slack for updates that arrive unevenly
+const MAX_MOVE_SPEED = 45;
+const MOVE_SLACK = 5;
+// How close to a temple its stairs down to the dungeon are
+const STAIRS_DISTANCE = 30;
+const BOUNDS = { minX: -180, maxX: 180, minZ: 80, maxZ: 320 };
+
+// Server-side simulation of one room's outside world. Ghosts hunt the outside
+// players by the rules in shared/ghostBehaviors.js, and catching someone is
+// decided here rather than on each client, so everyone outside sees the same
+// ghosts. Positions are the x/z ground plane only.
+export class OutsideWorld {
+    constructor(seed) {
+        this.seed = seed;
+        this.players = new Map();
+        this.ghosts = generateGhostSpawns(seed).map(prepareGhost);
+        this.noises = [];
+    }
+
+    // bonuses are the player's worn-item stats that matter in a fight
+    addPlayer(userId, socketId, position, bonuses = {}, now = Date.now()) {
+        this.players.set(userId, {
+            socketId,
+            x: Number(position?.x) || SPAWN.x,
+            z: Number(position?.z) || SPAWN.z,
+            stealth: clampBonus(bonuses.stealth),
+            protection: clampBonus(bonuses.protection),
+            power: clampBonus(bonuses.power),
+            magic: clampBonus(bonuses.magic),
+            health: MAX_HEALTH,
+            graceUntil: now + GRACE_PERIOD_MS,
+            movedAt: now,
+            templesFound: new Set()
+        });
+    }
+
+    // Returns the cell key of a temple the player has just found, if any.
+    // A move further than the player could have gone is ignored.
+    movePlayer(userId, position, now = Date.now()) {
+        const player = this.players.get(userId);
+        if (!player || !Number.isFinite(position?.x) || !Number.isFinite(position?.z)) return null;
+        if (!this.canMoveTo(player, position, now)) return null;
+        player.x = position.x;
+        player.z = position.z;
+        player.movedAt = now;
+
+        for (const temple of getTemplesNear(this.seed, player.x, player.z)) {
+            const key = getTempleCellKey(temple.cellX, temple.cellZ);
+            if (!player.templesFound.has(key) && distance(player, temple) <= DISCOVER_DISTANCE) {
+                player.templesFound.add(key);
+                return key;
+            }
+        }
+        return null;
+    }
+
+    // Players walk, or take a temple's stairs down into its dungeon and back
+    canMoveTo(player, position, now) {
+        const reach = MAX_MOVE_SPEED * Math.max(0, now - player.movedAt) / 1000 + MOVE_SLACK;
+        if (distance(player, position) <= reach) return true;
+
+        return getTemplesNear(this.seed, player.x, player.z).some(temple =>
+            distance(player, temple) <= STAIRS_DISTANCE && isInDungeon(temple.cellX, temple.cellZ, position.x, position.z)
+        ) || getTemplesNear(this.seed, position.x, position.z).some(temple =>
+            distance(position, temple) <= STAIRS_DISTANCE && isInDungeon(temple.cellX, temple.cellZ, player.x, player.z)
+        );
+    }
+
+    removePlayer(userId) {
+        return this.players.delete(userId);
+    }
+
+    hasPlayer(userId) {
+        return this.players.has(userId);
+    }
+
+    // A tomato thrown by the player hit a ghost. Returns the ghost's remaining
+    // health and where it was knocked to, or the reason the hit does not count.
+    hitGhost(userId, ghostId, now = Date.now()) {
+        const player = this.players.get(userId);
+        if (!player) return { success: false, reason: 'You are not outside' };
+
+        const ghost = this.ghosts.find(g => g.id === ghostId);
+        if (!ghost || ghost.hidden) return { success: false, reason: 'That ghost is already gone' };
+        if (distance(player, ghost) > MAX_HIT_DISTANCE) return { success: false, reason: 'Too far away' };
+
+        const health = strikeGhost(ghost, { userId, ...player }, now);
+        if (health <= 0) {
+            this.ghosts = this.ghosts.filter(g => g !== ghost);
+        }
+        return { success: true, health, x: round(ghost.x), z: round(ghost.z), archetype: ghost.archetype };
+    }
+
+    // Chests sit on temples; only a player standing at one may open it
+    canReachChest(userId, chestKey) {
+        const player = this.players.get(userId);
+        const cell = parseTempleCellKey(chestKey);
+        if (!player || !cell || !shouldSpawnTemple(this.seed, cell.cellX, cell.cellZ)) return false;
+        return distance(player, getTemplePosition(this.seed, cell.cellX, cell.cellZ)) <= MAX_CHEST_DISTANCE;
+    }
+
+    // Vaults are at the far end of a temple's dungeon
+    canReachVault(userId, cellKey) {
+        const player = this.players.get(userId);
+        const cell = parseTempleCellKey(cellKey);
+        return !!player && !!cell && shouldSpawnTemple(this.seed, cell.cellX, cell.cellZ)
+            && isInDungeon(cell.cellX, cell.cellZ, player.x, player.z);
+    }
+
+    // A tomato throw; ghosts that hear it come to look
+    makeNoise(userId) {
+        const player = this.players.get(userId);
+        if (!player) return false;
+        this.noises.push({ x: player.x, z: player.z });
+        return true;
+    }
+
+    // Advance the ghosts by dt seconds. Returns the strikes that landed as
+    // hits ({ userId, socketId, damage, health, from }) and the players they
+    // finished off as caught ({ userId, socketId }); those are taken out of
+    // the world.
+    step(dt, now = Date.now(), random = Math.random) {
+        const players = Array.from(this.players, ([userId, player]) => ({
+            userId,
+            ...player,
+            safe: isSafePosition(this.seed, player.x, player.z),
+            inGrace: now < player.graceUntil
+        }));
+        const surroundings = {
+            templesNear: (x, z) => this.templesNear(x, z),
+            noises: this.noises,
+            bounds: BOUNDS
+        };
+
+        players.forEach(({ userId, safe }) => {
+            const player = this.players.get(userId);
+            if (safe) player.health = Math.min(MAX_HEALTH, player.health + SAFE_REGEN * dt);
+        });
+
+        const result = { hits: [], caught: [] };
+        stepGhosts(this.ghosts, players, surroundings, dt, now, random).forEach(({ userId, damage, from }) => {
+            this.hurtPlayer(userId, damage, from, result);
+        });
+        this.noises = [];
+        return result;
+    }
+
+    // The player stepped on a spike trap in a temple dungeon. Dungeons are
+    // laid out by the client, so all we can do is take its word once a
+    // second. Returns hits and caught like step().
+    springTrap(userId, from, now = Date.now()) {
+        const result = { hits: [], caught: [] };
+        const player = this.players.get(userId);
+        if (!player || now < (player.trapReadyAt || 0)) return result;
+
+        player.trapReadyAt = now + TRAP_COOLDOWN_MS;
+        const origin = Number.isFinite(from?.x) && Number.isFinite(from?.z) ? { x: from.x, z: from.z } : { x: player.x, z: player.z };
+        this.hurtPlayer(userId, TRAP_DAMAGE, origin, result);
+        return result;
+    }
+
+    hurtPlayer(userId, damage, from, { hits, caught }) {
+        const player = this.players.get(userId);
+        if (!player) return;
+        player.health = Math.max(0, round(player.health - damage));
+        hits.push({ userId, socketId: player.socketId, damage: round(damage), health: player.health, from });
+        if (player.health <= 0) {
+            caught.push({ userId, socketId: player.socketId });
+            this.players.delete(userId);
+        }
+    }
+
+    templesNear(x, z) {
+        return getTemplesNear(this.seed, x, z);
+    }
+
+    // Hidden ambushers stay off the wire until they strike
+    getGhosts() {
+        return this.ghosts.filter(ghost => !ghost.hidden).map(({ id, archetype, type, x, z, state, alerted, health }) => ({
+            id,
+            archetype,
+            type,
+            x: round(x),
+            z: round(z),
+            state,
+            alerted,
+            health
+        }));
+    }
+
+    getPlayerHealth() {
+        return Object.fromEntries(Array.from(this.players, ([userId, player]) => [userId, Math.round(player.health)]));
+    }
+
+    getPlayerIds() {
+        return Array.from(this.players.keys());
+    }
+}
+
+function clampBonus(value) {
+    return Math.min(10, Math.max(0, Number(value) || 0));
+}
+
+function distance(a, b) {
+    return Math.hypot(a.x - b.x, a.z - b.z);
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
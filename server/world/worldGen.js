@@ -0,0 +1,44 @@
+import { getTemplePosition, shouldSpawnTemple, SPAWN, TEMPLE_CELL_SIZE } from '../../shared/worldGen.js';
+
+// Server-only questions about the seeded world in shared/worldGen.js, which
+// this re-exports so the server imports the world from one place
+export * from '../../shared/worldGen.js';
+
+export const TEMPLE_SAFE_RADIUS = 18;
+export const THEATRE_EXIT = { x: 0, z: 70 };
+export const THEATRE_SAFE_RADIUS = 22;
+
+export function getTempleCell(x, z) {
+    return { cellX: Math.floor(x / TEMPLE_CELL_SIZE), cellZ: Math.floor(z / TEMPLE_CELL_SIZE) };
+}
+
+export function parseTempleCellKey(key) {
+    const match = typeof key === 'string' && /^(-?\d+):(-?\d+)$/.exec(key);
+    return match ? { cellX: Number(match[1]), cellZ: Number(match[2]) } : null;
+}
+
+// Temples in the cells around a point. A temple can sit off its cell's
+// centre, and those by the theatre are pushed north, so neighbours count.
+export function getTemplesNear(seed, x, z) {
+    const { cellX, cellZ } = getTempleCell(x, z);
+    const temples = [];
+    for (let dx = -1; dx <= 1; dx++) {
+        for (let dz = -1; dz <= 1; dz++) {
+            if (!shouldSpawnTemple(seed, cellX + dx, cellZ + dz)) continue;
+            temples.push({ cellX: cellX + dx, cellZ: cellZ + dz, ...getTemplePosition(seed, cellX + dx, cellZ + dz) });
+        }
+    }
+    return temples;
+}
+
+// Everyone comes outside through the theatre door
+export function getEntryPosition(position) {
+    const atDoor = Math.hypot(position?.x - THEATRE_EXIT.x, position?.z - THEATRE_EXIT.z) <= THEATRE_SAFE_RADIUS;
+    return atDoor ? position : SPAWN;
+}
+
+// Temples and the theatre doorstep are safe from ghosts
+export function isSafePosition(seed, x, z) {
+    if (Math.hypot(x - THEATRE_EXIT.x, z - THEATRE_EXIT.z) <= THEATRE_SAFE_RADIUS) return true;
+    return getTemplesNear(seed, x, z).some(temple => Math.hypot(x - temple.x, z - temple.z) <= TEMPLE_SAFE_RADIUS);
+}
@@ -0,0 +1,5 @@
+// The Bindle is an 8x10 grid like Diablo II's. The server keeps each
+// player's items in these slots and the client draws the same grid.
+export const BINDLE_COLUMNS = 8;
+export const BINDLE_ROWS = 10;
+export const INVENTORY_SLOTS = BINDLE_COLUMNS * BINDLE_ROWS;
@@ -0,0 +1,403 @@
+// How ghosts behave. Each archetype is a small state machine with its own
+// senses; ghosts are plain records on the x/z ground plane, so the client's
+// offline play and the server's room simulation both import these rules.
+//
+// `world` tells the ghosts about their surroundings:
+//   templesNear(x, z)  temple centres around a point; they block sight and
+//                      their beacons light up whoever stands close
+//   noises             [{ x, z }] heard since the last step (tomato throws)
+//   bounds             { minX, maxX, minZ, maxZ } the ghosts stay within
+//
+// Players are { userId, x, z, stealth, protection, safe, inGrace }.
+//
+// Ghosts do not kill outright: they strike for their archetype's damage,
+// softened by the player's protection, and tomatoes strike back.
+
+const PACK_ALERT_RANGE = 55;
+const TEMPLE_BLOCK_RADIUS = 12;
+const TEMPLE_LIGHT_RADIUS = 40;
+const THEATRE_LIGHT = { x: 0, z: 66, radius: 30 };
+const SEARCH_MS = 6000;
+const BURST_MS = 1600;
+const ARRIVED = 2;
+const ATTACK_COOLDOWN_MS = 1000;
+const KNOCKBACK_DISTANCE = 2.5;
+
+// aura: sensed in every direction through anything ('aggro' uses the ghost's
+//       own aggroRange). sight/fov: seen within a cone, if nothing blocks it.
+// light: how much further a lit player is seen. hearing: how far a throw
+//        carries. loseRange: how far a chase goes before the ghost gives up.
+// damage: health taken per strike. heft: how hard the ghost is to knock back.
+export const GHOST_ARCHETYPES = {
+    // Drifting spirits that sense anyone nearby and call the others over
+    wraith: {
+        idle: 'wander',
+        senses: { aura: 'aggro', sight: 0, fov: 0, light: 1, hearing: 45 },
+        loseRange: 'aggro',
+        maxSpeed: 5.2,
+        damage: 20,
+        heft: 1,
+        recruits: 'nearby'
+    },
+    // Circle their temple and see a long way in its beacon light, but will
+    // not stray far from it
+    guardian: {
+        idle: 'patrol',
+        senses: { aura: 6, sight: 55, fov: Math.PI * 0.8, light: 1.6, hearing: 30 },
+        loseRange: 90,
+        leash: 75,
+        patrolRadius: 28,
+        standsGuard: true,
+        maxSpeed: 5.6,
+        damage: 25,
+        heft: 1.5
+    },
+    // Hide until someone walks right past, then lunge
+    ambusher: {
+        idle: 'hidden',
+        senses: { aura: 9, sight: 0, fov: 0, light: 1, hearing: 0 },
+        loseRange: 40,
+        burst: 2.2,
+        maxSpeed: 6.4,
+        damage: 30,
+        heft: 0.8
+    },
+    // Hunt as a pack and close in from the sides
+    stalker: {
+        idle: 'wander',
+        senses: { aura: 8, sight: 65, fov: Math.PI, light: 1.4, hearing: 60 },
+        loseRange: 110,
+        tether: 40,
+        maxSpeed: 5.0,
+        damage: 15,
+        heft: 1,
+        recruits: 'pack'
+    },
+    // Slow, hears everything and does not let go
+    boss: {
+        idle: 'wander',
+        senses: { aura: 20, sight: 90, fov: Math.PI * 2, light: 1.3, hearing: 120 },
+        loseRange: 200,
+        maxSpeed: 3.6,
+        damage: 45,
+        heft: 4
+    }
+};
+
+// Advance every ghost by dt seconds. Returns the strikes that landed as
+// { userId, ghostId, damage, from: { x, z } }; what they do to the player's
+// health is up to the caller.
+export function stepGhosts(ghosts, players, world, dt, now, random) {
+    ghosts.forEach(ghost => prepareGhost(ghost));
+    hearNoises(ghosts, world.noises || [], now);
+
+    const hits = [];
+    ghosts.forEach(ghost => {
+        const hit = stepGhost(ghost, ghosts, players, world, dt, now, random);
+        if (hit) hits.push(hit);
+    });
+    return hits;
+}
+
+// Damage one tomato does: power hits harder, magic adds a little on top
+export function tomatoDamage({ power = 0, magic = 0 } = {}) {
+    return 1 + power * 0.25 + magic * 0.15;
+}
+
+// A tomato thrown by `attacker` hit the ghost: it loses health, is knocked
+// back and turns on the thrower. Returns the health left.
+export function strikeGhost(ghost, attacker, now) {
+    const archetype = archetypeOf(prepareGhost(ghost));
+    ghost.health = Math.max(0, Math.round((ghost.health - tomatoDamage(attacker)) * 100) / 100);
+
+    const push = KNOCKBACK_DISTANCE * (1 + (attacker.power || 0) * 0.1) / archetype.heft;
+    moveTowards(ghost, attacker, -push);
+    if (ghost.health > 0 && ghost.state !== 'chase') {
+        hunt(ghost, attacker, now);
+    }
+    ghost.hidden = false;
+    return ghost.health;
+}
+
+export function isLit(world, x, z) {
+    if (Math.hypot(x - THEATRE_LIGHT.x, z - THEATRE_LIGHT.z) <= THEATRE_LIGHT.radius) return true;
+    return world.templesNear(x, z).some(temple => Math.hypot(x - temple.x, z - temple.z) <= TEMPLE_LIGHT_RADIUS);
+}
+
+export function hasLineOfSight(world, from, to) {
+    return !world.templesNear(from.x, from.z).some(temple => {
+        // A ghost drifting through a temple still sees out of it
+        if (distance(from, temple) <= TEMPLE_BLOCK_RADIUS || distance(to, temple) <= TEMPLE_BLOCK_RADIUS) return false;
+        return segmentDistance(from, to, temple) < TEMPLE_BLOCK_RADIUS;
+    });
+}
+
+// Whether the ghost perceives the player right now
+export function notices(ghost, player, world) {
+    if (player.safe) return false;
+    const { senses } = archetypeOf(ghost);
+    const dist = distance(ghost, player);
+
+    const aura = senses.aura === 'aggro' ? ghost.aggroRange : senses.aura;
+    if (dist < stealthy(aura, player)) return true;
+    if (!senses.sight) return false;
+
+    const sight = stealthy(senses.sight * (isLit(world, player.x, player.z) ? senses.light : 1), player);
+    if (dist > sight) return false;
+    if (senses.fov < Math.PI * 2 && Math.abs(angleDifference(ghost.heading, bearing(ghost, player))) > senses.fov / 2) {
+        return false;
+    }
+    return hasLineOfSight(world, ghost, player);
+}
+
+function archetypeOf(ghost) {
+    return GHOST_ARCHETYPES[ghost.archetype] || GHOST_ARCHETYPES.wraith;
+}
+
+// Fill in the state a freshly spawned ghost does not carry yet
+export function prepareGhost(ghost) {
+    if (ghost.state) return ghost;
+    ghost.archetype = GHOST_ARCHETYPES[ghost.archetype] ? ghost.archetype : 'wraith';
+    ghost.home = ghost.home || { x: ghost.x, z: ghost.z };
+    ghost.heading = ghost.heading ?? 0;
+    ghost.patrolAngle = ghost.patrolAngle ?? 0;
+    ghost.targetId = null;
+    ghost.state = ghost.alerted ? 'chase' : archetypeOf(ghost).idle;
+    ghost.hidden = ghost.state === 'hidden';
+    return ghost;
+}
+
+function hearNoises(ghosts, noises, now) {
+    noises.forEach(noise => {
+        ghosts.forEach(ghost => {
+            const { hearing } = archetypeOf(ghost).senses;
+            if (ghost.state === 'chase' || !hearing || distance(ghost, noise) > hearing) return;
+            ghost.state = 'search';
+            ghost.searchPoint = { x: noise.x, z: noise.z };
+            ghost.searchUntil = now + SEARCH_MS;
+        });
+    });
+}
+
+// Returns the strike the ghost landed, if any
+function stepGhost(ghost, ghosts, players, world, dt, now, random) {
+    const archetype = archetypeOf(ghost);
+    think(ghost, ghosts, players, world, now);
+
+    let hit = null;
+    const target = ghost.state === 'chase' ? players.find(player => player.userId === ghost.targetId) : null;
+    if (target && !target.inGrace && distance(ghost, target) < reach(ghost, target) && now >= (ghost.attackReadyAt || 0)) {
+        ghost.attackReadyAt = now + ATTACK_COOLDOWN_MS;
+        hit = {
+            userId: target.userId,
+            ghostId: ghost.id,
+            damage: archetype.damage * (1 - Math.min(0.6, target.protection * 0.06)),
+            from: { x: ghost.x, z: ghost.z }
+        };
+    }
+
+    move(ghost, archetype, target, dt, now, random);
+    if (ghost.state !== 'chase') {
+        ghost.speed = Math.max(ghost.baseSpeed, ghost.speed - 0.7 * dt);
+    }
+
+    const { bounds } = world;
+    ghost.x = Math.max(bounds.minX, Math.min(bounds.maxX, ghost.x));
+    ghost.z = Math.max(bounds.minZ, Math.min(bounds.maxZ, ghost.z));
+    ghost.alerted = ghost.state === 'chase';
+    ghost.hidden = ghost.state === 'hidden';
+    return hit;
+}
+
+// State transitions
+function think(ghost, ghosts, players, world, now) {
+    const archetype = archetypeOf(ghost);
+
+    // Back away from protected players instead of camping the safe zone
+    const nearest = nearestPlayer(ghost, players);
+    if (nearest?.safe && !archetype.standsGuard && ghost.state !== 'hidden' && distance(ghost, nearest) < 30) {
+        ghost.state = 'retreat';
+        ghost.retreatFrom = { x: nearest.x, z: nearest.z };
+        ghost.targetId = null;
+        return;
+    }
+    if (ghost.state === 'retreat') {
+        ghost.state = archetype.idle === 'hidden' ? 'return' : archetype.idle;
+    }
+
+    const spotted = nearestPlayer(ghost, players.filter(player => notices(ghost, player, world)));
+    if (spotted) {
+        const fresh = ghost.state !== 'chase';
+        hunt(ghost, spotted, now);
+        if (fresh) recruit(ghost, ghosts, spotted, now);
+    } else if (ghost.state === 'chase') {
+        const target = ghost.targetId
+            ? players.find(player => player.userId === ghost.targetId)
+            : nearestPlayer(ghost, players.filter(player => !player.safe));
+        const loseRange = archetype.loseRange === 'aggro' ? ghost.aggroRange * 1.8 : archetype.loseRange;
+        if (!target || target.safe || distance(ghost, target) > loseRange) {
+            lose(ghost, now);
+        } else {
+            ghost.targetId = target.userId;
+            ghost.lastSeen = { x: target.x, z: target.z };
+        }
+    }
+
+    if (ghost.state === 'chase' && archetype.leash && distance(ghost, ghost.home) > archetype.leash) {
+        ghost.state = 'return';
+        ghost.targetId = null;
+    }
+    if (ghost.state === 'search' && now > ghost.searchUntil) {
+        ghost.state = archetype.idle === 'wander' && !archetype.tether ? 'wander' : 'return';
+    }
+    if (ghost.state === 'return' && distance(ghost, ghost.home) < ARRIVED) {
+        ghost.state = archetype.idle;
+    }
+}
+
+function hunt(ghost, player, now) {
+    if (ghost.state === 'hidden') {
+        ghost.burstUntil = now + BURST_MS;
+    }
+    ghost.state = 'chase';
+    ghost.targetId = player.userId;
+    ghost.lastSeen = { x: player.x, z: player.z };
+}
+
+// Go looking where the player was last seen
+function lose(ghost, now) {
+    ghost.state = 'search';
+    ghost.searchPoint = ghost.lastSeen || { x: ghost.x, z: ghost.z };
+    ghost.searchUntil = now + SEARCH_MS;
+    ghost.targetId = null;
+}
+
+// Once one ghost spots a player, its pack (or for wraiths, any wraith close
+// by) joins the chase
+function recruit(ghost, ghosts, player, now) {
+    const { recruits } = archetypeOf(ghost);
+    if (!recruits) return;
+    ghosts.forEach(other => {
+        if (other === ghost || other.state === 'chase' || other.archetype !== ghost.archetype) return;
+        const joins = recruits === 'pack'
+            ? other.packId !== undefined && other.packId === ghost.packId
+            : distance(other, ghost) < PACK_ALERT_RANGE;
+        if (joins) hunt(other, player, now);
+    });
+}
+
+function move(ghost, archetype, target, dt, now, random) {
+    switch (ghost.state) {
+        case 'chase': {
+            if (!target) break;
+            const dist = distance(ghost, target);
+            const aura = archetype.senses.aura === 'aggro' ? ghost.aggroRange : Math.max(archetype.senses.aura, archetype.senses.sight);
+            const closeness = 1 - Math.min(dist, aura) / aura;
+            const burst = now < (ghost.burstUntil || 0) ? (archetype.burst || 1) : 1;
+            const chaseSpeed = ghost.speed * (1 + closeness * 1.2) * (target.inGrace ? 0.38 : 1.0) * burst;
+            moveTowards(ghost, flankPoint(ghost, target), chaseSpeed * dt);
+            ghost.speed = Math.min(archetype.maxSpeed, ghost.speed + 0.55 * dt);
+            break;
+        }
+        case 'search':
+            if (distance(ghost, ghost.searchPoint) > ARRIVED) {
+                moveTowards(ghost, ghost.searchPoint, ghost.baseSpeed * dt);
+            } else {
+                wander(ghost, dt, random);
+            }
+            break;
+        case 'return':
+            moveTowards(ghost, ghost.home, ghost.baseSpeed * dt);
+            break;
+        case 'retreat':
+            moveTowards(ghost, ghost.retreatFrom, -Math.max(2.0, ghost.baseSpeed) * dt);
+            break;
+        case 'patrol': {
+            const radius = archetype.patrolRadius;
+            ghost.patrolAngle += (ghost.baseSpeed * 0.6 / radius) * dt;
+            const point = {
+                x: ghost.home.x + Math.cos(ghost.patrolAngle) * radius,
+                z: ghost.home.z + Math.sin(ghost.patrolAngle) * radius
+            };
+            moveTowards(ghost, point, ghost.baseSpeed * dt);
+            break;
+        }
+        case 'hidden':
+            break;
+        default:
+            if (archetype.tether && distance(ghost, ghost.home) > archetype.tether) {
+                moveTowards(ghost, ghost.home, ghost.baseSpeed * 0.45 * dt);
+            } else {
+                wander(ghost, dt, random);
+            }
+    }
+}
+
+// Pack members spread out to either side of their prey and close in as they
+// get near; everyone else heads straight for it
+function flankPoint(ghost, target) {
+    const dist = distance(ghost, target);
+    if (!ghost.flankOffset || dist < 8) return target;
+    const angle = bearing(target, ghost) + ghost.flankOffset;
+    const radius = Math.min(12, dist * 0.6);
+    return { x: target.x + Math.cos(angle) * radius, z: target.z + Math.sin(angle) * radius };
+}
+
+function wander(ghost, dt, random) {
+    if (random() < Math.min(1, 1.2 * dt)) {
+        const angle = random() * Math.PI * 2;
+        ghost.x += Math.cos(angle) * ghost.baseSpeed * 0.45 * dt;
+        ghost.z += Math.sin(angle) * ghost.baseSpeed * 0.45 * dt;
+    }
+}
+
+function reach(ghost, player) {
+    return Math.max(1.2, ghost.killRange - (player.protection * 0.15));
+}
+
+function stealthy(range, player) {
+    return range > 0 ? Math.max(6, range - (player.stealth * 3)) : 0;
+}
+
+function nearestPlayer(ghost, players) {
+    let best = null;
+    let bestDistance = Infinity;
+    players.forEach(player => {
+        const d = distance(ghost, player);
+        if (d < bestDistance) {
+            best = player;
+            bestDistance = d;
+        }
+    });
+    return best;
+}
+
+function moveTowards(ghost, target, step) {
+    const d = distance(ghost, target);
+    if (d < 0.0001) return;
+    const dx = (target.x - ghost.x) / d;
+    const dz = (target.z - ghost.z) / d;
+    ghost.x += dx * Math.min(step, d);
+    ghost.z += dz * Math.min(step, d);
+    ghost.heading = Math.atan2(dz * Math.sign(step), dx * Math.sign(step));
+}
+
+function distance(a, b) {
+    return Math.hypot(a.x - b.x, a.z - b.z);
+}
+
+function bearing(from, to) {
+    return Math.atan2(to.z - from.z, to.x - from.x);
+}
+
+function angleDifference(a, b) {
+    return Math.atan2(Math.sin(b - a), Math.cos(b - a));
+}
+
+function segmentDistance(a, b, point) {
+    const dx = b.x - a.x;
+    const dz = b.z - a.z;
+    const lengthSq = dx * dx + dz * dz;
+    const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.z - a.z) * dz) / lengthSq)) : 0;
+    return Math.hypot(point.x - (a.x + t * dx), point.z - (a.z + t * dz));
+}
@@ -0,0 +1,21 @@
+import { LOOT_SALT, rollLoot } from './worldGen.js';
+
+// Chest loot, rolled the same way by the server and by the client playing
+// offline, from the loot tables in items/loot-tables.json
+
+// An entry's own weight, or else the weight of its item's rarity
+export function getLootWeight(entry, item, rarityWeights) {
+    return entry.weight ?? rarityWeights[item.rarity || 'common'] ?? 0;
+}
+
+// Returns rollChestLoot(seed, chestKey, tier) for the given tables and
+// catalog items by id. Each chest of a world always holds the same item;
+// temple chests roll on the temple table and dungeon vaults on the vault table.
+export function createLootRoller(lootTables, items) {
+    return (seed, chestKey, tier = 'temple') => {
+        const { entries, rarityWeights } = lootTables[tier];
+        const weights = entries.map(entry => getLootWeight(entry, items[entry.itemId], rarityWeights));
+        const { itemId, quantity } = entries[rollLoot(seed, chestKey, weights, LOOT_SALT[tier])];
+        return { itemId, quantity };
+    };
+}
@@ -0,0 +1,3 @@
+// Playback rates for synced media: the ones the room controls offer and the
+// only ones the server accepts
+export const MEDIA_RATES = [0.5, 0.75, 1, 1.25, 1.5, 2];
@@ -0,0 +1,159 @@
+// Quests for the outside adventure. Quests are plain data: each one lists
+// objectives, and every objective counts the game events that match it. The
+// QuestLog only tracks progress. The client keeps one to show progress and
+// pay rewards offline; with a profile store the server keeps its own from
+// what it sees happen and pays rewards from that. Rewards name an item in
+// the catalog (items/catalog.json).
+export const RARITY_ORDER = ['common', 'uncommon', 'rare', 'epic', 'legendary', 'mythic'];
+
+// Objective types and the events they count:
+//   discover     { type: 'discover', key }          distinct temples found
+//   open-chest   { type: 'open-chest', rarity }     chests whose loot is at least `rarity`
+//   banish       { type: 'banish', archetype }      ghosts banished with tomatoes, optionally of one archetype
+//   return-item  { type: 'return-item', item }      an item named `item` carried back to the theatre
+export const QUESTS = [
+    {
+        id: 'into-the-dark',
+        title: 'Into the Dark',
+        description: 'Find two temples beyond the theatre.',
+        objectives: [{ type: 'discover', count: 2, label: 'Temples discovered' }],
+        reward: { itemId: 'golden-tomato', quantity: 2 }
+    },
+    {
+        id: 'pilgrim',
+        title: 'Pilgrim',
+        description: 'Visit five different temples.',
+        objectives: [{ type: 'discover', count: 5, label: 'Temples discovered' }],
+        reward: { itemId: 'pilgrim-sandals', quantity: 1 }
+    },
+    {
+        id: 'rare-finds',
+        title: 'Rare Finds',
+        description: 'Open a chest holding something rare or better.',
+        objectives: [{ type: 'open-chest', rarity: 'rare', count: 1, label: 'Rare chests opened' }],
+        reward: { itemId: 'lucky-charm', quantity: 1 }
+    },
+    {
+        id: 'ghost-banisher',
+        title: 'Ghost Banisher',
+        description: 'Banish five ghosts with tomatoes.',
+        objectives: [{ type: 'banish', count: 5, label: 'Ghosts banished' }],
+        reward: { itemId: 'tomato-sling', quantity: 1 }
+    },
+    {
+        id: 'temple-keeper',
+        title: 'Temple Keeper',
+        description: 'Banish a guardian and a lurking ambusher.',
+        objectives: [
+            { type: 'banish', archetype: 'guardian', count: 1, label: 'Guardians banished' },
+            { type: 'banish', archetype: 'ambusher', count: 1, label: 'Ambushers banished' }
+        ],
+        reward: { itemId: 'warden-helm', quantity: 1 }
+    },
+    {
+        id: 'golden-harvest',
+        title: 'Golden Harvest',
+        description: 'Bring a Golden Tomato back to the theatre.',
+        objectives: [{ type: 'return-item', item: 'Golden Tomato', count: 1, label: 'Golden Tomatoes delivered' }],
+        reward: { itemId: 'usher-lantern', quantity: 1 }
+    }
+];
+
+function rarityRank(rarity) {
+    const rank = RARITY_ORDER.indexOf(rarity);
+    return rank < 0 ? 0 : rank;
+}
+
+export function objectiveMatches(objective, event) {
+    if (!event || objective.type !== event.type) return false;
+    switch (objective.type) {
+        case 'discover':
+            return !!event.key;
+        case 'open-chest':
+            return rarityRank(event.rarity) >= rarityRank(objective.rarity);
+        case 'banish':
+            return !objective.archetype || objective.archetype === event.archetype;
+        case 'return-item':
+            return objective.item === event.item;
+        default:
+            return false;
+    }
+}
+
+export class QuestLog {
+    // saved is what toJSON() returned in an earlier session
+    constructor(definitions = QUESTS, saved = null) {
+        this.definitions = definitions;
+        this.state = new Map();
+        definitions.forEach((quest) => {
+            const previous = saved?.[quest.id];
+            this.state.set(quest.id, {
+                progress: quest.objectives.map((objective, i) => Math.min(objective.count, Math.max(0, Number(previous?.progress?.[i]) || 0))),
+                // Distinct keys already counted, for objectives such as discover
+                seen: quest.objectives.map((objective, i) => (Array.isArray(previous?.seen?.[i]) ? [...previous.seen[i]] : [])),
+                completed: !!previous?.completed,
+                rewarded: !!previous?.rewarded
+            });
+        });
+    }
+
+    // Count one game event. Returns the quests it completed.
+    record(event) {
+        const completed = [];
+        this.definitions.forEach((quest) => {
+            const state = this.state.get(quest.id);
+            if (state.completed) return;
+
+            let changed = false;
+            quest.objectives.forEach((objective, i) => {
+                if (state.progress[i] >= objective.count || !objectiveMatches(objective, event)) return;
+                if (event.key) {
+                    if (state.seen[i].includes(event.key)) return;
+                    state.seen[i].push(event.key);
+                }
+                state.progress[i] += 1;
+                changed = true;
+            });
+
+            if (changed && quest.objectives.every((objective, i) => state.progress[i] >= objective.count)) {
+                state.completed = true;
+                completed.push(quest);
+            }
+        });
+        return completed;
+    }
+
+    // Item names that unfinished quests want carried back to the theatre
+    getWantedItems() {
+        const wanted = new Set();
+        this.definitions.forEach((quest) => {
+            const state = this.state.get(quest.id);
+            quest.objectives.forEach((objective, i) => {
+                if (objective.type === 'return-item' && !state.completed && state.progress[i] < objective.count) {
+                    wanted.add(objective.item);
+                }
+            });
+        });
+        return Array.from(wanted);
+    }
+
+    markRewarded(questId) {
+        const state = this.state.get(questId);
+        if (state?.completed) state.rewarded = true;
+    }
+
+    getQuests() {
+        return this.definitions.map((quest) => {
+            const { progress, completed, rewarded } = this.state.get(quest.id);
+            return { ...quest, progress: [...progress], completed, rewarded };
+        });
+    }
+
+    toJSON() {
+        const saved = {};
+        this.state.forEach(({ progress, seen, completed, rewarded }, id) => {
+            saved[id] = { progress: [...progress], seen: seen.map((keys) => [...keys]), completed, rewarded };
+        });
+        return saved;
+    }
+}
@@ -0,0 +1,129 @@
+// Stream quality, in one place. A host picks a preset for their screen
+// share, which sets how it is captured, how the browser encodes it and how
+// often and how large the theatre screen redraws it. Each viewer can also
+// set a ceiling on what they receive, for a slow connection or machine.
+// The server checks presets against this module and the relay picks layers
+// by it, so both sides share it.
+export const STREAM_PRESETS = {
+    standard: {
+        label: '🎬 Standard',
+        capture: { width: 1280, height: 720, frameRate: 15 },
+        contentHint: 'detail',
+        maxBitrate: 1_400_000,
+        maxFramerate: 15,
+        degradationPreference: 'maintain-framerate',
+        texture: { maxWidth: 960, frameRate: 12 },
+        maxSyncDelayMs: 3000
+    },
+    // Sharp text that hardly moves: every pixel, a few times a second
+    slides: {
+        label: '📊 Slides',
+        capture: { width: 1920, height: 1080, frameRate: 5 },
+        contentHint: 'text',
+        maxBitrate: 1_200_000,
+        maxFramerate: 5,
+        degradationPreference: 'maintain-resolution',
+        texture: { maxWidth: 1920, frameRate: 5 },
+        maxSyncDelayMs: 3000
+    },
+    // Films run at 24 or 30 fps; capturing at 30 keeps either smooth
+    movie: {
+        label: '🍿 Movie',
+        capture: { width: 1280, height: 720, frameRate: 30 },
+        contentHint: 'motion',
+        maxBitrate: 2_500_000,
+        maxFramerate: 30,
+        degradationPreference: 'balanced',
+        texture: { maxWidth: 1280, frameRate: 30 },
+        maxSyncDelayMs: 3000
+    },
+    // Smooth and close to live: viewers are not held back far for the slowest
+    game: {
+        label: '🎮 Game',
+        capture: { width: 1280, height: 720, frameRate: 60 },
+        contentHint: 'motion',
+        maxBitrate: 3_000_000,
+        maxFramerate: 60,
+        degradationPreference: 'maintain-framerate',
+        texture: { maxWidth: 1280, frameRate: 60 },
+        maxSyncDelayMs: 500
+    }
+};
+export const DEFAULT_QUALITY = 'standard';
+export const STREAM_QUALITIES = Object.keys(STREAM_PRESETS);
+
+// Simulcast layers the host encodes in relay mode, best first, as shares of
+// the preset's bitrate. The relay picks between them by rid.
+export const SIMULCAST_LAYERS = [
+    { rid: 'h', bitrateShare: 1, scaleResolutionDownBy: 1 },
+    { rid: 'm', bitrateShare: 0.36, scaleResolutionDownBy: 2 },
+    { rid: 'l', bitrateShare: 0.11, scaleResolutionDownBy: 4 }
+];
+
+// The best layer a viewer will take; peer-to-peer hosts encode that viewer's
+// connection like the layer, the relay forwards no better one
+export const QUALITY_CEILINGS = {
+    auto: { label: '📶 Best Quality', layer: 0 },
+    medium: { label: '📶 Medium Quality', layer: 1 },
+    low: { label: '📶 Low Quality', layer: 2 }
+};
+export const DEFAULT_CEILING = 'auto';
+
+// Congestion control scales the whole preset down to this share at most
+export const MIN_BITRATE_SHARE = 0.2;
+export const BITRATE_STEP_SHARE = 0.1;
+
+// Each step down in theatre performance shrinks the screen texture and
+// redraws it less often, as shares of the preset's texture. A host's own
+// preview is smaller and slower, as their machine is encoding the stream
+// too: at the standard preset 640, 512 then 426 pixels wide.
+const PERFORMANCE_STEPS = {
+    remote: { width: [1, 0.75, 0.5625], frameRate: [1, 2 / 3, 1 / 2] },
+    local: { width: [640 / 960, 512 / 960, 426 / 960], frameRate: [8 / 12, 6 / 12, 4 / 12] }
+};
+const MIN_TEXTURE_WIDTH = 320;
+
+export function getPreset(quality) {
+    return STREAM_PRESETS[quality] ?? STREAM_PRESETS[DEFAULT_QUALITY];
+}
+
+export function getCeilingLayer(ceiling) {
+    return (QUALITY_CEILINGS[ceiling] ?? QUALITY_CEILINGS[DEFAULT_CEILING]).layer;
+}
+
+// Parameters for a peer-to-peer sender's single encoding, for one viewer
+export function getSenderEncoding(quality, { ceiling = DEFAULT_CEILING, bitrateShare = 1 } = {}) {
+    const preset = getPreset(quality);
+    const layer = SIMULCAST_LAYERS[getCeilingLayer(ceiling)];
+    return {
+        maxBitrate: Math.round(preset.maxBitrate * layer.bitrateShare * bitrateShare),
+        maxFramerate: preset.maxFramerate,
+        scaleResolutionDownBy: layer.scaleResolutionDownBy
+    };
+}
+
+// sendEncodings for publishing to the relay
+export function getSimulcastEncodings(quality) {
+    const preset = getPreset(quality);
+    return SIMULCAST_LAYERS.map(({ rid, bitrateShare, scaleResolutionDownBy }) => ({
+        rid,
+        maxBitrate: Math.round(preset.maxBitrate * bitrateShare),
+        maxFramerate: preset.maxFramerate,
+        scaleResolutionDownBy
+    }));
+}
+
+function getPerformanceStep(steps, performanceLevel) {
+    return steps[Math.min(Math.max(performanceLevel, 0), steps.length - 1)];
+}
+
+// How large and how often the theatre screen redraws a stream
+export function getScreenTexture(quality, { isLocalHost = false, performanceLevel = 0 } = {}) {
+    const { texture } = getPreset(quality);
+    const steps = isLocalHost ? PERFORMANCE_STEPS.local : PERFORMANCE_STEPS.remote;
+    const frameRate = texture.frameRate * getPerformanceStep(steps.frameRate, performanceLevel);
+    return {
+        maxWidth: Math.max(MIN_TEXTURE_WIDTH, Math.round(texture.maxWidth * getPerformanceStep(steps.width, performanceLevel))),
+        frameIntervalMs: Math.round(1000 / frameRate)
+    };
+}
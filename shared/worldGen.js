@@ -0,0 +1,180 @@
+// The seeded parts of the world that the client builds and the server
+// simulates: seeds, temple placement, the ghosts a room starts with, loot
+// rolls and where dungeons sit. Both sides import this one module, so one
+// seed always means the same world to each of them.
+export const TEMPLE_CELL_SIZE = 250;
+export const SPAWN = { x: 0, z: 88 };
+
+// The two temples nearest the theatre always stand, each with a guardian
+const GUARDED_TEMPLE_CELLS = [[0, 0], [0, 1]];
+
+// Seeds are shared openly as codes, so they need not be unguessable
+export function createWorldSeed() {
+    return Math.floor(Math.random() * 2 ** 32);
+}
+
+// Seed codes are how players share a world they liked
+export function formatSeedCode(seed) {
+    return (seed >>> 0).toString(36).toUpperCase();
+}
+
+export function parseSeedCode(code) {
+    const text = String(code ?? '').trim();
+    if (!/^[0-9a-z]{1,7}$/i.test(text)) return null;
+    const seed = parseInt(text, 36);
+    return seed < 2 ** 32 ? seed : null;
+}
+
+// Integer hash of a seed and a point, in [0, 1). Integer maths gives every
+// JavaScript engine the same answer, which Math.sin() does not promise.
+export function hash2D(seed, x, z) {
+    let h = (seed ^ Math.imul(Math.round(x * 1000), 0x27d4eb2d)) >>> 0;
+    h = Math.imul(h ^ Math.round(z * 1000), 0x165667b1);
+    h = Math.imul(h ^ (h >>> 15), 0x85ebca6b);
+    h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+    return ((h ^ (h >>> 16)) >>> 0) / 4294967296;
+}
+
+export function seededRange(seed, x, z, salt, min, max) {
+    return min + (max - min) * hash2D(seed, x + (salt * 17.13), z - (salt * 9.73));
+}
+
+// Small seeded generator for sequences such as ghost spawns
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = Math.imul(state ^ (state >>> 15), state | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+export function getTempleCellKey(cellX, cellZ) {
+    return `${cellX}:${cellZ}`;
+}
+
+// Which cells hold a temple. Safe zones, chests and discoveries only count
+// at these, as clients build no others.
+export function shouldSpawnTemple(seed, cellX, cellZ) {
+    if (GUARDED_TEMPLE_CELLS.some(([x, z]) => x === cellX && z === cellZ)) return true;
+    return hash2D(seed, cellX + 19.7, cellZ - 12.1) > 0.58;
+}
+
+export function getTemplePosition(seed, cellX, cellZ) {
+    const x = cellX * TEMPLE_CELL_SIZE + seededRange(seed, cellX, cellZ, 1, -52, 52);
+    let z = cellZ * TEMPLE_CELL_SIZE + seededRange(seed, cellX, cellZ, 2, -52, 52);
+    if (z < 95) {
+        z = 95 + seededRange(seed, cellX, cellZ, 3, 0, 40);
+    }
+    return { x, z };
+}
+
+// Ghosts a room starts with, which the client also spawns to play offline
+export function generateGhostSpawns(seed, spawn = SPAWN) {
+    const random = createRandom(seed);
+    const ghosts = [];
+    const addGhost = (x, z, { minSpeed, speedRange, minAggro, alerted, archetype = 'wraith', minHealth = 2, healthRange = 3, killRange = 2.0, ...extra }) => {
+        const baseSpeed = minSpeed + random() * speedRange;
+        ghosts.push({
+            id: `ghost-${ghosts.length}`,
+            archetype,
+            type: random(),
+            x,
+            z,
+            speed: baseSpeed,
+            baseSpeed,
+            aggroRange: minAggro + random() * 35,
+            killRange,
+            health: minHealth + Math.floor(random() * healthRange),
+            alerted,
+            ...extra
+        });
+    };
+
+    // Guaranteed nearby pressure right after leaving the theatre
+    for (let i = 0; i < 2; i++) {
+        const angle = (i / 4) * Math.PI * 2 + random() * 0.3;
+        const radius = 12 + random() * 10;
+        addGhost(spawn.x + Math.cos(angle) * radius, spawn.z + Math.sin(angle) * radius + 10,
+            { minSpeed: 2.6, speedRange: 1.4, minAggro: 85, alerted: true });
+    }
+
+    for (let i = 0; i < 6; i++) {
+        const nearSpawn = i < 2;
+        const x = nearSpawn ? (random() - 0.5) * 60 : (random() - 0.5) * 250;
+        const z = nearSpawn ? 100 + random() * 50 : 120 + random() * 200;
+        addGhost(x, z, { minSpeed: 2.2, speedRange: 1.5, minAggro: 70, alerted: nearSpawn });
+    }
+
+    // A guardian circles each of the two temples nearest the theatre
+    GUARDED_TEMPLE_CELLS.forEach(([cellX, cellZ]) => {
+        const temple = getTemplePosition(seed, cellX, cellZ);
+        addGhost(temple.x + 28, temple.z, {
+            archetype: 'guardian', minSpeed: 2.4, speedRange: 0.8, minAggro: 0, alerted: false,
+            minHealth: 4, healthRange: 2, killRange: 2.2, home: { x: temple.x, z: temple.z }
+        });
+    });
+
+    for (let i = 0; i < 3; i++) {
+        const x = (random() - 0.5) * 300;
+        const z = 130 + random() * 180;
+        addGhost(x, z, { archetype: 'ambusher', minSpeed: 3.0, speedRange: 0.8, minAggro: 0, alerted: false, healthRange: 1 });
+    }
+
+    // One pack of stalkers, spread to flank from the left, middle and right
+    const packX = (random() - 0.5) * 200;
+    const packZ = 200 + random() * 80;
+    [-0.9, 0, 0.9].forEach((flankOffset, i) => {
+        addGhost(packX + (i - 1) * 4, packZ, {
+            archetype: 'stalker', minSpeed: 2.6, speedRange: 0.8, minAggro: 0, alerted: false,
+            healthRange: 2, packId: 0, flankOffset
+        });
+    });
+
+    // Only some worlds have a boss
+    if (random() < 0.25) {
+        const x = (random() - 0.5) * 200;
+        const z = 280 + random() * 30;
+        addGhost(x, z, {
+            archetype: 'boss', minSpeed: 1.8, speedRange: 0.4, minAggro: 0, alerted: false,
+            minHealth: 12, healthRange: 5, killRange: 3.2
+        });
+    }
+    return ghosts;
+}
+
+// Loot is rolled per chest key; salts keep temple chests and vaults apart
+export const LOOT_SALT = { temple: 7, vault: 11 };
+
+// Which entry of a weighted loot table a chest holds
+export function rollLoot(seed, chestKey, weights, salt = LOOT_SALT.temple) {
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    const [cellX, cellZ] = String(chestKey).split(':').map(Number);
+    let r = seededRange(seed, cellX || 0, cellZ || 0, salt, 0, total);
+    for (let i = 0; i < weights.length; i++) {
+        r -= weights[i];
+        if (r <= 0) return i;
+    }
+    return 0;
+}
+
+// Each temple's dungeon is built far beyond the map, one square plot per
+// temple cell, so ghosts never reach it and people in the same dungeon meet
+export const DUNGEON_SIZE = 27;
+export const DUNGEON_TILE_SIZE = 4;
+// What stepping on a dungeon's spikes costs, whether the server or an
+// offline client is keeping score
+export const TRAP_DAMAGE = 15;
+const DUNGEON_ORIGIN_Z = 6000;
+const DUNGEON_SPACING = 400;
+
+export function getDungeonOrigin(cellX, cellZ) {
+    return { x: cellX * DUNGEON_SPACING, z: DUNGEON_ORIGIN_Z + cellZ * DUNGEON_SPACING };
+}
+
+export function isInDungeon(cellX, cellZ, x, z) {
+    const origin = getDungeonOrigin(cellX, cellZ);
+    const halfSpan = (DUNGEON_SIZE * DUNGEON_TILE_SIZE) / 2;
+    return Math.abs(x - origin.x) <= halfSpan && Math.abs(z - origin.z) <= halfSpan;
+}
@@ -1,9 +1,21 @@
+import { ITEMS, STARTING_ITEMS, createItem, resolveItem } from './itemCatalog.js';
+import { BINDLE_COLUMNS, BINDLE_ROWS, INVENTORY_SLOTS } from '../shared/bindle.js';
+
 export class Bindle {
-    constructor(networkManager) {
+    // Pass startingItems: false when a saved inventory is about to be loaded
+    constructor(networkManager, { startingItems = true } = {}) {
         this.networkManager = networkManager;
+        this.startingItems = startingItems;
+        // Called whenever the inventory or equipment changes
+        this.onChange = null;
+        // Called with a quest id once the server has paid its reward
+        this.onQuestReward = null;
+        // While the server keeps our inventory, the Bindle only shows it and
+        // asks the server for every change
+        this.serverBacked = false;
         this.app = null;
         this.isOpen = false;
-        this.inventory = new Array(8 * 10).fill(null); // 8x10 grid like Diablo II
+        this.inventory = new Array(INVENTORY_SLOTS).fill(null);
         this.equipment = {
             head: null,
             face: null,
@@ -35,8 +47,36 @@ export class Bindle {
     init() {
         this.createBindleUI();
         this.setupEventListeners();
-        this.generateStartingItems();
+        if (this.startingItems) this.generateStartingItems();
         this.initWearableSystem();
+        this.setupInventorySync();
+    }
+
+    setupInventorySync() {
+        const socket = this.networkManager?.socket;
+        if (!socket) return;
+
+        socket.on('inventory-state', (data) => {
+            this.serverBacked = true;
+            this.loadInventoryData(data);
+            this.notifyChange();
+        });
+        socket.on('inventory-used', (data) => this.applyConsumableEffect(data.item));
+        socket.on('inventory-denied', (data) => this.showMessage(data.reason, 'error'));
+        socket.on('inventory-reward', (data) => {
+            if (data.item) this.showLootNotification(data.item);
+            if (this.onQuestReward) this.onQuestReward(data.questId);
+        });
+        // Offline we carry on with the last inventory the server showed us
+        socket.on('disconnect', () => { this.serverBacked = false; });
+    }
+
+    isServerBacked() {
+        return this.serverBacked && !!this.networkManager?.isConnected;
+    }
+
+    requestChange(event, payload) {
+        this.networkManager.socket.emit(event, payload);
     }
     
     initWearableSystem() {
@@ -229,8 +269,8 @@ export class Bindle {
         inventoryGrid.id = 'inventory-grid';
         inventoryGrid.style.cssText = `
             display: grid;
-            grid-template-columns: repeat(8, 1fr);
-            grid-template-rows: repeat(10, 1fr);
+            grid-template-columns: repeat(${BINDLE_COLUMNS}, 1fr);
+            grid-template-rows: repeat(${BINDLE_ROWS}, 1fr);
             gap: 2px;
             height: 360px;
             background: rgba(0, 0, 0, 0.2);
@@ -239,7 +279,7 @@ export class Bindle {
         `;
         
         // Create inventory slots
-        for (let i = 0; i < 80; i++) {
+        for (let i = 0; i < INVENTORY_SLOTS; i++) {
             const slot = document.createElement('div');
             slot.className = 'inventory-slot';
             slot.dataset.slotIndex = i;
@@ -306,6 +346,10 @@ export class Bindle {
         }
     }
     
+    showBindle() {
+        if (!this.isOpen) this.toggleBindle();
+    }
+    
     hideBindle() {
         this.isOpen = false;
         const container = document.getElementById('bindle-container');
@@ -314,17 +358,9 @@ export class Bindle {
     }
     
     generateStartingItems() {
-        // Add some starting items to the bindle
-        const startingItems = [
-            { type: 'consumable', name: 'Tomato', icon: '🍅', description: 'A fresh tomato for throwing', stackable: true, quantity: 5 },
-            { type: 'equipment', name: 'Pixel Mask', icon: '🎭', description: 'A retro pixel art mask for MisfitPixels fans', slot: 'head', stats: { charisma: +2, style: +1 }, rarity: 'uncommon' },
-            { type: 'equipment', name: 'Pixel Boots', icon: '👟', description: 'Stylish pixel art boots', slot: 'feet', stats: { speed: +1, style: +1 }, rarity: 'uncommon' },
-            { type: 'consumable', name: 'Popcorn', icon: '🍿', description: 'Classic movie snack', stackable: true, quantity: 3 },
-            { type: 'equipment', name: 'Pixel Wand', icon: '🪄', description: 'A magical pixel art wand that enhances abilities', slot: 'rightHand', stats: { power: +1, magic: +1 }, rarity: 'rare' }
-        ];
-        
-        startingItems.forEach((item, index) => {
-            this.addItemToInventory(item, index);
+        // New players start with the catalog's starting items
+        STARTING_ITEMS.forEach(({ itemId, quantity }, index) => {
+            this.addItemToInventory(createItem(itemId, quantity), index);
         });
         
         console.log('🎒 Starting items added to bindle');
@@ -344,6 +380,7 @@ export class Bindle {
         // Add item to inventory
         this.inventory[slotIndex] = item;
         this.updateInventorySlotUI(slotIndex, item);
+        this.notifyChange();
         
         return true;
     }
@@ -352,6 +389,19 @@ export class Bindle {
         const slot = document.querySelector(`[data-slot-index="${slotIndex}"]`);
         if (!slot) return;
         
+        this.renderItemSlot(slot, item);
+        if (item) {
+            // Make draggable
+            slot.draggable = true;
+            slot.addEventListener('dragstart', (e) => this.handleDragStart(e, slotIndex, item));
+        } else {
+            slot.draggable = false;
+        }
+    }
+
+    // Draws an item (or nothing) into a slot element; the trade window
+    // shares it
+    renderItemSlot(slot, item) {
         if (item) {
             slot.innerHTML = `
                 <div style="font-size: 24px;">${item.icon}</div>
@@ -361,15 +411,10 @@ export class Bindle {
             `;
             slot.style.background = this.getItemRarityColor(item);
             slot.title = `${item.name}\n${item.description}${item.stats ? '\n' + this.formatStats(item.stats) : ''}`;
-            
-            // Make draggable
-            slot.draggable = true;
-            slot.addEventListener('dragstart', (e) => this.handleDragStart(e, slotIndex, item));
         } else {
             slot.innerHTML = '';
             slot.style.background = 'rgba(0, 0, 0, 0.4)';
             slot.title = '';
-            slot.draggable = false;
         }
     }
     
@@ -415,6 +460,10 @@ export class Bindle {
     
     moveItem(fromSlot, toSlot) {
         if (fromSlot === toSlot) return;
+        if (this.isServerBacked()) {
+            this.requestChange('inventory-move', { from: fromSlot, to: toSlot });
+            return;
+        }
         
         const fromItem = this.inventory[fromSlot];
         const toItem = this.inventory[toSlot];
@@ -426,6 +475,7 @@ export class Bindle {
         // Update UI
         this.updateInventorySlotUI(fromSlot, toItem);
         this.updateInventorySlotUI(toSlot, fromItem);
+        this.notifyChange();
         
         console.log(`Moved ${fromItem?.name} from slot ${fromSlot} to ${toSlot}`);
     }
@@ -460,6 +510,10 @@ export class Bindle {
     
     equipItem(item, slotIndex) {
         if (!item || (item.type !== 'equipment' && item.type !== 'wearable')) return false;
+        if (this.isServerBacked()) {
+            this.requestChange('inventory-equip', { slotIndex });
+            return true;
+        }
         
         let equipSlot = this.normalizeEquipmentSlot(item.slot);
         if (equipSlot === 'finger') {
@@ -497,6 +551,7 @@ export class Bindle {
         
         // Apply item effects
         this.applyItemEffects();
+        this.notifyChange();
         
         console.log(`Equipped ${item.name} to ${equipSlot}`);
         return true;
@@ -506,6 +561,10 @@ export class Bindle {
         const equipSlot = this.normalizeEquipmentSlot(slotType);
         const item = this.equipment[equipSlot];
         if (!item) return false;
+        if (this.isServerBacked()) {
+            this.requestChange('inventory-unequip', { slot: equipSlot });
+            return true;
+        }
 
         const emptySlot = this.inventory.findIndex(slot => slot === null);
         if (emptySlot === -1) {
@@ -522,6 +581,7 @@ export class Bindle {
         this.updateEquipmentSlotUI(equipSlot, null);
         this.updateInventorySlotUI(emptySlot, item);
         this.applyItemEffects();
+        this.notifyChange();
         this.showMessage(`Unequipped ${item.name}`, 'info');
         return true;
     }
@@ -600,6 +660,11 @@ export class Bindle {
 
     useConsumable(item, slotIndex) {
         if (!item || item.type !== 'consumable') return false;
+        // The server uses it up and tells us to apply the effect
+        if (this.isServerBacked()) {
+            this.requestChange('inventory-use', { slotIndex });
+            return true;
+        }
 
         this.applyConsumableEffect(item);
 
@@ -615,6 +680,7 @@ export class Bindle {
             this.inventory[slotIndex] = null;
             this.updateInventorySlotUI(slotIndex, null);
         }
+        this.notifyChange();
 
         return true;
     }
@@ -634,51 +700,32 @@ export class Bindle {
         this.activeEffects.set(key, timeout);
     }
 
+    // What a consumable does comes from its catalog effect
     applyConsumableEffect(item) {
-        const name = (item.name || '').toLowerCase();
+        const effect = item.effect ?? ITEMS[item.itemId]?.effect;
 
-        if (name.includes('tomato')) {
+        if (effect?.type === 'throwable') {
             this.showMessage(`${item.name} ready. Throw with T.`, 'info');
             return;
         }
 
-        if (name.includes('popcorn')) {
+        if (effect?.type === 'boost') {
             this.applyTimedEffect(
-                'popcorn-speed',
-                12000,
+                `boost-${item.itemId}`,
+                effect.durationMs,
                 () => {
                     if (this.app?.setItemBonuses) {
                         const next = { ...(this.app.itemBonuses || {}) };
-                        next.speed = (next.speed || 0) + 1;
+                        Object.entries(effect.stats).forEach(([stat, value]) => {
+                            next[stat] = (next[stat] || 0) + value;
+                        });
                         this.app.setItemBonuses(next);
                     }
-                    this.showMessage('Popcorn sugar rush: speed boosted', 'info');
+                    this.showMessage(effect.message || `${item.name} active`, 'info');
                 },
                 () => {
                     this.applyItemEffects();
-                    this.showMessage('Popcorn effect faded', 'info');
-                }
-            );
-            return;
-        }
-
-        if (name.includes('courage potion')) {
-            this.applyTimedEffect(
-                'courage-potion',
-                30000,
-                () => {
-                    if (this.app?.setItemBonuses) {
-                        const next = { ...(this.app.itemBonuses || {}) };
-                        next.speed = (next.speed || 0) + 2;
-                        next.power = (next.power || 0) + 2;
-                        next.protection = (next.protection || 0) + 2;
-                        this.app.setItemBonuses(next);
-                    }
-                    this.showMessage('Courage potion active', 'info');
-                },
-                () => {
-                    this.applyItemEffects();
-                    this.showMessage('Courage potion wore off', 'info');
+                    this.showMessage(effect.endMessage || `${item.name} wore off`, 'info');
                 }
             );
             return;
@@ -687,6 +734,26 @@ export class Bindle {
         this.showMessage(`Used ${item.name}`, 'info');
     }
     
+    // Hand over one of the named item, e.g. for a quest; stacks lose one
+    takeItem(name) {
+        const slotIndex = this.inventory.findIndex(item => item?.name === name);
+        if (slotIndex === -1) return false;
+
+        const item = this.inventory[slotIndex];
+        // Shown straight away; the server's inventory follows
+        if (this.isServerBacked()) {
+            this.requestChange('inventory-take', { itemId: item.itemId });
+        }
+        if (item.stackable && item.quantity > 1) {
+            item.quantity--;
+        } else {
+            this.inventory[slotIndex] = null;
+        }
+        this.updateInventorySlotUI(slotIndex, this.inventory[slotIndex]);
+        this.notifyChange();
+        return true;
+    }
+    
     addLoot(lootItem) {
         const added = this.addItemToInventory(lootItem);
         if (added) {
@@ -697,6 +764,25 @@ export class Bindle {
         return added;
     }
     
+    // Loot from a chest. The server has already put it in its copy of our
+    // inventory when it keeps one.
+    receiveLoot(lootItem) {
+        if (this.isServerBacked()) {
+            this.showLootNotification(lootItem);
+            return true;
+        }
+        return this.addLoot(lootItem);
+    }
+
+    // Resolves through onQuestReward when the server keeps our inventory
+    claimQuestReward(questId, reward) {
+        if (this.isServerBacked()) {
+            this.requestChange('inventory-claim-reward', { questId });
+            return false;
+        }
+        return this.addLoot(reward);
+    }
+    
     showLootNotification(item) {
         const notification = document.createElement('div');
         notification.style.cssText = `
@@ -775,17 +861,25 @@ export class Bindle {
         };
     }
     
+    notifyChange() {
+        if (this.onChange) this.onChange();
+    }
+    
     loadInventoryData(data) {
         if (data.inventory) {
-            this.inventory = data.inventory;
+            this.inventory = this.inventory.map((_, index) => resolveItem(data.inventory[index]));
             this.inventory.forEach((item, index) => {
                 this.updateInventorySlotUI(index, item);
             });
         }
         
         if (data.equipment) {
-            this.equipment = data.equipment;
-            Object.entries(this.equipment).forEach(([slot, item]) => {
+            Object.keys(this.equipment).forEach(slot => {
+                const current = this.equipment[slot];
+                const item = resolveItem(data.equipment[slot]);
+                if (current?.type === 'wearable') this.unequipWearable(current);
+                if (item?.type === 'wearable') this.equipWearable(item);
+                this.equipment[slot] = item;
                 this.updateEquipmentSlotUI(slot, item);
             });
             this.applyItemEffects();
@@ -10,6 +10,9 @@ export class ChatManager {
         this.messageHistory = [];
         this.maxMessages = 100;
         this.fadeTimeout = null;
+        this.historyLoaded = false;
+        this.isChatMuted = false;
+        this.isVoiceMuted = false;
         this.userName = `Anon_${(this.networkManager?.userId || 'local').slice(-4)}`;
 
         this.init();
@@ -112,6 +115,11 @@ export class ChatManager {
         });
 
         if (this.networkManager?.socket) {
+            this.networkManager.socket.on('room-joined', (data) => {
+                this.loadHistory(data.chatHistory);
+                this.isChatMuted = !!data.chatMuted?.includes(this.networkManager.userId);
+                this.setVoiceMuted(!!data.voiceMuted?.includes(this.networkManager.userId));
+            });
             this.networkManager.socket.on('chat-message', (data) => {
                 this.addMessage(data.message, data.userName || `Anon_${data.userId?.slice(-4) || '????'}`, '#6f6');
             });
@@ -121,6 +129,7 @@ export class ChatManager {
             this.networkManager.socket.on('user-left', (userId) => {
                 this.addSystemMessage(`${userId?.slice(-4) || 'Someone'} left.`);
             });
+            this.networkManager.socket.on('user-muted', (data) => this.handleUserMuted(data));
             this.networkManager.socket.on('voice-offer', (data) => this.handleVoiceOffer(data));
             this.networkManager.socket.on('voice-answer', (data) => this.handleVoiceAnswer(data));
             this.networkManager.socket.on('voice-ice-candidate', (data) => this.handleIceCandidate(data));
@@ -164,7 +173,13 @@ export class ChatManager {
             return;
         }
 
+        if (this.isChatMuted) {
+            this.addSystemMessage('You are muted and cannot send messages.');
+            return;
+        }
+
         this.addMessage(text, this.userName, '#ff0');
+        this.networkManager?.app?.sessionRecorder?.recordChat(this.networkManager.userId, this.userName, text);
 
         if (this.networkManager?.socket) {
             this.networkManager.socket.emit('chat-message', {
@@ -187,6 +202,17 @@ export class ChatManager {
         this.scheduleFade();
     }
 
+    loadHistory(history) {
+        // Reconnects resend the history; only replay it into the log once
+        if (this.historyLoaded || !history?.length) return;
+        this.historyLoaded = true;
+
+        history.forEach(entry => {
+            const isOwn = entry.userId === this.networkManager?.userId;
+            this.addMessage(entry.message, entry.userName || `Anon_${entry.userId?.slice(-4) || '????'}`, isOwn ? '#ff0' : '#6f6');
+        });
+    }
+
     addSystemMessage(text) {
         const log = document.getElementById('chat-log');
         const div = document.createElement('div');
@@ -230,9 +256,39 @@ export class ChatManager {
         if (!window.RTCPeerConnection) console.warn('WebRTC not supported');
     }
 
+    handleUserMuted({ userId, kind, muted }) {
+        if (userId !== this.networkManager.userId) return;
+
+        if (kind === 'chat') {
+            this.isChatMuted = muted;
+            this.addSystemMessage(muted ? 'The host muted your chat.' : 'The host unmuted your chat.');
+        } else if (kind === 'voice') {
+            this.setVoiceMuted(muted);
+            this.addSystemMessage(muted ? 'The host muted your voice.' : 'The host unmuted your voice.');
+        }
+    }
+
+    setVoiceMuted(muted) {
+        this.isVoiceMuted = muted;
+        if (muted) this.stopVoiceChat();
+        const btn = document.getElementById('voice-btn');
+        if (btn) {
+            btn.disabled = muted;
+            btn.title = muted ? 'Muted by the host' : '';
+        }
+    }
+
+    stopVoiceChat() {
+        if (this.isVoiceChatEnabled) this.toggleVoiceChat();
+    }
+
     async toggleVoiceChat() {
         const btn = document.getElementById('voice-btn');
         if (!this.isVoiceChatEnabled) {
+            if (this.isVoiceMuted) {
+                this.addSystemMessage('You are muted and cannot use voice chat.');
+                return;
+            }
             try {
                 this.localStream = await navigator.mediaDevices.getUserMedia({ audio: { echoCancellation: true, noiseSuppression: true, autoGainControl: true } });
                 this.isVoiceChatEnabled = true;
@@ -28,14 +28,15 @@ export class LicenseManager {
     }
     
     async validateLicense(licenseData) {
-        // In production, this would validate against your license server
-        // For now, we'll do basic validation
+        // The server verifies the token's signature when a room is created;
+        // here we only read it to show the right tier.
+        const license = this.decodeLicenseToken(licenseData.key);
         
-        if (licenseData.key && licenseData.key.length === 16) {
+        if (license) {
             this.hasLicense = true;
             this.licenseKey = licenseData.key;
-            this.accountId = licenseData.accountId;
-            this.licenseType = licenseData.type || 'basic';
+            this.accountId = license.accountId;
+            this.licenseType = license.type;
             
             console.log('✅ Valid license found:', this.licenseType);
             this.showLicenseStatus();
@@ -45,6 +46,25 @@ export class LicenseManager {
         return false;
     }
     
+    // License keys are "<payload>.<signature>" tokens issued with
+    // `npm run license -- issue`; the payload is base64url JSON.
+    decodeLicenseToken(token) {
+        if (typeof token !== 'string') return null;
+        
+        const [payload, signature] = token.trim().split('.');
+        if (!payload || !signature) return null;
+        
+        try {
+            const json = atob(payload.replace(/-/g, '+').replace(/_/g, '/'));
+            const license = JSON.parse(json);
+            if (!['basic', 'premium'].includes(license.type)) return null;
+            if (license.expiresAt && license.expiresAt <= Date.now()) return null;
+            return license;
+        } catch (error) {
+            return null;
+        }
+    }
+    
     createLicenseUI() {
         // License status in main UI
         const licenseStatus = document.createElement('div');
@@ -192,7 +212,7 @@ export class LicenseManager {
     
     initiatePurchase(licenseType) {
         // In production, this would integrate with Stripe, PayPal, etc.
-        alert(`Purchase ${licenseType} license for ${licenseType === 'basic' ? '$19.99' : '$39.99'}.\n\nThis would redirect to payment processor.\n\nFor demo: Use license key "DEMO-${licenseType.toUpperCase()}-KEY1"`);
+        alert(`Purchase ${licenseType} license for ${licenseType === 'basic' ? '$19.99' : '$39.99'}.\n\nThis would redirect to payment processor.`);
     }
     
     showLicenseEntry() {
@@ -213,8 +233,8 @@ export class LicenseManager {
         
         entryModal.innerHTML = `
             <h3 style="color: #00ffff; margin-bottom: 20px;">Enter License Key</h3>
-            <input type="text" id="license-key-input" placeholder="XXXX-XXXX-XXXX-XXXX" maxlength="19" 
-                   style="background: rgba(255, 255, 255, 0.1); border: 1px solid #00ffff; border-radius: 8px; padding: 12px; color: #fff; font-size: 16px; text-align: center; width: 250px; margin-bottom: 16px;">
+            <input type="text" id="license-key-input" placeholder="Paste your license key" 
+                   style="background: rgba(255, 255, 255, 0.1); border: 1px solid #00ffff; border-radius: 8px; padding: 12px; color: #fff; font-size: 14px; text-align: center; width: 320px; margin-bottom: 16px;">
             <br>
             <button id="activate-license" style="background: #4CAF50; border: none; color: white; padding: 12px 24px; border-radius: 8px; cursor: pointer; font-weight: bold; margin-right: 12px;">Activate</button>
             <button id="cancel-license-entry" style="background: #666; border: none; color: white; padding: 12px 24px; border-radius: 8px; cursor: pointer;">Cancel</button>
@@ -226,14 +246,6 @@ export class LicenseManager {
         const input = entryModal.querySelector('#license-key-input');
         input.focus();
         
-        // Format license key as user types
-        input.addEventListener('input', (e) => {
-            let value = e.target.value.replace(/[^A-Z0-9]/g, '');
-            value = value.match(/.{1,4}/g)?.join('-') || value;
-            if (value.length > 19) value = value.substring(0, 19);
-            e.target.value = value;
-        });
-        
         entryModal.querySelector('#activate-license').addEventListener('click', () => {
             this.activateLicense(input.value);
             document.body.removeChild(entryModal);
@@ -255,17 +267,13 @@ export class LicenseManager {
     }
     
     activateLicense(licenseKey) {
-        // Demo license keys for testing
-        const demoKeys = {
-            'DEMO-BASIC-KEY1': { type: 'basic', accountId: 'demo-basic-001' },
-            'DEMO-PREMIUM-KEY1': { type: 'premium', accountId: 'demo-premium-001' }
-        };
+        const license = this.decodeLicenseToken(licenseKey);
         
-        if (demoKeys[licenseKey]) {
+        if (license) {
             const licenseData = {
-                key: licenseKey,
-                type: demoKeys[licenseKey].type,
-                accountId: demoKeys[licenseKey].accountId,
+                key: licenseKey.trim(),
+                type: license.type,
+                accountId: license.accountId,
                 activatedAt: Date.now()
             };
             
@@ -294,6 +302,11 @@ export class LicenseManager {
         return this.hasLicense;
     }
     
+    // Sent with join-room so the server can verify it before creating a room
+    getLicenseToken() {
+        return this.hasLicense ? this.licenseKey : null;
+    }
+    
     getMaxPlayers() {
         switch (this.licenseType) {
             case 'premium': return 32;
@@ -0,0 +1,160 @@
+// Private room lobby: the waiting screen for people knocking on a private
+// room, the approval panel for its host and co-hosts, and the privacy dialog.
+export class LobbyManager {
+    constructor(networkManager, app) {
+        this.networkManager = networkManager;
+        this.app = app;
+        this.pending = [];
+
+        this.createStyles();
+    }
+
+    createStyles() {
+        if (document.getElementById('lobby-styles')) return;
+        const style = document.createElement('style');
+        style.id = 'lobby-styles';
+        style.textContent = `
+            .lobby-modal { position:fixed; top:50%; left:50%; transform:translate(-50%, -50%); background:rgba(0,0,0,0.95); border:2px solid #ffa500; border-radius:16px; padding:32px; z-index:2001; text-align:center; color:#fff; min-width:300px; }
+            .lobby-modal h3 { color:#ffa500; margin-bottom:16px; }
+            .lobby-modal input { background:rgba(255,255,255,0.1); border:1px solid #ffa500; border-radius:8px; padding:10px; color:#fff; font-size:14px; text-align:center; width:220px; margin-bottom:12px; }
+            .lobby-modal button, #lobby-panel button { border:none; color:#fff; padding:8px 16px; border-radius:6px; cursor:pointer; font-weight:bold; margin:0 4px; }
+            .lobby-error { color:#ff6666; font-size:13px; min-height:16px; margin-bottom:12px; }
+            #lobby-panel { position:fixed; top:80px; right:20px; background:rgba(0,0,0,0.85); border:1px solid #ffa500; border-radius:12px; padding:12px 16px; z-index:1500; color:#fff; font-size:13px; min-width:220px; }
+            #lobby-panel h4 { color:#ffa500; margin:0 0 8px; }
+            #lobby-panel .lobby-entry { display:flex; align-items:center; justify-content:space-between; gap:8px; margin-top:6px; }
+            #lobby-panel button { padding:4px 10px; font-size:12px; margin:0; }
+        `;
+        document.head.appendChild(style);
+    }
+
+    // Shown to someone knocking on a private room until the host decides
+    showWaiting({ roomId, hasPassphrase }, errorMessage = '') {
+        this.hideWaiting();
+
+        const modal = document.createElement('div');
+        modal.id = 'lobby-waiting';
+        modal.className = 'lobby-modal';
+        modal.innerHTML = `
+            <h3>🔒 Private Room</h3>
+            <p style="margin-bottom: 16px; color: #ccc;">Waiting for the host to let you into <b>${roomId}</b>…</p>
+            ${hasPassphrase ? `
+                <p style="margin-bottom: 8px; color: #ccc; font-size: 13px;">Know the passphrase? Enter it to skip the line.</p>
+                <input type="password" id="lobby-passphrase" placeholder="Passphrase" autocomplete="off"><br>
+            ` : ''}
+            <div class="lobby-error" id="lobby-error"></div>
+            ${hasPassphrase ? '<button id="lobby-enter" style="background: #4CAF50;">Enter</button>' : ''}
+            <button id="lobby-leave" style="background: #666;">Leave</button>
+        `;
+        document.body.appendChild(modal);
+        modal.querySelector('#lobby-error').textContent = errorMessage;
+
+        const input = modal.querySelector('#lobby-passphrase');
+        const enter = () => {
+            if (!input.value) return;
+            this.networkManager.passphrase = input.value;
+            this.networkManager.joinRoom();
+        };
+        modal.querySelector('#lobby-enter')?.addEventListener('click', enter);
+        input?.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') enter();
+        });
+        input?.focus();
+
+        modal.querySelector('#lobby-leave').addEventListener('click', () => {
+            // Back to the public session
+            window.location.search = '';
+        });
+    }
+
+    hideWaiting() {
+        document.getElementById('lobby-waiting')?.remove();
+    }
+
+    handleJoinDecision(data) {
+        if (data.approved) {
+            this.hideWaiting();
+            this.app.showMessage('The host let you in!', 'success');
+            return;
+        }
+
+        // A wrong passphrase keeps the knock alive; a denial ends it
+        if (document.getElementById('lobby-waiting') && data.reason === 'Incorrect passphrase') {
+            this.showWaiting({ roomId: data.roomId, hasPassphrase: true }, data.reason);
+            return;
+        }
+
+        this.hideWaiting();
+        this.app.showMessage(`Could not join: ${data.reason}`, 'error');
+    }
+
+    // Host and co-hosts see who is waiting and answer from here
+    updateLobby(pending) {
+        this.pending = pending;
+        document.getElementById('lobby-panel')?.remove();
+        if (pending.length === 0) return;
+
+        const panel = document.createElement('div');
+        panel.id = 'lobby-panel';
+        panel.innerHTML = `<h4>🚪 Waiting to join (${pending.length})</h4>`;
+
+        pending.forEach(entry => {
+            const row = document.createElement('div');
+            row.className = 'lobby-entry';
+            row.innerHTML = `
+                <span class="lobby-name"></span>
+                <span>
+                    <button class="lobby-admit" style="background: #4CAF50;">Admit</button>
+                    <button class="lobby-deny" style="background: #f44336;">Deny</button>
+                </span>
+            `;
+            row.querySelector('.lobby-name').textContent = entry.name;
+            row.querySelector('.lobby-admit').addEventListener('click', () => {
+                this.networkManager.reviewKnock(entry.id, true);
+            });
+            row.querySelector('.lobby-deny').addEventListener('click', () => {
+                this.networkManager.reviewKnock(entry.id, false);
+            });
+            panel.appendChild(row);
+        });
+
+        document.body.appendChild(panel);
+    }
+
+    showPrivacyDialog() {
+        if (this.networkManager.role !== 'host') {
+            this.app.showMessage('Only the host can change room privacy', 'error');
+            return;
+        }
+
+        // Making the room public needs no options
+        if (this.app.isPrivateRoom) {
+            this.networkManager.setPrivacy(false);
+            return;
+        }
+
+        const modal = document.createElement('div');
+        modal.className = 'lobby-modal';
+        modal.innerHTML = `
+            <h3>🔒 Make Room Private</h3>
+            <p style="margin-bottom: 16px; color: #ccc; font-size: 13px;">New people will have to knock and wait for you to admit them.<br>Set a passphrase to let friends skip the line.</p>
+            <input type="password" id="privacy-passphrase" placeholder="Passphrase (optional)" autocomplete="off"><br>
+            <button id="privacy-confirm" style="background: #ffa500;">Make Private</button>
+            <button id="privacy-cancel" style="background: #666;">Cancel</button>
+        `;
+        document.body.appendChild(modal);
+
+        const input = modal.querySelector('#privacy-passphrase');
+        input.focus();
+
+        modal.querySelector('#privacy-confirm').addEventListener('click', () => {
+            this.networkManager.setPrivacy(true, input.value);
+            modal.remove();
+        });
+        modal.querySelector('#privacy-cancel').addEventListener('click', () => modal.remove());
+    }
+
+    dispose() {
+        this.hideWaiting();
+        document.getElementById('lobby-panel')?.remove();
+    }
+}
@@ -0,0 +1,372 @@
+import { MEDIA_RATES } from '../shared/mediaRates.js';
+
+// Watch-together playback. The host or a co-host picks a media URL or a local
+// file; the server keeps the shared play/pause/seek/rate state and every
+// client plays the media on the theatre screen itself, nudging its own
+// playback rate (or seeking, when far off) to stay on the shared timeline.
+const SYNC_INTERVAL_MS = 500;
+const HARD_SEEK_DRIFT_S = 1.0;
+const SOFT_DRIFT_S = 0.1;
+const RATE_NUDGE = 0.05;
+
+export class MediaSyncManager {
+    constructor(networkManager, theatre, app) {
+        this.networkManager = networkManager;
+        this.theatre = theatre;
+        this.app = app;
+        this.media = null;
+        this.loadedMediaId = null;
+        this.video = null;
+        this.objectUrl = null;
+        this.clockOffset = 0;
+        this.localFiles = new Map();
+        this.syncInterval = null;
+
+        this.createStyles();
+        this.setupSignaling();
+    }
+
+    setupSignaling() {
+        const socket = this.networkManager?.socket;
+        if (!socket) return;
+
+        socket.on('room-joined', (data) => {
+            this.updateClock(data.serverTime);
+            this.applyState(data.media ?? null);
+        });
+        socket.on('media-state', (data) => {
+            this.updateClock(data.serverTime);
+            this.applyState(data.media);
+        });
+        socket.on('media-rejected', (data) => {
+            this.app.showMessage(`Media: ${data.reason}`, 'error');
+        });
+        socket.on('roles-updated', () => this.renderControls());
+
+        // Timers are throttled in background tabs; catch up on return
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden && this.media) this.requestSync();
+        });
+    }
+
+    createStyles() {
+        if (document.getElementById('media-sync-styles')) return;
+        const style = document.createElement('style');
+        style.id = 'media-sync-styles';
+        style.textContent = `
+            #media-controls { position:fixed; bottom:20px; left:50%; transform:translateX(-50%); background:rgba(0,0,0,0.85); border:1px solid #00ffff; border-radius:12px; padding:10px 16px; z-index:1000; color:#fff; font-size:13px; display:flex; align-items:center; gap:10px; min-width:420px; }
+            #media-controls .media-title { color:#00ffff; max-width:180px; overflow:hidden; text-overflow:ellipsis; white-space:nowrap; }
+            #media-controls .media-time { font-variant-numeric:tabular-nums; color:#ccc; }
+            #media-controls input[type=range] { flex:1; }
+            #media-controls button, #media-controls select { background:#333; border:1px solid #00ffff; color:#fff; border-radius:6px; padding:4px 10px; cursor:pointer; }
+        `;
+        document.head.appendChild(style);
+    }
+
+    canControl() {
+        return this.networkManager.role === 'host' || this.networkManager.role === 'co-host';
+    }
+
+    // The server's clock is the reference for the shared timeline. The
+    // ClockSync the stream sync keeps allows for the round trip; until it has
+    // a sample, the time on the last message from the server is close enough.
+    updateClock(serverTime) {
+        if (Number.isFinite(serverTime)) {
+            this.clockOffset = serverTime - Date.now();
+        }
+    }
+
+    getServerNow() {
+        const clock = this.app.streamSyncManager?.clock;
+        return clock?.ready ? clock.serverNow() : Date.now() + this.clockOffset;
+    }
+
+    getExpectedPosition() {
+        if (!this.media) return 0;
+        const { playing, position, rate, updatedAt } = this.media;
+        if (!playing) return position;
+        const serverNow = this.getServerNow();
+        return position + Math.max(0, serverNow - updatedAt) / 1000 * rate;
+    }
+
+    requestSync() {
+        this.networkManager?.socket?.emit('media-sync', { roomId: this.networkManager.roomId });
+    }
+
+    sendControl(action, extra = {}) {
+        this.networkManager?.socket?.emit('media-control', {
+            roomId: this.networkManager.roomId,
+            action,
+            ...extra
+        });
+    }
+
+    applyState(media) {
+        // Updates can cross on the wire; older revisions of the same media are stale
+        if (media && this.media?.id === media.id && media.revision < this.media.revision) return;
+
+        if (!media) {
+            this.media = null;
+            this.unload();
+            this.renderControls();
+            return;
+        }
+
+        this.media = media;
+        if (media.id !== this.loadedMediaId) {
+            this.load(media);
+        }
+        this.sync();
+        this.renderControls();
+    }
+
+    load(media) {
+        this.unload();
+        this.loadedMediaId = media.id;
+
+        const { source } = media;
+        if (source.kind === 'url') {
+            this.startVideo(source.url, true);
+            return;
+        }
+
+        const localFile = this.localFiles.get(this.getFileKey(source));
+        if (localFile) {
+            this.startVideo(URL.createObjectURL(localFile), false);
+        } else {
+            this.promptForFile(media);
+        }
+    }
+
+    startVideo(src, isRemote) {
+        const video = document.createElement('video');
+        // The screen texture reads frames back, which cross-origin media only allows with CORS
+        if (isRemote) video.crossOrigin = 'anonymous';
+        else this.objectUrl = src;
+
+        video.preload = 'auto';
+        video.addEventListener('loadedmetadata', () => this.sync());
+        video.addEventListener('error', () => {
+            this.app.showMessage('Could not play this media. URLs must allow cross-origin playback.', 'error');
+        });
+
+        this.video = video;
+        this.theatre.setMediaVideo(video);
+        video.src = src;
+
+        this.syncInterval = setInterval(() => {
+            this.sync();
+            this.updateTimeDisplay();
+        }, SYNC_INTERVAL_MS);
+    }
+
+    unload() {
+        document.getElementById('media-file-prompt')?.remove();
+        if (this.syncInterval) {
+            clearInterval(this.syncInterval);
+            this.syncInterval = null;
+        }
+        if (this.video && this.theatre.hostVideo === this.video) {
+            this.theatre.stopHostStream();
+        }
+        if (this.objectUrl) {
+            URL.revokeObjectURL(this.objectUrl);
+            this.objectUrl = null;
+        }
+        this.video = null;
+        this.loadedMediaId = null;
+    }
+
+    // Keep the local element on the shared timeline
+    sync() {
+        const video = this.video;
+        if (!video || !this.media || video.readyState < 1) return;
+
+        const { playing, rate } = this.media;
+        let target = this.getExpectedPosition();
+        const ended = Number.isFinite(video.duration) && target >= video.duration;
+        if (ended) target = video.duration;
+
+        if (playing && !ended) {
+            if (video.paused) video.play().catch(() => {});
+        } else if (!video.paused) {
+            video.pause();
+        }
+
+        const drift = video.currentTime - target;
+        if (!playing || ended || Math.abs(drift) > HARD_SEEK_DRIFT_S) {
+            if (Math.abs(drift) > SOFT_DRIFT_S / 2) video.currentTime = target;
+            video.playbackRate = rate;
+        } else if (Math.abs(drift) > SOFT_DRIFT_S) {
+            // Ahead: slow down a little; behind: speed up a little
+            video.playbackRate = rate * (drift > 0 ? 1 - RATE_NUDGE : 1 + RATE_NUDGE);
+        } else {
+            video.playbackRate = rate;
+        }
+    }
+
+    getFileKey(source) {
+        return `${source.name}:${source.size}`;
+    }
+
+    // Local files never leave the host's machine; viewers pick their own copy
+    promptForFile(media) {
+        const { source } = media;
+        const modal = document.createElement('div');
+        modal.id = 'media-file-prompt';
+        modal.className = 'lobby-modal';
+        modal.innerHTML = `
+            <h3>🎞️ Watch Together</h3>
+            <p style="margin-bottom: 8px; color: #ccc;">The host is playing a file from their computer:</p>
+            <p style="margin-bottom: 16px;"><b class="media-file-name"></b> <span style="color: #999; font-size: 12px;">(${(source.size / 1e6).toFixed(1)} MB)</span></p>
+            <p style="margin-bottom: 16px; color: #ccc; font-size: 13px;">Choose your copy of the same file to watch along.</p>
+            <input type="file" id="media-file-input" accept="video/*,audio/*" style="display: none;">
+            <div class="lobby-error" id="media-file-error"></div>
+            <button id="media-file-choose" style="background: #4CAF50;">Choose File</button>
+            <button id="media-file-skip" style="background: #666;">Not Now</button>
+        `;
+        modal.querySelector('.media-file-name').textContent = source.name;
+        document.body.appendChild(modal);
+
+        const input = modal.querySelector('#media-file-input');
+        modal.querySelector('#media-file-choose').addEventListener('click', () => input.click());
+        modal.querySelector('#media-file-skip').addEventListener('click', () => modal.remove());
+        input.addEventListener('change', () => {
+            const file = input.files[0];
+            if (!file) return;
+            if (file.size !== source.size) {
+                modal.querySelector('#media-file-error').textContent = 'That is not the same file (size differs)';
+                return;
+            }
+            modal.remove();
+            this.localFiles.set(this.getFileKey(source), file);
+            if (this.media?.id === media.id) {
+                this.startVideo(URL.createObjectURL(file), false);
+                this.sync();
+            }
+        });
+    }
+
+    showLoadDialog() {
+        if (!this.canControl()) {
+            this.app.showMessage('Only the host or a co-host can choose what plays', 'error');
+            return;
+        }
+
+        const modal = document.createElement('div');
+        modal.className = 'lobby-modal';
+        modal.innerHTML = `
+            <h3>🎞️ Watch Together</h3>
+            <p style="margin-bottom: 16px; color: #ccc; font-size: 13px;">Everyone plays the video themselves, kept in sync with you.<br>Links must allow cross-origin playback.</p>
+            <input type="url" id="media-url" placeholder="https://example.com/movie.mp4" autocomplete="off"><br>
+            <input type="text" id="media-title" placeholder="Title (optional)" autocomplete="off"><br>
+            <input type="file" id="media-local-file" accept="video/*,audio/*" style="display: none;">
+            <button id="media-play-url" style="background: #4CAF50;">Play Link</button>
+            <button id="media-play-file" style="background: #2196F3;">Local File…</button>
+            <button id="media-cancel" style="background: #666;">Cancel</button>
+        `;
+        document.body.appendChild(modal);
+
+        const urlInput = modal.querySelector('#media-url');
+        const titleInput = modal.querySelector('#media-title');
+        const fileInput = modal.querySelector('#media-local-file');
+        urlInput.focus();
+
+        modal.querySelector('#media-play-url').addEventListener('click', () => {
+            if (!urlInput.value.trim()) return;
+            this.loadSource({ kind: 'url', url: urlInput.value.trim(), title: titleInput.value });
+            modal.remove();
+        });
+        modal.querySelector('#media-play-file').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files[0];
+            if (!file) return;
+            const source = { kind: 'file', name: file.name, size: file.size, title: titleInput.value };
+            this.localFiles.set(this.getFileKey(source), file);
+            this.loadSource(source);
+            modal.remove();
+        });
+        modal.querySelector('#media-cancel').addEventListener('click', () => modal.remove());
+    }
+
+    loadSource(source) {
+        // Screen sharing and synced media both use the screen
+        if (this.app.streamManager?.isHost) {
+            this.app.stopHosting();
+        }
+        this.networkManager?.socket?.emit('media-load', {
+            roomId: this.networkManager.roomId,
+            source
+        });
+    }
+
+    stopMedia() {
+        this.networkManager?.socket?.emit('media-stop', { roomId: this.networkManager.roomId });
+    }
+
+    renderControls() {
+        document.getElementById('media-controls')?.remove();
+        if (!this.media) return;
+
+        const canControl = this.canControl();
+        const bar = document.createElement('div');
+        bar.id = 'media-controls';
+        bar.innerHTML = `
+            ${canControl ? `<button class="media-toggle">${this.media.playing ? '⏸' : '▶'}</button>` : ''}
+            <span class="media-title"></span>
+            ${canControl ? '<input type="range" class="media-seek" min="0" max="0" step="1" value="0">' : ''}
+            <span class="media-time"></span>
+            ${canControl ? `<select class="media-rate">${MEDIA_RATES.map(rate => `<option value="${rate}"${rate === this.media.rate ? ' selected' : ''}>${rate}×</option>`).join('')}</select>` : ''}
+            ${canControl ? '<button class="media-stop">⏹</button>' : ''}
+        `;
+        bar.querySelector('.media-title').textContent = this.media.source.title;
+        document.body.appendChild(bar);
+
+        if (canControl) {
+            bar.querySelector('.media-toggle').addEventListener('click', () => {
+                this.sendControl(this.media.playing ? 'pause' : 'play');
+            });
+            const seek = bar.querySelector('.media-seek');
+            seek.addEventListener('input', () => { seek.dataset.dragging = 'true'; });
+            seek.addEventListener('change', () => {
+                delete seek.dataset.dragging;
+                this.sendControl('seek', { position: Number(seek.value) });
+            });
+            bar.querySelector('.media-rate').addEventListener('change', (e) => {
+                this.sendControl('rate', { rate: Number(e.target.value) });
+            });
+            bar.querySelector('.media-stop').addEventListener('click', () => this.stopMedia());
+        }
+        this.updateTimeDisplay();
+    }
+
+    updateTimeDisplay() {
+        const bar = document.getElementById('media-controls');
+        if (!bar || !this.media) return;
+
+        const duration = Number.isFinite(this.video?.duration) ? this.video.duration : 0;
+        const position = duration ? Math.min(this.getExpectedPosition(), duration) : this.getExpectedPosition();
+        bar.querySelector('.media-time').textContent = duration
+            ? `${this.formatTime(position)} / ${this.formatTime(duration)}`
+            : this.formatTime(position);
+
+        const seek = bar.querySelector('.media-seek');
+        if (seek && !seek.dataset.dragging) {
+            seek.max = Math.floor(duration);
+            seek.value = Math.floor(position);
+        }
+    }
+
+    formatTime(seconds) {
+        const total = Math.max(0, Math.floor(seconds));
+        const h = Math.floor(total / 3600);
+        const m = Math.floor((total % 3600) / 60);
+        const s = String(total % 60).padStart(2, '0');
+        return h ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+    }
+
+    dispose() {
+        this.unload();
+        document.getElementById('media-controls')?.remove();
+    }
+}
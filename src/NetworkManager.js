@@ -8,6 +8,12 @@ export class NetworkManager {
         this.roomId = this.getRoomIdFromUrl() || 'public-session';
         this.isConnected = false;
         this.isHost = false;
+        this.role = 'viewer';
+        this.coHosts = new Set();
+        this.hostId = null;
+        this.roomUsers = new Map();
+        this.mutedUsers = { chat: new Set(), voice: new Set() };
+        this.passphrase = null;
         this.isSessionHost = false;
         this.sessionMode = 'public';
         this.lastPositionUpdate = 0;
@@ -95,7 +101,17 @@ export class NetworkManager {
         this.socket.on('room-joined', (data) => {
             console.log('Joined room:', data);
             this.isHost = data.isHost;
+            this.role = data.role || (data.isHost ? 'host' : 'viewer');
+            this.coHosts = new Set(data.coHosts || []);
+            this.hostId = data.host;
+            this.roomUsers = new Map((data.users || []).map(user => [user.id, user.name || `User ${user.id.slice(-4)}`]));
+            this.mutedUsers = { chat: new Set(data.chatMuted || []), voice: new Set(data.voiceMuted || []) };
+            this.app.userListPanel?.render();
             this.updateUserCount(data.userCount);
+            this.app.lobbyManager?.hideWaiting();
+            this.app.isPrivateRoom = !!data.isPrivate;
+            this.app.roomHasPassphrase = !!data.hasPassphrase;
+            this.app.updatePrivacyUI();
             
             const localUserData = {
                 id: this.userId,
@@ -105,30 +121,42 @@ export class NetworkManager {
                 isPlayer: true
             };
             
-            this.addRemoteUser(localUserData);
+            // Seats come back from the server after a reconnect or restart
+            const restoreSeat = (user) => {
+                if (Number.isInteger(user?.seatIndex)) {
+                    this.applySeatAssignment(user.id, user.seatIndex);
+                }
+            };
+            
+            const localServerUser = data.users?.find(user => user.id === this.userId);
+            this.addRemoteUser(localUserData).then(() => restoreSeat(localServerUser));
             
             if (data.users) {
                 data.users.forEach(user => {
                     if (user.id !== this.userId) {
-                        this.addRemoteUser(user);
+                        this.addRemoteUser(user).then(() => restoreSeat(user));
                     }
                 });
             }
 
-            if (data.screenSharing && data.streamHost && data.streamHost !== this.userId) {
-                console.log('Room has active stream from:', data.streamHost);
-            }
+            data.streams?.forEach(stream => {
+                if (stream.hostId !== this.userId) console.log(`Room has active ${stream.kind} stream from:`, stream.hostId);
+            });
         });
         
         this.socket.on('user-joined', (userData) => {
             console.log('User joined:', userData);
             this.addRemoteUser(userData);
+            this.roomUsers.set(userData.id, userData.name || `User ${userData.id.slice(-4)}`);
+            this.app.userListPanel?.render();
             this.updateUserCount();
         });
         
         this.socket.on('user-left', (userId) => {
             console.log('User left:', userId);
             this.removeRemoteUser(userId);
+            this.roomUsers.delete(userId);
+            this.app.userListPanel?.render();
             this.updateUserCount();
         });
         
@@ -138,17 +166,7 @@ export class NetworkManager {
         
         this.socket.on('seat-assigned', (data) => {
             console.log('Seat assigned:', data);
-            const result = this.app.theatre.assignSeat(data.userId, data.seatIndex);
-            if (data.userId === this.userId) {
-                if (!result.success) {
-                    console.error('Failed to assign your seat:', result.reason);
-                } else if (this.app.omiSeat) {
-                    const seatInfo = this.app.theatre.seats[data.seatIndex];
-                    if (seatInfo) {
-                        this.app.omiSeat.sitInSeat(seatInfo);
-                    }
-                }
-            }
+            this.applySeatAssignment(data.userId, data.seatIndex);
         });
         
         this.socket.on('seat-request-denied', (data) => {
@@ -159,11 +177,110 @@ export class NetworkManager {
         this.socket.on('seat-left', (data) => {
             if (!data?.userId) return;
             this.app.theatre.clearUserSeat(data.userId);
+            if (data.forced && data.userId === this.userId) {
+                this.app.omiSeat?.revokeSeat('The host freed your seat');
+            }
         });
         
         this.socket.on('host-changed', (hostId) => {
             this.updateHostStatus(hostId);
         });
+
+        this.socket.on('roles-updated', (data) => {
+            this.coHosts = new Set(data.coHosts || []);
+            if (data.host === this.userId) {
+                this.role = 'host';
+            } else {
+                this.role = this.coHosts.has(this.userId) ? 'co-host' : 'viewer';
+            }
+            this.updateHostStatus(data.host);
+            this.app.userListPanel?.render();
+        });
+
+        // Moderation by the host and co-hosts
+        this.socket.on('kicked', (data) => {
+            console.warn(`Removed from room ${data.roomId}:`, data.reason);
+            this.updateConnectionStatus(data.bannedUntil ? 'Banned' : 'Removed');
+            this.app.chatManager?.stopVoiceChat();
+            this.app.mediaSyncManager?.dispose();
+            this.roomUsers.forEach((name, userId) => {
+                if (userId !== this.userId) this.removeRemoteUser(userId);
+            });
+            this.roomUsers.clear();
+            this.disconnect();
+            this.app.userListPanel?.showRemoved(data);
+        });
+
+        this.socket.on('user-muted', (data) => {
+            const muted = this.mutedUsers[data.kind];
+            if (!muted) return;
+            if (data.muted) {
+                muted.add(data.userId);
+            } else {
+                muted.delete(data.userId);
+            }
+            this.app.userListPanel?.render();
+        });
+
+        this.socket.on('permission-denied', (data) => {
+            console.warn(`Server rejected ${data.event}:`, data.reason);
+            this.app.showMessage(`Not allowed: ${data.reason}`, 'error');
+
+            // Tear down a capture the server refused to relay
+            if (data.event === 'start-stream') {
+                this.app.streamManager?.dropPendingSources();
+            }
+        });
+        
+        // The server refuses joins beyond the room's licensed player cap and
+        // room creation without a valid license
+        this.socket.on('room-full', (data) => {
+            console.warn(`Room ${data.roomId} is full:`, data.reason);
+            this.app.showMessage(`Cannot join room ${data.roomId}: ${data.reason}`, 'error');
+            this.updateConnectionStatus('Room full');
+        });
+
+        this.socket.on('license-required', (data) => {
+            // Rejected create-room requests are reported by createRoomCode()
+            if (!data.roomId) return;
+            console.warn(`Cannot create room ${data.roomId}:`, data.reason);
+            this.app.showMessage(`Cannot create room: ${data.reason}`, 'error');
+            this.updateConnectionStatus('License required');
+            this.app.licenseManager?.showLicensePurchase();
+        });
+        
+        // Private rooms: knocking, the host's decision and the lobby panel
+        this.socket.on('join-pending', (data) => {
+            console.log(`Waiting for approval to join ${data.roomId}`);
+            this.updateConnectionStatus('Waiting for host');
+            this.app.lobbyManager?.showWaiting(data);
+        });
+
+        this.socket.on('join-decision', (data) => {
+            console.log(`Join ${data.approved ? 'approved' : 'denied'} for ${data.roomId}`, data.reason || '');
+            this.app.lobbyManager?.handleJoinDecision(data);
+            if (data.approved) {
+                this.joinRoom();
+            } else {
+                this.updateConnectionStatus('Join denied');
+            }
+        });
+
+        this.socket.on('lobby-updated', (data) => {
+            this.app.lobbyManager?.updateLobby(data.pending);
+        });
+
+        this.socket.on('privacy-updated', (data) => {
+            this.app.isPrivateRoom = data.isPrivate;
+            this.app.roomHasPassphrase = data.hasPassphrase;
+            this.app.updatePrivacyUI();
+        });
+        
+        this.socket.on('room-not-found', (data) => {
+            console.warn(`Room ${data.roomId} not found:`, data.reason);
+            this.updateConnectionStatus('Room not found');
+            this.app.roomCodeManager?.showJoinRoomDialog(data.reason);
+        });
         
         this.socket.on('screen-share-started', (data) => {
             console.log('Screen share started by:', data.hostId);
@@ -185,6 +302,23 @@ export class NetworkManager {
         });
     }
 
+    applySeatAssignment(userId, seatIndex) {
+        const theatreUser = this.app.theatre.users.get(userId);
+        if (theatreUser && theatreUser.seatId === seatIndex) return;
+        
+        const result = this.app.theatre.assignSeat(userId, seatIndex);
+        if (userId === this.userId) {
+            if (!result.success) {
+                console.error('Failed to assign your seat:', result.reason);
+            } else if (this.app.omiSeat) {
+                const seatInfo = this.app.theatre.seats[seatIndex];
+                if (seatInfo) {
+                    this.app.omiSeat.sitInSeat(seatInfo);
+                }
+            }
+        }
+    }
+
     startHeartbeat() {
         this.stopHeartbeat();
         this.heartbeatInterval = setInterval(() => {
@@ -215,9 +349,66 @@ export class NetworkManager {
             
             this.socket.emit('join-room', {
                 roomId: this.roomId,
-                userData: userData
+                userData: userData,
+                licenseToken: this.app.licenseManager?.getLicenseToken(),
+                passphrase: this.passphrase
+            });
+        }
+    }
+    
+    // Resolve with the first of the given server replies to a request
+    awaitReply(events, timeoutMs = 10000) {
+        return new Promise((resolve, reject) => {
+            const handlers = new Map();
+            const cleanup = () => {
+                clearTimeout(timer);
+                handlers.forEach((handler, event) => this.socket.off(event, handler));
+            };
+            const timer = setTimeout(() => {
+                cleanup();
+                reject(new Error('The server did not respond'));
+            }, timeoutMs);
+            
+            events.forEach(event => {
+                const handler = (data) => {
+                    cleanup();
+                    resolve({ event, data });
+                };
+                handlers.set(event, handler);
+                this.socket.once(event, handler);
             });
+        });
+    }
+    
+    // Ask the server to allocate a fresh room code
+    async createRoomCode() {
+        if (!this.socket || !this.isConnected) {
+            throw new Error('Not connected to the server');
+        }
+        
+        const reply = this.awaitReply(['room-created', 'license-required', 'room-create-failed']);
+        // A ?seed= code in the URL starts the room in that shared world
+        this.socket.emit('create-room', {
+            licenseToken: this.app.licenseManager?.getLicenseToken(),
+            worldSeed: new URLSearchParams(window.location.search).get('seed') || undefined
+        });
+        
+        const { event, data } = await reply;
+        if (event !== 'room-created') {
+            throw new Error(data.reason);
         }
+        return data.code;
+    }
+    
+    // Check a room code before navigating to it
+    async lookupRoomCode(code) {
+        if (!this.socket || !this.isConnected) {
+            throw new Error('Not connected to the server');
+        }
+        
+        const reply = this.awaitReply(['room-code-status']);
+        this.socket.emit('lookup-room-code', { code });
+        return (await reply).data;
     }
     
     updatePosition(position) {
@@ -227,6 +418,7 @@ export class NetworkManager {
                 roomId: this.roomId,
                 position: { x: position.x, y: position.y, z: position.z }
             });
+            this.app.sessionRecorder?.recordOwnPosition(position);
             this.lastPositionUpdate = now;
         }
     }
@@ -256,6 +448,75 @@ export class NetworkManager {
         }
     }
     
+    setCoHost(targetUserId, enabled) {
+        if (this.socket && this.isConnected && this.role === 'host') {
+            this.socket.emit('set-co-host', {
+                roomId: this.roomId,
+                targetUserId,
+                enabled
+            });
+        }
+    }
+    
+    setPrivacy(isPrivate, passphrase = '') {
+        if (this.socket && this.isConnected) {
+            this.socket.emit('set-privacy', {
+                roomId: this.roomId,
+                isPrivate,
+                passphrase
+            });
+        }
+    }
+    
+    reviewKnock(targetUserId, approve) {
+        if (this.socket && this.isConnected) {
+            this.socket.emit('review-knock', {
+                roomId: this.roomId,
+                targetUserId,
+                approve
+            });
+        }
+    }
+    
+    kickUser(targetUserId) {
+        if (this.socket && this.isConnected) {
+            this.socket.emit('kick-user', {
+                roomId: this.roomId,
+                targetUserId
+            });
+        }
+    }
+    
+    banUser(targetUserId, durationMinutes) {
+        if (this.socket && this.isConnected) {
+            this.socket.emit('ban-user', {
+                roomId: this.roomId,
+                targetUserId,
+                durationMinutes
+            });
+        }
+    }
+    
+    muteUser(targetUserId, kind, muted) {
+        if (this.socket && this.isConnected) {
+            this.socket.emit('mute-user', {
+                roomId: this.roomId,
+                targetUserId,
+                kind,
+                muted
+            });
+        }
+    }
+    
+    unseatUser(targetUserId) {
+        if (this.socket && this.isConnected) {
+            this.socket.emit('unseat-user', {
+                roomId: this.roomId,
+                targetUserId
+            });
+        }
+    }
+    
     startScreenShare() {
         if (this.socket && this.isConnected && this.isHost) {
             this.socket.emit('start-screen-share', {
@@ -322,6 +583,7 @@ export class NetworkManager {
     }
     
     updateHostStatus(hostId) {
+        this.hostId = hostId;
         const hostStatusElement = document.getElementById('host-status');
         if (hostStatusElement) {
             if (hostId === this.userId) {
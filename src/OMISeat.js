@@ -148,6 +148,12 @@ export class OMISeat {
         return true;
     }
     
+    // The server took the seat away (e.g. a host unseated this user)
+    revokeSeat(message) {
+        if (!this.standUp()) return;
+        this.theatre.app?.showMessage(message, 'info');
+    }
+    
     animateToStanding(targetPosition, targetYaw, targetPitch) {
         const startPosition = this.camera.position.clone();
         const duration = 800;
@@ -0,0 +1,123 @@
+const STORAGE_KEY = 'threeatre-profile';
+const SAVE_DELAY_MS = 1000;
+const DEFAULT_AVATARS = ['default'];
+
+// The player's profile: Bindle inventory and equipment, score, discovered
+// temples and unlocked avatars. It is kept in localStorage and, when the
+// server has a profile store, on the server under a private token this
+// browser made for itself. Score and discoveries made offline win over the
+// server copy the next time we join a room; the inventory does not, since
+// the server keeps its own (see the Bindle).
+export class ProfileManager {
+    constructor(app) {
+        this.app = app;
+        this.saveTimer = null;
+
+        const stored = this.loadStored();
+        this.token = stored?.token || this.createToken();
+        this.profile = stored?.profile || null;
+        // Changed since the server last confirmed a save
+        this.dirty = !!stored?.dirty;
+        this.storeLocally();
+    }
+
+    loadStored() {
+        const stored = localStorage.getItem(STORAGE_KEY);
+        if (!stored) return null;
+        try {
+            return JSON.parse(stored);
+        } catch (error) {
+            console.warn('Invalid stored profile');
+            localStorage.removeItem(STORAGE_KEY);
+            return null;
+        }
+    }
+
+    storeLocally() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify({ token: this.token, profile: this.profile, dirty: this.dirty }));
+        } catch (error) {
+            console.warn('Could not save profile:', error);
+        }
+    }
+
+    createToken() {
+        const bytes = crypto.getRandomValues(new Uint8Array(16));
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    hasProfile() {
+        return !!this.profile;
+    }
+
+    get socket() {
+        return this.app.networkManager?.socket;
+    }
+
+    // Call once the Bindle and the outside world exist
+    attach() {
+        if (this.profile) this.apply(this.profile);
+        this.app.bindle.onChange = () => this.save();
+
+        const socket = this.socket;
+        if (!socket) return;
+        socket.on('room-joined', () => socket.emit('profile-load', { token: this.token }));
+        socket.on('profile-loaded', (data) => {
+            // Nothing on the server yet, or we changed something since: ours is newer
+            if (!data.profile || !this.profile || this.dirty || this.saveTimer) {
+                this.save(0);
+                return;
+            }
+            this.profile = data.profile;
+            this.apply(this.profile);
+            this.storeLocally();
+        });
+        socket.on('profile-saved', () => {
+            this.dirty = false;
+            this.storeLocally();
+        });
+        socket.on('profile-rejected', (data) => console.warn('Profile not saved:', data.reason));
+    }
+
+    apply(profile) {
+        const { bindle, theatre } = this.app;
+        bindle.loadInventoryData(profile);
+        theatre?.roguelikeWorld?.setProgress(profile);
+    }
+
+    collect() {
+        const { inventory, equipment } = this.app.bindle.getInventoryData();
+        const progress = this.app.theatre?.roguelikeWorld?.getProgress() ?? { score: 0, discoveredLandmarks: [] };
+        return {
+            inventory,
+            equipment,
+            score: progress.score,
+            discoveredLandmarks: progress.discoveredLandmarks,
+            unlockedAvatars: this.getUnlockedAvatars()
+        };
+    }
+
+    getUnlockedAvatars() {
+        return this.profile?.unlockedAvatars ?? [...DEFAULT_AVATARS];
+    }
+
+    // Bursts of changes, e.g. equipping an item, are saved once
+    save(delayMs = SAVE_DELAY_MS) {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.profile = this.collect();
+            this.dirty = true;
+            this.storeLocally();
+
+            const networkManager = this.app.networkManager;
+            if (networkManager?.isConnected && networkManager.roomId) {
+                this.socket.emit('profile-save', { token: this.token, profile: this.profile });
+            }
+        }, delayMs);
+    }
+
+    dispose() {
+        clearTimeout(this.saveTimer);
+    }
+}
@@ -0,0 +1,191 @@
+import { QUESTS, QuestLog } from '../shared/quests.js';
+import { createItem } from './itemCatalog.js';
+
+const STORAGE_KEY = 'threeatre-quests';
+
+// Quest log panel beside the Bindle. RoguelikeWorld reports what happens
+// outside through record(); finished quests pay out into the Bindle and
+// progress is kept in localStorage between sessions.
+export class QuestManager {
+    constructor(bindle) {
+        this.bindle = bindle;
+        this.isOpen = false;
+        this.log = new QuestLog(QUESTS, this.loadProgress());
+        // With a server-kept inventory, rewards are paid by the server
+        this.bindle.onQuestReward = (questId) => {
+            this.log.markRewarded(questId);
+            this.saveProgress();
+            this.render();
+        };
+
+        this.createQuestUI();
+        this.setupEventListeners();
+        // Rewards that did not fit in the Bindle last time
+        this.deliverPendingRewards();
+        this.render();
+    }
+
+    loadProgress() {
+        const stored = localStorage.getItem(STORAGE_KEY);
+        if (!stored) return null;
+        try {
+            return JSON.parse(stored);
+        } catch (error) {
+            console.warn('Invalid stored quest progress');
+            localStorage.removeItem(STORAGE_KEY);
+            return null;
+        }
+    }
+
+    saveProgress() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.log.toJSON()));
+        } catch (error) {
+            console.warn('Could not save quest progress:', error);
+        }
+    }
+
+    // event is one of the objective events described in shared/quests.js
+    record(event) {
+        const completed = this.log.record(event);
+        completed.forEach((quest) => this.showQuestComplete(quest));
+        if (completed.length > 0) this.deliverPendingRewards();
+        this.saveProgress();
+        this.render();
+    }
+
+    // Back in the theatre: hand over anything a quest asked us to bring
+    deliverItems() {
+        this.log.getWantedItems().forEach((itemName) => {
+            while (this.log.getWantedItems().includes(itemName) && this.bindle.takeItem(itemName)) {
+                this.record({ type: 'return-item', item: itemName });
+            }
+        });
+    }
+
+    deliverPendingRewards() {
+        this.log.getQuests().forEach((quest) => {
+            if (!quest.completed || quest.rewarded) return;
+            if (this.bindle.claimQuestReward(quest.id, this.getReward(quest))) this.log.markRewarded(quest.id);
+        });
+        this.saveProgress();
+        this.render();
+    }
+
+    getReward(quest) {
+        return createItem(quest.reward.itemId, quest.reward.quantity);
+    }
+
+    createQuestUI() {
+        const panel = document.createElement('div');
+        panel.id = 'quest-log';
+        panel.style.cssText = `
+            position: fixed;
+            bottom: 150px;
+            right: 20px;
+            width: 300px;
+            max-height: 60vh;
+            overflow-y: auto;
+            background: rgba(0, 0, 0, 0.75);
+            border: 2px solid rgba(139, 69, 19, 0.8);
+            border-radius: 12px;
+            backdrop-filter: blur(25px);
+            color: #f0d9b5;
+            font-size: 13px;
+            z-index: 1000;
+            display: none;
+        `;
+        document.body.appendChild(panel);
+
+        const toggle = document.createElement('button');
+        toggle.id = 'quest-toggle';
+        toggle.textContent = '📜';
+        toggle.title = 'Quest log (J)';
+        toggle.style.cssText = `
+            position: fixed;
+            bottom: 90px;
+            right: 80px;
+            width: 50px;
+            height: 50px;
+            background: rgba(139, 69, 19, 0.3);
+            border: 1px solid rgba(139, 69, 19, 0.5);
+            border-radius: 50%;
+            color: #D2691E;
+            font-size: 20px;
+            cursor: pointer;
+            z-index: 202;
+            backdrop-filter: blur(10px);
+            box-shadow: 0 4px 16px rgba(139, 69, 19, 0.2);
+        `;
+        document.body.appendChild(toggle);
+    }
+
+    setupEventListeners() {
+        document.getElementById('quest-toggle').addEventListener('click', () => this.toggleQuestLog());
+        document.getElementById('quest-log').addEventListener('click', (e) => {
+            if (e.target.closest('[data-quest-claim]')) this.deliverPendingRewards();
+            if (e.target.closest('#quest-log-close')) this.toggleQuestLog(false);
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.target.closest?.('input, textarea')) return;
+            if (e.key === 'j' || e.key === 'J') {
+                e.preventDefault();
+                this.toggleQuestLog();
+            }
+        });
+    }
+
+    toggleQuestLog(open = !this.isOpen) {
+        this.isOpen = open;
+        document.getElementById('quest-log').style.display = open ? 'block' : 'none';
+    }
+
+    render() {
+        const panel = document.getElementById('quest-log');
+        if (!panel) return;
+
+        const quests = this.log.getQuests();
+        const done = quests.filter((quest) => quest.completed).length;
+        const rows = quests.map((quest) => {
+            const objectives = quest.objectives.map((objective, i) => {
+                const finished = quest.progress[i] >= objective.count;
+                return `<div style="color:${finished ? '#7dff9a' : '#ccc'};">${finished ? '✓' : '•'} ${objective.label}: ${quest.progress[i]}/${objective.count}</div>`;
+            }).join('');
+            const reward = this.getReward(quest);
+            let status = `<div style="color:#aaa;">Reward: ${reward.icon} ${reward.name}</div>`;
+            if (quest.completed && quest.rewarded) {
+                status = `<div style="color:#7dff9a;">Complete — ${reward.icon} ${reward.name} received</div>`;
+            } else if (quest.completed) {
+                status = `<button data-quest-claim style="margin-top:4px;background:#8b4513;color:#fff;border:none;border-radius:6px;padding:4px 10px;cursor:pointer;">Claim ${reward.icon} ${reward.name}</button>`;
+            }
+            return `
+                <div style="padding:10px 14px;border-top:1px solid rgba(139, 69, 19, 0.4);opacity:${quest.completed && quest.rewarded ? 0.6 : 1};">
+                    <div style="font-weight:bold;color:#D2691E;">${quest.title}</div>
+                    <div style="margin:2px 0 4px;">${quest.description}</div>
+                    ${objectives}
+                    ${status}
+                </div>`;
+        }).join('');
+
+        panel.innerHTML = `
+            <div style="padding:12px 14px;font-weight:bold;font-size:15px;color:#D2691E;">
+                📜 QUESTS ${done}/${quests.length}
+                <button id="quest-log-close" style="float:right;background:none;border:none;color:#ff6666;cursor:pointer;font-size:18px;">×</button>
+            </div>
+            ${rows}`;
+    }
+
+    showQuestComplete(quest) {
+        const reward = this.getReward(quest);
+        const d = document.createElement('div');
+        d.style.cssText = 'position:fixed;top:22%;left:50%;transform:translate(-50%,-50%);background:rgba(0,0,0,0.9);border:2px solid #D2691E;border-radius:14px;padding:18px 32px;color:#f0d9b5;font-size:18px;font-weight:bold;z-index:1001;text-align:center;';
+        d.innerHTML = `<div style="font-size:13px;color:#D2691E;">QUEST COMPLETE</div><div style="margin-top:4px;">${quest.title}</div><div style="font-size:13px;color:#ccc;margin-top:6px;">Reward: ${reward.icon} ${reward.name}</div>`;
+        document.body.appendChild(d);
+        setTimeout(() => { if (document.body.contains(d)) d.remove(); }, 3500);
+    }
+
+    dispose() {
+        document.getElementById('quest-log')?.remove();
+        document.getElementById('quest-toggle')?.remove();
+    }
+}
@@ -1,5 +1,51 @@
 import * as THREE from 'three';
 import { setOMIPhysicsProfile } from './OMIPhysics.js';
+import {
+    createWorldSeed,
+    formatSeedCode,
+    DUNGEON_TILE,
+    DUNGEON_TILE_SIZE,
+    generateAtmosphere,
+    generateDecor,
+    generateDungeon,
+    generateGhostSpawns,
+    generateGroundSpeckles,
+    generateTemple,
+    getDungeonOrigin,
+    parseSeedCode,
+    shouldSpawnTemple,
+    TRAP_DAMAGE
+} from './worldGen.js';
+import { prepareGhost, stepGhosts, strikeGhost } from '../shared/ghostBehaviors.js';
+import { createItem, rollChestLoot } from './itemCatalog.js';
+
+const GHOST_BOUNDS = { minX: -180, maxX: 180, minZ: 80, maxZ: 320 };
+
+// Player vitals outside; the server keeps its own copy of health in a room
+const MAX_HEALTH = 100;
+const SAFE_REGEN_PER_SECOND = 8;
+const MAX_STAMINA = 100;
+const SPRINT_STAMINA_PER_SECOND = 22;
+const THROW_STAMINA = 10;
+const STAMINA_REGEN_PER_SECOND = 18;
+const STAMINA_REGEN_DELAY_MS = 700;
+const KNOCKBACK_SPEED = 14;
+
+const DUNGEON_WALL_HEIGHT = 5;
+// How far from the temple's centre the stairwell down sits
+const DUNGEON_STAIRWELL_OFFSET = 19;
+const DUNGEON_COOLDOWN_MS = 2500;
+const TRAP_COOLDOWN_MS = 1000;
+const TRAP_PERIOD_MS = 2400;
+const TRAP_ARMED_MS = 900;
+
+// How each ghost archetype looks; wraiths keep their random colours
+const GHOST_LOOKS = {
+    guardian: { color: 0xffe9a8, emissiveColor: 0xffaa22, scale: 1.3 },
+    ambusher: { color: 0x556655, emissiveColor: 0x33ff66, scale: 0.9 },
+    stalker: { color: 0xaaffdd, emissiveColor: 0x22ccaa, scale: 1.0 },
+    boss: { color: 0x330000, emissiveColor: 0xff1100, scale: 2.2 }
+};
 
 export class RoguelikeWorld {
     constructor(scene, theatre) {
@@ -35,8 +81,6 @@ export class RoguelikeWorld {
         this.templeGenerationRadius = 1;
         this.templeDespawnDistance = 980;
         this.templeCellMap = new Map();
-        this.templeNameSeedsA = ['Ember', 'Frost', 'Void', 'Golden', 'Ashen', 'Storm', 'Moon', 'Dread', 'Ancient', 'Whispering'];
-        this.templeNameSeedsB = ['Shrine', 'Sanctum', 'Temple', 'Citadel', 'Ziggurat', 'Bastion', 'Spire', 'Vault', 'Monastery', 'Cathedral'];
         this.theatreLandmarkPosition = new THREE.Vector3(0, 0, 70);
         this.groundTileSize = 320;
         this.groundTileRadius = 2;
@@ -55,6 +99,28 @@ export class RoguelikeWorld {
         this.walkableSurfaces = [];
         this.worldInitialized = false;
 
+        // In a room the server hands out the seed and runs the ghosts (see
+        // WorldSync); offline the world is generated and simulated here, from
+        // a ?seed= code when one was shared.
+        const sharedSeed = parseSeedCode(new URLSearchParams(window.location.search).get('seed'));
+        this.seed = sharedSeed ?? createWorldSeed();
+        this.sync = null;
+        this.openedChests = new Set();
+        // Tomato throws since the last offline ghost step
+        this.noises = [];
+        this.playerHealth = MAX_HEALTH;
+        this.stamina = MAX_STAMINA;
+        // Set when stamina runs dry; sprinting waits until it is half full again
+        this.staminaExhausted = false;
+        this.lastStaminaSpendAt = 0;
+        this.knockback = new THREE.Vector3();
+        this._lastHealthHudMs = 0;
+
+        // The temple dungeon the player is in, if any; maze, walls and floors
+        // describe its layout while it stands
+        this.dungeon = null;
+        this.lastDungeonTransitionAt = 0;
+        this.lootedVaults = new Set();
         this.walls = [];
         this.floors = [];
         this.maze = [[0]];
@@ -135,9 +201,9 @@ export class RoguelikeWorld {
         this.buildAtmosphere();
         this.buildNearSpawnLandmarks();
         this.buildReturnTheatreLandmark();
-        this.buildTemplesNearPosition(this.theatre?.camera?.position || new THREE.Vector3(0, 1.6, 88), true);
+        this.buildTemplesNearPosition(this.theatre?.camera?.position || new THREE.Vector3(0, 1.6, 88));
         this.scatterSpookyDecor();
-        this.spawnGhosts();
+        if (!this.isSynced()) this.spawnGhosts();
         this.setupWorldLighting();
 
         this.isActive = true;
@@ -158,13 +224,10 @@ export class RoguelikeWorld {
         const ctx = canvas.getContext('2d');
         ctx.fillStyle = '#2a2f3a';
         ctx.fillRect(0, 0, 512, 512);
-        for (let i = 0; i < 8000; i++) {
-            const x = Math.random() * 512;
-            const y = Math.random() * 512;
-            const shade = Math.floor(42 + Math.random() * 20);
+        generateGroundSpeckles(this.seed).forEach(({ x, y, shade, width, height }) => {
             ctx.fillStyle = `rgb(${shade}, ${shade + 4}, ${shade + 8})`;
-            ctx.fillRect(x, y, 2 + Math.random() * 3, 2 + Math.random() * 3);
-        }
+            ctx.fillRect(x, y, width, height);
+        });
         this.groundTexture = new THREE.CanvasTexture(canvas);
         this.groundTexture.wrapS = THREE.RepeatWrapping;
         this.groundTexture.wrapT = THREE.RepeatWrapping;
@@ -229,13 +292,8 @@ export class RoguelikeWorld {
     }
 
     buildAtmosphere() {
-        const particleCount = 96;
-        const positions = new Float32Array(particleCount * 3);
-        for (let i = 0; i < particleCount; i++) {
-            positions[i * 3] = (Math.random() - 0.5) * 400;
-            positions[i * 3 + 1] = 0.5 + Math.random() * 4;
-            positions[i * 3 + 2] = 70 + Math.random() * 250;
-        }
+        const { motes, stars: starPoints } = generateAtmosphere(this.seed);
+        const positions = new Float32Array(motes.flatMap(({ x, y, z }) => [x, y, z]));
         const fogGeo = new THREE.BufferGeometry();
         fogGeo.setAttribute('position', new THREE.BufferAttribute(positions, 3));
         const fogMat = new THREE.PointsMaterial({
@@ -251,16 +309,7 @@ export class RoguelikeWorld {
         this.worldObjects.push(fogParticles);
 
         const starsGeo = new THREE.BufferGeometry();
-        const starCount = 640;
-        const starPositions = new Float32Array(starCount * 3);
-        for (let i = 0; i < starCount; i++) {
-            const angle = Math.random() * Math.PI * 2;
-            const radius = 280 + Math.random() * 320;
-            const y = 55 + Math.random() * 180;
-            starPositions[i * 3] = Math.cos(angle) * radius;
-            starPositions[i * 3 + 1] = y;
-            starPositions[i * 3 + 2] = 70 + Math.sin(angle) * radius;
-        }
+        const starPositions = new Float32Array(starPoints.flatMap(({ x, y, z }) => [x, y, z]));
         starsGeo.setAttribute('position', new THREE.BufferAttribute(starPositions, 3));
         const starsMat = new THREE.PointsMaterial({
             color: 0xbfd2ff,
@@ -309,30 +358,12 @@ export class RoguelikeWorld {
         this.worldLights.push(theatreTopLight);
     }
 
-    hash2D(x, z) {
-        const s = Math.sin((x * 127.1) + (z * 311.7)) * 43758.5453123;
-        return s - Math.floor(s);
-    }
-
-    seededRange(x, z, salt, min, max) {
-        const v = this.hash2D(x + (salt * 17.13), z - (salt * 9.73));
-        return min + (max - min) * v;
-    }
-
     getTempleCellKey(cellX, cellZ) {
         return `${cellX}:${cellZ}`;
     }
 
     createTempleConfigForCell(cellX, cellZ) {
-        const centerX = cellX * this.templeCellSize;
-        const centerZ = cellZ * this.templeCellSize;
-        const jitterX = this.seededRange(cellX, cellZ, 1, -52, 52);
-        const jitterZ = this.seededRange(cellX, cellZ, 2, -52, 52);
-        const pos = new THREE.Vector3(centerX + jitterX, 0, centerZ + jitterZ);
-        if (pos.z < 95) {
-            pos.z = 95 + this.seededRange(cellX, cellZ, 3, 0, 40);
-        }
-
+        const temple = generateTemple(this.seed, cellX, cellZ);
         const palette = [
             { color: 0xff6600, beaconColor: 0xff4400 },
             { color: 0x44aaff, beaconColor: 0x2288ff },
@@ -341,60 +372,34 @@ export class RoguelikeWorld {
             { color: 0x66ffbb, beaconColor: 0x33ffaa },
             { color: 0xff6677, beaconColor: 0xff3344 }
         ];
-        const paletteIndex = Math.floor(this.seededRange(cellX, cellZ, 4, 0, palette.length - 0.0001));
-        const style = palette[paletteIndex];
-
-        const nameA = this.templeNameSeedsA[Math.floor(this.seededRange(cellX, cellZ, 5, 0, this.templeNameSeedsA.length - 0.0001))];
-        const nameB = this.templeNameSeedsB[Math.floor(this.seededRange(cellX, cellZ, 6, 0, this.templeNameSeedsB.length - 0.0001))];
-        const name = `${nameA} ${nameB}`;
+        const style = palette[temple.paletteIndex];
 
         return {
-            pos,
+            pos: new THREE.Vector3(temple.x, 0, temple.z),
             color: style.color,
             beaconColor: style.beaconColor,
-            name,
+            name: temple.name,
             dist: 'grand',
-            cellKey: this.getTempleCellKey(cellX, cellZ)
+            cellKey: temple.cellKey
         };
     }
 
-    shouldSpawnTempleInCell(cellX, cellZ, isCenterCell = false) {
-        if (isCenterCell) return true;
-        const densityRoll = this.hash2D(cellX + 19.7, cellZ - 12.1);
-        return densityRoll > 0.58;
-    }
-
-    buildTemplesNearPosition(position, force = false) {
+    // Only the cells the seed gives a temple get one, so the server finds
+    // chests and safe zones exactly where they are drawn
+    buildTemplesNearPosition(position) {
         if (!position) return;
         const cellX = Math.floor(position.x / this.templeCellSize);
         const cellZ = Math.floor(position.z / this.templeCellSize);
 
-        let spawnedInRing = 0;
         for (let dx = -this.templeGenerationRadius; dx <= this.templeGenerationRadius; dx++) {
             for (let dz = -this.templeGenerationRadius; dz <= this.templeGenerationRadius; dz++) {
                 const cx = cellX + dx;
                 const cz = cellZ + dz;
                 const key = this.getTempleCellKey(cx, cz);
-                if (!force && this.templeCellMap.has(key)) continue;
-                const isCenterCell = dx === 0 && dz === 0;
-                if (!force && !this.shouldSpawnTempleInCell(cx, cz, isCenterCell)) continue;
-                const cfg = this.createTempleConfigForCell(cx, cz);
-                const temple = this.buildTemple(cfg);
+                if (this.templeCellMap.has(key) || !shouldSpawnTemple(this.seed, cx, cz)) continue;
+                const temple = this.buildTemple(this.createTempleConfigForCell(cx, cz));
                 if (temple) {
                     this.templeCellMap.set(key, temple);
-                    spawnedInRing++;
-                }
-            }
-        }
-
-        // Guarantee at least one nearby temple without overcrowding.
-        if (!force && spawnedInRing === 0) {
-            const fallbackKey = this.getTempleCellKey(cellX, cellZ);
-            if (!this.templeCellMap.has(fallbackKey)) {
-                const fallbackCfg = this.createTempleConfigForCell(cellX, cellZ);
-                const fallbackTemple = this.buildTemple(fallbackCfg);
-                if (fallbackTemple) {
-                    this.templeCellMap.set(fallbackKey, fallbackTemple);
                 }
             }
         }
@@ -609,15 +614,45 @@ export class RoguelikeWorld {
         safeRing.userData.noCollision = true;
         group.add(safeRing);
 
+        // Stairwell down into the temple's dungeon
+        const stairwell = new THREE.Group();
+        stairwell.position.set(0, 0, DUNGEON_STAIRWELL_OFFSET);
+        const pit = new THREE.Mesh(new THREE.PlaneGeometry(3, 3), new THREE.MeshBasicMaterial({ color: 0x000000 }));
+        pit.rotation.x = -Math.PI / 2;
+        pit.position.y = 0.04;
+        stairwell.add(pit);
+        const stairRunes = new THREE.Mesh(
+            new THREE.RingGeometry(2.1, 2.4, 4),
+            new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.6, side: THREE.DoubleSide })
+        );
+        stairRunes.rotation.set(-Math.PI / 2, 0, Math.PI / 4);
+        stairRunes.position.y = 0.06;
+        stairwell.add(stairRunes);
+        const lintelMat = new THREE.MeshLambertMaterial({ color: 0x3a3a32 });
+        [-1.8, 1.8].forEach((x) => {
+            const post = new THREE.Mesh(new THREE.BoxGeometry(0.5, 3.2, 0.5), lintelMat);
+            post.position.set(x, 1.6, 0);
+            stairwell.add(post);
+        });
+        const lintel = new THREE.Mesh(new THREE.BoxGeometry(4.1, 0.5, 0.6), lintelMat);
+        lintel.position.y = 3.4;
+        stairwell.add(lintel);
+        stairwell.traverse((child) => { child.userData.noCollision = true; });
+        group.add(stairwell);
+
         this.scene.add(group);
         this.worldObjects.push(group);
 
-        const chestPos = pos.clone();
-        chestPos.y = stepsCount * (isGrand ? 0.95 : 0.6) + (isGrand ? 2.6 : 1.5);
-        const chest = this.createTreasureChest(chestPos);
-        this.scene.add(chest);
-        this.applyStaticOMICollider(chest, { type: 'box', size: [2.4, 1.8, 2.0] });
-        this.treasureChests.push({ mesh: chest, position: chestPos, opened: false });
+        // Chests someone in the room already looted stay gone
+        let chest = null;
+        if (!this.openedChests.has(cfg.cellKey)) {
+            const chestPos = pos.clone();
+            chestPos.y = stepsCount * (isGrand ? 0.95 : 0.6) + (isGrand ? 2.6 : 1.5);
+            chest = this.createTreasureChest(chestPos);
+            this.scene.add(chest);
+            this.applyStaticOMICollider(chest, { type: 'box', size: [2.4, 1.8, 2.0] });
+            this.treasureChests.push({ mesh: chest, position: chestPos, opened: false, key: cfg.cellKey || null });
+        }
 
         const templeData = {
             group,
@@ -630,54 +665,52 @@ export class RoguelikeWorld {
             position: pos,
             color,
             beaconColor,
-            cellKey: cfg.cellKey || null
+            cellKey: cfg.cellKey || null,
+            dungeonEntrance: new THREE.Vector3(pos.x, 0, pos.z + DUNGEON_STAIRWELL_OFFSET)
         };
         this.temples.push(templeData);
-        this.landmarks.push({ name, position: pos, radius: 14, discovered: false, orb, light: beaconLight });
+        const landmark = { name, position: pos, radius: 14, orb, light: beaconLight, cellKey: cfg.cellKey || null };
+        landmark.discovered = this.discoveredLandmarks.has(this.getLandmarkKey(landmark));
+        this.landmarks.push(landmark);
         return templeData;
     }
 
     scatterSpookyDecor() {
-        for (let i = 0; i < 36; i++) {
-            const x = (Math.random() - 0.5) * 350;
-            const z = 80 + Math.random() * 230;
-            const height = 1 + Math.random() * 3;
-
-            if (Math.random() < 0.5) {
-                const rockGeo = new THREE.DodecahedronGeometry(0.5 + Math.random() * 1.5, 0);
+        const { props, skulls } = generateDecor(this.seed);
+        props.forEach((prop) => {
+            if (prop.kind === 'rock') {
+                const rockGeo = new THREE.DodecahedronGeometry(prop.radius, 0);
                 const rockMat = new THREE.MeshLambertMaterial({ color: 0x333330 });
                 const rock = new THREE.Mesh(rockGeo, rockMat);
-                rock.position.set(x, (0.5 + Math.random() * 1.5) * 0.4, z);
-                rock.rotation.set(Math.random(), Math.random(), Math.random());
+                rock.position.set(prop.x, prop.y, prop.z);
+                rock.rotation.set(...prop.rotation);
                 rock.castShadow = true;
                 this.scene.add(rock);
                 this.worldObjects.push(rock);
-            } else {
-                const trunkGeo = new THREE.CylinderGeometry(0.1, 0.15, height, 6);
-                const trunkMat = new THREE.MeshLambertMaterial({ color: 0x2a1f15 });
-                const trunk = new THREE.Mesh(trunkGeo, trunkMat);
-                trunk.position.set(x, height / 2, z);
-                trunk.rotation.z = (Math.random() - 0.5) * 0.2;
-                trunk.castShadow = true;
-                this.scene.add(trunk);
-                this.worldObjects.push(trunk);
-
-                for (let b = 0; b < 2 + Math.floor(Math.random() * 3); b++) {
-                    const bLen = 0.5 + Math.random() * 1;
-                    const bGeo = new THREE.CylinderGeometry(0.03, 0.06, bLen, 4);
-                    const branch = new THREE.Mesh(bGeo, trunkMat);
-                    branch.position.set(x, height * 0.4 + Math.random() * height * 0.5, z);
-                    branch.rotation.z = (Math.random() - 0.5) * 1.5;
-                    branch.rotation.y = Math.random() * Math.PI * 2;
-                    this.scene.add(branch);
-                    this.worldObjects.push(branch);
-                }
+                return;
             }
-        }
 
-        for (let i = 0; i < 6; i++) {
-            const x = (Math.random() - 0.5) * 300;
-            const z = 90 + Math.random() * 200;
+            const trunkGeo = new THREE.CylinderGeometry(0.1, 0.15, prop.height, 6);
+            const trunkMat = new THREE.MeshLambertMaterial({ color: 0x2a1f15 });
+            const trunk = new THREE.Mesh(trunkGeo, trunkMat);
+            trunk.position.set(prop.x, prop.height / 2, prop.z);
+            trunk.rotation.z = prop.lean;
+            trunk.castShadow = true;
+            this.scene.add(trunk);
+            this.worldObjects.push(trunk);
+
+            prop.branches.forEach((b) => {
+                const bGeo = new THREE.CylinderGeometry(0.03, 0.06, b.length, 4);
+                const branch = new THREE.Mesh(bGeo, trunkMat);
+                branch.position.set(prop.x, b.y, prop.z);
+                branch.rotation.z = b.tilt;
+                branch.rotation.y = b.turn;
+                this.scene.add(branch);
+                this.worldObjects.push(branch);
+            });
+        });
+
+        skulls.forEach(({ x, z }) => {
             const skullGeo = new THREE.SphereGeometry(0.25, 8, 6);
             const skullMat = new THREE.MeshLambertMaterial({ color: 0xccccaa });
             const skull = new THREE.Mesh(skullGeo, skullMat);
@@ -685,7 +718,7 @@ export class RoguelikeWorld {
             skull.castShadow = true;
             this.scene.add(skull);
             this.worldObjects.push(skull);
-        }
+        });
     }
 
     setupWorldLighting() {
@@ -957,53 +990,101 @@ export class RoguelikeWorld {
         this._spookyAudioReady = false;
     }
 
+    // Offline ghosts start where the server would put them for this seed
     spawnGhosts() {
-        const camPos = this.theatre?.camera?.position?.clone() || new THREE.Vector3(0, 1.6, 88);
-
-        // Guaranteed nearby pressure right after exiting the theatre.
-        for (let i = 0; i < 2; i++) {
-            const ghost = this.createGhost();
-            const angle = (i / 4) * Math.PI * 2 + Math.random() * 0.3;
-            const radius = 12 + Math.random() * 10;
-            const x = camPos.x + Math.cos(angle) * radius;
-            const z = camPos.z + Math.sin(angle) * radius + 10;
-            const baseSpeed = 2.6 + Math.random() * 1.4; // units/sec
-            ghost.position.set(x, 2, z);
-            this.scene.add(ghost);
-            this.ghosts.push({
-                mesh: ghost,
-                position: ghost.position.clone(),
-                target: null,
-                speed: baseSpeed,
-                baseSpeed: baseSpeed,
-                lastPlayerDistance: Infinity,
-                aggroRange: 85 + Math.random() * 35,
-                killRange: 2.0,
-                health: 2 + Math.floor(Math.random() * 3),
-                alerted: true
-            });
+        generateGhostSpawns(this.seed).forEach((spawn) => {
+            const mesh = this.createGhost(spawn.type, spawn.archetype);
+            mesh.position.set(spawn.x, 2, spawn.z);
+            this.scene.add(mesh);
+            const ghost = prepareGhost({ ...spawn, mesh, position: mesh.position.clone() });
+            this.ghosts.push(ghost);
+            this.placeGhost(ghost);
+        });
+    }
+
+    setSync(sync) {
+        this.sync = sync;
+    }
+
+    isSynced() {
+        return !!this.sync?.isActive();
+    }
+
+    // A new seed means a different world; rebuild it on the next way out
+    setSeed(seed) {
+        if (!Number.isInteger(seed) || seed === this.seed) return;
+        this.seed = seed;
+        if (this.worldInitialized && !this.isActive) {
+            this.clearWorld();
         }
+    }
 
-        for (let i = 0; i < 6; i++) {
-            const ghost = this.createGhost();
-            const nearSpawn = i < 2;
-            const x = nearSpawn ? (Math.random() - 0.5) * 60 : (Math.random() - 0.5) * 250;
-            const z = nearSpawn ? 100 + Math.random() * 50 : 120 + Math.random() * 200;
-            const baseSpeed = 2.2 + Math.random() * 1.5; // units/sec
-            ghost.position.set(x, 2, z);
-            this.scene.add(ghost);
-            this.ghosts.push({
-                mesh: ghost,
-                position: ghost.position.clone(),
-                target: null,
-                speed: baseSpeed,
-                baseSpeed: baseSpeed,
-                lastPlayerDistance: Infinity,
-                aggroRange: 70 + Math.random() * 35,
-                killRange: 2.0,
-                health: 2 + Math.floor(Math.random() * 3),
-                alerted: nearSpawn
-            });
+    setOpenedChests(chestKeys = []) {
+        chestKeys.forEach((key) => this.markChestOpened(key, false));
+    }
+
+    // Ghost positions from the server; meshes ease towards them every frame
+    applyGhostSnapshot(snapshot = []) {
+        if (!this.isActive) return;
+
+        const seen = new Set();
+        snapshot.forEach((state) => {
+            seen.add(state.id);
+            let ghost = this.ghosts.find((g) => g.id === state.id);
+            if (!ghost) {
+                const mesh = this.createGhost(state.type, state.archetype);
+                mesh.position.set(state.x, 2, state.z);
+                this.scene.add(mesh);
+                ghost = { id: state.id, archetype: state.archetype, mesh, position: mesh.position.clone(), serverPosition: new THREE.Vector3() };
+                this.ghosts.push(ghost);
+            }
+            ghost.serverPosition.set(state.x, 2, state.z);
+            ghost.health = state.health;
+            ghost.alerted = state.alerted;
+            ghost.state = state.state;
+        });
+
+        for (let i = this.ghosts.length - 1; i >= 0; i--) {
+            if (!seen.has(this.ghosts[i].id)) this.removeGhost(i);
+        }
+    }
+
+    followServerGhost(ghost, deltaTime) {
+        if (ghost.serverPosition) {
+            const step = new THREE.Vector3().subVectors(ghost.serverPosition, ghost.position);
+            if (step.lengthSq() > 0.0001) {
+                ghost.position.addScaledVector(step, Math.min(1, deltaTime * 10));
+                ghost.mesh.lookAt(ghost.serverPosition.x, ghost.mesh.position.y, ghost.serverPosition.z);
+            }
+            ghost.mesh.position.x = ghost.position.x;
+            ghost.mesh.position.z = ghost.position.z;
+        }
+        this.animateGhost(ghost);
+    }
+
+    // Someone's tomato landed; banished ghosts vanish for everyone and the
+    // rest are knocked back to where the server put them
+    handleGhostHit({ ghostId, health, x, z, userId }) {
+        const index = this.ghosts.findIndex((g) => g.id === ghostId);
+        if (index < 0) return;
+        const ghost = this.ghosts[index];
+        if (health <= 0 && userId === this.sync?.networkManager?.userId) {
+            this.recordQuestEvent({ type: 'banish', archetype: ghost.archetype });
+        }
+        ghost.health = health;
+        if (Number.isFinite(x) && Number.isFinite(z) && ghost.serverPosition) {
+            ghost.serverPosition.x = x;
+            ghost.serverPosition.z = z;
+        }
+        if (health <= 0) {
+            this.createGhostDeathEffect(ghost.mesh.position);
+            this.removeGhost(index);
+        }
+    }
+
+    clearGhosts() {
+        for (let i = this.ghosts.length - 1; i >= 0; i--) {
+            this.removeGhost(i);
         }
     }
 
@@ -1017,12 +1098,15 @@ export class RoguelikeWorld {
         return null;
     }
 
-    createGhost() {
+    createGhost(ghostType = Math.random(), archetype = 'wraith') {
         const ghostGroup = new THREE.Group();
-        const ghostType = Math.random();
         let color, emissiveColor;
 
-        if (ghostType < 0.3) {
+        const looks = GHOST_LOOKS[archetype];
+        if (looks) {
+            ({ color, emissiveColor } = looks);
+            ghostGroup.scale.setScalar(looks.scale);
+        } else if (ghostType < 0.3) {
             color = 0xccddff; emissiveColor = 0x8899cc;
         } else if (ghostType < 0.6) {
             color = 0xffaaaa; emissiveColor = 0xff4444;
@@ -1074,6 +1158,7 @@ export class RoguelikeWorld {
         ghostGroup.userData.floatOffset = Math.random() * Math.PI * 2;
         ghostGroup.userData.pulseOffset = Math.random() * Math.PI * 2;
         ghostGroup.userData.ghostType = ghostType;
+        ghostGroup.userData.archetype = archetype;
         ghostGroup.userData.emissiveColor = emissiveColor;
 
         return ghostGroup;
@@ -1086,33 +1171,34 @@ export class RoguelikeWorld {
         const now = performance.now();
         const dt = Math.min(0.05, Math.max(0.008, deltaTime || 0.016));
 
-        // Pack alert: once one ghost spots the player, nearby ghosts aggro too.
-        if (playerPosition) {
-            this.ghosts.forEach((ghost) => {
-                if (ghost.position.distanceTo(playerPosition) < ghost.aggroRange) {
-                    ghost.alerted = true;
-                    this.ghosts.forEach((other) => {
-                        if (other.position.distanceTo(ghost.position) < 55) {
-                            other.alerted = true;
-                        }
-                    });
-                }
-            });
+        if (this.isSynced()) {
+            this.ghosts.forEach((ghost) => this.followServerGhost(ghost, dt));
+            if (playerPosition) this.showSafeZoneHints(playerPosition);
         }
 
-        this.ghosts.forEach((ghost, index) => {
-            if (ghost.health <= 0) { this.removeGhost(index); return; }
-            this.updateGhost(ghost, dt, playerPosition);
-        });
+
+        if (!this.isSynced()) {
+            for (let i = this.ghosts.length - 1; i >= 0; i--) {
+                if (this.ghosts[i].health <= 0) this.removeGhost(i);
+            }
+            this.stepOfflineGhosts(dt, playerPosition);
+        }
 
         this.updateTomatoes(deltaTime);
         this.checkTomatoCollisions();
+        this.recoverStamina(dt);
 
         if (playerPosition) {
+            this.applyKnockback(dt, playerPosition);
             this.checkMultipleTreasures(playerPosition);
-            this.checkLandmarkDiscovery(playerPosition);
-            this.updateStreamingWorld(playerPosition);
-            this.updateTheatreCompass(playerPosition);
+            if (this.dungeon) {
+                this.updateDungeon(playerPosition);
+            } else {
+                this.checkLandmarkDiscovery(playerPosition);
+                this.updateStreamingWorld(playerPosition);
+                this.updateTheatreCompass(playerPosition);
+                this.checkDungeonEntrances(playerPosition);
+            }
             this.updateWorldCulling(playerPosition);
         }
 
@@ -1238,11 +1324,11 @@ export class RoguelikeWorld {
         this.ghosts.forEach((ghost) => {
             if (!ghost?.mesh) return;
             const dist = ghost.position.distanceTo(playerPosition);
-            ghost.mesh.visible = dist <= 260 && inViewCone(ghost.position, dist, -0.35);
+            ghost.mesh.visible = !ghost.hidden && dist <= 260 && inViewCone(ghost.position, dist, -0.35);
         });
     }
 
-    updateGhost(ghost, deltaTime, playerPosition) {
+    animateGhost(ghost) {
         const time = Date.now() * 0.001;
         ghost.mesh.position.y = ghost.position.y + Math.sin(time * 2 + ghost.mesh.userData.floatOffset) * 0.4;
 
@@ -1250,20 +1336,14 @@ export class RoguelikeWorld {
         ghost.mesh.children.forEach(child => {
             if (child.isPointLight) child.intensity = 0.5 + pulse * 0.5;
         });
+    }
 
-        if (!playerPosition) return;
-        const dist = ghost.position.distanceTo(playerPosition);
-        const inGraceWindow = (Date.now() - this.enterTimestamp) < this.ghostGracePeriodMs;
+    // Returns the temple the player is sheltering in, if any
+    showSafeZoneHints(playerPosition) {
         const safeTemple = this.getSafeTempleForPosition(playerPosition);
-        const playerInSafeZone = !!safeTemple;
         const playerInTheatreSafeZone = playerPosition.distanceTo(this.exitPosition) <= this.theatreSafeRadius;
-        const playerBonuses = this.theatre?.app?.itemBonuses || {};
-        const protectionBonus = Math.max(0, Number(playerBonuses.protection || 0));
-        const stealthBonus = Math.max(0, Number(playerBonuses.stealth || 0));
-        const adjustedAggroRange = Math.max(12, ghost.aggroRange - (stealthBonus * 3));
-        const adjustedKillRange = Math.max(1.2, ghost.killRange - (protectionBonus * 0.15));
 
-        if (playerInSafeZone && (Date.now() - this.lastSafeZoneMessageAt) > 2500) {
+        if (safeTemple && (Date.now() - this.lastSafeZoneMessageAt) > 2500) {
             this.lastSafeZoneMessageAt = Date.now();
             this.showSafeZoneMessage(safeTemple.name);
         }
@@ -1272,54 +1352,106 @@ export class RoguelikeWorld {
             this.lastSafeZoneMessageAt = Date.now();
             this.showSafeZoneMessage('Theatre perimeter');
         }
+        return safeTemple;
+    }
 
-        const playerProtectedZone = playerInSafeZone || playerInTheatreSafeZone;
-        if (!inGraceWindow && !playerProtectedZone && dist < adjustedKillRange) {
-            const resistChance = Math.min(0.45, protectionBonus * 0.08);
-            if (Math.random() > resistChance) {
-                this.killPlayer();
-                return;
-            }
+    // Offline the ghosts run here, by the same rules as on the server
+    stepOfflineGhosts(deltaTime, playerPosition) {
+        if (!playerPosition) {
+            this.ghosts.forEach((ghost) => this.animateGhost(ghost));
+            return;
         }
 
-        const shouldChase = !playerProtectedZone && (ghost.alerted || dist < adjustedAggroRange);
+        const safeTemple = this.showSafeZoneHints(playerPosition);
+        const bonuses = this.theatre?.app?.itemBonuses || {};
+        const player = {
+            userId: 'local',
+            x: playerPosition.x,
+            z: playerPosition.z,
+            stealth: Math.max(0, Number(bonuses.stealth || 0)),
+            protection: Math.max(0, Number(bonuses.protection || 0)),
+            safe: !!safeTemple || playerPosition.distanceTo(this.exitPosition) <= this.theatreSafeRadius,
+            inGrace: (Date.now() - this.enterTimestamp) < this.ghostGracePeriodMs
+        };
+        const temples = this.temples.map((t) => ({ x: t.position.x, z: t.position.z }));
+        const surroundings = { templesNear: () => temples, noises: this.noises, bounds: GHOST_BOUNDS };
 
-        if (shouldChase) {
-            const dir = new THREE.Vector3().subVectors(playerPosition, ghost.position).normalize();
-            const norm = 1 - Math.min(dist, adjustedAggroRange) / adjustedAggroRange;
-            const graceMultiplier = inGraceWindow ? 0.38 : 1.0;
-            const chaseSpeed = ghost.speed * (1 + norm * 1.2) * graceMultiplier;
-            ghost.position.addScaledVector(dir, chaseSpeed * deltaTime);
-            ghost.mesh.position.x = ghost.position.x;
-            ghost.mesh.position.z = ghost.position.z;
-            ghost.mesh.lookAt(playerPosition.x, ghost.mesh.position.y, playerPosition.z);
-            ghost.speed = Math.min(5.2, ghost.speed + 0.55 * deltaTime);
-        } else {
-            if (playerProtectedZone) {
-                // Repel ghosts away from safe areas while player is protected.
-                const safeCenter = playerInSafeZone ? safeTemple.position : this.exitPosition;
-                const retreatDir = new THREE.Vector3().subVectors(ghost.position, safeCenter).normalize();
-                ghost.position.addScaledVector(retreatDir, Math.max(2.0, ghost.baseSpeed) * deltaTime);
-                ghost.mesh.position.x = ghost.position.x;
-                ghost.mesh.position.z = ghost.position.z;
-                ghost.mesh.lookAt(safeCenter.x, ghost.mesh.position.y, safeCenter.z);
-            }
-            if (Math.random() < 0.02) {
-                const wander = new THREE.Vector3(Math.random() - 0.5, 0, Math.random() - 0.5).normalize();
-                ghost.position.addScaledVector(wander, ghost.baseSpeed * 0.45 * deltaTime);
-                ghost.mesh.position.x = ghost.position.x;
-                ghost.mesh.position.z = ghost.position.z;
-            }
-            ghost.speed = Math.max(ghost.baseSpeed, ghost.speed - 0.7 * deltaTime);
-            if (dist > adjustedAggroRange * 1.8) {
-                ghost.alerted = false;
-            }
+        if (player.safe) this.setPlayerHealth(this.playerHealth + SAFE_REGEN_PER_SECOND * deltaTime);
+
+        const hits = stepGhosts(this.ghosts, [player], surroundings, deltaTime, Date.now(), Math.random);
+        this.noises = [];
+        this.ghosts.forEach((ghost) => this.placeGhost(ghost));
+        for (const hit of hits) {
+            this.applyPlayerHit({ damage: hit.damage, health: this.playerHealth - hit.damage, from: hit.from });
+            if (!this.isActive) break;
+        }
+    }
+
+    // A ghost struck the local player: lose health, get shoved away from it
+    applyPlayerHit({ damage, health, from }) {
+        if (!this.isActive) return;
+        this.setPlayerHealth(health);
+        const position = this.theatre?.camera?.position;
+        if (from && position) {
+            const away = new THREE.Vector3(position.x - from.x, 0, position.z - from.z);
+            if (away.lengthSq() < 0.0001) away.set(0, 0, 1);
+            this.knockback.copy(away.normalize().multiplyScalar(KNOCKBACK_SPEED));
         }
+        this.showDamageFlash(damage);
+        if (this.playerHealth <= 0) this.killPlayer();
+    }
+
+    setPlayerHealth(health) {
+        this.playerHealth = Math.max(0, Math.min(MAX_HEALTH, Number(health) || 0));
+        this.updateHealthHud();
+    }
 
-        ghost.position.x = Math.max(-180, Math.min(180, ghost.position.x));
-        ghost.position.z = Math.max(80, Math.min(320, ghost.position.z));
-        ghost.mesh.position.x = ghost.position.x;
-        ghost.mesh.position.z = ghost.position.z;
+    // Returns whether the action can go ahead; the theatre costs nothing
+    spendStamina(kind, deltaTime = 0) {
+        if (!this.isActive) return true;
+        const cost = kind === 'throw' ? THROW_STAMINA : SPRINT_STAMINA_PER_SECOND * deltaTime;
+        if (kind === 'sprint' && this.staminaExhausted) return false;
+        if (this.stamina < cost) {
+            if (kind === 'sprint') this.staminaExhausted = true;
+            return false;
+        }
+        this.stamina -= cost;
+        this.lastStaminaSpendAt = Date.now();
+        if (this.stamina <= 0) this.staminaExhausted = true;
+        return true;
+    }
+
+    recoverStamina(deltaTime) {
+        if (Date.now() - this.lastStaminaSpendAt >= STAMINA_REGEN_DELAY_MS) {
+            this.stamina = Math.min(MAX_STAMINA, this.stamina + STAMINA_REGEN_PER_SECOND * deltaTime);
+        }
+        if (this.staminaExhausted && this.stamina >= MAX_STAMINA / 2) this.staminaExhausted = false;
+
+        const now = performance.now();
+        if (now - this._lastHealthHudMs >= 100) {
+            this._lastHealthHudMs = now;
+            this.updateHealthHud();
+        }
+    }
+
+    applyKnockback(deltaTime, playerPosition) {
+        if (this.knockback.lengthSq() < 0.01) return;
+        playerPosition.addScaledVector(this.knockback, deltaTime);
+        this.knockback.multiplyScalar(Math.max(0, 1 - deltaTime * 6));
+    }
+
+    // Move an offline ghost's mesh to where its behaviour put it
+    placeGhost(ghost) {
+        ghost.position.x = ghost.x;
+        ghost.position.z = ghost.z;
+        ghost.mesh.position.x = ghost.x;
+        ghost.mesh.position.z = ghost.z;
+        ghost.mesh.rotation.y = Math.PI / 2 - ghost.heading;
+        if (ghost.mesh.userData.hidden !== ghost.hidden) {
+            ghost.mesh.userData.hidden = ghost.hidden;
+            ghost.mesh.visible = !ghost.hidden;
+        }
+        this.animateGhost(ghost);
     }
 
     showSafeZoneMessage(templeName) {
@@ -1337,13 +1469,15 @@ export class RoguelikeWorld {
     }
 
     checkMultipleTreasures(playerPosition) {
+        let nearChest = false;
         this.treasureChests.forEach(tc => {
             if (tc.opened) return;
             const dist = playerPosition.distanceTo(tc.position);
-            if (dist < 9 && !document.getElementById('treasure-prompt')) this.showTreasurePrompt();
-            else if (dist >= 9) this.hideTreasurePrompt();
+            if (dist < 9) nearChest = true;
             tc.mesh.userData.canInteract = dist < 7;
         });
+        if (nearChest && !document.getElementById('treasure-prompt')) this.showTreasurePrompt();
+        else if (!nearChest) this.hideTreasurePrompt();
     }
 
     checkLandmarkDiscovery(playerPosition) {
@@ -1351,18 +1485,25 @@ export class RoguelikeWorld {
             if (lm.discovered) return;
             if (playerPosition.distanceTo(lm.position) < lm.radius) {
                 lm.discovered = true;
-                this.discoveredLandmarks.add(lm.name);
+                this.discoveredLandmarks.add(this.getLandmarkKey(lm));
                 this.showLandmarkDiscovery(lm.name);
+                this.recordQuestEvent({ type: 'discover', key: this.getLandmarkKey(lm) });
                 this.playerScore += 5;
                 this.updateScoreDisplay();
+                this.saveProgress();
             }
         });
     }
 
+    // Discoveries are remembered per world, so the key includes the seed
+    getLandmarkKey(lm) {
+        return `${this.seed}:${lm.cellKey || lm.name}`;
+    }
+
     showLandmarkDiscovery(name) {
         const div = document.createElement('div');
         div.style.cssText = `position:fixed;top:30%;left:50%;transform:translate(-50%,-50%);background:rgba(0,0,0,0.9);border:2px solid #FFD700;border-radius:16px;padding:24px 40px;color:#FFD700;font-size:22px;font-weight:bold;z-index:1000;text-align:center;backdrop-filter:blur(10px);box-shadow:0 0 40px rgba(255,215,0,0.3);`;
-        div.innerHTML = `<div style="font-size:36px;margin-bottom:8px;">&#x1F3DB;</div><div>TEMPLE DISCOVERED</div><div style="font-size:28px;margin-top:8px;">${name}</div><div style="font-size:14px;color:#ccc;margin-top:8px;">+5 score</div><div style="font-size:12px;color:#888;margin-top:4px;">${this.discoveredLandmarks.size}/${this.temples.length} discovered</div>`;
+        div.innerHTML = `<div style="font-size:36px;margin-bottom:8px;">&#x1F3DB;</div><div>TEMPLE DISCOVERED</div><div style="font-size:28px;margin-top:8px;">${name}</div><div style="font-size:14px;color:#ccc;margin-top:8px;">+5 score</div><div style="font-size:12px;color:#888;margin-top:4px;">${this.landmarks.filter(lm => lm.discovered).length}/${this.landmarks.length} discovered</div>`;
         document.body.appendChild(div);
         setTimeout(() => { if (document.body.contains(div)) document.body.removeChild(div); }, 3500);
     }
@@ -1417,16 +1558,61 @@ export class RoguelikeWorld {
         if (playerPosition && playerPosition.distanceTo(tc.position) > 8) {
             return false;
         }
+        this.hideTreasurePrompt();
+
+        // In a room the server rolls the loot, and a temple chest is only
+        // ours once it says nobody beat us to it
+        if (this.isSynced() && tc.key) {
+            this.sync.openChest(tc.key);
+            return true;
+        }
+        if (this.isSynced() && tc.vault) {
+            this.sync.openVault(tc.vault);
+            return true;
+        }
+        this.lootChest(tc);
+        return true;
+    }
+
+    // loot is what the server rolled; offline the chest rolls its own
+    lootChest(tc, loot = null) {
         tc.opened = true;
         this.playerScore += 1;
         this.updateScoreDisplay();
-        const loot = this.generateTreasureLoot();
-        if (this.theatre.app?.bindle) this.theatre.app.bindle.addLoot(loot);
+        this.saveProgress();
+        if (!loot) {
+            const { itemId, quantity } = tc.vault
+                ? rollChestLoot(this.seed, tc.vault, 'vault')
+                : rollChestLoot(this.seed, tc.key);
+            loot = createItem(itemId, quantity);
+        }
+        if (tc.vault) this.lootedVaults.add(tc.vault);
+        this.recordQuestEvent({ type: 'open-chest', rarity: loot.rarity });
+        if (this.theatre.app?.bindle) this.theatre.app.bindle.receiveLoot(loot);
         this.createTreasureEffect(tc.position);
         this.scene.remove(tc.mesh);
-        this.hideTreasurePrompt();
         this.showTreasureVictory(loot);
-        return true;
+    }
+
+    markChestOpened(chestKey, openedByMe, loot = null) {
+        this.openedChests.add(chestKey);
+        const tc = this.treasureChests.find((t) => t.key === chestKey && !t.opened);
+        if (!tc) return;
+
+        if (openedByMe) {
+            this.lootChest(tc, loot);
+            return;
+        }
+        tc.opened = true;
+        this.scene.remove(tc.mesh);
+        if (!this.treasureChests.some((t) => !t.opened && t.mesh.userData.canInteract)) {
+            this.hideTreasurePrompt();
+        }
+    }
+
+    markVaultOpened(cellKey, loot) {
+        const tc = this.treasureChests.find((t) => t.vault === cellKey && !t.opened);
+        if (tc) this.lootChest(tc, loot);
     }
 
     showTreasurePrompt() {
@@ -1484,13 +1670,30 @@ export class RoguelikeWorld {
     }
 
     checkTomatoCollisions() {
+        const synced = this.isSynced();
         this.tomatoes.forEach((t, ti) => {
             this.ghosts.forEach((g) => {
-                if (t.mesh.position.distanceTo(g.mesh.position) < 2) {
+                if (!g.hidden && g.health > 0 && t.mesh.position.distanceTo(g.mesh.position) < 2) {
                     this.createTomatoHitEffect(t.mesh.position);
                     this.removeTomato(ti);
-                    g.health -= 1;
-                    if (g.health <= 0) this.createGhostDeathEffect(g.mesh.position);
+                    // The server counts the hit and tells everyone outside
+                    if (synced) {
+                        this.sync.hitGhost(g.id);
+                        return;
+                    }
+                    const bonuses = this.theatre?.app?.itemBonuses || {};
+                    strikeGhost(g, {
+                        userId: 'local',
+                        x: t.startPosition.x,
+                        z: t.startPosition.z,
+                        power: Math.max(0, Number(bonuses.power || 0)),
+                        magic: Math.max(0, Number(bonuses.magic || 0))
+                    }, Date.now());
+                    this.placeGhost(g);
+                    if (g.health <= 0) {
+                        this.createGhostDeathEffect(g.mesh.position);
+                        this.recordQuestEvent({ type: 'banish', archetype: g.archetype });
+                    }
                 }
             });
         });
@@ -1499,6 +1702,7 @@ export class RoguelikeWorld {
     fireTomato(origin, direction, powerMultiplier = 1) {
         const now = Date.now();
         if (now - this.lastTomatoTime < this.tomatoCooldown) return false;
+        if (!this.spendStamina('throw')) return false;
         const tomato = new THREE.Mesh(new THREE.SphereGeometry(0.15, 8, 6), new THREE.MeshLambertMaterial({ color: 0xff4444, emissive: 0x441111, emissiveIntensity: 0.2 }));
         tomato.position.copy(origin);
         const stem = new THREE.Mesh(new THREE.CylinderGeometry(0.02, 0.03, 0.1, 6), new THREE.MeshLambertMaterial({ color: 0x228B22 }));
@@ -1506,6 +1710,12 @@ export class RoguelikeWorld {
         this.scene.add(tomato);
         this.tomatoes.push({ mesh: tomato, direction: direction.clone().normalize(), speed: 20 * powerMultiplier, range: 30 * powerMultiplier, startPosition: origin.clone(), velocity: direction.clone().multiplyScalar(20 * powerMultiplier) });
         this.lastTomatoTime = now;
+        // Throwing is loud; ghosts that hear it come looking
+        if (this.isSynced()) {
+            this.sync.makeNoise();
+        } else {
+            this.noises.push({ x: origin.x, z: origin.z });
+        }
         return true;
     }
 
@@ -1545,6 +1755,26 @@ export class RoguelikeWorld {
         this.ghosts.splice(i, 1);
     }
 
+    recordQuestEvent(event) {
+        this.theatre.app?.questManager?.record(event);
+    }
+
+    // Score and discoveries are part of the player profile
+    saveProgress() {
+        this.theatre.app?.profileManager?.save();
+    }
+
+    getProgress() {
+        return { score: this.playerScore, discoveredLandmarks: Array.from(this.discoveredLandmarks) };
+    }
+
+    setProgress({ score = 0, discoveredLandmarks = [] } = {}) {
+        this.playerScore = score;
+        this.discoveredLandmarks = new Set(discoveredLandmarks);
+        this.landmarks.forEach(lm => { lm.discovered = this.discoveredLandmarks.has(this.getLandmarkKey(lm)); });
+        this.updateScoreDisplay();
+    }
+
     killPlayer() {
         this.scene.background = new THREE.Color(0x660000);
         setTimeout(() => { if (this.scene.background) this.scene.background = new THREE.Color(0x000011); }, 300);
@@ -1553,7 +1783,9 @@ export class RoguelikeWorld {
     }
 
     respawnInTheatre() {
-        this.hideWorld();
+        this.hideWorld(false);
+        this.playerHealth = MAX_HEALTH;
+        this.knockback.set(0, 0, 0);
         if (this.theatre.camera) { this.theatre.camera.position.set(0, 2, 18); }
         if (this.theatre.networkManager) this.theatre.networkManager.updatePosition(new THREE.Vector3(0, 2, 18));
     }
@@ -1571,7 +1803,13 @@ export class RoguelikeWorld {
         this.hideTheatre();
         this.buildWorld();
         this.enterTimestamp = Date.now();
+        this.playerHealth = MAX_HEALTH;
+        this.stamina = MAX_STAMINA;
+        this.staminaExhausted = false;
+        this.knockback.set(0, 0, 0);
+        if (this.isSynced()) this.sync.enter(playerPosition);
         this.showOutsideStateOverlay();
+        this.showHealthHud();
         this.showTheatreCompass();
         this.setupSpookySpatialAudio();
         this.showWorldWarning();
@@ -1580,7 +1818,7 @@ export class RoguelikeWorld {
     showWorldWarning() {
         const d = document.createElement('div');
         d.style.cssText = `position:fixed;bottom:20px;left:50%;transform:translateX(-50%);background:rgba(0,0,0,0.85);color:#ffaa00;padding:16px 28px;border-radius:12px;font-size:16px;z-index:1000;text-align:center;border:2px solid #ffaa00;backdrop-filter:blur(10px);`;
-        d.innerHTML = `<div style="font-size:20px;margin-bottom:6px;">BEWARE THE DARKNESS</div><span style="font-size:13px;color:#ccc;">Temples glow in the distance... reach them for treasure, but ghosts guard the way.<br>Throw tomatoes (T) to fight back. Sprint (Shift) to run.</span>`;
+        d.innerHTML = `<div style="font-size:20px;margin-bottom:6px;">BEWARE THE DARKNESS</div><span style="font-size:13px;color:#ccc;">Temples glow in the distance... reach them for treasure, but ghosts guard the way.<br>Throw tomatoes (T) to fight back. Sprint (Shift) to run while your stamina lasts.<br>Ghosts wear down your health; temples and the theatre door let you recover.</span>`;
         document.body.appendChild(d);
         setTimeout(() => { if (document.body.contains(d)) d.remove(); }, 6000);
     }
@@ -1602,8 +1840,45 @@ export class RoguelikeWorld {
         const d = document.createElement('div');
         d.id = 'outside-state-overlay';
         d.style.cssText = 'position:fixed;top:14px;left:50%;transform:translateX(-50%);background:rgba(120,20,20,0.85);color:#fff;border:2px solid #ff6666;border-radius:10px;padding:8px 14px;font-size:13px;z-index:1300;';
-        d.textContent = `OUTSIDE ACTIVE | temples:${this.temples.length} ghosts:${this.ghosts.length}`;
+        d.textContent = `OUTSIDE ACTIVE | temples:${this.temples.length} ghosts:${this.ghosts.length} | seed:${formatSeedCode(this.seed)}`;
+        document.body.appendChild(d);
+    }
+
+    showHealthHud() {
+        if (document.getElementById('outside-health-hud')) return;
+        const d = document.createElement('div');
+        d.id = 'outside-health-hud';
+        d.style.cssText = 'position:fixed;bottom:150px;left:20px;width:220px;background:rgba(0,0,0,0.75);border:1px solid #552222;border-radius:8px;padding:8px 10px;font-size:12px;color:#fff;z-index:1300;';
+        d.innerHTML = `
+            <div style="display:flex;justify-content:space-between;"><span>HEALTH</span><span id="outside-health-value"></span></div>
+            <div style="height:10px;background:#331111;border-radius:5px;overflow:hidden;margin:3px 0 6px;"><div id="outside-health-bar" style="height:100%;background:#e53935;transition:width 0.2s;"></div></div>
+            <div style="display:flex;justify-content:space-between;"><span>STAMINA</span></div>
+            <div style="height:6px;background:#112233;border-radius:3px;overflow:hidden;margin-top:3px;"><div id="outside-stamina-bar" style="height:100%;background:#40d8ff;"></div></div>`;
         document.body.appendChild(d);
+        this.updateHealthHud();
+    }
+
+    updateHealthHud() {
+        const bar = document.getElementById('outside-health-bar');
+        if (!bar) return;
+        bar.style.width = `${(this.playerHealth / MAX_HEALTH) * 100}%`;
+        document.getElementById('outside-health-value').textContent = `${Math.ceil(this.playerHealth)} / ${MAX_HEALTH}`;
+        const stamina = document.getElementById('outside-stamina-bar');
+        stamina.style.width = `${(this.stamina / MAX_STAMINA) * 100}%`;
+        stamina.style.background = this.staminaExhausted ? '#667788' : '#40d8ff';
+    }
+
+    hideHealthHud() {
+        const el = document.getElementById('outside-health-hud');
+        if (el) el.remove();
+    }
+
+    showDamageFlash(damage) {
+        const d = document.createElement('div');
+        d.style.cssText = `position:fixed;inset:0;pointer-events:none;z-index:1250;box-shadow:inset 0 0 120px rgba(255,0,0,${Math.min(0.9, 0.3 + damage / 50)});transition:opacity 0.4s;`;
+        document.body.appendChild(d);
+        requestAnimationFrame(() => { d.style.opacity = '0'; });
+        setTimeout(() => d.remove(), 450);
     }
 
     showTheatreCompass() {
@@ -1705,11 +1980,20 @@ export class RoguelikeWorld {
         this.hiddenTheatreObjects = [];
     }
 
-    hideWorld() {
+    // returnedSafely is false when the ghosts sent the player back
+    hideWorld(returnedSafely = true) {
+        if (returnedSafely && this.isActive) this.theatre.app?.questManager?.deliverItems();
+        this.leaveDungeon(false);
+        // Server ghosts carry on without us; fresh ones arrive on the way back out
+        if (this.isSynced()) {
+            this.sync.leave();
+            this.clearGhosts();
+        }
         this.clearSpookySpatialAudio();
         const outside = document.getElementById('outside-state-overlay');
         if (outside) outside.remove();
         this.hideTheatreCompass();
+        this.hideHealthHud();
         this.showTheatre();
 
         if (this.savedBg) this.scene.background = this.savedBg;
@@ -1720,6 +2004,7 @@ export class RoguelikeWorld {
     }
 
     clearWorld() {
+        this.leaveDungeon(false);
         this.clearSpookySpatialAudio();
         const dispose = (obj) => {
             this.scene.remove(obj);
@@ -1733,7 +2018,7 @@ export class RoguelikeWorld {
 
         this.worldObjects = []; this.ghosts = []; this.tomatoes = [];
         this.treasureChests = []; this.temples = []; this.landmarks = [];
-        this.worldLights = []; this.discoveredLandmarks.clear();
+        this.worldLights = [];
         this.templeCellMap.clear();
         this.walkableSurfaces = [];
         this.worldInitialized = false;
@@ -1779,32 +2064,278 @@ export class RoguelikeWorld {
         return Math.sqrt(dx * dx + dz * dz) < 3.5;
     }
 
-    getRandomFloorPosition() { return new THREE.Vector3((Math.random() - 0.5) * 200, 0, 90 + Math.random() * 200); }
-    getRandomTreasurePosition() { return this.getRandomFloorPosition(); }
+    // Walking into a temple's stairwell leads down into its dungeon
+    checkDungeonEntrances(playerPosition) {
+        if (Date.now() - this.lastDungeonTransitionAt < DUNGEON_COOLDOWN_MS) return;
+        const temple = this.temples.find((t) => t.cellKey && t.dungeonEntrance
+            && Math.hypot(playerPosition.x - t.dungeonEntrance.x, playerPosition.z - t.dungeonEntrance.z) < 1.6);
+        if (temple) this.enterDungeon(temple);
+    }
 
-    generateTreasureLoot() {
-        const lootTable = [
-            { type: 'consumable', name: 'Golden Tomato', icon: '&#x1F947;', description: 'A magical golden tomato with extra power', stackable: true, quantity: 3, rarity: 'uncommon' },
-            { type: 'consumable', name: 'Courage Potion', icon: '&#x1F9EA;', description: 'Temporarily increases all stats', stackable: true, quantity: 1, rarity: 'rare' },
-            { type: 'wearable', name: 'Ghost Ward Ring', icon: '&#x1F48D;', description: 'Protects against ghost attacks', slot: 'finger', stats: { protection: 1 }, rarity: 'rare', model: 'ring_ghost_ward.glb' },
-            { type: 'wearable', name: 'Ancient Amulet', icon: '&#x1F52E;', description: 'Mysterious powers from the temple', slot: 'neck', stats: { power: 2, luck: 1 }, rarity: 'legendary', model: 'amulet_ancient.glb' },
-            { type: 'wearable', name: 'Shadow Pendant', icon: '&#x1F319;', description: 'Grants stealth in darkness', slot: 'neck', stats: { stealth: 3 }, rarity: 'epic', model: 'pendant_shadow.glb' },
-            { type: 'wearable', name: 'Crystal Earrings', icon: '&#x1F48E;', description: 'Enhances magical abilities', slot: 'ear', stats: { magic: 2 }, rarity: 'rare', model: 'earrings_crystal.glb' },
-            { type: 'wearable', name: 'Treasure Hunter Hat', icon: '&#x1F3A9;', description: 'Increases treasure finding luck', slot: 'head', stats: { luck: 3 }, rarity: 'rare', model: 'hat_treasure_hunter.glb' },
-            { type: 'wearable', name: 'Spectral Crown', icon: '&#x1F451;', description: 'Crown of the ghost realm', slot: 'head', stats: { power: 3, protection: 2 }, rarity: 'legendary', model: 'crown_spectral.glb' },
-            { type: 'wearable', name: 'Phantom Mask', icon: '&#x1F3AD;', description: 'Conceals your identity from spirits', slot: 'face', stats: { stealth: 4 }, rarity: 'epic', model: 'mask_phantom.glb' },
-            { type: 'wearable', name: 'Phantom Cloak', icon: '&#x1F9E5;', description: 'Reduces ghost detection range', slot: 'back', stats: { stealth: 3, protection: 1 }, rarity: 'epic', model: 'cloak_phantom.glb' },
-            { type: 'wearable', name: 'Spectral Boots', icon: '&#x1F47B;', description: 'Walk silently through the night', slot: 'feet', stats: { stealth: 2, speed: 1 }, rarity: 'epic', model: 'boots_spectral.glb' },
-            { type: 'wearable', name: 'Wings of the Void', icon: '&#x1F5A4;', description: 'Grants the power of flight', slot: 'back', stats: { flight: true, speed: 5 }, rarity: 'mythic', model: 'wings_void.glb' },
-            { type: 'wearable', name: 'Halo of Spirits', icon: '&#x1F607;', description: 'Blessed by ancient souls', slot: 'head', stats: { protection: 5, magic: 3 }, rarity: 'mythic', model: 'halo_spirits.glb' },
-            { type: 'wearable', name: 'Demon Horns', icon: '&#x1F608;', description: 'Channel dark powers', slot: 'head', stats: { power: 4, intimidation: 3 }, rarity: 'mythic', model: 'horns_demon.glb' }
-        ];
-        const weights = { common: 40, uncommon: 30, rare: 20, epic: 8, legendary: 1.8, mythic: 0.2 };
-        const total = Object.values(weights).reduce((s, w) => s + w, 0);
-        let r = Math.random() * total;
-        for (const item of lootTable) { r -= weights[item.rarity] || 1; if (r <= 0) return { ...item, id: 'item_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9) }; }
-        return { ...lootTable[0], id: 'item_' + Date.now() };
+    getDungeonOrigin(cellX, cellZ) {
+        const { x, z } = getDungeonOrigin(cellX, cellZ);
+        return new THREE.Vector3(x, 0, z);
+    }
+
+    dungeonTileToWorld(dungeon, tile, y = 0) {
+        const offset = (dungeon.layout.size / 2 - 0.5) * DUNGEON_TILE_SIZE;
+        return new THREE.Vector3(
+            dungeon.origin.x + tile.x * DUNGEON_TILE_SIZE - offset,
+            y,
+            dungeon.origin.z + tile.z * DUNGEON_TILE_SIZE - offset
+        );
     }
 
+    enterDungeon(temple) {
+        if (this.dungeon) return;
+        const [cellX, cellZ] = temple.cellKey.split(':').map(Number);
+        const layout = generateDungeon(this.seed, cellX, cellZ);
+        this.dungeon = {
+            temple,
+            layout,
+            origin: this.getDungeonOrigin(cellX, cellZ),
+            group: new THREE.Group(),
+            traps: [],
+            doors: [],
+            key: null,
+            hasKey: false,
+            chest: null,
+            exit: null,
+            // Bumped whenever a door opens, so collisions get rebuilt
+            revision: 0,
+            lastLockedMessageAt: 0,
+            outsideFog: this.scene.fog,
+            outsideBackground: this.scene.background
+        };
+        this.maze = layout.tiles;
+        this.buildDungeon(this.dungeon);
+        this.scene.add(this.dungeon.group);
+
+        this.scene.fog = new THREE.FogExp2(0x080604, 0.035);
+        this.scene.background = new THREE.Color(0x050403);
+
+        this.lastDungeonTransitionAt = Date.now();
+        this.hideTheatreCompass();
+        this.movePlayerTo(this.dungeonTileToWorld(this.dungeon, layout.entrance, 1.6));
+        this.showDungeonMessage(`You descend beneath the ${temple.name}. Find the key, mind the spikes.`);
+    }
+
+    buildDungeon(dungeon) {
+        const { layout, group } = dungeon;
+        const span = layout.size * DUNGEON_TILE_SIZE;
+        const centre = dungeon.origin;
+
+        const floor = new THREE.Mesh(new THREE.PlaneGeometry(span, span), new THREE.MeshLambertMaterial({ color: 0x2b2620 }));
+        floor.rotation.x = -Math.PI / 2;
+        floor.position.set(centre.x, 0, centre.z);
+        floor.userData.noCollision = true;
+        group.add(floor);
+        this.floors.push(floor);
+
+        const ceiling = new THREE.Mesh(new THREE.PlaneGeometry(span, span), new THREE.MeshLambertMaterial({ color: 0x15120e }));
+        ceiling.rotation.x = Math.PI / 2;
+        ceiling.position.set(centre.x, DUNGEON_WALL_HEIGHT, centre.z);
+        ceiling.userData.noCollision = true;
+        group.add(ceiling);
+
+        // Only walls that face an open tile are worth a mesh
+        const wallGeo = new THREE.BoxGeometry(DUNGEON_TILE_SIZE, DUNGEON_WALL_HEIGHT, DUNGEON_TILE_SIZE);
+        const wallMat = new THREE.MeshLambertMaterial({ color: 0x4a4238 });
+        const isOpen = (x, z) => (layout.tiles[z]?.[x] ?? DUNGEON_TILE.wall) !== DUNGEON_TILE.wall;
+        layout.tiles.forEach((row, z) => row.forEach((tile, x) => {
+            if (tile !== DUNGEON_TILE.wall) return;
+            const facesOpen = [-1, 0, 1].some((dz) => [-1, 0, 1].some((dx) => isOpen(x + dx, z + dz)));
+            if (!facesOpen) return;
+            const wall = new THREE.Mesh(wallGeo, wallMat);
+            wall.position.copy(this.dungeonTileToWorld(dungeon, { x, z }, DUNGEON_WALL_HEIGHT / 2));
+            group.add(wall);
+            this.applyStaticOMICollider(wall, { type: 'box', size: [DUNGEON_TILE_SIZE, DUNGEON_WALL_HEIGHT, DUNGEON_TILE_SIZE] });
+            this.walls.push(wall);
+        }));
+
+        layout.rooms.forEach((room) => {
+            const torch = new THREE.PointLight(0xff9944, 1.6, 26);
+            torch.position.copy(this.dungeonTileToWorld(dungeon, {
+                x: room.x + (room.width - 1) / 2,
+                z: room.z + (room.depth - 1) / 2
+            }, DUNGEON_WALL_HEIGHT - 1.2));
+            group.add(torch);
+        });
+
+        layout.lockedDoors.forEach((tile) => {
+            const door = new THREE.Mesh(
+                new THREE.BoxGeometry(DUNGEON_TILE_SIZE, DUNGEON_WALL_HEIGHT, DUNGEON_TILE_SIZE),
+                new THREE.MeshLambertMaterial({ color: 0x6b4a1e, emissive: 0x3a2200, emissiveIntensity: 0.4 })
+            );
+            door.position.copy(this.dungeonTileToWorld(dungeon, tile, DUNGEON_WALL_HEIGHT / 2));
+            group.add(door);
+            this.applyStaticOMICollider(door, { type: 'box', size: [DUNGEON_TILE_SIZE, DUNGEON_WALL_HEIGHT, DUNGEON_TILE_SIZE] });
+            dungeon.doors.push({ mesh: door, position: door.position.clone(), locked: true });
+        });
+
+        layout.traps.forEach((tile) => {
+            const position = this.dungeonTileToWorld(dungeon, tile);
+            const plate = new THREE.Mesh(
+                new THREE.BoxGeometry(DUNGEON_TILE_SIZE * 0.8, 0.08, DUNGEON_TILE_SIZE * 0.8),
+                new THREE.MeshLambertMaterial({ color: 0x3a1a14 })
+            );
+            plate.position.copy(position);
+            plate.userData.noCollision = true;
+            group.add(plate);
+
+            const spikes = new THREE.Group();
+            const spikeMat = new THREE.MeshLambertMaterial({ color: 0xb0b0b8 });
+            for (let i = 0; i < 9; i++) {
+                const spike = new THREE.Mesh(new THREE.ConeGeometry(0.18, 0.9, 6), spikeMat);
+                spike.position.set(((i % 3) - 1) * 0.9, 0.45, (Math.floor(i / 3) - 1) * 0.9);
+                spike.userData.noCollision = true;
+                spikes.add(spike);
+            }
+            spikes.position.copy(position);
+            group.add(spikes);
+            dungeon.traps.push({ position, phase: tile.phase, spikes, lastSprungAt: 0 });
+        });
+
+        const keyMesh = new THREE.Mesh(
+            new THREE.TorusGeometry(0.3, 0.08, 8, 16),
+            new THREE.MeshBasicMaterial({ color: 0xffd700 })
+        );
+        keyMesh.position.copy(this.dungeonTileToWorld(dungeon, layout.key, 1.2));
+        keyMesh.userData.noCollision = true;
+        const keyLight = new THREE.PointLight(0xffd700, 1.2, 10);
+        keyMesh.add(keyLight);
+        group.add(keyMesh);
+        dungeon.key = keyMesh;
+
+        const exitPosition = this.dungeonTileToWorld(dungeon, layout.exit);
+        const exitBeam = new THREE.Mesh(
+            new THREE.CylinderGeometry(1.2, 1.2, DUNGEON_WALL_HEIGHT, 16, 1, true),
+            new THREE.MeshBasicMaterial({ color: 0x40d8ff, transparent: true, opacity: 0.25, side: THREE.DoubleSide })
+        );
+        exitBeam.position.set(exitPosition.x, DUNGEON_WALL_HEIGHT / 2, exitPosition.z);
+        exitBeam.userData.noCollision = true;
+        const exitLight = new THREE.PointLight(0x40d8ff, 1.4, 14);
+        exitLight.position.y = 1;
+        exitBeam.add(exitLight);
+        group.add(exitBeam);
+        dungeon.exit = exitPosition;
+
+        // The vault chest is this player's own; it stays empty once looted
+        const vaultKey = dungeon.temple.cellKey;
+        if (!this.lootedVaults.has(vaultKey)) {
+            const chestPos = this.dungeonTileToWorld(dungeon, layout.treasure);
+            const chest = this.createTreasureChest(chestPos);
+            this.scene.add(chest);
+            this.applyStaticOMICollider(chest, { type: 'box', size: [2.4, 1.8, 2.0] });
+            dungeon.chest = { mesh: chest, position: chestPos, opened: false, key: null, vault: vaultKey };
+            this.treasureChests.push(dungeon.chest);
+        }
+    }
+
+    updateDungeon(playerPosition) {
+        const dungeon = this.dungeon;
+        const now = Date.now();
+        const flatDistance = (position) => Math.hypot(playerPosition.x - position.x, playerPosition.z - position.z);
+
+        dungeon.traps.forEach((trap) => {
+            const cycle = ((now / TRAP_PERIOD_MS) + trap.phase) % 1;
+            const armed = cycle < TRAP_ARMED_MS / TRAP_PERIOD_MS;
+            trap.spikes.position.y = armed ? 0 : -0.85;
+            const onTrap = Math.abs(playerPosition.x - trap.position.x) < DUNGEON_TILE_SIZE / 2
+                && Math.abs(playerPosition.z - trap.position.z) < DUNGEON_TILE_SIZE / 2;
+            if (!armed || !onTrap || now - trap.lastSprungAt < TRAP_COOLDOWN_MS) return;
+
+            trap.lastSprungAt = now;
+            // In a room the server owns our health and reports the hit back
+            if (this.isSynced()) {
+                this.sync.springTrap(trap.position);
+            } else {
+                this.applyPlayerHit({ damage: TRAP_DAMAGE, health: this.playerHealth - TRAP_DAMAGE, from: trap.position });
+            }
+        });
+        if (!this.dungeon) return;
+
+        if (dungeon.key && !dungeon.hasKey) {
+            dungeon.key.rotation.y += 0.04;
+            if (flatDistance(dungeon.key.position) < 1.8) {
+                dungeon.hasKey = true;
+                dungeon.group.remove(dungeon.key);
+                dungeon.key.traverse((c) => { if (c.geometry) c.geometry.dispose(); if (c.material) c.material.dispose(); });
+                this.showDungeonMessage('You found a temple key');
+            }
+        }
+
+        dungeon.doors.forEach((door) => {
+            if (!door.locked || flatDistance(door.position) > DUNGEON_TILE_SIZE) return;
+            if (!dungeon.hasKey) {
+                if (now - dungeon.lastLockedMessageAt > 3000) {
+                    dungeon.lastLockedMessageAt = now;
+                    this.showDungeonMessage('Locked. The key must be somewhere down here.');
+                }
+                return;
+            }
+            door.locked = false;
+            dungeon.revision += 1;
+            dungeon.group.remove(door.mesh);
+            door.mesh.geometry.dispose();
+            door.mesh.material.dispose();
+            this.showDungeonMessage('The key turns and the vault door grinds open');
+        });
+
+        if (now - this.lastDungeonTransitionAt > DUNGEON_COOLDOWN_MS && flatDistance(dungeon.exit) < 1.4) {
+            this.leaveDungeon(true);
+        }
+    }
+
+    // Tear the dungeon down; back outside it puts the player on the temple steps
+    leaveDungeon(returnToTemple = true) {
+        const dungeon = this.dungeon;
+        if (!dungeon) return;
+        this.dungeon = null;
+
+        this.scene.remove(dungeon.group);
+        dungeon.group.traverse((c) => { if (c.geometry) c.geometry.dispose(); if (c.material) c.material.dispose(); });
+        if (dungeon.chest) {
+            this.scene.remove(dungeon.chest.mesh);
+            dungeon.chest.mesh.traverse((c) => { if (c.geometry) c.geometry.dispose(); if (c.material) c.material.dispose(); });
+            this.treasureChests = this.treasureChests.filter((tc) => tc !== dungeon.chest);
+        }
+        this.maze = [[0]];
+        this.walls = [];
+        this.floors = [];
+        this.scene.fog = dungeon.outsideFog;
+        this.scene.background = dungeon.outsideBackground;
+        this.lastDungeonTransitionAt = Date.now();
+
+        if (returnToTemple) {
+            const { dungeonEntrance, position } = dungeon.temple;
+            const back = new THREE.Vector3().subVectors(position, dungeonEntrance).setY(0).normalize();
+            this.movePlayerTo(dungeonEntrance.clone().addScaledVector(back, 3.5).setY(2.2));
+        }
+    }
+
+    movePlayerTo(position) {
+        this.knockback.set(0, 0, 0);
+        if (this.theatre.camera) this.theatre.camera.position.copy(position);
+        if (this.theatre.networkManager) this.theatre.networkManager.updatePosition(position);
+    }
+
+    showDungeonMessage(text) {
+        const id = 'dungeon-message';
+        const existing = document.getElementById(id);
+        if (existing) existing.remove();
+        const d = document.createElement('div');
+        d.id = id;
+        d.style.cssText = 'position:fixed;top:74px;left:50%;transform:translateX(-50%);background:rgba(30,20,8,0.88);border:2px solid #ffaa44;border-radius:10px;padding:8px 14px;color:#ffddaa;font-size:13px;z-index:1300;';
+        d.textContent = text;
+        document.body.appendChild(d);
+        setTimeout(() => {
+            if (document.body.contains(d)) d.remove();
+        }, 2600);
+    }
+
+    getRandomFloorPosition() { return new THREE.Vector3((Math.random() - 0.5) * 200, 0, 90 + Math.random() * 200); }
+    getRandomTreasurePosition() { return this.getRandomFloorPosition(); }
+
     dispose() { this.clearWorld(); }
 }
@@ -3,7 +3,6 @@ export class RoomCodeManager {
         this.networkManager = networkManager;
         this.licenseManager = licenseManager;
         this.currentRoomCode = null;
-        this.isHosting = false;
         
         this.init();
     }
@@ -11,6 +10,12 @@ export class RoomCodeManager {
     init() {
         this.createRoomCodeUI();
         this.setupEventListeners();
+        
+        // Show the code when we arrived through a room code link
+        if (/^[A-HJ-NP-Z]{4}$/.test(this.networkManager.roomId)) {
+            this.currentRoomCode = this.networkManager.roomId;
+            this.updateRoomCodeDisplay();
+        }
     }
     
     createRoomCodeUI() {
@@ -58,44 +63,32 @@ export class RoomCodeManager {
         }, 100);
     }
     
-    createRoom() {
+    async createRoom() {
         if (!this.licenseManager.canHostRoom()) {
             this.showLicenseRequiredMessage();
             return;
         }
         
-        // Generate 4-letter room code
-        this.currentRoomCode = this.generateRoomCode();
-        this.isHosting = true;
-        
-        // Update UI
-        this.updateRoomCodeDisplay();
-        
-        // Update URL
-        const url = new URL(window.location);
-        url.searchParams.set('room', this.currentRoomCode);
-        window.history.replaceState({}, '', url);
-        
-        // Notify network manager
-        this.networkManager.roomId = this.currentRoomCode;
-        this.networkManager.isHost = true;
-        
-        console.log('🎯 Created room with code:', this.currentRoomCode);
-        this.showMessage(`Room created! Code: ${this.currentRoomCode}`, 'success');
-    }
-    
-    generateRoomCode() {
-        // Generate 4-letter code (avoiding confusing letters)
-        const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ'; // No I, O to avoid confusion
-        let code = '';
-        for (let i = 0; i < 4; i++) {
-            code += chars.charAt(Math.floor(Math.random() * chars.length));
+        // The server allocates the code so it cannot collide with a live room
+        let roomCode;
+        try {
+            roomCode = await this.networkManager.createRoomCode();
+        } catch (error) {
+            this.showMessage(`Could not create room: ${error.message}`, 'error');
+            return;
         }
-        return code;
+        
+        console.log('🎯 Created room with code:', roomCode);
+        this.showMessage(`Room created! Code: ${roomCode}`, 'success');
+        this.joinRoom(roomCode);
     }
     
-    showJoinRoomDialog() {
+    showJoinRoomDialog(errorMessage = null) {
+        // Only one join dialog at a time
+        document.getElementById('join-room-modal')?.remove();
+        
         const joinModal = document.createElement('div');
+        joinModal.id = 'join-room-modal';
         joinModal.style.cssText = `
             position: fixed;
             top: 50%;
@@ -114,8 +107,8 @@ export class RoomCodeManager {
             <h3 style="color: #00ffff; margin-bottom: 20px;">🚪 Join Room</h3>
             <p style="margin-bottom: 16px; color: #ccc;">Enter the 4-letter room code:</p>
             <input type="text" id="room-code-input" placeholder="ABCD" maxlength="4" 
-                   style="background: rgba(255, 255, 255, 0.1); border: 2px solid #00ffff; border-radius: 8px; padding: 16px; color: #fff; font-size: 24px; text-align: center; width: 120px; margin-bottom: 20px; letter-spacing: 4px; text-transform: uppercase;">
-            <br>
+                   style="background: rgba(255, 255, 255, 0.1); border: 2px solid #00ffff; border-radius: 8px; padding: 16px; color: #fff; font-size: 24px; text-align: center; width: 120px; margin-bottom: 12px; letter-spacing: 4px; text-transform: uppercase;">
+            <div id="room-code-error" style="color: #ff6666; font-size: 13px; min-height: 16px; margin-bottom: 12px;"></div>
             <button id="join-room-submit" style="background: #4CAF50; border: none; color: white; padding: 12px 24px; border-radius: 8px; cursor: pointer; font-weight: bold; margin-right: 12px;">Join Room</button>
             <button id="cancel-join" style="background: #666; border: none; color: white; padding: 12px 24px; border-radius: 8px; cursor: pointer;">Cancel</button>
         `;
@@ -124,32 +117,49 @@ export class RoomCodeManager {
         
         // Focus input and setup handlers
         const input = joinModal.querySelector('#room-code-input');
+        const errorElement = joinModal.querySelector('#room-code-error');
+        errorElement.textContent = errorMessage || '';
         input.focus();
         
         // Auto-uppercase and limit to letters
         input.addEventListener('input', (e) => {
             e.target.value = e.target.value.toUpperCase().replace(/[^A-Z]/g, '');
+            errorElement.textContent = '';
         });
         
+        // Check the code with the server before leaving the current room
+        const submit = async () => {
+            if (input.value.length !== 4) {
+                errorElement.textContent = 'Please enter a 4-letter room code';
+                return;
+            }
+            
+            try {
+                const status = await this.networkManager.lookupRoomCode(input.value);
+                if (!status.exists || status.full) {
+                    errorElement.textContent = status.reason;
+                    return;
+                }
+            } catch (error) {
+                errorElement.textContent = error.message;
+                return;
+            }
+            
+            this.joinRoom(input.value);
+            joinModal.remove();
+        };
+        
         // Submit on Enter
         input.addEventListener('keypress', (e) => {
-            if (e.key === 'Enter' && input.value.length === 4) {
-                this.joinRoom(input.value);
-                document.body.removeChild(joinModal);
+            if (e.key === 'Enter') {
+                submit();
             }
         });
         
-        joinModal.querySelector('#join-room-submit').addEventListener('click', () => {
-            if (input.value.length === 4) {
-                this.joinRoom(input.value);
-                document.body.removeChild(joinModal);
-            } else {
-                this.showMessage('Please enter a 4-letter room code', 'error');
-            }
-        });
+        joinModal.querySelector('#join-room-submit').addEventListener('click', submit);
         
         joinModal.querySelector('#cancel-join').addEventListener('click', () => {
-            document.body.removeChild(joinModal);
+            joinModal.remove();
         });
     }
     
@@ -168,8 +178,9 @@ export class RoomCodeManager {
         const display = document.getElementById('room-code-display');
         const codeSpan = document.getElementById('current-room-code');
         const status = document.getElementById('room-code-status');
+        if (!display) return;
         
-        if (this.isHosting && this.currentRoomCode) {
+        if (this.currentRoomCode) {
             display.style.display = 'block';
             codeSpan.textContent = this.currentRoomCode;
             status.textContent = 'Share this code with friends to join!';
@@ -0,0 +1,176 @@
+import { ReplayLog } from './sessionReplay.js';
+
+const RECORDING_WIDTH = 1280;
+const RECORDING_HEIGHT = 720;
+const RECORDING_FPS = 30;
+const RECORDING_MIME_TYPES = ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm'];
+// Picture-in-picture streams, as the theatre screen lays them out
+const OVERLAY_WIDTH_RATIO = 0.25;
+const OVERLAY_MARGIN = 16;
+
+// Records a screening on this machine: whatever the theatre screen shows
+// and its speakers play goes to a WebM file through MediaRecorder, and the
+// room around it (avatars, seats and chat) to a session replay file (see
+// sessionReplay.js) that SessionReplayPlayer plays back in the theatre.
+// Both files are downloaded when the recording stops.
+export class SessionRecorder {
+    constructor(networkManager, theatre, app) {
+        this.networkManager = networkManager;
+        this.theatre = theatre;
+        this.app = app;
+        this.log = null;
+        this.recorder = null;
+        this.chunks = [];
+        this.canvas = null;
+        this.drawInterval = null;
+        this.audioTap = null;
+
+        this.setupSignaling();
+    }
+
+    get isRecording() {
+        return !!this.log;
+    }
+
+    setupSignaling() {
+        const socket = this.networkManager?.socket;
+        if (!socket) return;
+
+        socket.on('user-joined', (userData) => {
+            this.record('join', { userId: userData.id, name: userData.name, color: userData.color, position: userData.position });
+        });
+        socket.on('user-left', (userId) => this.record('leave', { userId }));
+        socket.on('user-position-update', (data) => this.record('position', data));
+        socket.on('seat-assigned', (data) => this.record('seat', data));
+        socket.on('seat-left', (data) => this.record('seat', { userId: data?.userId, seatIndex: null }));
+        socket.on('chat-message', (data) => this.recordChat(data.userId, data.userName, data.message));
+    }
+
+    record(type, fields) {
+        this.log?.record(type, fields);
+    }
+
+    // Our own messages are not echoed back, so ChatManager passes them on too
+    recordChat(userId, name, message) {
+        this.record('chat', { userId, name, message });
+    }
+
+    recordOwnPosition(position) {
+        this.record('position', { userId: this.networkManager.userId, position });
+    }
+
+    getMimeType() {
+        return RECORDING_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) ?? '';
+    }
+
+    start() {
+        if (this.isRecording) return true;
+        if (typeof MediaRecorder === 'undefined') {
+            this.app.showMessage('This browser cannot record', 'error');
+            return false;
+        }
+
+        const media = new MediaStream(this.captureScreen().getVideoTracks());
+        const context = this.theatre.avatarManager?.audioListener?.context;
+        if (context) {
+            this.audioTap = context.createMediaStreamDestination();
+            this.theatre.setSpeakerMixTap(this.audioTap);
+            this.audioTap.stream.getAudioTracks().forEach(track => media.addTrack(track));
+        }
+
+        this.chunks = [];
+        this.recorder = new MediaRecorder(media, { mimeType: this.getMimeType() });
+        this.recorder.addEventListener('dataavailable', (event) => {
+            if (event.data.size > 0) this.chunks.push(event.data);
+        });
+        this.recorder.start(1000);
+
+        this.log = new ReplayLog({ roomId: this.networkManager.roomId, users: this.getUsers() });
+        return true;
+    }
+
+    // The theatre's users as they are now, ourselves included
+    getUsers() {
+        return Array.from(this.theatre.users.values()).map(user => ({
+            id: user.id,
+            name: this.networkManager.roomUsers.get(user.id) || user.data?.name,
+            color: user.data?.color,
+            position: user.position,
+            seatIndex: user.seatId
+        }));
+    }
+
+    // The screen is redrawn onto a canvas of our own, so the recording goes
+    // on through streams starting, stopping and moving to picture-in-picture
+    captureScreen() {
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = RECORDING_WIDTH;
+        this.canvas.height = RECORDING_HEIGHT;
+        const ctx = this.canvas.getContext('2d');
+
+        this.drawInterval = setInterval(() => {
+            ctx.fillStyle = '#000';
+            ctx.fillRect(0, 0, RECORDING_WIDTH, RECORDING_HEIGHT);
+            const main = this.theatre.hostVideo;
+            if (main?.readyState >= 2) this.drawVideo(ctx, main, 0, 0, RECORDING_WIDTH, RECORDING_HEIGHT);
+
+            const width = RECORDING_WIDTH * OVERLAY_WIDTH_RATIO;
+            let right = RECORDING_WIDTH - OVERLAY_MARGIN;
+            this.theatre.streamOverlays.forEach(({ video }) => {
+                if (video.readyState < 2) return;
+                const height = width * video.videoHeight / video.videoWidth;
+                this.drawVideo(ctx, video, right - width, RECORDING_HEIGHT - OVERLAY_MARGIN - height, width, height);
+                right -= width + OVERLAY_MARGIN;
+            });
+        }, 1000 / RECORDING_FPS);
+
+        return this.canvas.captureStream(RECORDING_FPS);
+    }
+
+    // Letterboxed to keep the video's shape
+    drawVideo(ctx, video, x, y, width, height) {
+        const scale = Math.min(width / video.videoWidth, height / video.videoHeight);
+        const drawWidth = video.videoWidth * scale;
+        const drawHeight = video.videoHeight * scale;
+        ctx.drawImage(video, x + (width - drawWidth) / 2, y + (height - drawHeight) / 2, drawWidth, drawHeight);
+    }
+
+    async stop() {
+        if (!this.isRecording) return;
+        const log = this.log;
+        this.log = null;
+
+        const recorder = this.recorder;
+        const stopped = new Promise(resolve => recorder.addEventListener('stop', resolve, { once: true }));
+        recorder.stop();
+        await stopped;
+        recorder.stream.getTracks().forEach(track => track.stop());
+        clearInterval(this.drawInterval);
+        this.drawInterval = null;
+        this.canvas = null;
+        this.recorder = null;
+        if (this.audioTap) {
+            this.theatre.setSpeakerMixTap(null);
+            this.audioTap = null;
+        }
+
+        const name = `threeatre-${new Date(log.startedAt).toISOString().replace(/[:.]/g, '-')}`;
+        const recording = `${name}.webm`;
+        this.download(new Blob(this.chunks, { type: 'video/webm' }), recording);
+        this.download(new Blob([JSON.stringify(log.finish({ recording }))], { type: 'application/json' }), `${name}.replay.json`);
+        this.chunks = [];
+    }
+
+    download(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    dispose() {
+        this.stop();
+    }
+}
@@ -0,0 +1,151 @@
+import { ReplayCursor, parseReplay } from './sessionReplay.js';
+
+const REPLAY_TICK_MS = 100;
+// Replayed avatars share the theatre with the live room under ids of their own
+const REPLAY_USER_PREFIX = 'replay:';
+
+// Plays a session replay (see sessionReplay.js) back in the theatre: the
+// recorded avatars walk, sit and chat again, and the WebM recording saved
+// with it plays on the screen, setting the pace. Replayed avatars are only
+// placed on their seats, so the live room can still sit there.
+export class SessionReplayPlayer {
+    constructor(theatre, app) {
+        this.theatre = theatre;
+        this.app = app;
+        this.cursor = null;
+        this.video = null;
+        this.videoUrl = null;
+        this.startedAt = 0;
+        this.interval = null;
+        this.ticking = false;
+        this.shown = new Set();
+    }
+
+    get isPlaying() {
+        return !!this.cursor;
+    }
+
+    // The replay file and, optionally, its recording, picked together
+    async play(files) {
+        const replayFile = files.find(file => file.name.endsWith('.json'));
+        if (!replayFile) {
+            this.app.showMessage('Pick the .replay.json file, and its .webm recording to watch along', 'error');
+            return false;
+        }
+
+        let replay;
+        try {
+            replay = parseReplay(JSON.parse(await replayFile.text()));
+        } catch (error) {
+            this.app.showMessage(`Replay: ${error.message}`, 'error');
+            return false;
+        }
+
+        this.stop();
+        this.cursor = new ReplayCursor(replay);
+        const recording = files.find(file => file.name === replay.recording) ?? files.find(file => file.name.endsWith('.webm'));
+        if (recording && this.theatre.hostVideo) {
+            this.app.showMessage('The screen is in use, so the replay plays without its recording', 'error');
+        } else if (recording) {
+            this.startVideo(recording);
+        }
+
+        this.startedAt = performance.now();
+        await this.syncAvatars();
+        this.interval = setInterval(() => this.tick(), REPLAY_TICK_MS);
+        this.app.showMessage(`▶️ Replaying ${Math.round(replay.duration / 60000)} min from ${new Date(replay.startedAt).toLocaleString()}`);
+        return true;
+    }
+
+    startVideo(file) {
+        const video = document.createElement('video');
+        video.preload = 'auto';
+        this.videoUrl = URL.createObjectURL(file);
+        this.video = video;
+        this.theatre.setMediaVideo(video);
+        video.src = this.videoUrl;
+        video.play().catch(() => {});
+    }
+
+    // Until a live stream takes the screen over
+    isVideoShowing() {
+        return !!this.video && this.theatre.hostVideo === this.video;
+    }
+
+    // The recording's clock when it plays, the wall clock otherwise
+    getTime() {
+        if (this.isVideoShowing()) return this.video.currentTime * 1000;
+        return performance.now() - this.startedAt;
+    }
+
+    async tick() {
+        // Adding avatars can outlast a tick
+        if (this.ticking) return;
+        this.ticking = true;
+        try {
+            const events = this.cursor.advance(this.getTime());
+            events.forEach(event => {
+                if (event.type === 'chat') this.app.chatManager?.addMessage(event.message, `▶ ${event.name}`, '#9cf');
+            });
+            if (events.length > 0) await this.syncAvatars();
+        } finally {
+            this.ticking = false;
+        }
+
+        if (this.cursor?.finished && !(this.isVideoShowing() && !this.video.ended)) {
+            this.app.showMessage('Replay finished');
+            this.stop();
+            this.app.updateReplayControls();
+        }
+    }
+
+    // Bring the replayed avatars in line with the cursor
+    async syncAvatars() {
+        const users = this.cursor?.users;
+        if (!users) return;
+
+        this.shown.forEach(userId => {
+            if (!users.has(userId)) this.removeAvatar(userId);
+        });
+        for (const user of users.values()) {
+            const id = REPLAY_USER_PREFIX + user.id;
+            if (!this.shown.has(user.id)) {
+                this.shown.add(user.id);
+                await this.theatre.addUser(id, { id, name: user.name, color: user.color ?? undefined });
+                // Stopped or rewound while the avatar loaded
+                if (this.cursor?.users !== users) {
+                    this.removeAvatar(user.id);
+                    return;
+                }
+            }
+            const seat = user.seatIndex === null ? null : this.theatre.seats[user.seatIndex];
+            this.theatre.updateUserPosition(id, seat ? this.theatre.getSeatedPosition(id, seat) : user.position);
+        }
+    }
+
+    removeAvatar(userId) {
+        this.theatre.removeUser(REPLAY_USER_PREFIX + userId);
+        this.shown.delete(userId);
+    }
+
+    stop() {
+        if (this.interval) {
+            clearInterval(this.interval);
+            this.interval = null;
+        }
+        Array.from(this.shown).forEach(userId => this.removeAvatar(userId));
+        if (this.isVideoShowing()) {
+            this.theatre.stopHostStream();
+        }
+        if (this.videoUrl) {
+            URL.revokeObjectURL(this.videoUrl);
+            this.videoUrl = null;
+        }
+        this.video = null;
+        this.cursor = null;
+    }
+
+    dispose() {
+        this.stop();
+    }
+}
@@ -1,12 +1,34 @@
+import {
+    BITRATE_STEP_SHARE, DEFAULT_CEILING, DEFAULT_QUALITY, MIN_BITRATE_SHARE, QUALITY_CEILINGS, STREAM_PRESETS,
+    getCeilingLayer, getPreset, getSenderEncoding, getSimulcastEncodings
+} from '../shared/streamQuality.js';
+
+const RELAY_GATHER_TIMEOUT_MS = 3000;
+
+// Live streams in the room. Each user can host one source of each kind, a
+// screen share and a webcam, and the server gives every source a stream id
+// that tags its signaling. A viewer holds one connection per stream: to its
+// host, or with a relay to the relay. The first screen share fills the
+// theatre screen and every other stream is shown picture-in-picture on it.
+// How each stream is captured and encoded follows its quality preset, within
+// the ceiling each viewer sets (see shared/streamQuality.js).
 export class StreamManager {
     constructor(networkManager, theatre) {
         this.networkManager = networkManager;
         this.theatre = theatre;
-        this.isHost = false;
-        this.hostStream = null;
+        // What this user captures, by kind; a source gets its stream id once
+        // the server says it is live
+        this.localSources = new Map();
+        // Every live stream in the room by stream id: { streamId, hostId, kind, quality, media }
+        this.streams = new Map();
+        this.mainMedia = null;
         this.peerConnections = new Map();
         this.pendingCandidates = new Map();
 
+        // With a relay, the host and each viewer hold one connection to it per stream
+        this.relayMode = false;
+        this.relayConnections = new Map();
+
         this.iceServers = [
             { urls: 'stun:stun.l.google.com:19302' },
             { urls: 'stun:stun1.l.google.com:19302' },
@@ -18,10 +40,12 @@ export class StreamManager {
             { urls: 'turns:openrelay.metered.ca:443?transport=tcp', username: 'openrelayproject', credential: 'openrelayproject' }
         ];
 
-        this.maxBitrate = 1_400_000;
-        this.minBitrate = 250_000;
-        this.currentBitrate = 1_000_000;
-        this.maxSenderFramerate = 15;
+        // The preset our next screen share uses, and the best quality we
+        // take of anyone else's stream
+        this.quality = DEFAULT_QUALITY;
+        this.ceiling = DEFAULT_CEILING;
+        // Ceilings our viewers asked for, by user id
+        this.viewerCeilings = new Map();
         this.bitrateInterval = null;
         this.statsInterval = null;
         this.prevStats = new Map();
@@ -29,6 +53,18 @@ export class StreamManager {
         this.setupSignaling();
     }
 
+    get isHost() {
+        return this.localSources.size > 0;
+    }
+
+    hasSource(kind) {
+        return this.localSources.has(kind);
+    }
+
+    isLocal(stream) {
+        return stream.hostId === this.networkManager.userId;
+    }
+
     setupSignaling() {
         const socket = this.networkManager?.socket;
         if (!socket) return;
@@ -37,95 +73,191 @@ export class StreamManager {
         socket.on('stream-answer', (data) => this.handleStreamAnswer(data));
         socket.on('stream-ice-candidate', (data) => this.handleIceCandidate(data));
         socket.on('stream-started', (data) => this.handleStreamStarted(data));
-        socket.on('stream-stopped', () => this.handleStreamStopped());
+        socket.on('stream-stopped', (data) => this.handleStreamStopped(data));
+        socket.on('stream-quality', (data) => this.handleStreamQuality(data));
+        socket.on('stream-ceiling', (data) => this.handleStreamCeiling(data));
+        socket.on('relay-answer', (data) => this.handleRelayAnswer(data));
+        socket.on('relay-error', (data) => this.handleRelayError(data));
+
+        socket.on('room-joined', (data) => {
+            this.relayMode = !!data.relay;
+            this.clearRemoteStreams();
+            (data.streams || []).forEach(stream => {
+                if (this.isLocal(stream)) return;
+                this.streams.set(stream.streamId, { ...stream, media: null });
+                if (this.relayMode) this.subscribeToRelay(stream.streamId);
+            });
+        });
 
         socket.on('user-joined', (userData) => {
-            if (this.isHost && this.hostStream) {
-                setTimeout(() => this.sendOfferToViewer(userData.id), 1500);
-            }
+            if (this.relayMode) return;
+            this.localSources.forEach(source => {
+                if (source.streamId) {
+                    setTimeout(() => this.sendOfferToViewer(source.streamId, userData.id), 1500);
+                }
+            });
         });
 
         socket.on('user-left', (userId) => {
-            this.closePeerConnection(userId);
+            this.viewerCeilings.delete(userId);
+            this.peerConnections.forEach(pc => {
+                if (pc._userId === userId) this.closePeerConnection(pc._streamId, userId);
+            });
         });
     }
 
-    async startHosting() {
+    getCaptureConstraints(quality) {
+        const { width, height, frameRate } = getPreset(quality).capture;
+        return {
+            width: { ideal: width, max: width },
+            height: { ideal: height, max: height },
+            frameRate: { ideal: frameRate, max: frameRate }
+        };
+    }
+
+    async applyCaptureSettings(track, quality) {
+        track.contentHint = getPreset(quality).contentHint;
         try {
-            try {
-                this.hostStream = await navigator.mediaDevices.getDisplayMedia({
-                    video: {
-                        cursor: 'always',
-                        width: { ideal: 1280, max: 1280 },
-                        height: { ideal: 720, max: 720 },
-                        frameRate: { ideal: 15, max: 20 }
-                    },
-                    audio: true,
-                    systemAudio: 'include'
-                });
-            } catch (e1) {
-                this.hostStream = await navigator.mediaDevices.getDisplayMedia({
-                    video: true,
-                    audio: true
-                });
-            }
+            await track.applyConstraints(this.getCaptureConstraints(quality));
+        } catch (e) {
+            // Browser may reject tight constraints depending capture source.
+        }
+        const s = track.getSettings();
+        console.log('Capture:', s.width, 'x', s.height, '@', s.frameRate, 'fps');
+    }
 
-            const vt = this.hostStream.getVideoTracks()[0];
-            if (vt) {
-                vt.contentHint = 'detail';
-                try {
-                    await vt.applyConstraints({
-                        width: { ideal: 1280, max: 1280 },
-                        height: { ideal: 720, max: 720 },
-                        frameRate: { ideal: 15, max: 20 }
-                    });
-                } catch (e) {
-                    // Browser may reject tight constraints depending capture source.
-                }
-                const s = vt.getSettings();
-                console.log('Capture:', s.width, 'x', s.height, '@', s.frameRate, 'fps');
-            }
+    async captureScreen(quality) {
+        let stream;
+        try {
+            stream = await navigator.mediaDevices.getDisplayMedia({
+                video: {
+                    cursor: 'always',
+                    ...this.getCaptureConstraints(quality)
+                },
+                audio: true,
+                systemAudio: 'include'
+            });
+        } catch (e1) {
+            stream = await navigator.mediaDevices.getDisplayMedia({
+                video: true,
+                audio: true
+            });
+        }
 
-            const at = this.hostStream.getAudioTracks()[0];
-            if (at) {
-                at.contentHint = 'music';
-                console.log('Audio track:', at.label);
-            } else {
-                console.warn('No audio captured - check browser audio sharing option');
-                this.networkManager?.app?.showMessage(
-                    'No stream audio captured. Share a browser tab and enable "Share tab audio".',
-                    'error'
-                );
-            }
+        const vt = stream.getVideoTracks()[0];
+        if (vt) {
+            await this.applyCaptureSettings(vt, quality);
+        }
 
-            this.isHost = true;
-            this.theatre.setHostStream(this.hostStream, true);
+        const at = stream.getAudioTracks()[0];
+        if (at) {
+            at.contentHint = 'music';
+            console.log('Audio track:', at.label);
+        } else {
+            console.warn('No audio captured - check browser audio sharing option');
+            this.networkManager?.app?.showMessage(
+                'No stream audio captured. Share a browser tab and enable "Share tab audio".',
+                'error'
+            );
+        }
+        return stream;
+    }
+
+    // The webcam is shown picture-in-picture, so it is small and silent:
+    // presenters talk over voice chat
+    async captureCamera() {
+        const stream = await navigator.mediaDevices.getUserMedia({
+            video: {
+                width: { ideal: 640, max: 640 },
+                height: { ideal: 360, max: 480 },
+                frameRate: { ideal: 15, max: 20 }
+            },
+            audio: false
+        });
+        const vt = stream.getVideoTracks()[0];
+        if (vt) vt.contentHint = 'motion';
+        return stream;
+    }
 
-            vt?.addEventListener('ended', () => this.stopHosting());
+    startHosting() {
+        return this.startSource('screen');
+    }
+
+    startCamera() {
+        return this.startSource('camera');
+    }
+
+    // Capture a source and ask the server to stream it; handleStreamStarted()
+    // sends it out once the server agrees. Webcams always use the standard preset.
+    async startSource(kind) {
+        try {
+            const quality = kind === 'camera' ? DEFAULT_QUALITY : this.quality;
+            const media = kind === 'camera' ? await this.captureCamera() : await this.captureScreen(quality);
+            this.stopSource(kind);
+            this.localSources.set(kind, { kind, quality, media, streamId: null });
+            this.updateLayout();
+
+            media.getVideoTracks()[0]?.addEventListener('ended', () => {
+                if (this.localSources.get(kind)?.media === media) this.stopSource(kind);
+            });
 
             const socket = this.networkManager?.socket;
             if (socket && this.networkManager.isConnected) {
                 socket.emit('start-stream', {
                     roomId: this.networkManager.roomId,
-                    hostId: this.networkManager.userId
+                    kind,
+                    quality
                 });
             }
 
-            this.startStatsMonitoring();
+            // The relay adapts each viewer's quality itself
+            if (!this.relayMode) {
+                this.startStatsMonitoring();
+            }
 
+            this.networkManager?.app?.updateHostingControls();
             return true;
         } catch (error) {
-            console.error('Failed to start hosting:', error);
+            console.error(`Failed to start ${kind} stream:`, error);
             return false;
         }
     }
 
-    stopHosting() {
-        if (this.hostStream) {
-            this.hostStream.getTracks().forEach(t => t.stop());
-            this.hostStream = null;
+    stopSource(kind, notifyServer = true) {
+        const source = this.localSources.get(kind);
+        if (!source) return;
+        this.localSources.delete(kind);
+        source.media.getTracks().forEach(t => t.stop());
+
+        if (source.streamId) {
+            this.closeStreamConnections(source.streamId);
+            this.streams.delete(source.streamId);
+
+            const socket = this.networkManager?.socket;
+            if (notifyServer && socket && this.networkManager.isConnected) {
+                socket.emit('stop-stream', { roomId: this.networkManager.roomId, streamId: source.streamId });
+            }
         }
 
+        if (!this.isHost) {
+            this.stopStatsMonitoring();
+        }
+        this.updateLayout();
+        this.networkManager?.app?.updateHostingControls();
+    }
+
+    stopHosting(notifyServer = true) {
+        Array.from(this.localSources.keys()).forEach(kind => this.stopSource(kind, notifyServer));
+    }
+
+    // The server refused to stream: drop whatever it never said was live
+    dropPendingSources() {
+        this.localSources.forEach((source, kind) => {
+            if (!source.streamId) this.stopSource(kind, false);
+        });
+    }
+
+    stopStatsMonitoring() {
         if (this.bitrateInterval) {
             clearInterval(this.bitrateInterval);
             this.bitrateInterval = null;
@@ -135,31 +267,39 @@ export class StreamManager {
             this.statsInterval = null;
         }
         this.prevStats.clear();
+    }
 
-        this.peerConnections.forEach(pc => pc.close());
-        this.peerConnections.clear();
-        this.pendingCandidates.clear();
+    getLocalSource(streamId) {
+        return Array.from(this.localSources.values()).find(source => source.streamId === streamId) ?? null;
+    }
 
-        this.isHost = false;
-        this.currentBitrate = this.maxBitrate;
-        this.theatre.stopHostStream();
+    getLocalMedia(streamId) {
+        return this.getLocalSource(streamId)?.media ?? null;
+    }
 
-        const socket = this.networkManager?.socket;
-        if (socket && this.networkManager.isConnected) {
-            socket.emit('stop-stream', { roomId: this.networkManager.roomId });
-        }
+    // The connection a remote stream arrives on, from its host or the relay
+    getReceivingConnection(streamId) {
+        const stream = this.streams.get(streamId);
+        if (!stream || this.isLocal(stream)) return null;
+        if (this.relayMode) return this.relayConnections.get(streamId) ?? null;
+        return this.peerConnections.get(this.getConnectionKey(streamId, stream.hostId)) ?? null;
     }
 
-    async sendOfferToViewer(viewerId) {
-        if (!this.isHost || !this.hostStream) return;
+    getConnectionKey(streamId, userId) {
+        return `${streamId}/${userId}`;
+    }
+
+    async sendOfferToViewer(streamId, viewerId) {
+        const media = this.getLocalMedia(streamId);
+        if (!media) return;
 
         try {
-            const pc = this.createPeerConnection(viewerId);
+            const pc = this.createPeerConnection(streamId, viewerId);
 
-            this.hostStream.getTracks().forEach(track => {
-                const sender = pc.addTrack(track, this.hostStream);
+            media.getTracks().forEach(track => {
+                const sender = pc.addTrack(track, media);
                 if (track.kind === 'video') {
-                    this.configureVideoSender(sender);
+                    this.configureVideoSender(pc, sender);
                 }
             });
 
@@ -169,6 +309,7 @@ export class StreamManager {
             this.networkManager?.socket?.emit('stream-offer', {
                 roomId: this.networkManager.roomId,
                 targetUserId: viewerId,
+                streamId,
                 offer: { type: offer.type, sdp: offer.sdp }
             });
         } catch (error) {
@@ -176,9 +317,9 @@ export class StreamManager {
         }
     }
 
-    async iceRestart(userId) {
-        const pc = this.peerConnections.get(userId);
-        if (!pc || !this.isHost || !this.hostStream) return;
+    async iceRestart(streamId, userId) {
+        const pc = this.peerConnections.get(this.getConnectionKey(streamId, userId));
+        if (!pc || !this.getLocalMedia(streamId)) return;
 
         try {
             console.log('ICE restart for', userId);
@@ -188,16 +329,26 @@ export class StreamManager {
             this.networkManager?.socket?.emit('stream-offer', {
                 roomId: this.networkManager.roomId,
                 targetUserId: userId,
+                streamId,
                 offer: { type: offer.type, sdp: offer.sdp }
             });
         } catch (e) {
             console.warn('ICE restart failed, doing full reconnect for', userId);
-            this.closePeerConnection(userId);
-            setTimeout(() => this.sendOfferToViewer(userId), 1000);
+            this.closePeerConnection(streamId, userId);
+            setTimeout(() => this.sendOfferToViewer(streamId, userId), 1000);
         }
     }
 
-    async configureVideoSender(sender) {
+    // What one viewer's connection is sent: the stream's preset within
+    // that viewer's ceiling, scaled by congestion control
+    getSenderEncoding(pc) {
+        return getSenderEncoding(this.getLocalSource(pc._streamId)?.quality, {
+            ceiling: this.viewerCeilings.get(pc._userId),
+            bitrateShare: pc._bitrateShare
+        });
+    }
+
+    async configureVideoSender(pc, sender) {
         if (!sender || sender.track?.kind !== 'video') return;
 
         await new Promise(r => setTimeout(r, 500));
@@ -206,46 +357,52 @@ export class StreamManager {
             const params = sender.getParameters();
             if (!params.encodings?.length) params.encodings = [{}];
 
-            params.encodings[0].maxBitrate = this.currentBitrate;
-            params.encodings[0].maxFramerate = this.maxSenderFramerate;
+            const encoding = this.getSenderEncoding(pc);
+            Object.assign(params.encodings[0], encoding);
             params.encodings[0].networkPriority = 'high';
             params.encodings[0].priority = 'high';
-            params.encodings[0].scaleResolutionDownBy = 1.0;
-            params.degradationPreference = 'maintain-framerate';
+            params.degradationPreference = getPreset(this.getLocalSource(pc._streamId)?.quality).degradationPreference;
 
             await sender.setParameters(params);
-            console.log('Sender configured:', this.currentBitrate / 1e6, 'Mbps max');
+            console.log('Sender configured:', encoding.maxBitrate / 1e6, 'Mbps max');
         } catch (e) {
             console.warn('Could not set sender params:', e.message);
         }
     }
 
     async handleStreamOffer(data) {
-        const { fromUserId, offer } = data;
+        const { fromUserId, streamId, offer } = data;
+        const stream = this.streams.get(streamId);
+        if (stream?.hostId !== fromUserId) {
+            console.warn('Ignoring offer for unknown stream', streamId);
+            return;
+        }
+        const key = this.getConnectionKey(streamId, fromUserId);
 
         try {
-            let pc = this.peerConnections.get(fromUserId);
+            let pc = this.peerConnections.get(key);
             const isRenegotiation = pc && pc.signalingState !== 'closed';
 
             if (!isRenegotiation) {
-                pc = this.createPeerConnection(fromUserId);
+                pc = this.createPeerConnection(streamId, fromUserId);
             }
 
             pc.ontrack = (event) => {
                 const remoteStream = event.streams[0];
-                if (remoteStream) {
-                    this.theatre.setHostStream(remoteStream, false);
-                    console.log('Receiving stream via WebRTC');
+                if (remoteStream && stream.media !== remoteStream) {
+                    stream.media = remoteStream;
+                    this.updateLayout();
+                    console.log(`Receiving ${stream.kind} stream via WebRTC`);
                 }
             };
 
             await pc.setRemoteDescription(new RTCSessionDescription(offer));
 
-            if (this.pendingCandidates.has(fromUserId)) {
-                for (const c of this.pendingCandidates.get(fromUserId)) {
+            if (this.pendingCandidates.has(key)) {
+                for (const c of this.pendingCandidates.get(key)) {
                     await pc.addIceCandidate(new RTCIceCandidate(c));
                 }
-                this.pendingCandidates.delete(fromUserId);
+                this.pendingCandidates.delete(key);
             }
 
             const answer = await pc.createAnswer();
@@ -254,26 +411,31 @@ export class StreamManager {
             this.networkManager?.socket?.emit('stream-answer', {
                 roomId: this.networkManager.roomId,
                 targetUserId: fromUserId,
+                streamId,
                 answer: { type: answer.type, sdp: answer.sdp }
             });
+            if (!isRenegotiation && this.ceiling !== DEFAULT_CEILING) {
+                this.sendCeiling(stream);
+            }
         } catch (error) {
             console.error('Stream offer handling failed:', error);
         }
     }
 
     async handleStreamAnswer(data) {
-        const { fromUserId, answer } = data;
-        const pc = this.peerConnections.get(fromUserId);
+        const { fromUserId, streamId, answer } = data;
+        const key = this.getConnectionKey(streamId, fromUserId);
+        const pc = this.peerConnections.get(key);
 
         if (pc && pc.signalingState === 'have-local-offer') {
             try {
                 await pc.setRemoteDescription(new RTCSessionDescription(answer));
 
-                if (this.pendingCandidates.has(fromUserId)) {
-                    for (const c of this.pendingCandidates.get(fromUserId)) {
+                if (this.pendingCandidates.has(key)) {
+                    for (const c of this.pendingCandidates.get(key)) {
                         await pc.addIceCandidate(new RTCIceCandidate(c));
                     }
-                    this.pendingCandidates.delete(fromUserId);
+                    this.pendingCandidates.delete(key);
                 }
             } catch (error) {
                 console.error('Stream answer failed:', error);
@@ -282,8 +444,9 @@ export class StreamManager {
     }
 
     async handleIceCandidate(data) {
-        const { fromUserId, candidate } = data;
-        const pc = this.peerConnections.get(fromUserId);
+        const { fromUserId, streamId, candidate } = data;
+        const key = this.getConnectionKey(streamId, fromUserId);
+        const pc = this.peerConnections.get(key);
 
         if (pc && pc.remoteDescription) {
             try {
@@ -292,29 +455,226 @@ export class StreamManager {
                 console.warn('ICE candidate failed:', e.message);
             }
         } else {
-            if (!this.pendingCandidates.has(fromUserId)) {
-                this.pendingCandidates.set(fromUserId, []);
+            if (!this.pendingCandidates.has(key)) {
+                this.pendingCandidates.set(key, []);
             }
-            this.pendingCandidates.get(fromUserId).push(candidate);
+            this.pendingCandidates.get(key).push(candidate);
         }
     }
 
     handleStreamStarted(data) {
-        console.log('Stream started by host:', data.hostId);
+        const { streamId, hostId, kind, quality = DEFAULT_QUALITY } = data;
+        console.log(`Stream ${streamId} started by:`, hostId);
+
+        if (!this.isLocal(data)) {
+            this.closeStreamConnections(streamId);
+            this.streams.set(streamId, { streamId, hostId, kind, quality, media: null });
+            if (this.relayMode) this.subscribeToRelay(streamId);
+            return;
+        }
+
+        // Our own source is live: send it out
+        const source = this.localSources.get(kind);
+        if (!source) return;
+        source.streamId = streamId;
+        this.streams.set(streamId, { streamId, hostId, kind, quality: source.quality, media: source.media });
+        this.updateLayout();
+        // The preset changed while the server was answering
+        if (source.quality !== quality) this.sendQuality(source);
+
+        if (this.relayMode) {
+            this.publishToRelay(streamId);
+        } else {
+            this.networkManager.roomUsers.forEach((name, userId) => {
+                if (userId !== hostId) this.sendOfferToViewer(streamId, userId);
+            });
+        }
     }
 
-    handleStreamStopped() {
-        if (!this.isHost) {
-            this.theatre.stopHostStream();
-            this.peerConnections.forEach(pc => pc.close());
-            this.peerConnections.clear();
-            this.pendingCandidates.clear();
+    handleStreamStopped(data) {
+        // A host stopped one of our sources
+        if (this.isLocal(data)) {
+            if (this.localSources.get(data.kind)?.streamId === data.streamId) {
+                this.stopSource(data.kind, false);
+            }
+            return;
+        }
+        this.closeStreamConnections(data.streamId);
+        this.streams.delete(data.streamId);
+        this.updateLayout();
+    }
+
+    // Streams are laid out in the order they started, with our own sources
+    // showing while the server has yet to answer. The first screen share
+    // fills the theatre screen, or the first stream if nobody shares a
+    // screen; the rest are shown picture-in-picture.
+    updateLayout() {
+        const pending = Array.from(this.localSources.values()).filter(source => !source.streamId);
+        const ready = [...this.streams.values(), ...pending].filter(stream => stream.media);
+        const main = ready.find(stream => stream.kind === 'screen') ?? ready[0] ?? null;
+        const media = main?.media ?? null;
+
+        if (media !== this.mainMedia) {
+            // A stream moving to an overlay keeps its tracks
+            this.theatre.stopHostStream(false);
+            this.mainMedia = media;
+            if (media) {
+                const isLocal = Array.from(this.localSources.values()).some(source => source.media === media);
+                this.theatre.setHostStream(media, isLocal, main.quality);
+            }
+        } else if (main) {
+            this.theatre.setStreamQuality(main.quality);
+        }
+        this.theatre.setStreamOverlays(ready.filter(stream => stream !== main).map(stream => stream.media));
+    }
+
+    async publishToRelay(streamId) {
+        const source = this.getLocalSource(streamId);
+        if (!source) return;
+        const { media, quality } = source;
+
+        try {
+            const pc = this.createRelayConnection(streamId);
+            const videoTrack = media.getVideoTracks()[0];
+            if (videoTrack) {
+                pc.addTransceiver(videoTrack, {
+                    direction: 'sendonly',
+                    streams: [media],
+                    sendEncodings: getSimulcastEncodings(quality)
+                });
+            }
+            media.getAudioTracks().forEach(track => {
+                pc.addTransceiver(track, { direction: 'sendonly', streams: [media] });
+            });
+
+            await this.sendRelayOffer(pc, streamId, 'relay-publish');
+        } catch (error) {
+            console.error('Relay publish failed:', error);
         }
     }
 
-    createPeerConnection(userId) {
-        if (this.peerConnections.has(userId)) {
-            this.peerConnections.get(userId).close();
+    async subscribeToRelay(streamId) {
+        try {
+            const pc = this.createRelayConnection(streamId);
+            pc.addTransceiver('video', { direction: 'recvonly' });
+            pc.addTransceiver('audio', { direction: 'recvonly' });
+
+            await this.sendRelayOffer(pc, streamId, 'relay-subscribe', { bestLayer: getCeilingLayer(this.ceiling) });
+        } catch (error) {
+            console.error('Relay subscribe failed:', error);
+        }
+    }
+
+    // The relay does not trickle, so the offer goes out with every candidate in it
+    async sendRelayOffer(pc, streamId, event, fields = {}) {
+        await pc.setLocalDescription(await pc.createOffer());
+        await new Promise(resolve => {
+            if (pc.iceGatheringState === 'complete') return resolve();
+            const timeout = setTimeout(resolve, RELAY_GATHER_TIMEOUT_MS);
+            pc.addEventListener('icegatheringstatechange', () => {
+                if (pc.iceGatheringState === 'complete') {
+                    clearTimeout(timeout);
+                    resolve();
+                }
+            });
+        });
+        if (pc !== this.relayConnections.get(streamId)) return;
+
+        const { type, sdp } = pc.localDescription;
+        this.networkManager?.socket?.emit(event, {
+            roomId: this.networkManager.roomId,
+            streamId,
+            offer: { type, sdp },
+            ...fields
+        });
+    }
+
+    async handleRelayAnswer(data) {
+        const pc = this.relayConnections.get(data.streamId);
+        if (!pc || pc.signalingState !== 'have-local-offer') return;
+
+        try {
+            await pc.setRemoteDescription(new RTCSessionDescription(data.answer));
+
+            // Every track is there once the answer is applied, so the theatre
+            // can route the audio to its speakers from the start
+            const stream = this.streams.get(data.streamId);
+            if (data.role === 'subscriber' && stream) {
+                const tracks = pc.getTransceivers()
+                    .filter(transceiver => transceiver.currentDirection === 'recvonly')
+                    .map(transceiver => transceiver.receiver.track);
+                stream.media = new MediaStream(tracks);
+                this.updateLayout();
+                console.log(`Receiving ${stream.kind} stream via relay`);
+            }
+        } catch (error) {
+            console.error('Relay answer failed:', error);
+        }
+    }
+
+    handleRelayError(data) {
+        console.warn(`Relay ${data.role} error for ${data.streamId}:`, data.reason);
+        this.closeRelayConnection(data.streamId);
+        this.networkManager?.app?.showMessage(`Stream unavailable: ${data.reason}`, 'error');
+    }
+
+    createRelayConnection(streamId) {
+        this.closeRelayConnection(streamId);
+
+        const pc = new RTCPeerConnection({
+            iceServers: this.iceServers,
+            bundlePolicy: 'max-bundle',
+            rtcpMuxPolicy: 'require'
+        });
+
+        pc.onconnectionstatechange = () => {
+            if (pc !== this.relayConnections.get(streamId) || pc.connectionState !== 'failed') return;
+
+            console.warn(`Relay connection for ${streamId} failed, reconnecting`);
+            setTimeout(() => {
+                if (pc !== this.relayConnections.get(streamId)) return;
+                if (this.getLocalMedia(streamId)) {
+                    this.publishToRelay(streamId);
+                } else if (this.streams.has(streamId)) {
+                    this.subscribeToRelay(streamId);
+                }
+            }, 1500);
+        };
+
+        this.relayConnections.set(streamId, pc);
+        return pc;
+    }
+
+    closeRelayConnection(streamId) {
+        const pc = this.relayConnections.get(streamId);
+        if (pc) {
+            pc.close();
+            this.relayConnections.delete(streamId);
+        }
+    }
+
+    // Everything carrying one stream, to or from this user
+    closeStreamConnections(streamId) {
+        this.peerConnections.forEach(pc => {
+            if (pc._streamId === streamId) this.closePeerConnection(streamId, pc._userId);
+        });
+        this.closeRelayConnection(streamId);
+    }
+
+    // Joining a room starts over with the streams it says are live
+    clearRemoteStreams() {
+        Array.from(this.streams.values()).forEach(stream => {
+            if (this.isLocal(stream)) return;
+            this.closeStreamConnections(stream.streamId);
+            this.streams.delete(stream.streamId);
+        });
+        this.updateLayout();
+    }
+
+    createPeerConnection(streamId, userId) {
+        const key = this.getConnectionKey(streamId, userId);
+        if (this.peerConnections.has(key)) {
+            this.peerConnections.get(key).close();
         }
 
         const pc = new RTCPeerConnection({
@@ -326,12 +686,19 @@ export class StreamManager {
         });
 
         pc._iceRestartPending = false;
+        // How much of its preset's bitrate this viewer's sender may use;
+        // congestion control on this connection alone moves it
+        pc._bitrateShare = 1;
+        pc._streamId = streamId;
+        pc._userId = userId;
+        const isSending = () => !!this.getLocalMedia(streamId);
 
         pc.onicecandidate = (event) => {
             if (event.candidate) {
                 this.networkManager?.socket?.emit('stream-ice-candidate', {
                     roomId: this.networkManager.roomId,
                     targetUserId: userId,
+                    streamId,
                     candidate: {
                         candidate: event.candidate.candidate,
                         sdpMid: event.candidate.sdpMid,
@@ -343,44 +710,44 @@ export class StreamManager {
 
         pc.oniceconnectionstatechange = () => {
             const state = pc.iceConnectionState;
-            console.log(`ICE [${userId.slice(-4)}]: ${state}`);
+            console.log(`ICE [${streamId} ${userId.slice(-4)}]: ${state}`);
 
             if (state === 'connected' || state === 'completed') {
                 pc._iceRestartPending = false;
             }
 
-            if (state === 'disconnected' && this.isHost && !pc._iceRestartPending) {
+            if (state === 'disconnected' && isSending() && !pc._iceRestartPending) {
                 pc._iceRestartPending = true;
                 setTimeout(() => {
                     if (pc.iceConnectionState === 'disconnected' || pc.iceConnectionState === 'failed') {
-                        this.iceRestart(userId);
+                        this.iceRestart(streamId, userId);
                     } else {
                         pc._iceRestartPending = false;
                     }
                 }, 2000);
             }
 
-            if (state === 'failed' && this.isHost && !pc._iceRestartPending) {
+            if (state === 'failed' && isSending() && !pc._iceRestartPending) {
                 pc._iceRestartPending = true;
-                this.iceRestart(userId);
+                this.iceRestart(streamId, userId);
             }
         };
 
         pc.onconnectionstatechange = () => {
             const state = pc.connectionState;
             if (state === 'connected') {
-                console.log(`Stream live with ${userId.slice(-4)}`);
+                console.log(`Stream ${streamId} live with ${userId.slice(-4)}`);
             }
             if (state === 'failed') {
-                console.warn(`Peer ${userId.slice(-4)} connection failed, full reconnect`);
-                this.closePeerConnection(userId);
-                if (this.isHost && this.hostStream) {
-                    setTimeout(() => this.sendOfferToViewer(userId), 1500);
+                console.warn(`Peer ${userId.slice(-4)} connection for ${streamId} failed, full reconnect`);
+                this.closePeerConnection(streamId, userId);
+                if (isSending()) {
+                    setTimeout(() => this.sendOfferToViewer(streamId, userId), 1500);
                 }
             }
         };
 
-        this.peerConnections.set(userId, pc);
+        this.peerConnections.set(key, pc);
         return pc;
     }
 
@@ -388,14 +755,14 @@ export class StreamManager {
         if (this.statsInterval) clearInterval(this.statsInterval);
 
         this.statsInterval = setInterval(() => {
-            this.peerConnections.forEach((pc, userId) => {
+            this.peerConnections.forEach((pc, key) => {
                 if (pc.connectionState !== 'connected') return;
-                this.collectStats(pc, userId);
+                this.collectStats(pc, key);
             });
         }, 3000);
     }
 
-    async collectStats(pc, userId) {
+    async collectStats(pc, key) {
         try {
             const stats = await pc.getStats();
             let bytesSent = 0;
@@ -416,7 +783,7 @@ export class StreamManager {
                 }
             });
 
-            const prev = this.prevStats.get(userId);
+            const prev = this.prevStats.get(key);
             if (prev) {
                 const deltaBytes = bytesSent - prev.bytesSent;
                 const deltaPackets = packetsSent - prev.packetsSent;
@@ -427,59 +794,150 @@ export class StreamManager {
                 const lossRate = deltaPackets > 0 ? deltaLost / deltaPackets : 0;
 
                 if (lossRate > 0.05 || roundTripTime > 0.3) {
-                    this.adjustBitrate(-1, lossRate, roundTripTime);
-                } else if (lossRate < 0.01 && roundTripTime < 0.15 && this.currentBitrate < this.maxBitrate) {
-                    this.adjustBitrate(1, lossRate, roundTripTime);
+                    this.adjustBitrate(pc, -1);
+                } else if (lossRate < 0.01 && roundTripTime < 0.15 && pc._bitrateShare < 1) {
+                    this.adjustBitrate(pc, 1);
                 }
 
                 if (framesPerSecond > 0 || actualBitrate > 0) {
-                    console.log(`Stream [${userId.slice(-4)}]: ${(actualBitrate / 1e6).toFixed(1)}Mbps actual, ${framesPerSecond}fps, loss:${(lossRate * 100).toFixed(1)}%, rtt:${(roundTripTime * 1000).toFixed(0)}ms`);
+                    console.log(`Stream [${pc._streamId} ${pc._userId.slice(-4)}]: ${(actualBitrate / 1e6).toFixed(1)}Mbps actual, ${framesPerSecond}fps, loss:${(lossRate * 100).toFixed(1)}%, rtt:${(roundTripTime * 1000).toFixed(0)}ms`);
                 }
             }
 
-            this.prevStats.set(userId, { bytesSent, packetsSent, packetsLost });
+            this.prevStats.set(key, { bytesSent, packetsSent, packetsLost });
         } catch (e) { /* stats collection failed */ }
     }
 
-    adjustBitrate(direction, lossRate, rtt) {
-        const step = 150_000;
+    // One viewer's connection at a time, so a congested viewer does not
+    // lower the quality everyone else gets
+    adjustBitrate(pc, direction) {
         if (direction < 0) {
-            this.currentBitrate = Math.max(this.minBitrate, this.currentBitrate - step);
+            pc._bitrateShare = Math.max(MIN_BITRATE_SHARE, pc._bitrateShare - BITRATE_STEP_SHARE);
         } else {
-            this.currentBitrate = Math.min(this.maxBitrate, this.currentBitrate + step);
+            pc._bitrateShare = Math.min(1, pc._bitrateShare + BITRATE_STEP_SHARE);
         }
+        this.updateVideoSenders([pc]);
+    }
 
-        this.peerConnections.forEach(pc => {
+    // Bring senders already running in line with their stream's preset,
+    // their viewer's ceiling and their connection's bitrate share
+    updateVideoSenders(connections) {
+        for (const pc of connections) {
+            const source = this.getLocalSource(pc._streamId);
+            if (!source) continue;
             pc.getSenders().forEach(sender => {
-                if (sender.track?.kind === 'video') {
-                    try {
-                        const params = sender.getParameters();
-                        if (params.encodings?.length) {
-                            params.encodings[0].maxBitrate = this.currentBitrate;
-                            params.encodings[0].maxFramerate = this.maxSenderFramerate;
-                            sender.setParameters(params).catch(() => {});
-                        }
-                    } catch (e) { /* ignore */ }
-                }
+                if (sender.track?.kind !== 'video') return;
+                try {
+                    const params = sender.getParameters();
+                    if (!params.encodings?.length) return;
+                    Object.assign(params.encodings[0], this.getSenderEncoding(pc));
+                    params.degradationPreference = getPreset(source.quality).degradationPreference;
+                    sender.setParameters(params).catch(() => {});
+                } catch (e) { /* ignore */ }
+            });
+        }
+    }
+
+    // The relay picks a layer per viewer; only the layers themselves change
+    updateRelayEncodings(streamId, quality) {
+        const sender = this.relayConnections.get(streamId)?.getSenders().find(s => s.track?.kind === 'video');
+        if (!sender) return;
+        try {
+            const params = sender.getParameters();
+            const encodings = getSimulcastEncodings(quality);
+            params.encodings?.forEach(encoding => {
+                const { maxBitrate, maxFramerate } = encodings.find(layer => layer.rid === encoding.rid) ?? encodings[0];
+                Object.assign(encoding, { maxBitrate, maxFramerate });
             });
+            params.degradationPreference = getPreset(quality).degradationPreference;
+            sender.setParameters(params).catch(() => {});
+        } catch (e) { /* ignore */ }
+    }
+
+    // Switch the screen share to another preset, live if it is running
+    async setQuality(quality) {
+        if (!STREAM_PRESETS[quality]) return;
+        this.quality = quality;
+
+        const source = this.localSources.get('screen');
+        if (!source || source.quality === quality) return;
+        source.quality = quality;
+        const track = source.media.getVideoTracks()[0];
+        if (track) await this.applyCaptureSettings(track, quality);
+
+        const stream = this.streams.get(source.streamId);
+        if (stream) stream.quality = quality;
+        this.updateLayout();
+        if (!source.streamId) return;
+
+        this.updateVideoSenders(Array.from(this.peerConnections.values()).filter(pc => pc._streamId === source.streamId));
+        this.updateRelayEncodings(source.streamId, quality);
+        this.sendQuality(source);
+    }
+
+    sendQuality(source) {
+        const socket = this.networkManager?.socket;
+        if (!socket || !this.networkManager.isConnected) return;
+        socket.emit('set-stream-quality', {
+            roomId: this.networkManager.roomId,
+            streamId: source.streamId,
+            quality: source.quality
+        });
+    }
+
+    handleStreamQuality(data) {
+        const stream = this.streams.get(data.streamId);
+        if (!stream || this.isLocal(stream)) return;
+        stream.quality = data.quality;
+        this.updateLayout();
+    }
+
+    // The best quality we take of every stream. Peer-to-peer hosts encode
+    // our connection to match; the relay forwards no better layer.
+    setCeiling(ceiling) {
+        if (!QUALITY_CEILINGS[ceiling] || ceiling === this.ceiling) return;
+        this.ceiling = ceiling;
+        this.streams.forEach(stream => {
+            if (this.isLocal(stream)) return;
+            if (this.relayMode) {
+                this.subscribeToRelay(stream.streamId);
+            } else {
+                this.sendCeiling(stream);
+            }
         });
     }
 
-    closePeerConnection(userId) {
-        const pc = this.peerConnections.get(userId);
+    sendCeiling(stream) {
+        this.networkManager?.socket?.emit('stream-ceiling', {
+            roomId: this.networkManager.roomId,
+            targetUserId: stream.hostId,
+            streamId: stream.streamId,
+            ceiling: this.ceiling
+        });
+    }
+
+    // A viewer's ceiling covers everything they watch of ours
+    handleStreamCeiling(data) {
+        const { fromUserId, ceiling } = data;
+        if (!QUALITY_CEILINGS[ceiling] || !this.isHost) return;
+        this.viewerCeilings.set(fromUserId, ceiling);
+        this.updateVideoSenders(Array.from(this.peerConnections.values()).filter(pc => pc._userId === fromUserId));
+    }
+
+    closePeerConnection(streamId, userId) {
+        const key = this.getConnectionKey(streamId, userId);
+        const pc = this.peerConnections.get(key);
         if (pc) {
             pc.close();
-            this.peerConnections.delete(userId);
+            this.peerConnections.delete(key);
         }
-        this.pendingCandidates.delete(userId);
+        this.pendingCandidates.delete(key);
+        this.prevStats.delete(key);
     }
 
     dispose() {
         this.stopHosting();
-        if (this.statsInterval) {
-            clearInterval(this.statsInterval);
-            this.statsInterval = null;
-        }
-        this.prevStats.clear();
+        this.clearRemoteStreams();
+        this.stopStatsMonitoring();
     }
 }
@@ -0,0 +1,275 @@
+import { ClockSync, getJitterBufferTarget, getRoomTarget, toServerTime } from './streamLatency.js';
+import { getPreset } from '../shared/streamQuality.js';
+
+const SYNC_INTERVAL_MS = 2000;
+// Pings go out every tick until the clock has a few samples, then now and then
+const CLOCK_SAMPLES_WANTED = 4;
+const CLOCK_PING_EVERY_TICKS = 15;
+// Smaller changes to a receiver's buffer are not worth the glitch
+const JITTER_BUFFER_STEP_MS = 25;
+
+// Keeps live streams in step across viewers (see streamLatency.js). Every
+// tick a host publishes its streams' timestamps, and a viewer measures how
+// far behind the server it plays each stream it watches, reports that to the
+// room and sizes its receivers' jitter buffers to meet the room target. The
+// Stream Sync panel shows each viewer's offset from that target.
+export class StreamSyncManager {
+    constructor(networkManager, streamManager) {
+        this.networkManager = networkManager;
+        this.streamManager = streamManager;
+        this.clock = new ClockSync();
+        this.ticks = 0;
+        // By stream id: the host's latest { mediaTime, serverTime }
+        this.hostTimestamps = new Map();
+        // By stream id, then user id: { baseMs, latencyMs, at }
+        this.reports = new Map();
+        // By stream id: inbound counters from the last tick, and the buffer we asked for
+        this.previousStats = new Map();
+        this.jitterBufferTargets = new Map();
+        // Stream ids whose receivers report enough to be lined up; the
+        // theatre falls back to catching up with the live edge for the rest
+        this.aligning = new Set();
+        this.panelVisible = false;
+
+        this.createStyles();
+        this.setupSignaling();
+        this.interval = setInterval(() => this.tick(), SYNC_INTERVAL_MS);
+    }
+
+    get socket() {
+        return this.networkManager?.socket;
+    }
+
+    setupSignaling() {
+        const socket = this.socket;
+        if (!socket) return;
+
+        socket.on('clock-pong', (data) => this.clock.addSample(data.clientTime, data.serverTime, Date.now()));
+        // A reconnect may land on another server
+        socket.on('connect', () => this.clock.reset());
+        socket.on('room-joined', () => {
+            this.clear();
+            // Synced media playback reads the clock straight away
+            this.ping();
+        });
+
+        socket.on('stream-timestamp', (data) => {
+            this.hostTimestamps.set(data.streamId, { mediaTime: data.mediaTime, serverTime: data.serverTime });
+        });
+        socket.on('stream-latency', (data) => {
+            this.setReport(data.streamId, data.userId, data);
+        });
+        socket.on('stream-stopped', (data) => this.forgetStream(data.streamId));
+        socket.on('user-left', (userId) => {
+            this.reports.forEach(reports => reports.delete(userId));
+        });
+    }
+
+    createStyles() {
+        if (document.getElementById('stream-sync-styles')) return;
+        const style = document.createElement('style');
+        style.id = 'stream-sync-styles';
+        style.textContent = `
+            #stream-sync-panel { position:fixed; top:20px; right:20px; background:rgba(0,0,0,0.85); border:1px solid #00ffff; border-radius:12px; padding:10px 14px; z-index:1000; color:#fff; font-size:12px; min-width:200px; font-variant-numeric:tabular-nums; }
+            #stream-sync-panel h4 { color:#00ffff; margin:0 0 6px; font-size:13px; }
+            #stream-sync-panel .sync-stream { margin-bottom:6px; }
+            #stream-sync-panel .sync-target { color:#ccc; }
+            #stream-sync-panel .sync-row { display:flex; justify-content:space-between; gap:12px; }
+            #stream-sync-panel .sync-late { color:#ff9800; }
+        `;
+        document.head.appendChild(style);
+    }
+
+    getName(userId) {
+        if (userId === this.networkManager.userId) return 'You';
+        return this.networkManager.roomUsers.get(userId) || `User ${userId.slice(-4)}`;
+    }
+
+    setReport(streamId, userId, { baseMs, latencyMs }) {
+        if (!this.reports.has(streamId)) this.reports.set(streamId, new Map());
+        this.reports.get(streamId).set(userId, { baseMs, latencyMs, at: Date.now() });
+    }
+
+    getTarget(streamId) {
+        const { maxSyncDelayMs } = getPreset(this.streamManager.streams.get(streamId)?.quality);
+        return getRoomTarget(this.reports.get(streamId)?.values() ?? [], Date.now(), maxSyncDelayMs);
+    }
+
+    isAligning(media) {
+        return Array.from(this.streamManager.streams.values())
+            .some(stream => stream.media === media && this.aligning.has(stream.streamId));
+    }
+
+    forgetStream(streamId) {
+        this.aligning.delete(streamId);
+        this.hostTimestamps.delete(streamId);
+        this.reports.delete(streamId);
+        this.previousStats.delete(streamId);
+        this.jitterBufferTargets.delete(streamId);
+    }
+
+    clear() {
+        this.aligning.clear();
+        this.hostTimestamps.clear();
+        this.reports.clear();
+        this.previousStats.clear();
+        this.jitterBufferTargets.clear();
+    }
+
+    ping() {
+        this.socket?.emit('clock-ping', { clientTime: Date.now() });
+    }
+
+    async tick() {
+        const roomId = this.networkManager.roomId;
+        if (!this.socket?.connected || !roomId) return;
+
+        if (this.clock.samples.length < CLOCK_SAMPLES_WANTED || this.ticks++ % CLOCK_PING_EVERY_TICKS === 0) {
+            this.ping();
+        }
+
+        if (this.clock.ready) {
+            // Browsers stamp their sender reports with the wall clock
+            this.streamManager.localSources.forEach(({ streamId }) => {
+                if (!streamId) return;
+                const mediaTime = Date.now();
+                this.socket.emit('stream-timestamp', { roomId, streamId, mediaTime, serverTime: this.clock.serverNow(mediaTime) });
+            });
+        }
+
+        for (const streamId of this.streamManager.streams.keys()) {
+            const pc = this.streamManager.getReceivingConnection(streamId);
+            const measurement = pc?.connectionState === 'connected' ? await this.measure(streamId, pc) : null;
+            if (!measurement) continue;
+
+            const { baseMs, latencyMs, minimumJitterMs } = measurement;
+            this.setReport(streamId, this.networkManager.userId, { baseMs, latencyMs });
+            this.socket.emit('stream-latency', { roomId, streamId, baseMs, latencyMs });
+            this.alignReceivers(streamId, pc, { baseMs, minimumJitterMs });
+        }
+        this.renderPanel();
+    }
+
+    // How far behind the server this viewer plays a stream (latencyMs), how
+    // far it would without the delay we add to line it up (baseMs), and what
+    // its jitter buffer would hold on its own (minimumJitterMs). Returns null
+    // until there are two readings to compare.
+    async measure(streamId, pc) {
+        let inbound = null;
+        let roundTripMs = 0;
+        try {
+            (await pc.getStats()).forEach(report => {
+                if (report.type === 'inbound-rtp' && report.kind === 'video') inbound = report;
+                if (report.type === 'candidate-pair' && report.nominated && report.currentRoundTripTime) {
+                    roundTripMs = report.currentRoundTripTime * 1000;
+                }
+            });
+        } catch (e) {
+            return null;
+        }
+        // Without the minimum there is no telling the delay we add from the rest
+        if (!inbound || inbound.jitterBufferMinimumDelay === undefined) {
+            this.aligning.delete(streamId);
+            return null;
+        }
+        this.aligning.add(streamId);
+
+        const previous = this.previousStats.get(streamId);
+        const counters = {
+            emitted: inbound.jitterBufferEmittedCount,
+            delay: inbound.jitterBufferDelay,
+            minimumDelay: inbound.jitterBufferMinimumDelay
+        };
+        this.previousStats.set(streamId, counters);
+        const emitted = counters.emitted - (previous?.emitted ?? 0);
+        if (!previous || !(emitted > 0)) return null;
+
+        const jitterMs = (counters.delay - previous.delay) / emitted * 1000;
+        const minimumJitterMs = (counters.minimumDelay - previous.minimumDelay) / emitted * 1000;
+
+        // Peer to peer, the host's sender reports place playout on its clock.
+        // A relay sends sender reports of its own, on a clock we cannot map,
+        // so there only the leg from the relay is measured: every viewer
+        // shares the leg from the host, which leaves them just as aligned.
+        const hostTimestamp = this.streamManager.relayMode ? null : this.hostTimestamps.get(streamId);
+        let latencyMs = null;
+        if (inbound.estimatedPlayoutTimestamp && this.clock.ready && hostTimestamp) {
+            latencyMs = this.clock.serverNow(inbound.timestamp) - toServerTime(inbound.estimatedPlayoutTimestamp, hostTimestamp);
+        }
+        // Otherwise, or when the clocks disagree, estimate it from the network
+        if (latencyMs === null || latencyMs < jitterMs) latencyMs = roundTripMs / 2 + jitterMs;
+
+        return {
+            baseMs: Math.round(latencyMs - jitterMs + minimumJitterMs),
+            latencyMs: Math.round(latencyMs),
+            minimumJitterMs
+        };
+    }
+
+    alignReceivers(streamId, pc, { baseMs, minimumJitterMs }) {
+        const targetMs = this.getTarget(streamId);
+        if (targetMs === null) return;
+
+        const bufferMs = getJitterBufferTarget({ baseMs, minimumJitterMs, targetMs });
+        const current = this.jitterBufferTargets.get(streamId);
+        if (current !== undefined && Math.abs(bufferMs - current) < JITTER_BUFFER_STEP_MS) return;
+
+        this.jitterBufferTargets.set(streamId, bufferMs);
+        // Audio and video wait alike, so lip sync holds
+        pc.getReceivers().forEach(receiver => {
+            if ('jitterBufferTarget' in receiver) {
+                receiver.jitterBufferTarget = bufferMs;
+            } else if ('playoutDelayHint' in receiver) {
+                receiver.playoutDelayHint = bufferMs / 1000;
+            }
+        });
+    }
+
+    togglePanel() {
+        this.panelVisible = !this.panelVisible;
+        this.renderPanel();
+    }
+
+    renderPanel() {
+        document.getElementById('stream-sync-panel')?.remove();
+        if (!this.panelVisible) return;
+
+        const panel = document.createElement('div');
+        panel.id = 'stream-sync-panel';
+        panel.innerHTML = '<h4>⏱️ Stream Sync</h4>';
+
+        const streams = Array.from(this.streamManager.streams.values());
+        if (streams.length === 0) {
+            panel.appendChild(document.createTextNode('Nobody is streaming'));
+        }
+        streams.forEach(({ streamId, hostId, kind }) => {
+            const section = document.createElement('div');
+            section.className = 'sync-stream';
+            const targetMs = this.getTarget(streamId);
+            const title = document.createElement('div');
+            title.className = 'sync-target';
+            title.textContent = `${this.getName(hostId)}'s ${kind}: ${targetMs === null ? 'no viewers reporting' : `target ${targetMs} ms`}`;
+            section.appendChild(title);
+
+            this.reports.get(streamId)?.forEach(({ latencyMs }, userId) => {
+                if (targetMs === null) return;
+                const offset = latencyMs - targetMs;
+                const row = document.createElement('div');
+                row.className = Math.abs(offset) > JITTER_BUFFER_STEP_MS * 4 ? 'sync-row sync-late' : 'sync-row';
+                const name = document.createElement('span');
+                name.textContent = this.getName(userId);
+                const value = document.createElement('span');
+                value.textContent = `${offset >= 0 ? '+' : ''}${offset} ms`;
+                row.append(name, value);
+                section.appendChild(row);
+            });
+            panel.appendChild(section);
+        });
+        document.body.appendChild(panel);
+    }
+
+    dispose() {
+        clearInterval(this.interval);
+        document.getElementById('stream-sync-panel')?.remove();
+    }
+}
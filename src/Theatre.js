@@ -2,6 +2,15 @@ import * as THREE from 'three';
 import { AvatarManager } from './AvatarManager.js';
 import { RoguelikeWorld } from './RoguelikeWorld.js';
 import { setOMIPhysicsProfile } from './OMIPhysics.js';
+import { MAX_SURROUND_CHANNELS, getPeakLevel, getSpeakerFeeds, guessChannelCount } from './surroundChannels.js';
+import { DEFAULT_QUALITY, getScreenTexture } from '../shared/streamQuality.js';
+
+// Upmixed rear ambience trails the front by this much
+const AMBIENCE_DELAY_S = 0.02;
+// How often, and for how many readings with sound, a source's channels are
+// checked before its speakers are routed for good
+const CHANNEL_PROBE_INTERVAL_MS = 250;
+const CHANNEL_PROBE_READINGS = 12;
 
 export class Theatre {
     constructor(scene) {
@@ -12,6 +21,8 @@ export class Theatre {
         this.walls = [];
         this.hostVideo = null;
         this.videoTexture = null;
+        // Streams shown picture-in-picture on the screen, by MediaStream id
+        this.streamOverlays = new Map();
         this.users = new Map();
         this.avatarManager = new AvatarManager(scene);
         this.roguelikeWorld = new RoguelikeWorld(scene, this);
@@ -26,6 +37,7 @@ export class Theatre {
         this._lastStreamPerfWarnMs = 0;
         this._streamPerformanceLevel = 0;
         this._streamIsLocalHost = false;
+        this._streamQuality = DEFAULT_QUALITY;
         this._streamSourceWidth = 0;
         this._streamSourceHeight = 0;
         this._streamHasPendingVideoFrame = false;
@@ -45,6 +57,9 @@ export class Theatre {
         this._runePulseMaterials = [];
         this.theatreSpeakerAnchors = [];
         this.theatreSpeakerAudioNodes = [];
+        this.theatreSpeakerRouting = null;
+        this.surroundUpmix = false;
+        this.speakerMixTap = null;
         this._theatreSpeakerAudioUnlocked = false;
         this._theatreSpeakerBaseVolume = 0.22;
         
@@ -60,31 +75,38 @@ export class Theatre {
         this.setupTheatreAudio();
     }
 
+    // Each speaker plays one group of a source's channels (see surroundChannels.js)
     createSurroundSpeakerFixtures() {
         const focusPoint = new THREE.Vector3(0, 6, -20);
-        const speakerPositions = [
+        const speakers = [
             // Left wall
-            new THREE.Vector3(-45.2, 8, -38),
-            new THREE.Vector3(-45.2, 10, -18),
-            new THREE.Vector3(-45.2, 10, 4),
-            new THREE.Vector3(-45.2, 8, 26),
+            { group: 'left', position: new THREE.Vector3(-45.2, 8, -38) },
+            { group: 'left', position: new THREE.Vector3(-45.2, 10, -18) },
+            { group: 'leftSurround', position: new THREE.Vector3(-45.2, 10, 4) },
+            { group: 'leftSurround', position: new THREE.Vector3(-45.2, 8, 26) },
             // Right wall
-            new THREE.Vector3(45.2, 8, -38),
-            new THREE.Vector3(45.2, 10, -18),
-            new THREE.Vector3(45.2, 10, 4),
-            new THREE.Vector3(45.2, 8, 26),
+            { group: 'right', position: new THREE.Vector3(45.2, 8, -38) },
+            { group: 'right', position: new THREE.Vector3(45.2, 10, -18) },
+            { group: 'rightSurround', position: new THREE.Vector3(45.2, 10, 4) },
+            { group: 'rightSurround', position: new THREE.Vector3(45.2, 8, 26) },
             // Rear wall
-            new THREE.Vector3(-20, 9, 59),
-            new THREE.Vector3(0, 10, 59),
-            new THREE.Vector3(20, 9, 59)
+            { group: 'rearLeft', position: new THREE.Vector3(-20, 9, 59) },
+            { group: 'rearCenter', position: new THREE.Vector3(0, 10, 59) },
+            { group: 'rearRight', position: new THREE.Vector3(20, 9, 59) },
+            // Behind the screen, as in a cinema, so it has no cabinet to see
+            { group: 'center', position: new THREE.Vector3(0, 21, -57.5), hidden: true }
         ];
 
-        speakerPositions.forEach((position, index) => {
+        speakers.forEach(({ group, position, hidden }, index) => {
             const anchor = new THREE.Object3D();
             anchor.position.copy(position);
             anchor.lookAt(focusPoint);
             anchor.name = `theatre-speaker-${index}`;
             anchor.userData.noCollision = true;
+            anchor.userData.speakerGroup = group;
+            this.scene.add(anchor);
+            this.theatreSpeakerAnchors.push(anchor);
+            if (hidden) return;
 
             const cabinet = new THREE.Mesh(
                 new THREE.BoxGeometry(1.6, 1.2, 1.1),
@@ -109,12 +131,25 @@ export class Theatre {
             anchor.add(cabinet);
             anchor.add(cone);
             anchor.add(tweeter);
-            this.scene.add(anchor);
-            this.theatreSpeakerAnchors.push(anchor);
         });
     }
 
     clearTheatreSpeakerAudio() {
+        const routing = this.theatreSpeakerRouting;
+        if (routing) {
+            this.stopTheatreSpeakerProbe();
+            this.removeTheatreSpeakers();
+            try {
+                routing.source.disconnect();
+            } catch (e) {
+                // no-op
+            }
+            this.theatreSpeakerRouting = null;
+        }
+        this._theatreSpeakerAudioUnlocked = false;
+    }
+
+    removeTheatreSpeakers() {
         this.theatreSpeakerAudioNodes.forEach((audioNode) => {
             if (!audioNode) return;
             try {
@@ -127,31 +162,158 @@ export class Theatre {
             }
         });
         this.theatreSpeakerAudioNodes = [];
-        this._theatreSpeakerAudioUnlocked = false;
+        this.theatreSpeakerRouting?.nodes.forEach(node => node.disconnect());
     }
 
     setupTheatreSpeakerAudio(stream) {
+        if (!stream || stream.getAudioTracks().length === 0) {
+            this.clearTheatreSpeakerAudio();
+            return false;
+        }
+        const listener = this.avatarManager?.audioListener;
+        if (!listener) return false;
+
+        // Browsers rarely say, so the probe has the final word
+        const channelCount = stream.getAudioTracks()[0].getSettings?.().channelCount || 2;
+        return this.createTheatreSpeakerAudio(listener.context.createMediaStreamSource(stream), channelCount);
+    }
+
+    // Synced media plays from a <video> element; one element source feeds every speaker
+    setupTheatreSpeakerAudioFromElement(video) {
+        const listener = this.avatarManager?.audioListener;
+        if (!listener) return false;
+
+        return this.createTheatreSpeakerAudio(listener.context.createMediaElementSource(video), 2);
+    }
+
+    // The source is split into its channels and each speaker mixes the ones
+    // its group plays, starting from a guess at the channel count that the
+    // probe corrects once the source makes a sound
+    createTheatreSpeakerAudio(source, channelCount) {
         this.clearTheatreSpeakerAudio();
 
         const listener = this.avatarManager?.audioListener;
         if (!listener) return false;
-        if (!stream || stream.getAudioTracks().length === 0) return false;
         if (this.theatreSpeakerAnchors.length === 0) return false;
 
+        this.theatreSpeakerRouting = { source, channelCount, nodes: [], probe: null };
+        if (this.speakerMixTap) source.connect(this.speakerMixTap);
+        this.routeTheatreSpeakers();
+        this.probeTheatreSpeakerChannels();
+        return true;
+    }
+
+    routeTheatreSpeakers() {
+        const routing = this.theatreSpeakerRouting;
+        const listener = this.avatarManager?.audioListener;
+        if (!routing || !listener) return;
+
+        this.removeTheatreSpeakers();
+        const context = listener.context;
+        const splitter = context.createChannelSplitter(MAX_SURROUND_CHANNELS);
+        routing.source.connect(splitter);
+        routing.nodes = [splitter];
+
+        const feeds = getSpeakerFeeds(routing.channelCount, { upmix: this.surroundUpmix });
         this.theatreSpeakerAnchors.forEach((anchor) => {
+            const groupFeeds = feeds[anchor.userData.speakerGroup] || [];
+            if (groupFeeds.length === 0) return;
+
+            const mix = context.createGain();
+            routing.nodes.push(mix);
+            groupFeeds.forEach(({ channel, gain, ambience }) => {
+                const level = context.createGain();
+                level.gain.value = gain;
+                splitter.connect(level, channel);
+                routing.nodes.push(level);
+                if (ambience) {
+                    const delay = context.createDelay(1);
+                    delay.delayTime.value = AMBIENCE_DELAY_S;
+                    level.connect(delay);
+                    delay.connect(mix);
+                    routing.nodes.push(delay);
+                } else {
+                    level.connect(mix);
+                }
+            });
+
             const speakerAudio = new THREE.PositionalAudio(listener);
-            speakerAudio.setMediaStreamSource(stream);
+            speakerAudio.setNodeSource(mix);
             speakerAudio.setDistanceModel('inverse');
             speakerAudio.setRefDistance(15);
             speakerAudio.setRolloffFactor(1.2);
             speakerAudio.setMaxDistance(160);
             speakerAudio.setDirectionalCone(65, 160, 0.25);
-            speakerAudio.setVolume(0); // unlocked by user gesture
+            // Silent until unlocked by a user gesture
+            speakerAudio.setVolume(this._theatreSpeakerAudioUnlocked ? this._theatreSpeakerBaseVolume : 0);
             anchor.add(speakerAudio);
             this.theatreSpeakerAudioNodes.push(speakerAudio);
         });
+    }
+
+    // Listen to each channel until the source has made enough sound to tell
+    // how many it really has, and reroute if the guess was wrong
+    probeTheatreSpeakerChannels() {
+        const routing = this.theatreSpeakerRouting;
+        const context = this.avatarManager?.audioListener?.context;
+        if (!routing || !context) return;
+
+        const splitter = context.createChannelSplitter(MAX_SURROUND_CHANNELS);
+        routing.source.connect(splitter);
+        const analysers = Array.from({ length: MAX_SURROUND_CHANNELS }, (_, channel) => {
+            const analyser = context.createAnalyser();
+            analyser.fftSize = 256;
+            splitter.connect(analyser, channel);
+            return analyser;
+        });
+        const samples = new Float32Array(analysers[0].fftSize);
+        const peaks = new Array(MAX_SURROUND_CHANNELS).fill(0);
+        let readings = 0;
+
+        const timer = setInterval(() => {
+            analysers.forEach((analyser, channel) => {
+                analyser.getFloatTimeDomainData(samples);
+                peaks[channel] = Math.max(peaks[channel], getPeakLevel(samples));
+            });
+            const channelCount = guessChannelCount(peaks);
+            if (channelCount === null || ++readings < CHANNEL_PROBE_READINGS) return;
+
+            this.stopTheatreSpeakerProbe();
+            if (channelCount !== routing.channelCount) {
+                console.log('Theatre audio:', routing.channelCount, '->', channelCount, 'channels');
+                routing.channelCount = channelCount;
+                this.routeTheatreSpeakers();
+            }
+        }, CHANNEL_PROBE_INTERVAL_MS);
+        routing.probe = { timer, nodes: [splitter, ...analysers] };
+    }
 
-        return true;
+    stopTheatreSpeakerProbe() {
+        const probe = this.theatreSpeakerRouting?.probe;
+        if (!probe) return;
+        clearInterval(probe.timer);
+        probe.nodes.forEach(node => node.disconnect());
+        this.theatreSpeakerRouting.probe = null;
+    }
+
+    // Whatever the speakers play also goes to this node, e.g. for recording
+    setSpeakerMixTap(node) {
+        const source = this.theatreSpeakerRouting?.source;
+        if (source && this.speakerMixTap) {
+            try {
+                source.disconnect(this.speakerMixTap);
+            } catch (e) {
+                // no-op
+            }
+        }
+        this.speakerMixTap = node;
+        if (source && node) source.connect(node);
+    }
+
+    // Rear ambience derived from stereo sources
+    setSurroundUpmix(enabled) {
+        this.surroundUpmix = !!enabled;
+        this.routeTheatreSpeakers();
     }
 
     async enableTheatreSpeakerAudio() {
@@ -638,9 +800,10 @@ export class Theatre {
         }, { once: true });
     }
     
-    setHostStream(stream, isLocalHost = false) {
+    setHostStream(stream, isLocalHost = false, quality = DEFAULT_QUALITY) {
         this.stopHostStream();
         this._streamIsLocalHost = !!isLocalHost;
+        this._streamQuality = quality;
         this._updateStreamFrameIntervalForPerformance();
         this._lastStreamFrameMs = 0;
 
@@ -690,8 +853,15 @@ export class Theatre {
                 setTimeout(() => { if (video.paused) video.play().catch(() => {}); }, 200);
             });
 
+            // Catch up with the live edge when playback falls behind, unless
+            // the StreamSyncManager holds this stream to the room's delay.
+            // It cannot in browsers without jitter buffer stats.
             this.syncInterval = setInterval(() => {
                 if (!video || video.paused || !video.buffered.length) return;
+                if (this.app?.streamSyncManager?.isAligning(stream)) {
+                    video.playbackRate = 1.0;
+                    return;
+                }
                 try {
                     const end = video.buffered.end(video.buffered.length - 1);
                     const lag = end - video.currentTime;
@@ -707,7 +877,9 @@ export class Theatre {
         }
 
         stream.getTracks().forEach(track => {
-            track.addEventListener('ended', () => this.stopHostStream());
+            track.addEventListener('ended', () => {
+                if (this.hostVideo?.srcObject === stream) this.stopHostStream();
+            });
         });
 
         // Keep direct video element muted; stream audio is routed through theatre speaker emitters.
@@ -716,6 +888,41 @@ export class Theatre {
         }
     }
 
+    // Synced media: MediaSyncManager drives the element's timing, so none of
+    // the live-stream lag handling above applies here
+    setMediaVideo(video) {
+        this.stopHostStream();
+        this._streamIsLocalHost = false;
+        this._streamQuality = DEFAULT_QUALITY;
+        this._updateStreamFrameIntervalForPerformance();
+        this._lastStreamFrameMs = 0;
+
+        this.hostVideo = video;
+        video.playsInline = true;
+        video.disablePictureInPicture = true;
+        video.muted = true;
+        video.style.cssText = 'position:fixed;bottom:0;left:0;width:1px;height:1px;opacity:0;pointer-events:none;';
+        document.body.appendChild(video);
+
+        this.setupTheatreSpeakerAudioFromElement(video);
+
+        video.addEventListener('loadedmetadata', () => {
+            this._streamSourceWidth = video.videoWidth;
+            this._streamSourceHeight = video.videoHeight;
+            console.log('Media:', video.videoWidth, 'x', video.videoHeight, '|', Math.round(video.duration), 's');
+
+            if (video.videoWidth && video.videoHeight) {
+                this.adjustScreenToContent(video.videoWidth / video.videoHeight);
+                this.rebuildStreamCanvasTexture();
+            }
+            this.showUnmuteOverlay(video);
+        });
+
+        video.addEventListener('canplay', () => {
+            this._startStreamFrameCallbacks();
+        });
+    }
+
     showUnmuteOverlay(video) {
         this.removeUnmuteOverlay();
 
@@ -733,6 +940,8 @@ export class Theatre {
 
         overlay.addEventListener('click', () => {
             this.enableTheatreSpeakerAudio();
+            // Element audio (synced media) only flows once the element is unmuted
+            if (!video.srcObject) video.muted = false;
             this.removeUnmuteOverlay();
         });
 
@@ -766,9 +975,97 @@ export class Theatre {
         this.screen.geometry = new THREE.PlaneGeometry(screenWidth, screenHeight);
         
         console.log('Massive screen resized to:', screenWidth, 'x', screenHeight, 'for aspect ratio:', aspectRatio);
+        this.layoutStreamOverlays();
+    }
+    
+    // Every stream besides the one filling the screen is shown small in its
+    // lower right corner, side by side. Overlays are silent; only the main
+    // stream plays through the theatre speakers.
+    setStreamOverlays(streams) {
+        const ids = new Set(streams.map(stream => stream.id));
+        Array.from(this.streamOverlays.keys()).forEach(id => {
+            if (!ids.has(id)) this.removeStreamOverlay(id);
+        });
+        streams.forEach(stream => {
+            if (!this.streamOverlays.has(stream.id)) this.addStreamOverlay(stream);
+        });
+        this.layoutStreamOverlays();
     }
     
-    stopHostStream() {
+    addStreamOverlay(stream) {
+        const video = document.createElement('video');
+        video.autoplay = true;
+        video.playsInline = true;
+        video.disablePictureInPicture = true;
+        video.muted = true;
+        video.style.cssText = 'position:fixed;bottom:0;left:0;width:1px;height:1px;opacity:0;pointer-events:none;';
+        document.body.appendChild(video);
+        video.srcObject = stream;
+        video.addEventListener('loadedmetadata', () => this.layoutStreamOverlays());
+        video.addEventListener('canplay', () => video.play().catch(() => {}));
+        
+        const texture = new THREE.VideoTexture(video);
+        texture.minFilter = THREE.LinearFilter;
+        texture.magFilter = THREE.LinearFilter;
+        texture.generateMipmaps = false;
+        texture.colorSpace = THREE.SRGBColorSpace;
+        
+        const mesh = new THREE.Mesh(
+            new THREE.PlaneGeometry(1, 1),
+            new THREE.MeshBasicMaterial({ map: texture, toneMapped: false })
+        );
+        mesh.name = 'theatre-screen-overlay';
+        const border = new THREE.Mesh(
+            new THREE.PlaneGeometry(1.04, 1.04),
+            new THREE.MeshBasicMaterial({ color: 0x111111 })
+        );
+        border.position.z = -0.01;
+        mesh.add(border);
+        this.scene.add(mesh);
+        
+        this.streamOverlays.set(stream.id, { video, texture, mesh });
+    }
+    
+    removeStreamOverlay(id) {
+        const overlay = this.streamOverlays.get(id);
+        if (!overlay) return;
+        this.streamOverlays.delete(id);
+        
+        // The tracks belong to whoever streams them; the overlay only lets go
+        overlay.video.pause();
+        overlay.video.srcObject = null;
+        overlay.video.remove();
+        overlay.texture.dispose();
+        overlay.mesh.traverse(child => {
+            child.geometry?.dispose();
+            child.material?.dispose();
+        });
+        this.scene.remove(overlay.mesh);
+    }
+    
+    layoutStreamOverlays() {
+        if (!this.screen) return;
+        const { width, height } = this.screen.geometry.parameters;
+        const overlayWidth = width / 4;
+        const margin = width / 40;
+        let right = this.screen.position.x + width / 2 - margin;
+        
+        this.streamOverlays.forEach(({ video, mesh }) => {
+            const aspect = video.videoWidth && video.videoHeight ? video.videoWidth / video.videoHeight : 16 / 9;
+            const overlayHeight = Math.min(overlayWidth / aspect, height / 2);
+            const overlayWidthFitted = overlayHeight * aspect;
+            mesh.scale.set(overlayWidthFitted, overlayHeight, 1);
+            mesh.position.set(
+                right - overlayWidthFitted / 2,
+                this.screen.position.y - height / 2 + margin + overlayHeight / 2,
+                this.screen.position.z + 0.1
+            );
+            right -= overlayWidthFitted + margin;
+        });
+    }
+    
+    // stopTracks is false when the stream lives on elsewhere, e.g. as an overlay
+    stopHostStream(stopTracks = true) {
         if (this.syncInterval) {
             clearInterval(this.syncInterval);
             this.syncInterval = null;
@@ -788,10 +1085,14 @@ export class Theatre {
         if (this.hostVideo) {
             this.hostVideo.pause();
             this.hostVideo.playbackRate = 1.0;
-            if (this.hostVideo.srcObject) {
+            if (this.hostVideo.srcObject && stopTracks) {
                 this.hostVideo.srcObject.getTracks().forEach(track => track.stop());
             }
             this.hostVideo.srcObject = null;
+            if (this.hostVideo.getAttribute('src')) {
+                this.hostVideo.removeAttribute('src');
+                this.hostVideo.load();
+            }
             this.hostVideo.remove();
             this.hostVideo = null;
         }
@@ -993,8 +1294,7 @@ export class Theatre {
         user.seatId = seatIndex;
         
         // Move avatar to seat
-        const seatPosition = seat.position.clone();
-        seatPosition.y += user.avatarType === 'vrm' ? 0.95 : 1.15;
+        const seatPosition = this.getSeatedPosition(userId, seat);
         
         // Update avatar using avatar manager
         this.avatarManager.updateAvatar(userId, seatPosition);
@@ -1004,6 +1304,13 @@ export class Theatre {
         return { success: true, seatIndex };
     }
     
+    // Where a user's avatar sits on a seat
+    getSeatedPosition(userId, seat) {
+        const position = seat.position.clone();
+        position.y += this.users.get(userId)?.avatarType === 'vrm' ? 0.95 : 1.15;
+        return position;
+    }
+    
     getAvailableSeats() {
         return this.seats.filter(seat => !seat.occupied);
     }
@@ -1034,7 +1341,7 @@ export class Theatre {
                     console.warn('[PERF][STREAM_UPLOAD]', {
                         uploadMs: Number(uploadMs.toFixed(2)),
                         canvas: `${this._streamCanvas.width}x${this._streamCanvas.height}`,
-                        localHost: this._streamFrameIntervalMs >= (1000 / 8)
+                        localHost: this._streamIsLocalHost
                     });
                 }
             }
@@ -1101,20 +1408,28 @@ export class Theatre {
         });
     }
 
+    // The stream's preset changed while it plays (see shared/streamQuality.js)
+    setStreamQuality(quality = DEFAULT_QUALITY) {
+        if (this._streamQuality === quality) return;
+        this._streamQuality = quality;
+        this._updateStreamFrameIntervalForPerformance();
+        this.rebuildStreamCanvasTexture();
+    }
+
+    _getStreamTexture() {
+        return getScreenTexture(this._streamQuality, {
+            isLocalHost: this._streamIsLocalHost,
+            performanceLevel: this._streamPerformanceLevel
+        });
+    }
+
     _updateStreamFrameIntervalForPerformance() {
-        const localIntervals = [1000 / 8, 1000 / 6, 1000 / 4];
-        const remoteIntervals = [1000 / 12, 1000 / 8, 1000 / 6];
-        const table = this._streamIsLocalHost ? localIntervals : remoteIntervals;
-        this._streamFrameIntervalMs = table[this._streamPerformanceLevel] || table[0];
+        this._streamFrameIntervalMs = this._getStreamTexture().frameIntervalMs;
     }
 
     _getTargetStreamTextureWidth() {
         if (!this._streamSourceWidth) return 0;
-        const localMaxWidths = [640, 512, 426];
-        const remoteMaxWidths = [960, 720, 540];
-        const limits = this._streamIsLocalHost ? localMaxWidths : remoteMaxWidths;
-        const maxW = limits[this._streamPerformanceLevel] || limits[0];
-        return Math.max(320, Math.min(this._streamSourceWidth, maxW));
+        return Math.max(320, Math.min(this._streamSourceWidth, this._getStreamTexture().maxWidth));
     }
 
     rebuildStreamCanvasTexture() {
@@ -1258,6 +1573,7 @@ export class Theatre {
     dispose() {
         // Clean up resources
         this.stopHostStream();
+        this.setStreamOverlays([]);
         
         // Remove all users
         this.users.forEach((user, userId) => {
@@ -0,0 +1,252 @@
+// Keep in step with the server (server/items/TradeBook.js)
+const OFFER_SLOTS = 8;
+
+// Trading items with other players. Right-click someone in the user list or
+// their avatar to ask them; once they accept, both players drag items from
+// their Bindle into the trade window and confirm. The server holds the trade
+// and swaps the items, so this only shows what it says and asks for changes.
+export class TradeManager {
+    constructor(networkManager, bindle, app) {
+        this.networkManager = networkManager;
+        this.bindle = bindle;
+        this.app = app;
+        this.trade = null;
+
+        this.createStyles();
+        this.setupSignaling();
+    }
+
+    get socket() {
+        return this.networkManager?.socket;
+    }
+
+    // Trades move items the server keeps, so both need it
+    canTrade() {
+        return this.bindle.isServerBacked() && !!this.networkManager.roomId;
+    }
+
+    getName(userId) {
+        return this.networkManager.roomUsers.get(userId) || `User ${userId.slice(-4)}`;
+    }
+
+    createStyles() {
+        if (document.getElementById('trade-styles')) return;
+        const style = document.createElement('style');
+        style.id = 'trade-styles';
+        style.textContent = `
+            #trade-menu { position:fixed; background:rgba(0,0,0,0.9); border:1px solid #D2691E; border-radius:8px; padding:4px; z-index:2000; }
+            #trade-menu button { display:block; background:none; border:none; color:#fff; padding:6px 10px; cursor:pointer; font-size:13px; text-align:left; }
+            #trade-menu button:hover { background:rgba(210,105,30,0.3); border-radius:6px; }
+            #trade-window { position:fixed; top:50%; right:20px; transform:translateY(-50%); width:260px; background:rgba(0,0,0,0.85); border:2px solid rgba(139,69,19,0.8); border-radius:12px; padding:12px 16px; z-index:1001; color:#fff; font-size:13px; }
+            #trade-window h4 { color:#D2691E; margin:0 0 8px; text-align:center; }
+            #trade-window .trade-side { margin-bottom:10px; }
+            #trade-window .trade-label { color:#D2691E; font-size:12px; font-weight:bold; margin-bottom:4px; }
+            #trade-window .trade-grid { display:grid; grid-template-columns:repeat(4, 1fr); gap:2px; background:rgba(0,0,0,0.2); padding:6px; border-radius:6px; }
+            #trade-window .trade-slot { height:48px; border:1px solid rgba(139,69,19,0.3); border-radius:4px; display:flex; align-items:center; justify-content:center; position:relative; }
+            #trade-window .trade-grid.mine .trade-slot { cursor:pointer; }
+            #trade-window .trade-hint { color:#aaa; font-size:11px; text-align:center; margin-bottom:8px; }
+            #trade-window .trade-actions { display:flex; justify-content:center; gap:8px; }
+            #trade-window button { border:none; color:#fff; padding:6px 12px; border-radius:6px; cursor:pointer; font-size:12px; font-weight:bold; background:#4CAF50; }
+            #trade-window button.trade-cancel { background:#666; }
+            #trade-window button:disabled { opacity:0.5; cursor:default; }
+        `;
+        document.head.appendChild(style);
+    }
+
+    setupSignaling() {
+        const socket = this.socket;
+        if (!socket) return;
+
+        socket.on('trade-requested', (data) => this.showRequest(data));
+        socket.on('trade-updated', (data) => {
+            const opened = data.status === 'open' && this.trade?.status !== 'open';
+            this.trade = data;
+            if (opened) this.bindle.showBindle();
+            this.render();
+        });
+        socket.on('trade-closed', (data) => {
+            document.getElementById(`trade-request-${data.tradeId}`)?.remove();
+            if (this.trade?.tradeId !== data.tradeId) return;
+            this.trade = null;
+            this.render();
+            this.app.showMessage(`Trade: ${data.reason}`);
+        });
+        socket.on('trade-completed', (data) => {
+            if (this.trade?.tradeId !== data.tradeId) return;
+            this.trade = null;
+            this.render();
+            this.app.showMessage('🤝 Trade complete!');
+        });
+        socket.on('trade-denied', (data) => this.app.showMessage(`Trade: ${data.reason}`, 'error'));
+        // The server drops our trade when we disconnect
+        socket.on('disconnect', () => {
+            this.trade = null;
+            this.render();
+        });
+    }
+
+    // A small menu at the pointer; anywhere else closes it
+    showTradeMenu(userId, x, y) {
+        this.hideTradeMenu();
+        if (userId === this.networkManager.userId) return;
+
+        const menu = document.createElement('div');
+        menu.id = 'trade-menu';
+        menu.style.left = `${x}px`;
+        menu.style.top = `${y}px`;
+        const button = document.createElement('button');
+        button.textContent = `🤝 Trade with ${this.getName(userId)}`;
+        button.addEventListener('click', () => {
+            this.hideTradeMenu();
+            this.requestTrade(userId);
+        });
+        menu.appendChild(button);
+        document.body.appendChild(menu);
+
+        setTimeout(() => document.addEventListener('click', () => this.hideTradeMenu(), { once: true }));
+    }
+
+    hideTradeMenu() {
+        document.getElementById('trade-menu')?.remove();
+    }
+
+    requestTrade(userId) {
+        if (!this.canTrade()) {
+            this.app.showMessage('Trading needs a connection to the server', 'error');
+            return;
+        }
+        this.socket.emit('trade-request', { roomId: this.networkManager.roomId, targetUserId: userId });
+    }
+
+    showRequest({ tradeId, fromName }) {
+        const modal = document.createElement('div');
+        modal.className = 'lobby-modal';
+        modal.id = `trade-request-${tradeId}`;
+        modal.innerHTML = `
+            <h3>🤝 Trade request</h3>
+            <p style="margin-bottom: 16px; color: #ccc;"><b class="trade-from"></b> wants to trade items with you.</p>
+            <button class="trade-accept" style="background: #4CAF50;">Trade</button>
+            <button class="trade-decline" style="background: #666;">No thanks</button>
+        `;
+        modal.querySelector('.trade-from').textContent = fromName;
+        document.body.appendChild(modal);
+
+        const respond = (accept) => {
+            modal.remove();
+            if (!accept) this.trade = null;
+            this.socket?.emit('trade-respond', { tradeId, accept });
+        };
+        modal.querySelector('.trade-accept').addEventListener('click', () => respond(true));
+        modal.querySelector('.trade-decline').addEventListener('click', () => respond(false));
+    }
+
+    getPartnerId() {
+        return this.trade.users.find(id => id !== this.networkManager.userId);
+    }
+
+    getMySlots() {
+        return this.trade.offers[this.networkManager.userId].map(item => item.slotIndex);
+    }
+
+    setOffer(slots) {
+        this.socket?.emit('trade-offer', { tradeId: this.trade.tradeId, slots });
+    }
+
+    // Items are dragged over from the Bindle, the same way they move there
+    handleDrop(e) {
+        e.preventDefault();
+        const slotIndex = this.bindle.draggedFromSlot;
+        this.bindle.draggedItem = null;
+        this.bindle.draggedFromSlot = null;
+
+        const slots = this.getMySlots();
+        if (slotIndex === null || slots.includes(slotIndex) || slots.length >= OFFER_SLOTS) return;
+        this.setOffer([...slots, slotIndex]);
+    }
+
+    createOfferGrid(items, mine) {
+        const grid = document.createElement('div');
+        grid.className = mine ? 'trade-grid mine' : 'trade-grid';
+        for (let i = 0; i < OFFER_SLOTS; i++) {
+            const slot = document.createElement('div');
+            slot.className = 'trade-slot';
+            this.bindle.renderItemSlot(slot, items[i] ?? null);
+            if (mine && items[i]) {
+                // Clicking an offered item takes it back
+                slot.addEventListener('click', () => {
+                    this.setOffer(this.getMySlots().filter(index => index !== items[i].slotIndex));
+                });
+            }
+            grid.appendChild(slot);
+        }
+        if (mine) {
+            grid.addEventListener('dragover', (e) => e.preventDefault());
+            grid.addEventListener('drop', (e) => this.handleDrop(e));
+        }
+        return grid;
+    }
+
+    render() {
+        document.getElementById('trade-window')?.remove();
+        // The partner answers a proposal in the request prompt instead
+        if (!this.trade || (this.trade.status === 'proposed' && this.trade.users[0] !== this.networkManager.userId)) return;
+
+        const { tradeId, status, offers, confirmed } = this.trade;
+        const localId = this.networkManager.userId;
+        const partnerId = this.getPartnerId();
+        const partnerName = this.getName(partnerId);
+
+        const panel = document.createElement('div');
+        panel.id = 'trade-window';
+        panel.innerHTML = `<h4>🤝 TRADE</h4>`;
+
+        if (status === 'proposed') {
+            const waiting = document.createElement('div');
+            waiting.className = 'trade-hint';
+            waiting.textContent = `Waiting for ${partnerName} to accept…`;
+            panel.appendChild(waiting);
+        } else {
+            const addSide = (label, items, mine) => {
+                const side = document.createElement('div');
+                side.className = 'trade-side';
+                const title = document.createElement('div');
+                title.className = 'trade-label';
+                title.textContent = label;
+                side.appendChild(title);
+                side.appendChild(this.createOfferGrid(items, mine));
+                panel.appendChild(side);
+            };
+            addSide(`Your offer${confirmed[localId] ? ' ✔' : ''}`, offers[localId], true);
+            addSide(`${partnerName}'s offer${confirmed[partnerId] ? ' ✔' : ''}`, offers[partnerId], false);
+
+            const hint = document.createElement('div');
+            hint.className = 'trade-hint';
+            hint.textContent = 'Drag items here from your bindle; click one to take it back. Changing an offer clears both confirmations.';
+            panel.appendChild(hint);
+        }
+
+        const actions = document.createElement('div');
+        actions.className = 'trade-actions';
+        if (status !== 'proposed') {
+            const confirm = document.createElement('button');
+            confirm.textContent = 'Confirm';
+            confirm.disabled = confirmed[localId] || status === 'settling';
+            confirm.addEventListener('click', () => this.socket?.emit('trade-confirm', { tradeId }));
+            actions.appendChild(confirm);
+        }
+        const cancel = document.createElement('button');
+        cancel.className = 'trade-cancel';
+        cancel.textContent = 'Cancel';
+        cancel.disabled = status === 'settling';
+        cancel.addEventListener('click', () => this.socket?.emit('trade-cancel', { tradeId }));
+        actions.appendChild(cancel);
+        panel.appendChild(actions);
+
+        document.body.appendChild(panel);
+    }
+
+    dispose() {
+        this.hideTradeMenu();
+        document.getElementById('trade-window')?.remove();
+    }
+}
@@ -0,0 +1,154 @@
+// Who is in the room, with kick, ban, mute and unseat controls for the host
+// and co-hosts. The server decides who may moderate whom; the buttons are
+// only hidden where they would be refused anyway. Right-clicking someone
+// offers to trade with them.
+const BAN_DURATIONS = [
+    { minutes: 10, label: '10 minutes' },
+    { minutes: 60, label: '1 hour' },
+    { minutes: 24 * 60, label: '1 day' },
+    { minutes: 7 * 24 * 60, label: '1 week' }
+];
+
+export class UserListPanel {
+    constructor(networkManager, app) {
+        this.networkManager = networkManager;
+        this.app = app;
+        this.isOpen = false;
+
+        this.createStyles();
+    }
+
+    createStyles() {
+        if (document.getElementById('user-list-styles')) return;
+        const style = document.createElement('style');
+        style.id = 'user-list-styles';
+        style.textContent = `
+            #user-list-panel { position:fixed; top:80px; left:50%; transform:translateX(-50%); background:rgba(0,0,0,0.9); border:1px solid #00ffff; border-radius:12px; padding:12px 16px; z-index:1500; color:#fff; font-size:13px; min-width:320px; max-height:60vh; overflow-y:auto; }
+            #user-list-panel h4 { color:#00ffff; margin:0 0 8px; display:flex; justify-content:space-between; align-items:center; }
+            #user-list-panel .user-entry { display:flex; align-items:center; justify-content:space-between; gap:8px; margin-top:6px; }
+            #user-list-panel .user-role { color:#ffa500; font-size:11px; margin-left:4px; }
+            #user-list-panel .user-flags { color:#ff6666; font-size:11px; margin-left:4px; }
+            #user-list-panel button { border:none; color:#fff; padding:3px 8px; border-radius:6px; cursor:pointer; font-size:11px; font-weight:bold; margin-left:2px; background:#555; }
+            #user-list-panel button.danger { background:#f44336; }
+        `;
+        document.head.appendChild(style);
+    }
+
+    toggle() {
+        this.isOpen = !this.isOpen;
+        this.render();
+    }
+
+    canModerate(userId) {
+        const { role, userId: localId, coHosts } = this.networkManager;
+        if (userId === localId || userId === this.networkManager.hostId) return false;
+        if (role === 'host') return true;
+        return role === 'co-host' && !coHosts.has(userId);
+    }
+
+    getRoleLabel(userId) {
+        if (userId === this.networkManager.hostId) return 'host';
+        return this.networkManager.coHosts.has(userId) ? 'co-host' : '';
+    }
+
+    render() {
+        document.getElementById('user-list-panel')?.remove();
+        if (!this.isOpen) return;
+
+        const { roomUsers, mutedUsers, userId: localId } = this.networkManager;
+        const panel = document.createElement('div');
+        panel.id = 'user-list-panel';
+        panel.innerHTML = `<h4><span>👥 In this room (${roomUsers.size})</span><button class="user-list-close">✕</button></h4>`;
+        panel.querySelector('.user-list-close').addEventListener('click', () => this.toggle());
+
+        roomUsers.forEach((name, userId) => {
+            const chatMuted = mutedUsers.chat.has(userId);
+            const voiceMuted = mutedUsers.voice.has(userId);
+            const flags = [chatMuted && 'chat muted', voiceMuted && 'voice muted'].filter(Boolean).join(', ');
+
+            const row = document.createElement('div');
+            row.className = 'user-entry';
+            row.innerHTML = `
+                <span><span class="user-name"></span><span class="user-role"></span><span class="user-flags"></span></span>
+                <span class="user-actions"></span>
+            `;
+            row.querySelector('.user-name').textContent = userId === localId ? `${name} (you)` : name;
+            row.querySelector('.user-role').textContent = this.getRoleLabel(userId);
+            row.querySelector('.user-flags').textContent = flags;
+            if (userId !== localId) {
+                row.addEventListener('contextmenu', (e) => {
+                    e.preventDefault();
+                    this.app.tradeManager?.showTradeMenu(userId, e.clientX, e.clientY);
+                });
+            }
+
+            if (this.canModerate(userId)) {
+                const actions = row.querySelector('.user-actions');
+                const addAction = (label, onClick, danger = false) => {
+                    const button = document.createElement('button');
+                    button.textContent = label;
+                    if (danger) button.className = 'danger';
+                    button.addEventListener('click', onClick);
+                    actions.appendChild(button);
+                };
+
+                addAction(chatMuted ? 'Unmute chat' : 'Mute chat', () => this.networkManager.muteUser(userId, 'chat', !chatMuted));
+                addAction(voiceMuted ? 'Unmute voice' : 'Mute voice', () => this.networkManager.muteUser(userId, 'voice', !voiceMuted));
+                addAction('Unseat', () => this.networkManager.unseatUser(userId));
+                addAction('Kick', () => this.networkManager.kickUser(userId), true);
+                addAction('Ban', () => this.showBanDialog(userId, name), true);
+            }
+
+            panel.appendChild(row);
+        });
+
+        document.body.appendChild(panel);
+    }
+
+    showBanDialog(userId, name) {
+        const modal = document.createElement('div');
+        modal.className = 'lobby-modal';
+        modal.innerHTML = `
+            <h3>⛔ Ban <span class="ban-name"></span></h3>
+            <p style="margin-bottom: 16px; color: #ccc; font-size: 13px;">They will be removed and cannot rejoin this room until the ban ends.</p>
+            <select id="ban-duration" style="background: #222; color: #fff; border: 1px solid #ffa500; border-radius: 8px; padding: 8px; margin-bottom: 16px;">
+                ${BAN_DURATIONS.map(({ minutes, label }) => `<option value="${minutes}"${minutes === 60 ? ' selected' : ''}>${label}</option>`).join('')}
+            </select><br>
+            <button id="ban-confirm" style="background: #f44336;">Ban</button>
+            <button id="ban-cancel" style="background: #666;">Cancel</button>
+        `;
+        modal.querySelector('.ban-name').textContent = name;
+        document.body.appendChild(modal);
+
+        modal.querySelector('#ban-confirm').addEventListener('click', () => {
+            this.networkManager.banUser(userId, Number(modal.querySelector('#ban-duration').value));
+            modal.remove();
+        });
+        modal.querySelector('#ban-cancel').addEventListener('click', () => modal.remove());
+    }
+
+    // Shown to someone who was kicked or banned from the room
+    showRemoved({ roomId, reason, bannedUntil }) {
+        this.isOpen = false;
+        this.render();
+
+        const modal = document.createElement('div');
+        modal.className = 'lobby-modal';
+        modal.innerHTML = `
+            <h3>🚫 Removed from room</h3>
+            <p style="margin-bottom: 8px; color: #ccc;" class="removed-reason"></p>
+            ${bannedUntil ? `<p style="margin-bottom: 16px; color: #ccc; font-size: 13px;">You can come back to <b>${roomId}</b> after ${new Date(bannedUntil).toLocaleString()}.</p>` : ''}
+            <button id="removed-leave" style="background: #4CAF50;">Go to the public theatre</button>
+        `;
+        modal.querySelector('.removed-reason').textContent = reason;
+        document.body.appendChild(modal);
+
+        modal.querySelector('#removed-leave').addEventListener('click', () => {
+            window.location.search = '';
+        });
+    }
+
+    dispose() {
+        document.getElementById('user-list-panel')?.remove();
+    }
+}
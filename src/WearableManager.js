@@ -1,13 +1,16 @@
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 
+// Puts worn items on the player's avatar. Each wearable's model in the item
+// catalog (items/catalog.json) names its file and how its stand-in looks and
+// moves: color, shape, glow and animations.
 export class WearableManager {
     constructor(scene, avatarManager) {
         this.scene = scene;
         this.avatarManager = avatarManager;
         this.gltfLoader = new GLTFLoader();
         this.attachedWearables = new Map(); // slot -> wearable object
-        this.wearableModels = new Map(); // model path -> loaded model cache
+        this.wearableModels = new Map(); // model file -> loaded model cache
         
         // Attachment points for different body parts
         this.attachmentPoints = {
@@ -25,25 +28,25 @@ export class WearableManager {
         };
     }
     
-    async loadWearable(modelPath, slot) {
+    async loadWearable(model, slot) {
         // Check if model is already cached
-        if (this.wearableModels.has(modelPath)) {
-            return this.wearableModels.get(modelPath).clone();
+        if (this.wearableModels.has(model.file)) {
+            return this.wearableModels.get(model.file).clone();
         }
         
         try {
             // For now, create placeholder models since we don't have actual GLB files
-            const wearable = this.createPlaceholderWearable(modelPath, slot);
-            this.wearableModels.set(modelPath, wearable);
+            const wearable = this.createPlaceholderWearable(model, slot);
+            this.wearableModels.set(model.file, wearable);
             return wearable.clone();
         } catch (error) {
-            console.error(`Failed to load wearable model: ${modelPath}`, error);
+            console.error(`Failed to load wearable model: ${model.file}`, error);
             // Return a basic placeholder
             return this.createBasicPlaceholder(slot);
         }
     }
     
-    createPlaceholderWearable(modelPath, slot) {
+    createPlaceholderWearable(model, slot) {
         const group = new THREE.Group();
         group.name = `wearable_${slot}`;
         
@@ -52,8 +55,7 @@ export class WearableManager {
         switch (slot) {
             case 'head':
                 geometry = new THREE.SphereGeometry(0.3, 8, 6);
-                color = modelPath.includes('crown') ? 0xffd700 : 
-                       modelPath.includes('hat') ? 0x8B4513 : 0x666666;
+                color = 0x666666;
                 break;
                 
             case 'face':
@@ -73,14 +75,14 @@ export class WearableManager {
                 
             case 'neck':
                 geometry = new THREE.TorusGeometry(0.2, 0.05, 6, 8);
-                color = modelPath.includes('amulet') ? 0x8A2BE2 : 0xffd700;
+                color = 0xffd700;
                 break;
                 
             case 'back':
-                if (modelPath.includes('wings')) {
+                if (model.shape === 'wings') {
                     // Create wing-like structure
                     geometry = new THREE.ConeGeometry(0.8, 1.5, 6);
-                    color = modelPath.includes('void') ? 0x000000 : 0xffffff;
+                    color = 0xffffff;
                 } else {
                     geometry = new THREE.PlaneGeometry(1, 1.5);
                     color = 0x444444;
@@ -107,6 +109,9 @@ export class WearableManager {
                 color = 0x888888;
         }
         
+        // The catalog's color wins over the slot's default
+        if (model.color) color = new THREE.Color(model.color);
+        
         material = new THREE.MeshLambertMaterial({ 
             color: color,
             transparent: slot === 'face',
@@ -116,7 +121,7 @@ export class WearableManager {
         const mesh = new THREE.Mesh(geometry, material);
         
         // Add some glow effect for special items
-        if (modelPath.includes('spectral') || modelPath.includes('phantom') || modelPath.includes('void')) {
+        if (model.glow) {
             const glowMaterial = new THREE.MeshBasicMaterial({
                 color: color,
                 transparent: true,
@@ -130,7 +135,8 @@ export class WearableManager {
         
         group.add(mesh);
         group.userData.slot = slot;
-        group.userData.modelPath = modelPath;
+        group.userData.modelFile = model.file;
+        group.userData.animations = model.animations || [];
         
         return group;
     }
@@ -266,21 +272,19 @@ export class WearableManager {
         for (const [slot, wearable] of this.attachedWearables) {
             if (!wearable) continue;
             
-            // Add floating animation for special items
-            if (wearable.userData.modelPath) {
-                const modelPath = wearable.userData.modelPath;
-                
-                if (modelPath.includes('halo') || modelPath.includes('crown')) {
-                    wearable.rotation.y = time * 0.5;
-                }
-                
-                if (modelPath.includes('wings')) {
-                    wearable.rotation.z = Math.sin(time * 2) * 0.1;
-                }
-                
-                if (modelPath.includes('spectral') || modelPath.includes('phantom')) {
-                    wearable.position.y += Math.sin(time * 3) * 0.01;
-                }
+            // Animations the catalog gives the item
+            const animations = wearable.userData.animations || [];
+            
+            if (animations.includes('spin')) {
+                wearable.rotation.y = time * 0.5;
+            }
+            
+            if (animations.includes('flap')) {
+                wearable.rotation.z = Math.sin(time * 2) * 0.1;
+            }
+            
+            if (animations.includes('float')) {
+                wearable.position.y += Math.sin(time * 3) * 0.01;
             }
         }
     }
@@ -0,0 +1,130 @@
+// Shares the outside world between everyone in a room. The server owns the
+// world seed, which temple chests have been looted, what they held and where
+// the ghosts are; this reports what the local player does outside and hands
+// what comes back to RoguelikeWorld. It also hides avatars of people who
+// are not in the same place (theatre or outside) as the local player.
+export class WorldSync {
+    constructor(networkManager, world, app) {
+        this.networkManager = networkManager;
+        this.world = world;
+        this.app = app;
+        this.outsideUsers = new Set();
+        this.isOutside = false;
+
+        world.setSync(this);
+        this.setupSignaling();
+    }
+
+    get socket() {
+        return this.networkManager?.socket;
+    }
+
+    isActive() {
+        return !!(this.socket && this.networkManager.isConnected && this.networkManager.roomId);
+    }
+
+    setupSignaling() {
+        const socket = this.socket;
+        if (!socket) return;
+
+        socket.on('room-joined', (data) => {
+            if (data.world) {
+                this.world.setSeed(data.world.seed);
+                this.world.setOpenedChests(Object.keys(data.world.openedChests || {}));
+            }
+            this.outsideUsers = new Set(data.outside || []);
+            // Back from a dropped connection while still outside
+            if (this.isOutside) {
+                this.enter(this.app.camera?.position);
+            }
+            this.updateAvatarVisibility();
+        });
+        socket.on('world-state', (data) => {
+            this.world.setOpenedChests(data.openedChests);
+            this.world.applyGhostSnapshot(data.ghosts);
+        });
+        socket.on('world-ghosts', (data) => {
+            this.world.applyGhostSnapshot(data.ghosts);
+            const health = data.health?.[this.networkManager.userId];
+            if (health !== undefined) this.world.setPlayerHealth(health);
+        });
+        socket.on('world-player-hit', (data) => this.world.applyPlayerHit(data));
+        socket.on('world-ghost-hit', (data) => this.world.handleGhostHit(data));
+        socket.on('world-chest-opened', (data) => {
+            this.world.markChestOpened(data.chestKey, data.userId === this.networkManager.userId, data.loot);
+        });
+        socket.on('world-vault-opened', (data) => this.world.markVaultOpened(data.cellKey, data.loot));
+        socket.on('world-chest-denied', (data) => {
+            this.app.showMessage(`Chest: ${data.reason}`, 'error');
+        });
+        socket.on('world-caught', () => {
+            this.isOutside = false;
+            if (this.world.isActive) this.world.killPlayer();
+        });
+        socket.on('world-presence', (data) => {
+            if (data.outside) {
+                this.outsideUsers.add(data.userId);
+            } else {
+                this.outsideUsers.delete(data.userId);
+            }
+            this.updateAvatarVisibility(data.userId);
+        });
+        socket.on('user-left', (userId) => this.outsideUsers.delete(userId));
+        // Avatars can load after the presence update that concerns them
+        socket.on('user-position-update', (data) => this.updateAvatarVisibility(data.userId));
+
+        // Without the server there is nobody to move the ghosts we were shown
+        socket.on('disconnect', () => this.world.clearGhosts());
+    }
+
+    enter(position) {
+        this.isOutside = true;
+        const bonuses = this.app.itemBonuses || {};
+        this.socket?.emit('world-enter', {
+            roomId: this.networkManager.roomId,
+            position: position ? { x: position.x, y: position.y, z: position.z } : null,
+            bonuses: { stealth: bonuses.stealth, protection: bonuses.protection, power: bonuses.power, magic: bonuses.magic }
+        });
+        this.updateAvatarVisibility();
+    }
+
+    leave() {
+        if (!this.isOutside) return;
+        this.isOutside = false;
+        this.socket?.emit('world-leave', { roomId: this.networkManager.roomId });
+        this.updateAvatarVisibility();
+    }
+
+    hitGhost(ghostId) {
+        this.socket?.emit('world-ghost-hit', { roomId: this.networkManager.roomId, ghostId });
+    }
+
+    makeNoise() {
+        this.socket?.emit('world-noise', { roomId: this.networkManager.roomId });
+    }
+
+    // Spike traps in temple dungeons hurt; the server keeps our health
+    springTrap(position) {
+        this.socket?.emit('world-trap', { roomId: this.networkManager.roomId, x: position.x, z: position.z });
+    }
+
+    openChest(chestKey) {
+        this.socket?.emit('world-open-chest', { roomId: this.networkManager.roomId, chestKey });
+    }
+
+    openVault(cellKey) {
+        this.socket?.emit('world-open-vault', { roomId: this.networkManager.roomId, cellKey });
+    }
+
+    // Only show people who are where we are
+    updateAvatarVisibility(userId = null) {
+        const avatars = this.app.theatre?.avatarManager?.getAllAvatars();
+        if (!avatars) return;
+
+        avatars.forEach((avatar, id) => {
+            if (userId && id !== userId) return;
+            if (id === this.networkManager.userId || !avatar.scene) return;
+            avatar.scene.visible = this.outsideUsers.has(id) === this.isOutside;
+        });
+    }
+}
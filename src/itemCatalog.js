@@ -0,0 +1,29 @@
+import catalog from '../items/catalog.json';
+import lootTables from '../items/loot-tables.json';
+import { createLootRoller } from '../shared/loot.js';
+
+// The item catalog and loot tables (items/ at the top of the repository),
+// bundled for playing offline. The server checks both when it starts and
+// `npm run items` checks them while editing; in a room the server keeps the
+// inventory and rolls the loot from the same files.
+export const ITEMS = Object.fromEntries(catalog.items.map(item => [item.id, item]));
+export const STARTING_ITEMS = catalog.startingItems;
+
+// An item as the Bindle holds it, or null for an unknown id; the same shape
+// the server sends
+export function createItem(itemId, quantity = 1) {
+    const item = ITEMS[itemId];
+    if (!item) return null;
+    return { ...structuredClone(item), id: itemId, itemId, quantity: item.stackable ? quantity : 1 };
+}
+
+// Inventories saved before the catalog hold whole item objects; match them
+// up by id or name so they pick up the catalog's current entry
+export function resolveItem(item) {
+    if (!item) return null;
+    const entry = ITEMS[item.itemId] || catalog.items.find(candidate => candidate.name === item.name);
+    return entry ? createItem(entry.id, item.quantity ?? 1) : item;
+}
+
+// Offline, chests roll their own loot the way the server would in a room
+export const rollChestLoot = createLootRoller(lootTables.tables, ITEMS);
@@ -5,12 +5,27 @@ import { NetworkManager } from './NetworkManager.js';
 import { OMISeat } from './OMISeat.js';
 import { ChatManager } from './ChatManager.js';
 import { Bindle } from './Bindle.js';
+import { QuestManager } from './QuestManager.js';
+import { TradeManager } from './TradeManager.js';
+import { ProfileManager } from './ProfileManager.js';
 import { LicenseManager } from './LicenseManager.js';
 import { RoomCodeManager } from './RoomCodeManager.js';
+import { LobbyManager } from './LobbyManager.js';
+import { UserListPanel } from './UserListPanel.js';
 import { WearableManager } from './WearableManager.js';
 import { StreamManager } from './StreamManager.js';
+import { MediaSyncManager } from './MediaSyncManager.js';
+import { StreamSyncManager } from './StreamSyncManager.js';
+import { SessionRecorder } from './SessionRecorder.js';
+import { SessionReplayPlayer } from './SessionReplayPlayer.js';
+import { DEFAULT_CEILING, DEFAULT_QUALITY, QUALITY_CEILINGS, STREAM_PRESETS, STREAM_QUALITIES } from '../shared/streamQuality.js';
+import { WorldSync } from './WorldSync.js';
 import { computeOMIColliderAABB, getOMIColliderExtension } from './OMIPhysics.js';
 
+const SURROUND_UPMIX_KEY = 'threeatre-surround-upmix';
+const STREAM_QUALITY_KEY = 'threeatre-stream-quality';
+const STREAM_CEILING_KEY = 'threeatre-stream-ceiling';
+
 class TheatreApp {
     constructor() {
         this.scene = null;
@@ -22,10 +37,20 @@ class TheatreApp {
         this.omiSeat = null;
         this.chatManager = null;
         this.bindle = null;
+        this.questManager = null;
+        this.tradeManager = null;
+        this.profileManager = null;
         this.licenseManager = null;
         this.roomCodeManager = null;
+        this.lobbyManager = null;
+        this.userListPanel = null;
         this.wearableManager = null;
         this.streamManager = null;
+        this.mediaSyncManager = null;
+        this.streamSyncManager = null;
+        this.sessionRecorder = null;
+        this.sessionReplayPlayer = null;
+        this.worldSync = null;
         this.isHost = false;
         this.users = new Map();
         this.controls = {
@@ -54,6 +79,7 @@ class TheatreApp {
         this.tomatoPower = 0;
         this.maxTomatoPower = 3.0;
         this.isPrivateRoom = false;
+        this.roomHasPassphrase = false;
         this.cameraMode = 'first-person';
         this.thirdPersonDistance = 8;
         this.playerAvatar = null;
@@ -100,6 +126,7 @@ class TheatreApp {
             protection: 0,
             luck: 0,
             stealth: 0,
+            magic: 0,
             flight: false
         };
         this._collisionCache = {
@@ -140,6 +167,7 @@ class TheatreApp {
         
         // Connect camera to theatre for OMI audio 3D surround sound
         this.theatre.setCamera(this.camera);
+        this.setSurroundUpmix(localStorage.getItem(SURROUND_UPMIX_KEY) === 'on');
         
         // Create WebXR manager
         this.webxrManager = new WebXRManager(this.renderer);
@@ -150,6 +178,12 @@ class TheatreApp {
         // Create network manager
         this.networkManager = new NetworkManager(this);
         
+        // Setup private room lobby
+        this.lobbyManager = new LobbyManager(this.networkManager, this);
+        
+        // Setup user list with moderation controls
+        this.userListPanel = new UserListPanel(this.networkManager, this);
+        
         // Setup room code system
         this.roomCodeManager = new RoomCodeManager(this.networkManager, this.licenseManager);
         
@@ -164,6 +198,21 @@ class TheatreApp {
         
         // Setup stream manager for WebRTC screen sharing
         this.streamManager = new StreamManager(this.networkManager, this.theatre);
+        this.setStreamQuality(localStorage.getItem(STREAM_QUALITY_KEY) || DEFAULT_QUALITY);
+        this.setStreamCeiling(localStorage.getItem(STREAM_CEILING_KEY) || DEFAULT_CEILING);
+        
+        // Hold every viewer of a stream to the same delay
+        this.streamSyncManager = new StreamSyncManager(this.networkManager, this.streamManager);
+        
+        // Record screenings to local files and replay them in the theatre
+        this.sessionRecorder = new SessionRecorder(this.networkManager, this.theatre, this);
+        this.sessionReplayPlayer = new SessionReplayPlayer(this.theatre, this);
+        
+        // Setup synced media playback (watch together)
+        this.mediaSyncManager = new MediaSyncManager(this.networkManager, this.theatre, this);
+        
+        // Share the outside world (seed, ghosts, chests) with the room
+        this.worldSync = new WorldSync(this.networkManager, this.theatre.roguelikeWorld, this);
         
         // Setup chat system
         this.chatManager = new ChatManager(this.networkManager, this.scene);
@@ -171,12 +220,22 @@ class TheatreApp {
         // Setup wearable manager
         this.wearableManager = new WearableManager(this.scene, this.theatre.avatarManager);
         
+        // Saved player profile; a returning player keeps their Bindle
+        this.profileManager = new ProfileManager(this);
+        
         // Setup bindle inventory system
-        this.bindle = new Bindle(this.networkManager);
+        this.bindle = new Bindle(this.networkManager, { startingItems: !this.profileManager.hasProfile() });
         this.bindle.setApp(this);
         
         // Connect wearable manager to bindle
         this.bindle.setWearableManager(this.wearableManager);
+        this.profileManager.attach();
+
+        // Quest log sits beside the bindle and pays out into it
+        this.questManager = new QuestManager(this.bindle);
+
+        // Trade items with other players through the bindle
+        this.tradeManager = new TradeManager(this.networkManager, this.bindle, this);
         
         // Setup lighting
         this.setupLighting();
@@ -261,6 +320,55 @@ class TheatreApp {
             this.stopHosting();
         });
         
+        // Camera Button: a webcam shown picture-in-picture on the screen
+        document.getElementById('camera-button').addEventListener('click', () => {
+            this.toggleCamera();
+        });
+        
+        // Stream Quality Button: cycles the preset our screen share uses
+        document.getElementById('stream-quality-button').addEventListener('click', () => {
+            this.setStreamQuality(STREAM_QUALITIES[(STREAM_QUALITIES.indexOf(this.streamManager.quality) + 1) % STREAM_QUALITIES.length]);
+        });
+        
+        // Stream Ceiling Button: the best quality we take of other streams
+        document.getElementById('stream-ceiling-button').addEventListener('click', () => {
+            const ceilings = Object.keys(QUALITY_CEILINGS);
+            this.setStreamCeiling(ceilings[(ceilings.indexOf(this.streamManager.ceiling) + 1) % ceilings.length]);
+        });
+        
+        // Stream Sync Button: each viewer's offset from the room's stream delay
+        document.getElementById('stream-sync-button').addEventListener('click', () => {
+            this.streamSyncManager.togglePanel();
+        });
+        
+        // Record Button: the screen, speakers and room to local files
+        document.getElementById('record-button').addEventListener('click', () => {
+            this.toggleRecording();
+        });
+        
+        // Replay Button: pick a session replay and its recording
+        document.getElementById('replay-button').addEventListener('click', () => {
+            if (this.sessionReplayPlayer.isPlaying) {
+                this.sessionReplayPlayer.stop();
+                this.updateReplayControls();
+            } else {
+                document.getElementById('replay-upload').click();
+            }
+        });
+        
+        // Replay Input
+        document.getElementById('replay-upload').addEventListener('change', async (event) => {
+            const files = Array.from(event.target.files);
+            event.target.value = '';
+            await this.sessionReplayPlayer.play(files);
+            this.updateReplayControls();
+        });
+        
+        // Surround Toggle: rear speaker ambience for stereo sources
+        document.getElementById('surround-toggle').addEventListener('click', () => {
+            this.setSurroundUpmix(!this.theatre.surroundUpmix);
+        });
+        
         // Copy Room URL Button
         document.getElementById('copy-room-url').addEventListener('click', () => {
             this.copyRoomUrl();
@@ -290,17 +398,28 @@ class TheatreApp {
         document.getElementById('privacy-toggle').addEventListener('click', () => {
             this.togglePrivacy();
         });
+        
+        // Watch Together Button
+        document.getElementById('media-button').addEventListener('click', () => {
+            this.mediaSyncManager.showLoadDialog();
+        });
+        
+        // User List Button
+        document.getElementById('user-list-button').addEventListener('click', () => {
+            this.userListPanel.toggle();
+        });
     }
     
     async startHosting() {
+        if (this.mediaSyncManager?.media) {
+            this.showMessage('Stop the synced media before sharing your screen', 'error');
+            return;
+        }
+        
         try {
             const success = await this.streamManager.startHosting();
             
             if (success) {
-                this.isHost = true;
-                document.getElementById('host-button').classList.add('hidden');
-                document.getElementById('stop-host-button').classList.remove('hidden');
-                document.getElementById('host-status').textContent = 'You';
                 this.showMessage('Hosting started - viewers will see your screen via WebRTC', 'info');
             } else {
                 this.showMessage('Could not start screen sharing', 'error');
@@ -311,13 +430,67 @@ class TheatreApp {
         }
     }
     
-    stopHosting() {
-        this.streamManager.stopHosting();
-        this.isHost = false;
-        
-        document.getElementById('host-button').classList.remove('hidden');
-        document.getElementById('stop-host-button').classList.add('hidden');
-        document.getElementById('host-status').textContent = 'None';
+    async toggleCamera() {
+        if (this.streamManager.hasSource('camera')) {
+            this.streamManager.stopSource('camera');
+            return;
+        }
+        if (this.mediaSyncManager?.media) {
+            this.showMessage('Stop the synced media before streaming your camera', 'error');
+            return;
+        }
+        if (!await this.streamManager.startCamera()) {
+            this.showMessage('Could not start the camera. Please grant permission.', 'error');
+        }
+    }
+    
+    // Stops every source this user streams, camera included
+    stopHosting(notifyServer = true) {
+        this.streamManager.stopHosting(notifyServer);
+    }
+    
+    // The StreamManager calls this whenever our own sources change
+    updateHostingControls() {
+        const sharing = this.streamManager.hasSource('screen');
+        this.isHost = this.streamManager.isHost;
+        document.getElementById('host-button').classList.toggle('hidden', sharing);
+        document.getElementById('stop-host-button').classList.toggle('hidden', !this.isHost);
+        document.getElementById('camera-button').textContent = this.streamManager.hasSource('camera') ? '📷 Stop Camera' : '📷 Start Camera';
+        document.getElementById('host-status').textContent = this.isHost ? 'You' : 'None';
+    }
+    
+    async toggleRecording() {
+        if (this.sessionRecorder.isRecording) {
+            await this.sessionRecorder.stop();
+            this.showMessage('Recording saved to your downloads', 'info');
+        } else if (this.sessionRecorder.start()) {
+            this.showMessage('Recording the screen, speakers and room', 'info');
+        }
+        document.getElementById('record-button').textContent = this.sessionRecorder.isRecording ? '⏹️ Stop Recording' : '⏺️ Record';
+    }
+    
+    updateReplayControls() {
+        document.getElementById('replay-button').textContent = this.sessionReplayPlayer.isPlaying ? '⏹️ Stop Replay' : '📼 Replay';
+    }
+    
+    setStreamQuality(quality) {
+        if (!STREAM_PRESETS[quality]) return;
+        this.streamManager.setQuality(quality);
+        localStorage.setItem(STREAM_QUALITY_KEY, quality);
+        document.getElementById('stream-quality-button').textContent = `${STREAM_PRESETS[quality].label} Preset`;
+    }
+    
+    setStreamCeiling(ceiling) {
+        if (!QUALITY_CEILINGS[ceiling]) return;
+        this.streamManager.setCeiling(ceiling);
+        localStorage.setItem(STREAM_CEILING_KEY, ceiling);
+        document.getElementById('stream-ceiling-button').textContent = QUALITY_CEILINGS[ceiling].label;
+    }
+    
+    setSurroundUpmix(enabled) {
+        this.theatre.setSurroundUpmix(enabled);
+        localStorage.setItem(SURROUND_UPMIX_KEY, enabled ? 'on' : 'off');
+        document.getElementById('surround-toggle').textContent = enabled ? '🔊 Rear Ambience: On' : '🔈 Rear Ambience: Off';
     }
     
     copyRoomUrl() {
@@ -714,6 +887,12 @@ class TheatreApp {
     }
     
     togglePrivacy() {
+        // With a server connection the room itself is made private
+        if (this.networkManager.isConnected) {
+            this.lobbyManager.showPrivacyDialog();
+            return;
+        }
+        
         if (this.networkManager.sessionMode === 'local') {
             // Local mode - toggle between local and attempting public
             if (this.isPrivateRoom) {
@@ -748,7 +927,14 @@ class TheatreApp {
         const button = document.getElementById('privacy-toggle');
         const status = document.getElementById('privacy-status');
         
-        if (this.networkManager.sessionMode === 'local') {
+        if (this.networkManager.isConnected && this.isPrivateRoom) {
+            button.textContent = '🔒 Private';
+            button.style.background = 'linear-gradient(135deg, rgba(255, 165, 0, 0.2), rgba(255, 140, 0, 0.3))';
+            status.textContent = this.roomHasPassphrase
+                ? 'Private room - passphrase or host approval'
+                : 'Private room - host approves joiners';
+            status.style.color = '#ffa500';
+        } else if (this.networkManager.sessionMode === 'local') {
             button.textContent = '🏠 Local';
             button.style.background = 'linear-gradient(135deg, rgba(0, 255, 255, 0.2), rgba(0, 150, 255, 0.3))';
             status.textContent = 'Local network session';
@@ -950,7 +1136,10 @@ class TheatreApp {
             this.onMouseClick(event);
         });
 
-        canvas.addEventListener('contextmenu', (e) => e.preventDefault());
+        canvas.addEventListener('contextmenu', (e) => {
+            e.preventDefault();
+            this.onContextMenu(e);
+        });
 
         document.addEventListener('pointerlockchange', () => {
             this._pointerLocked = document.pointerLockElement === canvas;
@@ -1122,6 +1311,26 @@ class TheatreApp {
         });
     }
     
+    // Right-clicking another player's avatar offers to trade with them
+    onContextMenu(event) {
+        if (this.renderer.xr.isPresenting || !this.tradeManager) return;
+
+        this.raycaster.setFromCamera(this.mouse, this.camera);
+        const avatars = [];
+        this.theatre.avatarManager.getAllAvatars().forEach((avatar, userId) => {
+            if (userId !== this.networkManager.userId && avatar.scene?.visible && !avatar.scene.userData.isPlayer) avatars.push(avatar.scene);
+        });
+        const hit = this.raycaster.intersectObjects(avatars, true)[0];
+
+        let object = hit?.object;
+        while (object && !object.userData.userId) object = object.parent;
+        if (!object) return;
+
+        // The menu needs the pointer back
+        if (document.pointerLockElement) document.exitPointerLock();
+        this.tradeManager.showTradeMenu(object.userData.userId, event.clientX, event.clientY);
+    }
+
     onMouseClick(event) {
         if (this.renderer.xr.isPresenting) return;
         if (event.target.closest('#ui') || event.target.closest('#chat-container')) return;
@@ -1202,7 +1411,9 @@ class TheatreApp {
             this.applyCameraRotation();
         }
         
-        const moveSpeed = (this.controls.sprint ? this.controls.sprintSpeed : this.controls.speed) * deltaTime;
+        // Sprinting outside costs stamina
+        const sprinting = this.controls.sprint && this.theatre.roguelikeWorld.spendStamina('sprint', deltaTime);
+        const moveSpeed = (sprinting ? this.controls.sprintSpeed : this.controls.speed) * deltaTime;
         
         const forward = this.getForwardVector();
         const right = this.getRightVector();
@@ -1297,6 +1508,7 @@ class TheatreApp {
             const candidates = [];
             world.worldObjects.forEach((obj) => candidates.push(obj));
             world.treasureChests.forEach((tc) => candidates.push(tc.mesh));
+            if (world.dungeon) candidates.push(world.dungeon.group);
             return candidates;
         }
 
@@ -1351,7 +1563,7 @@ class TheatreApp {
         const mode = this.theatre?.roguelikeWorld?.isActive ? 'outside' : 'theatre';
         const world = this.theatre?.roguelikeWorld;
         const signature = mode === 'outside'
-            ? `${world?.worldObjects?.length || 0}|${world?.treasureChests?.length || 0}|${world?.temples?.length || 0}`
+            ? `${world?.worldObjects?.length || 0}|${world?.treasureChests?.length || 0}|${world?.temples?.length || 0}|${world?.dungeon ? `${world.dungeon.temple.cellKey}:${world.dungeon.revision}` : ''}`
             : `${this.theatre?.walls?.length || 0}|${this.scene?.children?.length || 0}`;
         const shouldRefresh = force
             || this._collisionCache.mode !== mode
@@ -1446,6 +1658,7 @@ class TheatreApp {
             protection: Number(bonuses.protection || 0),
             luck: Number(bonuses.luck || 0),
             stealth: Number(bonuses.stealth || 0),
+            magic: Number(bonuses.magic || 0),
             flight: !!bonuses.flight
         };
 
@@ -0,0 +1,171 @@
+// The session replay format: who was in the theatre when recording started,
+// then every join, leave, move, seat change and chat message, each at its
+// time in ms from the start. It is saved next to the WebM recording of the
+// screen, which starts at the same moment, so the two play back together.
+//
+// {
+//   format: 'threeatre-replay', version: 1, roomId, startedAt, duration,
+//   recording: 'threeatre-….webm' or null,
+//   users: [{ id, name, color, position: { x, y, z }, seatIndex }],
+//   events: [
+//     { t, type: 'join', userId, name, color, position },
+//     { t, type: 'leave', userId },
+//     { t, type: 'position', userId, position },
+//     { t, type: 'seat', userId, seatIndex },   // seatIndex null: stood up
+//     { t, type: 'chat', userId, name, message }
+//   ]
+// }
+export const REPLAY_FORMAT = 'threeatre-replay';
+export const REPLAY_VERSION = 1;
+export const REPLAY_EVENT_TYPES = ['join', 'leave', 'position', 'seat', 'chat'];
+
+// Avatars move on every frame; a replay only needs them this often
+const POSITION_INTERVAL_MS = 100;
+
+function roundPosition(position) {
+    const round = value => Math.round((Number(value) || 0) * 100) / 100;
+    return { x: round(position?.x), y: round(position?.y), z: round(position?.z) };
+}
+
+function isSeatIndex(value) {
+    return value === null || (Number.isInteger(value) && value >= 0);
+}
+
+function normalizeUser(user) {
+    return {
+        id: user.id,
+        name: user.name || `User ${user.id.slice(-4)}`,
+        color: user.color ?? null,
+        position: roundPosition(user.position),
+        seatIndex: isSeatIndex(user.seatIndex) ? user.seatIndex : null
+    };
+}
+
+// Collects a session as it happens
+export class ReplayLog {
+    constructor({ roomId = null, users = [], startedAt = Date.now() } = {}) {
+        this.roomId = roomId;
+        this.startedAt = startedAt;
+        this.users = users.map(normalizeUser);
+        this.events = [];
+        this.lastPositionAt = new Map();
+    }
+
+    record(type, fields, at = Date.now()) {
+        if (!REPLAY_EVENT_TYPES.includes(type) || typeof fields?.userId !== 'string') return false;
+        const t = Math.max(0, at - this.startedAt);
+
+        const event = { t, type, userId: fields.userId };
+        switch (type) {
+            case 'join': {
+                const { name, color, position } = normalizeUser({ ...fields, id: fields.userId });
+                Object.assign(event, { name, color, position });
+                break;
+            }
+            case 'position': {
+                const last = this.lastPositionAt.get(fields.userId);
+                if (last !== undefined && t - last < POSITION_INTERVAL_MS) return false;
+                this.lastPositionAt.set(fields.userId, t);
+                event.position = roundPosition(fields.position);
+                break;
+            }
+            case 'seat':
+                if (!isSeatIndex(fields.seatIndex)) return false;
+                event.seatIndex = fields.seatIndex;
+                break;
+            case 'chat':
+                event.name = fields.name || `User ${fields.userId.slice(-4)}`;
+                event.message = String(fields.message ?? '');
+                break;
+        }
+        this.events.push(event);
+        return true;
+    }
+
+    finish({ recording = null, at = Date.now() } = {}) {
+        return {
+            format: REPLAY_FORMAT,
+            version: REPLAY_VERSION,
+            roomId: this.roomId,
+            startedAt: this.startedAt,
+            duration: Math.max(0, at - this.startedAt),
+            recording,
+            users: this.users,
+            events: this.events
+        };
+    }
+}
+
+// Check a loaded replay, throwing an Error that says what is wrong with it
+export function parseReplay(data) {
+    if (data?.format !== REPLAY_FORMAT) throw new Error('This is not a Threeatre replay');
+    if (data.version !== REPLAY_VERSION) throw new Error(`Replay version ${data.version} is not supported`);
+    if (!Array.isArray(data.users) || !Array.isArray(data.events)) throw new Error('The replay has no users or events');
+
+    let previous = 0;
+    data.events.forEach((event, index) => {
+        if (!REPLAY_EVENT_TYPES.includes(event?.type) || typeof event.userId !== 'string') {
+            throw new Error(`Replay event ${index} is not one of ${REPLAY_EVENT_TYPES.join(', ')}`);
+        }
+        if (!Number.isFinite(event.t) || event.t < previous) throw new Error(`Replay event ${index} is out of order`);
+        previous = event.t;
+    });
+    return {
+        ...data,
+        duration: Number.isFinite(data.duration) ? data.duration : previous,
+        users: data.users.filter(user => typeof user?.id === 'string').map(normalizeUser)
+    };
+}
+
+// The theatre as it stood at some point in a replay: users by id, each
+// { id, name, color, position, seatIndex }
+export function applyReplayEvent(users, event) {
+    const user = users.get(event.userId);
+    switch (event.type) {
+        case 'join':
+            users.set(event.userId, normalizeUser({ ...event, id: event.userId, seatIndex: null }));
+            break;
+        case 'leave':
+            users.delete(event.userId);
+            break;
+        case 'position':
+            if (user) user.position = roundPosition(event.position);
+            break;
+        case 'seat':
+            if (user) user.seatIndex = event.seatIndex;
+            break;
+    }
+    return users;
+}
+
+// Walks a replay forward in time. advance() returns the events since the
+// last call; going back in time starts over from the beginning.
+export class ReplayCursor {
+    constructor(replay) {
+        this.replay = replay;
+        this.rewind();
+    }
+
+    rewind() {
+        this.index = 0;
+        this.time = 0;
+        this.users = new Map(this.replay.users.map(user => [user.id, { ...user, position: { ...user.position } }]));
+    }
+
+    advance(t) {
+        if (t < this.time) this.rewind();
+        const events = [];
+        const { events: all } = this.replay;
+        while (this.index < all.length && all[this.index].t <= t) {
+            const event = all[this.index++];
+            applyReplayEvent(this.users, event);
+            events.push(event);
+        }
+        this.time = t;
+        return events;
+    }
+
+    get finished() {
+        return this.index >= this.replay.events.length && this.time >= this.replay.duration;
+    }
+}
@@ -0,0 +1,81 @@
+// Lining up live streams across viewers. The server's clock is the shared
+// reference: each client learns its offset from it with an NTP-style ping
+// exchange, stream hosts publish how their media clock maps onto it, and
+// viewers report how far behind the server they play each stream. Every
+// viewer then holds its playout back to the same room target, set by the
+// slowest viewer, so a joke lands for everyone at once.
+
+// A viewer this far behind is left to play as soon as it can rather than
+// hold everyone else back; 4s is also the most a receiver will buffer
+export const MAX_TARGET_MS = 3000;
+export const MAX_JITTER_BUFFER_MS = 4000;
+// Reports older than this come from viewers that stopped watching
+export const REPORT_TTL_MS = 10000;
+
+// Sender reports carry NTP time, counted from 1900 rather than 1970
+const NTP_EPOCH_OFFSET_MS = 2_208_988_800_000;
+
+// The offset to the server's clock from recent ping exchanges. The
+// exchange with the shortest round trip spent the least time queued, so
+// its midpoint is the best guess at when the server answered.
+export class ClockSync {
+    constructor(maxSamples = 8) {
+        this.maxSamples = maxSamples;
+        this.samples = [];
+    }
+
+    get ready() {
+        return this.samples.length > 0;
+    }
+
+    addSample(sentAt, serverTime, receivedAt) {
+        if (!Number.isFinite(serverTime) || !(receivedAt >= sentAt)) return;
+        const roundTrip = receivedAt - sentAt;
+        this.samples.push({ roundTrip, offset: serverTime - (sentAt + roundTrip / 2) });
+        if (this.samples.length > this.maxSamples) this.samples.shift();
+    }
+
+    get offset() {
+        if (!this.ready) return 0;
+        return this.samples.reduce((best, sample) => (sample.roundTrip < best.roundTrip ? sample : best)).offset;
+    }
+
+    serverNow(now = Date.now()) {
+        return now + this.offset;
+    }
+
+    reset() {
+        this.samples = [];
+    }
+}
+
+// A media timestamp in wall-clock ms, from either epoch
+export function fromNtpTime(timestamp) {
+    return timestamp > NTP_EPOCH_OFFSET_MS ? timestamp - NTP_EPOCH_OFFSET_MS : timestamp;
+}
+
+// Where a media timestamp falls on the server's clock, given the latest
+// { mediaTime, serverTime } pair its host published (none: already server time)
+export function toServerTime(timestamp, hostTimestamp = null) {
+    const offset = hostTimestamp ? hostTimestamp.serverTime - hostTimestamp.mediaTime : 0;
+    return fromNtpTime(timestamp) + offset;
+}
+
+// The room target for one stream from its viewers' { baseMs, at } reports:
+// the slowest viewer's latency without any delay added, or null when no
+// viewer has reported lately. A stream's preset may hold viewers closer.
+export function getRoomTarget(reports, now = Date.now(), maxTargetMs = MAX_TARGET_MS) {
+    let slowest = null;
+    for (const { baseMs, at } of reports) {
+        if (now - at > REPORT_TTL_MS) continue;
+        slowest = Math.max(slowest ?? 0, baseMs);
+    }
+    return slowest === null ? null : Math.min(slowest, maxTargetMs);
+}
+
+// How long the jitter buffer should hold media so playout lands on the
+// target: what it holds unconstrained plus the gap to the target
+export function getJitterBufferTarget({ baseMs, minimumJitterMs, targetMs }) {
+    const delay = minimumJitterMs + Math.max(0, targetMs - baseMs);
+    return Math.round(Math.min(Math.max(delay, 0), MAX_JITTER_BUFFER_MS));
+}
@@ -0,0 +1,94 @@
+// How a sound source's channels reach the theatre speakers. Each speaker
+// belongs to a group; a feed lists which source channels are mixed into a
+// group and how loud. Channel orders follow Web Audio (and ffmpeg for 7.1):
+//   stereo  L R
+//   5.1     L R C LFE SL SR
+//   7.1     L R C LFE BL BR SL SR
+export const SPEAKER_GROUPS = ['center', 'left', 'right', 'leftSurround', 'rightSurround', 'rearLeft', 'rearCenter', 'rearRight'];
+export const MAX_SURROUND_CHANNELS = 8;
+
+// Sources quieter than this on every channel tell us nothing about their layout
+const SILENCE = 0.001;
+
+export function getChannelLayout(channelCount) {
+    switch (channelCount) {
+        case 2: return 'stereo';
+        case 6: return '5.1';
+        case 8: return '7.1';
+        default: return 'mono';
+    }
+}
+
+// Feeds for every speaker group, as { channel, gain, ambience? }; ambience
+// feeds are delayed so they read as room sound rather than a second source.
+// upmix derives rear ambience from a stereo source's left/right difference.
+export function getSpeakerFeeds(channelCount, { upmix = false } = {}) {
+    const feeds = Object.fromEntries(SPEAKER_GROUPS.map(group => [group, []]));
+    const feed = (group, channel, gain = 1, ambience = false) => {
+        feeds[group].push(ambience ? { channel, gain, ambience } : { channel, gain });
+    };
+
+    switch (getChannelLayout(channelCount)) {
+        case 'stereo':
+            feed('left', 0);
+            feed('leftSurround', 0);
+            feed('right', 1);
+            feed('rightSurround', 1);
+            if (upmix) {
+                feed('rearLeft', 0, 0.5, true);
+                feed('rearLeft', 1, -0.5, true);
+                feed('rearRight', 1, 0.5, true);
+                feed('rearRight', 0, -0.5, true);
+            }
+            break;
+        case '5.1':
+        case '7.1': {
+            // 5.1 plays its surrounds on both the side and back walls
+            const [sideLeft, sideRight] = channelCount === 8 ? [6, 7] : [4, 5];
+            const [backLeft, backRight] = [4, 5];
+            feed('left', 0);
+            feed('right', 1);
+            feed('center', 2);
+            // There is no subwoofer, so the bass channel goes to the screen
+            feed('center', 3, 0.5);
+            feed('leftSurround', sideLeft);
+            feed('rightSurround', sideRight);
+            feed('rearLeft', backLeft);
+            feed('rearRight', backRight);
+            feed('rearCenter', backLeft, 0.5);
+            feed('rearCenter', backRight, 0.5);
+            break;
+        }
+        default: {
+            // Mono, or a layout we do not know: one center channel on the screen
+            const channels = Math.min(Math.max(channelCount, 1), MAX_SURROUND_CHANNELS);
+            for (let channel = 0; channel < channels; channel++) {
+                feed('center', channel, 1 / channels);
+            }
+        }
+    }
+    return feeds;
+}
+
+export function getPeakLevel(samples) {
+    let peak = 0;
+    for (let i = 0; i < samples.length; i++) {
+        peak = Math.max(peak, Math.abs(samples[i]));
+    }
+    return peak;
+}
+
+// Guess a source's channel count from the loudest level heard on each
+// channel (silent channels included), or null while nothing has been heard.
+// Surround mixes often leave some channels quiet for a while, so anything
+// past the stereo pair counts as 5.1 and anything past 5.1 as 7.1.
+export function guessChannelCount(peaks) {
+    let highest = -1;
+    peaks.forEach((peak, channel) => {
+        if (peak > SILENCE) highest = channel;
+    });
+    if (highest < 0) return null;
+    if (highest === 0) return 1;
+    if (highest === 1) return 2;
+    return highest < 6 ? 6 : 8;
+}
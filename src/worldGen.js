@@ -0,0 +1,281 @@
+import {
+    createRandom,
+    DUNGEON_SIZE,
+    formatSeedCode,
+    generateGhostSpawns,
+    getTempleCellKey,
+    getTemplePosition,
+    hash2D,
+    seededRange,
+    shouldSpawnTemple,
+    SPAWN,
+    TEMPLE_CELL_SIZE
+} from '../shared/worldGen.js';
+
+// Seeded layout of the outside world. Everything procedural about the world
+// comes from here as plain data, so one seed always builds the same world and
+// RoguelikeWorld only turns the data into meshes. What the server needs as
+// well (seeds, temple positions, ghost spawns, loot) lives in
+// shared/worldGen.js, which this re-exports.
+export * from '../shared/worldGen.js';
+
+const TEMPLE_NAMES_A = ['Ember', 'Frost', 'Void', 'Golden', 'Ashen', 'Storm', 'Moon', 'Dread', 'Ancient', 'Whispering'];
+const TEMPLE_NAMES_B = ['Shrine', 'Sanctum', 'Temple', 'Citadel', 'Ziggurat', 'Bastion', 'Spire', 'Vault', 'Monastery', 'Cathedral'];
+export const TEMPLE_PALETTE_SIZE = 6;
+
+// Independent random streams, so adding a rock does not move every star
+const STREAM = { ground: 1, atmosphere: 2, decor: 3, dungeon: 4 };
+
+function createStream(seed, stream) {
+    return createRandom((seed ^ Math.imul(stream, 0x9e3779b1)) >>> 0);
+}
+
+export function generateTemple(seed, cellX, cellZ) {
+    const { x, z } = getTemplePosition(seed, cellX, cellZ);
+    const paletteIndex = Math.floor(seededRange(seed, cellX, cellZ, 4, 0, TEMPLE_PALETTE_SIZE - 0.0001));
+    const nameA = TEMPLE_NAMES_A[Math.floor(seededRange(seed, cellX, cellZ, 5, 0, TEMPLE_NAMES_A.length - 0.0001))];
+    const nameB = TEMPLE_NAMES_B[Math.floor(seededRange(seed, cellX, cellZ, 6, 0, TEMPLE_NAMES_B.length - 0.0001))];
+
+    return { x, z, paletteIndex, name: `${nameA} ${nameB}`, cellKey: getTempleCellKey(cellX, cellZ) };
+}
+
+// Speckles painted onto the shared ground texture
+export function generateGroundSpeckles(seed, count = 8000, size = 512) {
+    const random = createStream(seed, STREAM.ground);
+    const speckles = [];
+    for (let i = 0; i < count; i++) {
+        const x = random() * size;
+        const y = random() * size;
+        const shade = Math.floor(42 + random() * 20);
+        speckles.push({ x, y, shade, width: 2 + random() * 3, height: 2 + random() * 3 });
+    }
+    return speckles;
+}
+
+export function generateAtmosphere(seed, moteCount = 96, starCount = 640) {
+    const random = createStream(seed, STREAM.atmosphere);
+    const motes = [];
+    for (let i = 0; i < moteCount; i++) {
+        motes.push({ x: (random() - 0.5) * 400, y: 0.5 + random() * 4, z: 70 + random() * 250 });
+    }
+
+    const stars = [];
+    for (let i = 0; i < starCount; i++) {
+        const angle = random() * Math.PI * 2;
+        const radius = 280 + random() * 320;
+        stars.push({ x: Math.cos(angle) * radius, y: 55 + random() * 180, z: 70 + Math.sin(angle) * radius });
+    }
+    return { motes, stars };
+}
+
+// Rocks, dead trees and skulls between the theatre and the temples
+export function generateDecor(seed) {
+    const random = createStream(seed, STREAM.decor);
+    const props = [];
+    for (let i = 0; i < 36; i++) {
+        const x = (random() - 0.5) * 350;
+        const z = 80 + random() * 230;
+        const height = 1 + random() * 3;
+
+        if (random() < 0.5) {
+            props.push({
+                kind: 'rock',
+                x,
+                z,
+                radius: 0.5 + random() * 1.5,
+                y: (0.5 + random() * 1.5) * 0.4,
+                rotation: [random(), random(), random()]
+            });
+        } else {
+            const lean = (random() - 0.5) * 0.2;
+            const branches = [];
+            const branchCount = 2 + Math.floor(random() * 3);
+            for (let b = 0; b < branchCount; b++) {
+                branches.push({
+                    length: 0.5 + random() * 1,
+                    y: height * 0.4 + random() * height * 0.5,
+                    tilt: (random() - 0.5) * 1.5,
+                    turn: random() * Math.PI * 2
+                });
+            }
+            props.push({ kind: 'tree', x, z, height, lean, branches });
+        }
+    }
+
+    const skulls = [];
+    for (let i = 0; i < 6; i++) {
+        skulls.push({ x: (random() - 0.5) * 300, z: 90 + random() * 200 });
+    }
+    return { props, skulls };
+}
+
+// Temple dungeons: a 3x3 grid of sectors with one room each, joined by
+// corridors that never leave the two sectors they connect. That keeps every
+// corridor away from rooms it does not lead to, so the treasure room's one
+// corridor is the only way in and a single locked door seals it.
+export const DUNGEON_TILE = { wall: 0, floor: 1, door: 2, locked: 3 };
+const DUNGEON_SECTORS = 3;
+const DUNGEON_SECTOR_SIZE = DUNGEON_SIZE / DUNGEON_SECTORS;
+// The entrance room sits in the middle of the first row of sectors
+const DUNGEON_ENTRANCE_SECTOR = { x: 1, z: 0 };
+
+export function generateDungeon(seed, cellX, cellZ) {
+    const cellSeed = Math.floor(hash2D(seed, cellX + 0.37, cellZ - 0.61) * 4294967296);
+    const random = createStream(cellSeed, STREAM.dungeon);
+    const pick = (min, max) => min + Math.floor(random() * (max - min + 1));
+    const tiles = Array.from({ length: DUNGEON_SIZE }, () => new Array(DUNGEON_SIZE).fill(DUNGEON_TILE.wall));
+    const sectorKey = (x, z) => z * DUNGEON_SECTORS + x;
+
+    // Rooms keep two spare tiles on their far sides for the corridors
+    const rooms = [];
+    for (let z = 0; z < DUNGEON_SECTORS; z++) {
+        for (let x = 0; x < DUNGEON_SECTORS; x++) {
+            const width = pick(3, 6);
+            const depth = pick(3, 6);
+            const room = {
+                sector: { x, z },
+                x: x * DUNGEON_SECTOR_SIZE + pick(1, DUNGEON_SECTOR_SIZE - 2 - width),
+                z: z * DUNGEON_SECTOR_SIZE + pick(1, DUNGEON_SECTOR_SIZE - 2 - depth),
+                width,
+                depth
+            };
+            rooms[sectorKey(x, z)] = room;
+            for (let tz = room.z; tz < room.z + depth; tz++) {
+                for (let tx = room.x; tx < room.x + width; tx++) tiles[tz][tx] = DUNGEON_TILE.floor;
+            }
+        }
+    }
+
+    const neighbours = (key) => {
+        const { x, z } = rooms[key].sector;
+        return [[x - 1, z], [x + 1, z], [x, z - 1], [x, z + 1]]
+            .filter(([nx, nz]) => nx >= 0 && nz >= 0 && nx < DUNGEON_SECTORS && nz < DUNGEON_SECTORS)
+            .map(([nx, nz]) => sectorKey(nx, nz));
+    };
+
+    // Random spanning tree from the entrance, remembering how deep each room is
+    const entranceKey = sectorKey(DUNGEON_ENTRANCE_SECTOR.x, DUNGEON_ENTRANCE_SECTOR.z);
+    const depthOf = new Map([[entranceKey, 0]]);
+    const links = [];
+    const stack = [entranceKey];
+    while (stack.length > 0) {
+        const key = stack[stack.length - 1];
+        const open = neighbours(key).filter((next) => !depthOf.has(next));
+        if (open.length === 0) {
+            stack.pop();
+            continue;
+        }
+        const next = open[Math.floor(random() * open.length)];
+        depthOf.set(next, depthOf.get(key) + 1);
+        links.push([key, next]);
+        stack.push(next);
+    }
+
+    // The deepest dead end holds the treasure
+    const linkCount = (key) => links.filter((link) => link.includes(key)).length;
+    const treasureKey = Array.from(depthOf.keys())
+        .filter((key) => key !== entranceKey && linkCount(key) === 1)
+        .sort((a, b) => depthOf.get(b) - depthOf.get(a) || a - b)[0];
+
+    // A couple of extra corridors make loops, never into the treasure room
+    const linked = (a, b) => links.some(([p, q]) => (p === a && q === b) || (p === b && q === a));
+    for (let i = 0; i < 2; i++) {
+        const from = pick(0, rooms.length - 1);
+        const options = neighbours(from).filter((to) => !linked(from, to) && from !== treasureKey && to !== treasureKey);
+        if (options.length > 0) links.push([from, options[Math.floor(random() * options.length)]]);
+    }
+
+    const corridors = new Set();
+    const carve = (x, z) => {
+        if (tiles[z][x] === DUNGEON_TILE.wall) {
+            tiles[z][x] = DUNGEON_TILE.floor;
+            corridors.add(`${x}:${z}`);
+        }
+    };
+    const doors = [];
+    let lockedDoor = null;
+    links.forEach(([a, b]) => {
+        // Always carve from the lower or left room to the other one
+        const [first, second] = rooms[a].sector.x + rooms[a].sector.z <= rooms[b].sector.x + rooms[b].sector.z
+            ? [rooms[a], rooms[b]] : [rooms[b], rooms[a]];
+        const across = first.sector.z === second.sector.z;
+        let start, end;
+        if (across) {
+            start = { x: first.x + first.width, z: pick(first.z, first.z + first.depth - 1) };
+            end = { x: second.x - 1, z: pick(second.z, second.z + second.depth - 1) };
+            const bend = pick(start.x + 1, end.x - 1);
+            for (let x = start.x; x <= bend; x++) carve(x, start.z);
+            for (let z = Math.min(start.z, end.z); z <= Math.max(start.z, end.z); z++) carve(bend, z);
+            for (let x = bend; x <= end.x; x++) carve(x, end.z);
+        } else {
+            start = { x: pick(first.x, first.x + first.width - 1), z: first.z + first.depth };
+            end = { x: pick(second.x, second.x + second.width - 1), z: second.z - 1 };
+            const bend = pick(start.z + 1, end.z - 1);
+            for (let z = start.z; z <= bend; z++) carve(start.x, z);
+            for (let x = Math.min(start.x, end.x); x <= Math.max(start.x, end.x); x++) carve(x, bend);
+            for (let z = bend; z <= end.z; z++) carve(end.x, z);
+        }
+        [[start, first], [end, second]].forEach(([tile, room]) => {
+            const locked = room === rooms[treasureKey];
+            tiles[tile.z][tile.x] = locked ? DUNGEON_TILE.locked : DUNGEON_TILE.door;
+            corridors.delete(`${tile.x}:${tile.z}`);
+            if (locked) lockedDoor = { x: tile.x, z: tile.z };
+            else doors.push({ x: tile.x, z: tile.z });
+        });
+    });
+
+    const centre = (room) => ({ x: room.x + Math.floor(room.width / 2), z: room.z + Math.floor(room.depth / 2) });
+    const entranceRoom = rooms[entranceKey];
+    const exit = { x: centre(entranceRoom).x, z: entranceRoom.z };
+    const entrance = { x: exit.x, z: Math.min(exit.z + 1, entranceRoom.z + entranceRoom.depth - 1) };
+
+    // The key lies in some other room, reachable without the locked door
+    const keyRooms = rooms.filter((room, key) => key !== entranceKey && key !== treasureKey);
+    const key = centre(keyRooms[Math.floor(random() * keyRooms.length)]);
+
+    // Spike traps only ever sit in corridors
+    const corridorTiles = Array.from(corridors).sort().map((tile) => {
+        const [x, z] = tile.split(':').map(Number);
+        return { x, z };
+    });
+    const traps = [];
+    const trapCount = Math.min(corridorTiles.length, pick(3, 5));
+    while (traps.length < trapCount) {
+        const [tile] = corridorTiles.splice(Math.floor(random() * corridorTiles.length), 1);
+        traps.push({ ...tile, phase: Math.round(random() * 100) / 100 });
+    }
+
+    return {
+        size: DUNGEON_SIZE,
+        tiles,
+        rooms: rooms.map(({ x, z, width, depth }) => ({ x, z, width, depth })),
+        entrance,
+        exit,
+        key,
+        treasure: centre(rooms[treasureKey]),
+        doors,
+        lockedDoors: lockedDoor ? [lockedDoor] : [],
+        traps
+    };
+}
+
+// Everything generated for a seed around a point, for sharing and comparing
+export function generateWorldLayout(seed, center = SPAWN, radius = 1) {
+    const cellX = Math.floor(center.x / TEMPLE_CELL_SIZE);
+    const cellZ = Math.floor(center.z / TEMPLE_CELL_SIZE);
+    const temples = [];
+    for (let dx = -radius; dx <= radius; dx++) {
+        for (let dz = -radius; dz <= radius; dz++) {
+            if (shouldSpawnTemple(seed, cellX + dx, cellZ + dz)) {
+                temples.push(generateTemple(seed, cellX + dx, cellZ + dz));
+            }
+        }
+    }
+
+    return {
+        seedCode: formatSeedCode(seed),
+        temples,
+        decor: generateDecor(seed),
+        ghosts: generateGhostSpawns(seed)
+    };
+}
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { FileProfileStore } from '../server/storage/FileProfileStore.js';
+
+async function withTempDir(fn) {
+    const dir = await mkdtemp(join(tmpdir(), 'threeatre-profiles-'));
+    try {
+        await fn(dir);
+    } finally {
+        await rm(dir, { recursive: true, force: true });
+    }
+}
+
+test('saved profiles are reloaded by a fresh store instance', () => withTempDir(async (dir) => {
+    const filePath = join(dir, 'nested', 'profiles.json');
+    const store = new FileProfileStore(filePath, { writeDelayMs: 5 });
+
+    assert.equal(await store.loadProfile('a'), null);
+    await store.saveProfile('a', { score: 1 });
+    await store.saveProfile('a', { score: 2 });
+    await store.saveProfile('b', { score: 3 });
+    await store.flush();
+
+    const reloaded = new FileProfileStore(filePath);
+    assert.deepEqual(await reloaded.loadProfile('a'), { score: 2 });
+    assert.deepEqual(await reloaded.loadProfile('b'), { score: 3 });
+}));
+
+test('the first save keeps profiles already in the file', () => withTempDir(async (dir) => {
+    const filePath = join(dir, 'profiles.json');
+    await writeFile(filePath, JSON.stringify({ profiles: { old: { score: 9 } } }));
+
+    const store = new FileProfileStore(filePath, { writeDelayMs: 5 });
+    await store.saveProfile('new', { score: 1 });
+    await store.flush();
+
+    const reloaded = new FileProfileStore(filePath);
+    assert.deepEqual(await reloaded.loadProfile('old'), { score: 9 });
+    assert.deepEqual(await reloaded.loadProfile('new'), { score: 1 });
+}));
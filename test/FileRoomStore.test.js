@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { FileRoomStore } from '../server/storage/FileRoomStore.js';
+
+async function withTempDir(fn) {
+    const dir = await mkdtemp(join(tmpdir(), 'threeatre-store-'));
+    try {
+        await fn(dir);
+    } finally {
+        await rm(dir, { recursive: true, force: true });
+    }
+}
+
+test('saved rooms are reloaded by a fresh store instance', () => withTempDir(async (dir) => {
+    const filePath = join(dir, 'nested', 'rooms.json');
+    const store = new FileRoomStore(filePath, { writeDelayMs: 5 });
+
+    await store.saveRoom({ id: 'a', host: 'alice', users: [{ id: 'alice', seatIndex: 2 }] });
+    await store.saveRoom({ id: 'b', host: 'bob', users: [] });
+    await store.deleteRoom('b');
+    await store.flush();
+
+    const reloaded = await new FileRoomStore(filePath).loadRooms();
+    assert.deepEqual(reloaded, [{ id: 'a', host: 'alice', users: [{ id: 'alice', seatIndex: 2 }] }]);
+}));
+
+test('bursts of saves are coalesced into a single file write', () => withTempDir(async (dir) => {
+    const filePath = join(dir, 'rooms.json');
+    const store = new FileRoomStore(filePath, { writeDelayMs: 50 });
+    let writes = 0;
+    const writeFile = store.writeFile.bind(store);
+    store.writeFile = async () => {
+        writes++;
+        await writeFile();
+    };
+
+    for (let i = 0; i < 10; i++) {
+        await store.saveRoom({ id: 'a', chatHistory: [i] });
+    }
+    await store.flush();
+
+    assert.equal(writes, 1);
+    const data = JSON.parse(await readFile(filePath, 'utf8'));
+    assert.deepEqual(data.rooms[0].chatHistory, [9]);
+}));
+
+test('a missing file loads as an empty store', () => withTempDir(async (dir) => {
+    const store = new FileRoomStore(join(dir, 'missing.json'));
+    assert.deepEqual(await store.loadRooms(), []);
+}));
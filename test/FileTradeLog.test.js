@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { FileTradeLog } from '../server/storage/FileTradeLog.js';
+
+test('completed trades are appended to the log one line each, in order', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'threeatre-trades-'));
+    try {
+        const filePath = join(dir, 'nested', 'trades.jsonl');
+        const log = new FileTradeLog(filePath);
+        log.record({ tradeId: 'a' });
+        log.record({ tradeId: 'b' });
+        await log.flush();
+        await new FileTradeLog(filePath).record({ tradeId: 'c' });
+
+        const lines = (await readFile(filePath, 'utf8')).trim().split('\n');
+        assert.deepEqual(lines.map(line => JSON.parse(line).tradeId), ['a', 'b', 'c']);
+    } finally {
+        await rm(dir, { recursive: true, force: true });
+    }
+});
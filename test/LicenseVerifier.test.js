@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LicenseVerifier, generateLicenseKeyPair, issueLicense } from '../server/licensing/index.js';
+
+const keys = generateLicenseKeyPair();
+const verifier = new LicenseVerifier(keys.publicKey);
+
+test('licenses signed with the private key verify against the public key', () => {
+    const token = issueLicense(keys.privateKey, { accountId: 'acct-1', type: 'premium' });
+    assert.deepEqual(verifier.verify(token), {
+        valid: true,
+        license: { accountId: 'acct-1', type: 'premium' }
+    });
+});
+
+test('tampered, foreign and expired licenses are rejected', () => {
+    const token = issueLicense(keys.privateKey, { accountId: 'acct-1', type: 'basic' });
+    const [, signature] = token.split('.');
+    const upgraded = Buffer.from(JSON.stringify({ accountId: 'acct-1', type: 'premium' })).toString('base64url');
+    assert.equal(verifier.verify(`${upgraded}.${signature}`).reason, 'License signature is invalid');
+
+    const foreign = issueLicense(generateLicenseKeyPair().privateKey, { accountId: 'acct-2', type: 'basic' });
+    assert.equal(verifier.verify(foreign).valid, false);
+
+    const expired = issueLicense(keys.privateKey, { accountId: 'acct-3', type: 'basic', expiresAt: Date.now() - 1 });
+    assert.equal(verifier.verify(expired).reason, 'License has expired');
+
+    assert.equal(verifier.verify(undefined).valid, false);
+    assert.equal(verifier.verify('DEMO-BASIC-KEY1').valid, false);
+});
+
+test('issuing rejects unknown license types', () => {
+    assert.throws(() => issueLicense(keys.privateKey, { accountId: 'acct-1', type: 'gold' }), /Unknown license type/);
+});
@@ -0,0 +1,134 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { OutsideWorld } from '../server/world/OutsideWorld.js';
+import { getTemplePosition, hash2D, isSafePosition } from '../server/world/worldGen.js';
+
+const never = () => 1;
+
+test('the same seed spawns the same ghosts and lays out the same temples', () => {
+    assert.deepEqual(new OutsideWorld(1234).getGhosts(), new OutsideWorld(1234).getGhosts());
+    assert.notDeepEqual(new OutsideWorld(1234).getGhosts(), new OutsideWorld(4321).getGhosts());
+    const archetypes = new Set(new OutsideWorld(1234).ghosts.map(ghost => ghost.archetype));
+    ['wraith', 'guardian', 'ambusher', 'stalker'].forEach(archetype => assert.ok(archetypes.has(archetype), archetype));
+
+    assert.deepEqual(getTemplePosition(99, 2, -1), getTemplePosition(99, 2, -1));
+    assert.notDeepEqual(getTemplePosition(99, 2, -1), getTemplePosition(100, 2, -1));
+    assert.equal(hash2D(7, 0.5, -3.25), hash2D(7, 0.5, -3.25));
+});
+
+test('ghosts wear down the nearest unprotected player once the grace period is over', () => {
+    const world = new OutsideWorld(42);
+    world.addPlayer('alice', 'socket-a', { x: 60, z: 200 }, {}, 0);
+    world.addPlayer('bob', 'socket-b', { x: -60, z: 300 }, {}, 0);
+    world.ghosts = world.ghosts.slice(0, 1);
+    Object.assign(world.ghosts[0], { x: 60.5, z: 200 });
+
+    assert.deepEqual(world.step(0.1, 1000, () => 0.5), { hits: [], caught: [] });
+
+    // A wraith strikes for 20 once a second, so the fifth strike is fatal
+    const first = world.step(0.1, 20000, () => 0.5);
+    assert.deepEqual(first.hits.map(({ userId, socketId, damage, health }) => ({ userId, socketId, damage, health })),
+        [{ userId: 'alice', socketId: 'socket-a', damage: 20, health: 80 }]);
+    assert.deepEqual(first.caught, []);
+    assert.deepEqual(world.step(0.1, 20500, () => 0.5).hits, [], 'strikes wait for the cooldown');
+    assert.equal(world.getPlayerHealth().alice, 80);
+
+    let caught = [];
+    for (let now = 21000; caught.length === 0 && now < 30000; now += 1000) {
+        world.movePlayer('alice', { x: 60, z: 200 });
+        caught = world.step(0.1, now, () => 0.5).caught;
+    }
+    assert.deepEqual(caught, [{ userId: 'alice', socketId: 'socket-a' }]);
+    assert.deepEqual(world.getPlayerIds(), ['bob']);
+});
+
+test('protection softens ghost strikes', () => {
+    const strike = (bonuses) => {
+        const world = new OutsideWorld(42);
+        world.addPlayer('alice', 'socket-a', { x: 60, z: 200 }, bonuses, 0);
+        world.ghosts = world.ghosts.slice(0, 1);
+        Object.assign(world.ghosts[0], { x: 60.5, z: 200 });
+        return world.step(0.1, 20000, never).hits[0].damage;
+    };
+    assert.equal(strike({}), 20);
+    assert.equal(strike({ protection: 5 }), 14);
+    assert.equal(strike({ protection: 50 }), 8);
+});
+
+test('players in a temple or at the theatre door are safe and push ghosts away', () => {
+    const seed = 42;
+    const temple = getTemplePosition(seed, 0, 1);
+    assert.ok(isSafePosition(seed, temple.x + 5, temple.z));
+    assert.ok(isSafePosition(seed, 0, 75));
+
+    const world = new OutsideWorld(seed);
+    world.addPlayer('alice', 'socket-a', { x: temple.x, z: temple.z }, {}, 0);
+    world.ghosts = world.ghosts.slice(0, 1);
+    Object.assign(world.ghosts[0], { x: temple.x + 1, z: temple.z });
+
+    world.players.get('alice').health = 50;
+    assert.deepEqual(world.step(0.5, 20000, never), { hits: [], caught: [] });
+    assert.ok(world.ghosts[0].x > temple.x + 1);
+    assert.equal(world.getPlayerHealth().alice, 54);
+});
+
+test('tomato hits only count for nearby players, knock ghosts back and banish them at zero health', () => {
+    const world = new OutsideWorld(42);
+    const ghost = world.ghosts[0];
+    const ghostCount = world.getGhosts().length;
+    const startX = ghost.x;
+    world.addPlayer('alice', 'socket-a', { x: ghost.x + 10, z: ghost.z }, {}, 0);
+    world.addPlayer('bob', 'socket-b', { x: ghost.x + 100, z: ghost.z }, {}, 0);
+
+    assert.equal(world.hitGhost('bob', ghost.id).reason, 'Too far away');
+    ghost.health = 2;
+    const hit = world.hitGhost('alice', ghost.id);
+    assert.deepEqual([hit.success, hit.health], [true, 1]);
+    assert.ok(hit.x < startX, 'the ghost is pushed away from the thrower');
+    assert.equal(world.hitGhost('alice', ghost.id).health, 0);
+    assert.equal(world.hitGhost('alice', ghost.id).reason, 'That ghost is already gone');
+    assert.equal(world.getGhosts().length, ghostCount - 1);
+});
+
+test('power and magic make tomatoes hit harder', () => {
+    const world = new OutsideWorld(42);
+    const ghost = world.ghosts[0];
+    world.addPlayer('alice', 'socket-a', { x: ghost.x + 10, z: ghost.z }, { power: 4, magic: 2 }, 0);
+    ghost.health = 10;
+    assert.equal(world.hitGhost('alice', ghost.id).health, 10 - (1 + 4 * 0.25 + 2 * 0.15));
+});
+
+test('hidden ambushers stay off the wire and ignore noise until someone walks right past', () => {
+    const world = new OutsideWorld(42);
+    const ambusher = world.ghosts.find(ghost => ghost.archetype === 'ambusher');
+    assert.equal(ambusher.hidden, true);
+    assert.ok(!world.getGhosts().some(ghost => ghost.id === ambusher.id));
+
+    world.addPlayer('alice', 'socket-a', { x: ambusher.x + 30, z: ambusher.z }, {}, 0);
+    assert.equal(world.hitGhost('alice', ambusher.id).reason, 'That ghost is already gone');
+    world.makeNoise('alice');
+    world.step(0.1, 20000, never);
+    assert.equal(ambusher.hidden, true);
+
+    world.movePlayer('alice', { x: ambusher.x + 5, z: ambusher.z });
+    world.step(0.1, 20100, never);
+    assert.equal(ambusher.state, 'chase');
+    assert.ok(world.getGhosts().some(ghost => ghost.id === ambusher.id));
+});
+
+test('dungeon spike traps hurt at most once a second and can finish a player off', () => {
+    const world = new OutsideWorld(42);
+    world.addPlayer('alice', 'socket-a', { x: 0, z: 6000 }, {}, 0);
+    const trap = { x: 2, z: 6002 };
+
+    assert.deepEqual(world.springTrap('alice', trap, 1000).hits, [{ userId: 'alice', socketId: 'socket-a', damage: 15, health: 85, from: trap }]);
+    assert.deepEqual(world.springTrap('alice', trap, 1500), { hits: [], caught: [] });
+    assert.equal(world.springTrap('bob', trap, 3000).hits.length, 0);
+
+    world.players.get('alice').health = 10;
+    assert.deepEqual(world.springTrap('alice', { x: 'nowhere' }, 2000), {
+        hits: [{ userId: 'alice', socketId: 'socket-a', damage: 15, health: 0, from: { x: 0, z: 6000 } }],
+        caught: [{ userId: 'alice', socketId: 'socket-a' }]
+    });
+    assert.deepEqual(world.getPlayerIds(), []);
+});
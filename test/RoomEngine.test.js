@@ -0,0 +1,898 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { RoomEngine } from '../server/RoomEngine.js';
+import { MemoryRoomStore } from '../server/storage/MemoryRoomStore.js';
+import { MemoryProfileStore } from '../server/storage/MemoryProfileStore.js';
+import { MemoryTradeLog } from '../server/storage/MemoryTradeLog.js';
+import { getProfileKey } from '../server/playerProfiles.js';
+import { rollChestLoot } from '../server/items/catalog.js';
+import { LicenseVerifier, generateLicenseKeyPair, issueLicense } from '../server/licensing/index.js';
+import { OutsideWorld } from '../server/world/OutsideWorld.js';
+import { getTemplePosition, isSafePosition, shouldSpawnTemple } from '../server/world/worldGen.js';
+import { FakeTransport, silentLogger } from './helpers/fakeTransport.js';
+
+let transport;
+let engine;
+
+async function join(roomId, userId) {
+    const socket = transport.connect(engine);
+    await socket.send('join-room', { roomId, userData: { id: userId, name: userId } });
+    return socket;
+}
+
+const tick = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Moves a player outside as if they had taken all the time they needed
+async function walkTo(socket, roomId, { x, z }) {
+    engine.worlds.get(roomId).players.get(socket.userId).movedAt = 0;
+    await socket.send('position-update', { roomId, position: { x, y: 1.6, z } });
+}
+
+beforeEach(() => {
+    transport = new FakeTransport();
+    engine = new RoomEngine({ transport, disconnectGraceMs: 20, logger: silentLogger });
+});
+
+afterEach(() => {
+    engine.dispose();
+});
+
+test('first user to join becomes host and later users are viewers', async () => {
+    const host = await join('room', 'alice');
+    const viewer = await join('room', 'bob');
+
+    assert.equal(host.lastEvent('room-joined').role, 'host');
+    assert.equal(viewer.lastEvent('room-joined').role, 'viewer');
+    assert.equal(viewer.lastEvent('room-joined').userCount, 2);
+    assert.deepEqual(host.lastEvent('user-joined'), { id: 'bob', name: 'bob' });
+    assert.equal(viewer.eventsNamed('user-joined').length, 0);
+});
+
+test('seat requests are assigned once and conflicts are denied', async () => {
+    const alice = await join('room', 'alice');
+    const bob = await join('room', 'bob');
+
+    await alice.send('request-seat', { roomId: 'room', seatIndex: 3 });
+    await bob.send('request-seat', { roomId: 'room', seatIndex: 3 });
+
+    assert.deepEqual(bob.lastEvent('seat-assigned'), { userId: 'alice', seatIndex: 3 });
+    assert.deepEqual(bob.lastEvent('seat-request-denied'), { reason: 'Seat already occupied' });
+
+    await alice.send('leave-seat', { roomId: 'room' });
+    assert.deepEqual(bob.lastEvent('seat-left'), { userId: 'alice' });
+    assert.equal((await engine.registry.getRoom('room')).seats[3], null);
+});
+
+test('viewers cannot start or stop the stream', async () => {
+    const host = await join('room', 'alice');
+    const viewer = await join('room', 'bob');
+
+    await viewer.send('start-stream', { roomId: 'room' });
+    assert.equal(viewer.lastEvent('permission-denied').event, 'start-stream');
+    assert.equal(host.eventsNamed('stream-started').length, 0);
+
+    await host.send('start-stream', { roomId: 'room' });
+    assert.deepEqual(viewer.lastEvent('stream-started'), { streamId: 'alice:screen', hostId: 'alice', kind: 'screen', quality: 'standard' });
+    assert.deepEqual(host.lastEvent('stream-started'), viewer.lastEvent('stream-started'));
+
+    await viewer.send('stop-stream', { roomId: 'room' });
+    assert.equal(viewer.lastEvent('permission-denied').event, 'stop-stream');
+    assert.deepEqual((await engine.registry.getRoom('room')).getStreams(), [{ streamId: 'alice:screen', hostId: 'alice', kind: 'screen', quality: 'standard' }]);
+});
+
+test('several sources stream at once and each stops on its own', async () => {
+    const host = await join('room', 'alice');
+    const presenter = await join('room', 'bob');
+    const viewer = await join('room', 'carol');
+    await host.send('set-co-host', { roomId: 'room', targetUserId: 'bob', enabled: true });
+
+    await host.send('start-stream', { roomId: 'room' });
+    await host.send('start-stream', { roomId: 'room', kind: 'camera' });
+    await presenter.send('start-stream', { roomId: 'room', kind: 'camera' });
+    await viewer.send('start-stream', { roomId: 'room', kind: 'hologram' });
+    assert.deepEqual(viewer.eventsNamed('stream-started').map(stream => stream.streamId), ['alice:screen', 'alice:camera', 'bob:camera']);
+    assert.equal(viewer.lastEvent('permission-denied').event, 'start-stream');
+    assert.deepEqual((await join('room', 'dave')).lastEvent('room-joined').streams.map(stream => stream.streamId),
+        ['alice:screen', 'alice:camera', 'bob:camera']);
+
+    // A presenter who is no longer a co-host may stop only their own stream
+    await host.send('set-co-host', { roomId: 'room', targetUserId: 'bob', enabled: false });
+    await presenter.send('stop-stream', { roomId: 'room', streamId: 'alice:camera' });
+    assert.equal(presenter.lastEvent('permission-denied').reason, 'Only hosts and co-hosts can stop someone else\'s stream');
+    await host.send('stop-stream', { roomId: 'room', streamId: 'bob:camera' });
+    assert.deepEqual(presenter.lastEvent('stream-stopped'), { streamId: 'bob:camera', hostId: 'bob', kind: 'camera', quality: 'standard' });
+
+    await host.send('stop-stream', { roomId: 'room', streamId: 'alice:camera' });
+    assert.deepEqual(viewer.eventsNamed('stream-stopped').map(stream => stream.streamId), ['bob:camera', 'alice:camera']);
+    const room = await engine.registry.getRoom('room');
+    assert.deepEqual(room.getStreams().map(stream => stream.streamId), ['alice:screen']);
+    assert.equal(room.screenSharing, true);
+});
+
+test('only a stream\'s host changes its quality preset', async () => {
+    const host = await join('room', 'alice');
+    const viewer = await join('room', 'bob');
+    await host.send('start-stream', { roomId: 'room', quality: 'slides' });
+    assert.equal(viewer.lastEvent('stream-started').quality, 'slides');
+
+    await viewer.send('set-stream-quality', { roomId: 'room', streamId: 'alice:screen', quality: 'game' });
+    assert.equal(viewer.lastEvent('permission-denied').reason, 'Only the stream host can change its quality');
+    await host.send('set-stream-quality', { roomId: 'room', streamId: 'alice:screen', quality: 'hd' });
+    assert.equal(host.lastEvent('permission-denied').reason, 'Stream quality is one of standard, slides, movie, game');
+    await host.send('set-stream-quality', { roomId: 'room', streamId: 'alice:screen', quality: 'movie' });
+    assert.deepEqual(viewer.lastEvent('stream-quality'), { streamId: 'alice:screen', quality: 'movie' });
+    assert.equal((await join('room', 'carol')).lastEvent('room-joined').streams[0].quality, 'movie');
+});
+
+test('stream timing is shared with the room for latency alignment', async () => {
+    const host = await join('room', 'alice');
+    const viewer = await join('room', 'bob');
+    await host.send('start-stream', { roomId: 'room' });
+
+    const before = Date.now();
+    viewer.send('clock-ping', { clientTime: 42 });
+    const pong = viewer.lastEvent('clock-pong');
+    assert.equal(pong.clientTime, 42);
+    assert.ok(pong.serverTime >= before);
+
+    // Only a stream's host publishes its timestamps
+    await viewer.send('stream-timestamp', { roomId: 'room', streamId: 'alice:screen', mediaTime: 1000, serverTime: 1250 });
+    assert.equal(host.lastEvent('stream-timestamp'), undefined);
+    await host.send('stream-timestamp', { roomId: 'room', streamId: 'alice:screen', mediaTime: 1000, serverTime: 1250 });
+    assert.deepEqual(viewer.lastEvent('stream-timestamp'), { streamId: 'alice:screen', mediaTime: 1000, serverTime: 1250 });
+
+    await viewer.send('stream-latency', { roomId: 'room', streamId: 'alice:screen', baseMs: 180, latencyMs: 400 });
+    assert.deepEqual(host.lastEvent('stream-latency'), { streamId: 'alice:screen', userId: 'bob', baseMs: 180, latencyMs: 400 });
+    await viewer.send('stream-latency', { roomId: 'room', streamId: 'alice:screen', baseMs: '180', latencyMs: 400 });
+    await viewer.send('stream-latency', { roomId: 'room', streamId: 'alice:camera', baseMs: 180, latencyMs: 400 });
+    assert.equal(host.eventsNamed('stream-latency').length, 1);
+});
+
+test('start-screen-share is guarded by role', async () => {
+    const host = await join('room', 'alice');
+    const viewer = await join('room', 'bob');
+
+    await viewer.send('start-screen-share', { roomId: 'room' });
+    assert.equal(viewer.lastEvent('permission-denied').role, 'viewer');
+
+    await host.send('start-screen-share', { roomId: 'room' });
+    assert.deepEqual(viewer.lastEvent('screen-share-started'), { hostId: 'alice' });
+});
+
+test('co-hosts take over only from a host whose connection dropped, who is demoted to co-host', async () => {
+    const host = await join('room', 'alice');
+    const bob = await join('room', 'bob');
+
+    await bob.send('request-host', { roomId: 'room' });
+    assert.equal(bob.lastEvent('permission-denied').event, 'request-host');
+
+    await host.send('set-co-host', { roomId: 'room', targetUserId: 'bob', enabled: true });
+    assert.deepEqual(bob.lastEvent('roles-updated'), { host: 'alice', coHosts: ['bob'] });
+
+    // Not while the host is here, and never with the host's stream
+    await host.send('start-stream', { roomId: 'room' });
+    await bob.send('request-host', { roomId: 'room' });
+    assert.equal(bob.lastEvent('permission-denied').reason, 'The host is still here');
+    await bob.send('stop-stream', { roomId: 'room', streamId: 'alice:screen' });
+    assert.equal(bob.lastEvent('permission-denied').reason, 'Only the host can stop the host\'s stream');
+    assert.equal(host.eventsNamed('host-changed').length, 0);
+
+    host.disconnect();
+    await tick(5);
+    await bob.send('request-host', { roomId: 'room' });
+    assert.equal(bob.lastEvent('host-changed'), 'bob');
+    assert.deepEqual(bob.lastEvent('roles-updated'), { host: 'bob', coHosts: ['alice'] });
+
+    const rejoined = await join('room', 'alice');
+    assert.equal(rejoined.lastEvent('room-joined').isHost, false);
+});
+
+test('signaling is relayed only to the target user', async () => {
+    const alice = await join('room', 'alice');
+    const bob = await join('room', 'bob');
+    const carol = await join('room', 'carol');
+
+    await alice.send('stream-offer', { roomId: 'room', targetUserId: 'bob', streamId: 'alice:screen', offer: { sdp: 'x' } });
+    await alice.send('voice-ice-candidate', { roomId: 'room', targetUserId: 'bob', candidate: { candidate: 'c' } });
+
+    assert.deepEqual(bob.lastEvent('stream-offer'), { fromUserId: 'alice', streamId: 'alice:screen', offer: { sdp: 'x' } });
+    assert.deepEqual(bob.lastEvent('voice-ice-candidate'), { fromUserId: 'alice', candidate: { candidate: 'c' } });
+    assert.equal(carol.eventsNamed('stream-offer').length, 0);
+});
+
+test('chat messages go to everyone in the room except the sender', async () => {
+    const alice = await join('room', 'alice');
+    const bob = await join('room', 'bob');
+    const outsider = await join('other-room', 'dave');
+
+    await alice.send('chat-message', { roomId: 'room', message: 'hi', userName: 'Alice' });
+
+    assert.equal(bob.lastEvent('chat-message').message, 'hi');
+    assert.equal(alice.eventsNamed('chat-message').length, 0);
+    assert.equal(outsider.eventsNamed('chat-message').length, 0);
+});
+
+test('client heartbeats are accepted', async () => {
+    const alice = await join('room', 'alice');
+    assert.doesNotThrow(() => alice.send('client-heartbeat', { roomId: 'room', userId: 'alice' }));
+});
+
+test('reconnecting within the grace period keeps seat and host role', async () => {
+    const alice = await join('room', 'alice');
+    const bob = await join('room', 'bob');
+    await alice.send('request-seat', { roomId: 'room', seatIndex: 7 });
+
+    alice.disconnect();
+    const rejoined = await join('room', 'alice');
+    await tick(40);
+
+    const room = await engine.registry.getRoom('room');
+    assert.equal(room.host, 'alice');
+    assert.equal(room.seats[7], 'alice');
+    assert.equal(rejoined.lastEvent('room-joined').isHost, true);
+    assert.equal(bob.eventsNamed('user-left').length, 0);
+});
+
+test('disconnecting past the grace period frees the seat and hands off host', async () => {
+    const alice = await join('room', 'alice');
+    const bob = await join('room', 'bob');
+    await alice.send('request-seat', { roomId: 'room', seatIndex: 7 });
+    await alice.send('start-stream', { roomId: 'room' });
+
+    alice.disconnect();
+    await tick(40);
+
+    const room = await engine.registry.getRoom('room');
+    assert.equal(room.host, 'bob');
+    assert.equal(room.seats[7], null);
+    assert.equal(bob.lastEvent('user-left'), 'alice');
+    assert.equal(bob.lastEvent('host-changed'), 'bob');
+    assert.equal(bob.eventsNamed('stream-stopped').length, 1);
+});
+
+test('empty rooms are deleted once the last user times out', async () => {
+    const alice = await join('room', 'alice');
+    alice.disconnect();
+    await tick(40);
+
+    assert.equal(await engine.registry.getRoom('room'), null);
+});
+
+test('a restarted engine restores seats, host and chat for returning users', async () => {
+    const store = new MemoryRoomStore();
+    const first = new RoomEngine({ transport, store, logger: silentLogger });
+    engine = first;
+
+    const alice = await join('room', 'alice');
+    const bob = await join('room', 'bob');
+    await bob.send('request-seat', { roomId: 'room', seatIndex: 12 });
+    await alice.send('set-co-host', { roomId: 'room', targetUserId: 'bob', enabled: true });
+    await alice.send('chat-message', { roomId: 'room', message: 'popcorn?', userName: 'Alice' });
+    await store.flush();
+    first.dispose();
+
+    transport = new FakeTransport();
+    engine = new RoomEngine({ transport, store, restoreGraceMs: 1000, logger: silentLogger });
+    assert.equal(await engine.restore(), 1);
+
+    const rejoined = await join('room', 'bob');
+    const joined = rejoined.lastEvent('room-joined');
+    assert.equal(joined.host, 'alice');
+    assert.equal(joined.role, 'co-host');
+    assert.equal(joined.users.find(user => user.id === 'bob').seatIndex, 12);
+    assert.deepEqual(joined.chatHistory.map(entry => entry.message), ['popcorn?']);
+});
+
+test('restored users who never come back are removed after the restore grace period', async () => {
+    const store = new MemoryRoomStore();
+    await store.saveRoom({
+        id: 'room',
+        host: 'alice',
+        users: [{ id: 'alice', seatIndex: 1 }, { id: 'bob', seatIndex: 2 }]
+    });
+    engine = new RoomEngine({ transport, store, restoreGraceMs: 20, logger: silentLogger });
+    await engine.restore();
+
+    const alice = await join('room', 'alice');
+    await tick(40);
+
+    const room = await engine.registry.getRoom('room');
+    assert.equal(room.seats[1], 'alice');
+    assert.equal(room.seats[2], null);
+    assert.equal(alice.lastEvent('user-left'), 'bob');
+    assert.deepEqual((await store.loadRooms())[0].users.map(user => user.id), ['alice']);
+});
+
+test('creating a room requires a license when a verifier is configured', async () => {
+    const keys = generateLicenseKeyPair();
+    engine = new RoomEngine({ transport, licenses: new LicenseVerifier(keys.publicKey), logger: silentLogger });
+
+    const unlicensed = await join('room', 'alice');
+    assert.equal(unlicensed.lastEvent('license-required').roomId, 'room');
+    assert.equal(unlicensed.eventsNamed('room-joined').length, 0);
+    assert.equal(await engine.registry.getRoom('room'), null);
+
+    const host = transport.connect(engine);
+    const licenseToken = issueLicense(keys.privateKey, { accountId: 'acct-1', type: 'basic' });
+    await host.send('join-room', { roomId: 'room', userData: { id: 'alice' }, licenseToken });
+    assert.equal(host.lastEvent('room-joined').maxPlayers, 16);
+
+    // Joining an existing room needs no license
+    const viewer = await join('room', 'bob');
+    assert.equal(viewer.lastEvent('room-joined').role, 'viewer');
+});
+
+test('joiners beyond the licensed player cap get room-full', async () => {
+    const keys = generateLicenseKeyPair();
+    engine = new RoomEngine({ transport, licenses: new LicenseVerifier(keys.publicKey), logger: silentLogger });
+
+    const host = transport.connect(engine);
+    const licenseToken = issueLicense(keys.privateKey, { accountId: 'acct-1', type: 'basic' });
+    await host.send('join-room', { roomId: 'room', userData: { id: 'user-0' }, licenseToken });
+    for (let i = 1; i < 16; i++) {
+        await join('room', `user-${i}`);
+    }
+
+    const extra = await join('room', 'user-16');
+    assert.deepEqual(extra.lastEvent('room-full'), {
+        roomId: 'room',
+        maxPlayers: 16,
+        reason: 'Room is full (16 players max)'
+    });
+    assert.equal(host.eventsNamed('user-joined').length, 15);
+    assert.equal((await engine.registry.getRoom('room')).users.size, 16);
+
+    // Members who drop and come back keep their place
+    const rejoined = await join('room', 'user-3');
+    assert.equal(rejoined.eventsNamed('room-full').length, 0);
+});
+
+test('room codes are allocated by the server and must exist to be joined', async () => {
+    const creator = transport.connect(engine);
+    await creator.send('create-room', {});
+    const { code } = creator.lastEvent('room-created');
+    assert.match(code, /^[A-HJ-NP-Z]{4}$/);
+
+    await creator.send('lookup-room-code', { code: code.toLowerCase() });
+    assert.deepEqual(creator.lastEvent('room-code-status'), { code, exists: true, full: false });
+
+    const host = await join(code, 'alice');
+    assert.equal(host.lastEvent('room-joined').role, 'host');
+
+    const lost = await join('ZZZZ', 'bob');
+    assert.equal(lost.lastEvent('room-not-found').reason, 'Room ZZZZ does not exist or has expired');
+    assert.equal(lost.eventsNamed('room-joined').length, 0);
+    assert.equal(await engine.registry.getRoom('ZZZZ'), null);
+
+    await creator.send('create-room', { worldSeed: 'ya' });
+    const seeded = await join(creator.lastEvent('room-created').code, 'carol');
+    assert.equal(seeded.lastEvent('room-joined').world.seed, 1234);
+    await creator.send('create-room', { worldSeed: 'not a seed' });
+    assert.equal(creator.lastEvent('room-create-failed').reason, 'That is not a valid world seed code');
+});
+
+test('room codes expire when unused or when their room empties', async () => {
+    engine = new RoomEngine({ transport, disconnectGraceMs: 20, roomCodeTtlMs: 20, logger: silentLogger });
+
+    const creator = transport.connect(engine);
+    await creator.send('create-room', {});
+    await creator.send('create-room', {});
+    const [unused, used] = creator.eventsNamed('room-created').map(event => event.code);
+
+    const alice = await join(used, 'alice');
+    await tick(40);
+    await engine.pruneEmptyRooms();
+
+    const late = await join(unused, 'bob');
+    assert.equal(late.eventsNamed('room-not-found').length, 1);
+    assert.notEqual(await engine.registry.getRoom(used), null);
+
+    alice.disconnect();
+    await tick(40);
+    await creator.send('lookup-room-code', { code: used });
+    assert.equal(creator.lastEvent('room-code-status').exists, false);
+});
+
+test('knocks on a private room wait for the host to approve or deny them', async () => {
+    const host = await join('room', 'alice');
+    await host.send('set-privacy', { roomId: 'room', isPrivate: true });
+    assert.deepEqual(host.lastEvent('privacy-updated'), { isPrivate: true, hasPassphrase: false });
+
+    const bob = await join('room', 'bob');
+    assert.deepEqual(bob.lastEvent('join-pending'), { roomId: 'room', hasPassphrase: false });
+    assert.equal(bob.eventsNamed('room-joined').length, 0);
+    assert.deepEqual(host.lastEvent('lobby-updated').pending.map(entry => entry.id), ['bob']);
+
+    await host.send('review-knock', { roomId: 'room', targetUserId: 'bob', approve: true });
+    assert.deepEqual(bob.lastEvent('join-decision'), { roomId: 'room', approved: true });
+    assert.deepEqual(host.lastEvent('lobby-updated').pending, []);
+
+    await bob.send('join-room', { roomId: 'room', userData: { id: 'bob', name: 'bob' } });
+    assert.equal(bob.lastEvent('room-joined').isPrivate, true);
+
+    const carol = await join('room', 'carol');
+    await bob.send('review-knock', { roomId: 'room', targetUserId: 'carol', approve: true });
+    assert.equal(bob.lastEvent('permission-denied').event, 'review-knock');
+
+    await host.send('review-knock', { roomId: 'room', targetUserId: 'carol', approve: false });
+    assert.equal(carol.lastEvent('join-decision').approved, false);
+    await carol.send('join-room', { roomId: 'room', userData: { id: 'carol', name: 'carol' } });
+    assert.equal(carol.eventsNamed('room-joined').length, 0);
+});
+
+test('the passphrase skips the lobby and opening the room admits everyone waiting', async () => {
+    const host = await join('room', 'alice');
+    const viewer = await join('room', 'bob');
+    await viewer.send('set-privacy', { roomId: 'room', isPrivate: true });
+    assert.equal(viewer.lastEvent('permission-denied').event, 'set-privacy');
+
+    await host.send('set-privacy', { roomId: 'room', isPrivate: true, passphrase: 'popcorn' });
+    assert.equal(viewer.lastEvent('privacy-updated').hasPassphrase, true);
+    assert.equal((await engine.registry.getRoom('room')).toSnapshot().passphraseHash.includes('popcorn'), false);
+
+    const wrong = transport.connect(engine);
+    await wrong.send('join-room', { roomId: 'room', userData: { id: 'carol' }, passphrase: 'nachos' });
+    assert.deepEqual(wrong.lastEvent('join-decision'), { roomId: 'room', approved: false, reason: 'Incorrect passphrase' });
+
+    const right = transport.connect(engine);
+    await right.send('join-room', { roomId: 'room', userData: { id: 'carol' }, passphrase: 'popcorn' });
+    assert.equal(right.lastEvent('room-joined').userCount, 3);
+
+    const dave = await join('room', 'dave');
+    const erin = await join('room', 'erin');
+    assert.deepEqual(host.lastEvent('lobby-updated').pending.map(entry => entry.id), ['dave', 'erin']);
+    erin.disconnect();
+    await tick(10);
+    assert.deepEqual(host.lastEvent('lobby-updated').pending.map(entry => entry.id), ['dave']);
+
+    await host.send('set-privacy', { roomId: 'room', isPrivate: false });
+    assert.deepEqual(dave.lastEvent('join-decision'), { roomId: 'room', approved: true });
+    await dave.send('join-room', { roomId: 'room', userData: { id: 'dave' } });
+    assert.equal(dave.lastEvent('room-joined').isPrivate, false);
+});
+
+test('kicked users are removed from the room and stop receiving its events', async () => {
+    const host = await join('room', 'alice');
+    const cohost = await join('room', 'bob');
+    const viewer = await join('room', 'carol');
+    await host.send('set-co-host', { roomId: 'room', targetUserId: 'bob', enabled: true });
+
+    await viewer.send('kick-user', { roomId: 'room', targetUserId: 'bob' });
+    assert.equal(viewer.lastEvent('permission-denied').event, 'kick-user');
+    await cohost.send('kick-user', { roomId: 'room', targetUserId: 'alice' });
+    assert.equal(cohost.lastEvent('permission-denied').reason, 'The host cannot be moderated');
+
+    await cohost.send('kick-user', { roomId: 'room', targetUserId: 'carol' });
+    assert.equal(viewer.lastEvent('kicked').roomId, 'room');
+    assert.equal(host.lastEvent('user-left'), 'carol');
+    assert.equal((await engine.registry.getRoom('room')).users.has('carol'), false);
+
+    await viewer.send('chat-message', { roomId: 'room', message: 'still here?' });
+    assert.equal(host.eventsNamed('chat-message').length, 0);
+
+    // A kick is not a ban
+    await viewer.send('join-room', { roomId: 'room', userData: { id: 'carol', name: 'carol' } });
+    assert.equal(viewer.lastEvent('room-joined').userCount, 3);
+});
+
+test('banned users cannot rejoin until the ban expires', async () => {
+    const host = await join('room', 'alice');
+    const viewer = await join('room', 'bob');
+
+    await host.send('ban-user', { roomId: 'room', targetUserId: 'bob', durationMinutes: 5 });
+    const kicked = viewer.lastEvent('kicked');
+    assert.ok(kicked.bannedUntil > Date.now());
+
+    const retry = transport.connect(engine);
+    await retry.send('join-room', { roomId: 'room', userData: { id: 'bob', name: 'bob' } });
+    assert.equal(retry.lastEvent('kicked').reason, 'You are banned from this room');
+    assert.equal(retry.eventsNamed('room-joined').length, 0);
+
+    await engine.updateRoom('room', room => room.ban('bob', Date.now() - 1));
+    await retry.send('join-room', { roomId: 'room', userData: { id: 'bob', name: 'bob' } });
+    assert.equal(retry.lastEvent('room-joined').userCount, 2);
+});
+
+test('muted users cannot chat or use voice and can be unseated', async () => {
+    const host = await join('room', 'alice');
+    const viewer = await join('room', 'bob');
+    await viewer.send('request-seat', { roomId: 'room', seatIndex: 7 });
+
+    await host.send('mute-user', { roomId: 'room', targetUserId: 'bob', kind: 'chat', muted: true });
+    assert.deepEqual(viewer.lastEvent('user-muted'), { userId: 'bob', kind: 'chat', muted: true });
+    await viewer.send('chat-message', { roomId: 'room', message: 'hello?' });
+    assert.equal(host.eventsNamed('chat-message').length, 0);
+    assert.equal(viewer.lastEvent('permission-denied').reason, 'You are muted in this room');
+
+    await host.send('mute-user', { roomId: 'room', targetUserId: 'bob', kind: 'voice', muted: true });
+    await viewer.send('voice-status', { roomId: 'room', enabled: true });
+    await viewer.send('voice-offer', { roomId: 'room', targetUserId: 'alice', offer: {} });
+    assert.deepEqual(host.eventsNamed('voice-status'), [{ userId: 'bob', enabled: false }]);
+    assert.equal(host.eventsNamed('voice-offer').length, 0);
+
+    await host.send('unseat-user', { roomId: 'room', targetUserId: 'bob' });
+    assert.deepEqual(viewer.lastEvent('seat-left'), { userId: 'bob', forced: true });
+    assert.equal((await engine.registry.getRoom('room')).seats[7], null);
+
+    await host.send('mute-user', { roomId: 'room', targetUserId: 'bob', kind: 'chat', muted: false });
+    await viewer.send('chat-message', { roomId: 'room', message: 'thanks' });
+    assert.equal(host.lastEvent('chat-message').message, 'thanks');
+});
+
+test('synced media is loaded and controlled by the host and shared with late joiners', async () => {
+    const host = await join('room', 'alice');
+    const viewer = await join('room', 'bob');
+
+    await viewer.send('media-load', { roomId: 'room', source: { kind: 'url', url: 'https://example.com/movie.mp4' } });
+    assert.equal(viewer.lastEvent('permission-denied').event, 'media-load');
+    await host.send('media-load', { roomId: 'room', source: { kind: 'url', url: 'javascript:alert(1)' } });
+    assert.equal(host.lastEvent('media-rejected').reason, 'Unsupported media source');
+    await host.send('media-load', { roomId: 'room', source: { kind: 'url', url: 'https://example.com/clip%E0%A4%A.mp4' } });
+    assert.equal(viewer.lastEvent('media-state').media.source.title, 'clip%E0%A4%A.mp4');
+
+    await host.send('media-load', { roomId: 'room', source: { kind: 'url', url: 'https://example.com/movie.mp4' } });
+    const loaded = viewer.lastEvent('media-state').media;
+    assert.equal(loaded.source.title, 'movie.mp4');
+    assert.equal(loaded.playing, false);
+
+    await host.send('media-control', { roomId: 'room', action: 'seek', position: 42 });
+    await host.send('media-control', { roomId: 'room', action: 'play' });
+    await tick(30);
+    await host.send('media-control', { roomId: 'room', action: 'pause' });
+    const paused = viewer.lastEvent('media-state').media;
+    assert.equal(paused.playing, false);
+    assert.ok(paused.position >= 42.02 && paused.position < 43);
+    assert.ok(paused.revision > loaded.revision);
+
+    await host.send('media-control', { roomId: 'room', action: 'rate', rate: 3 });
+    assert.equal(host.lastEvent('media-rejected').reason, 'Unsupported playback rate');
+
+    await host.send('start-stream', { roomId: 'room' });
+    assert.equal(host.lastEvent('permission-denied').reason, 'Stop the synced media before streaming');
+
+    const late = await join('room', 'carol');
+    assert.equal(late.lastEvent('room-joined').media.id, loaded.id);
+    assert.equal(typeof late.lastEvent('room-joined').serverTime, 'number');
+
+    await host.send('media-stop', { roomId: 'room' });
+    assert.equal(late.lastEvent('media-state').media, null);
+});
+
+test('only the stream host publishes to the relay and departures release it', async () => {
+    const calls = [];
+    const relay = {
+        publish: async (roomId, offer, { quality }) => { calls.push(['publish', roomId, quality]); return { type: 'answer', sdp: 'publisher' }; },
+        setQuality: async (roomId, quality) => { calls.push(['quality', roomId, quality]); },
+        subscribe: async (roomId, userId, offer, { bestLayer }) => { calls.push(['subscribe', roomId, userId, bestLayer]); return { type: 'answer', sdp: userId }; },
+        unsubscribe: async (roomId, userId) => { calls.push(['unsubscribe', roomId, userId]); },
+        unpublish: async (roomId) => { calls.push(['unpublish', roomId]); }
+    };
+    engine.dispose();
+    engine = new RoomEngine({ transport, relay, disconnectGraceMs: 20, logger: silentLogger });
+
+    const host = await join('room', 'alice');
+    const viewer = await join('room', 'bob');
+    assert.equal(viewer.lastEvent('room-joined').relay, true);
+
+    await host.send('relay-publish', { roomId: 'room', streamId: 'alice:screen', offer: {} });
+    assert.equal(host.lastEvent('permission-denied').event, 'relay-publish');
+
+    await host.send('start-stream', { roomId: 'room' });
+    await host.send('start-stream', { roomId: 'room', kind: 'camera' });
+    assert.deepEqual(viewer.lastEvent('stream-started'), { streamId: 'alice:camera', hostId: 'alice', kind: 'camera', quality: 'standard' });
+    await host.send('relay-publish', { roomId: 'room', streamId: 'alice:screen', offer: {} });
+    await viewer.send('relay-publish', { roomId: 'room', streamId: 'alice:camera', offer: {} });
+    assert.equal(viewer.lastEvent('permission-denied').event, 'relay-publish');
+    await viewer.send('relay-subscribe', { roomId: 'room', streamId: 'alice:screen', offer: {}, bestLayer: 1 });
+    assert.deepEqual(host.lastEvent('relay-answer'), { role: 'publisher', streamId: 'alice:screen', answer: { type: 'answer', sdp: 'publisher' } });
+    assert.deepEqual(viewer.lastEvent('relay-answer'), { role: 'subscriber', streamId: 'alice:screen', answer: { type: 'answer', sdp: 'bob' } });
+    await host.send('set-stream-quality', { roomId: 'room', streamId: 'alice:screen', quality: 'game' });
+
+    viewer.disconnect();
+    await tick(40);
+    await host.send('stop-stream', { roomId: 'room' });
+    assert.deepEqual(calls, [
+        ['publish', 'room/alice:screen', 'standard'],
+        ['subscribe', 'room/alice:screen', 'bob', 1],
+        ['quality', 'room/alice:screen', 'game'],
+        ['unsubscribe', 'room/alice:screen', 'bob'],
+        ['unsubscribe', 'room/alice:camera', 'bob'],
+        ['unpublish', 'room/alice:screen'],
+        ['unpublish', 'room/alice:camera']
+    ]);
+
+    await host.send('start-stream', { roomId: 'room' });
+    relay.subscribe = async () => { throw new Error('relay down'); };
+    await host.send('relay-subscribe', { roomId: 'room', streamId: 'alice:screen', offer: {} });
+    assert.deepEqual(host.lastEvent('relay-error'), { role: 'subscriber', streamId: 'alice:screen', reason: 'The stream relay is unavailable' });
+});
+
+test('the outside world is shared: one seed, one set of ghosts and chests looted once', async () => {
+    engine.dispose();
+    engine = new RoomEngine({ transport, disconnectGraceMs: 20, worldTickMs: 60_000, logger: silentLogger });
+
+    const alice = await join('room', 'alice');
+    const bob = await join('room', 'bob');
+    const carol = await join('room', 'carol');
+    const { seed } = alice.lastEvent('room-joined').world;
+    const temple = getTemplePosition(seed, 0, 1);
+
+    await alice.send('world-enter', { roomId: 'room', position: { x: 0, y: 1.6, z: 75 } });
+    assert.deepEqual(bob.lastEvent('world-presence'), { userId: 'alice', outside: true });
+    const state = alice.lastEvent('world-state');
+    assert.equal(state.seed, seed);
+    assert.deepEqual(state.ghosts, new OutsideWorld(seed).getGhosts());
+
+    await bob.send('world-enter', { roomId: 'room', position: { x: 0, y: 1.6, z: 90 } });
+    assert.deepEqual(bob.lastEvent('world-state').ghosts, state.ghosts);
+    assert.deepEqual((await join('room', 'dave')).lastEvent('room-joined').outside, ['alice', 'bob']);
+
+    await bob.send('world-open-chest', { roomId: 'room', chestKey: '0:1' });
+    assert.equal(bob.lastEvent('world-chest-denied').reason, 'You need to be at the chest to open it');
+    await walkTo(alice, 'room', temple);
+    await alice.send('world-open-chest', { roomId: 'room', chestKey: '0:1' });
+    const opened = carol.lastEvent('world-chest-opened');
+    assert.deepEqual([opened.chestKey, opened.userId, opened.loot.itemId], ['0:1', 'alice', rollChestLoot(seed, '0:1').itemId]);
+    await walkTo(bob, 'room', temple);
+    await bob.send('world-open-chest', { roomId: 'room', chestKey: '0:1' });
+    assert.equal(bob.lastEvent('world-chest-denied').reason, 'Someone already opened this chest');
+    assert.deepEqual((await engine.registry.getRoom('room')).world.openedChests, { '0:1': 'alice' });
+
+    engine.tickWorlds(0.1);
+    assert.equal(alice.eventsNamed('world-ghosts').length, 1);
+    assert.equal(carol.eventsNamed('world-ghosts').length, 0);
+
+    const world = engine.worlds.get('room');
+    const exposed = [130, 170, 210, 250, 290].map(z => ({ x: 100, y: 1.6, z })).find(p => !isSafePosition(seed, p.x, p.z));
+    Object.assign(world.players.get('bob'), { graceUntil: 0, health: 5 });
+    Object.assign(world.ghosts[0], { x: exposed.x + 0.5, z: exposed.z, alerted: true });
+    await walkTo(bob, 'room', exposed);
+    engine.tickWorlds(0.1);
+    assert.deepEqual([bob.lastEvent('world-player-hit').damage, bob.lastEvent('world-player-hit').health], [20, 0]);
+    assert.equal(carol.eventsNamed('world-player-hit').length, 0);
+    assert.deepEqual(bob.lastEvent('world-caught'), { roomId: 'room' });
+    assert.deepEqual(carol.lastEvent('world-presence'), { userId: 'bob', outside: false });
+
+    alice.disconnect();
+    assert.deepEqual(carol.lastEvent('world-presence'), { userId: 'alice', outside: false });
+    assert.equal(engine.worlds.size, 0);
+});
+
+test('player profiles are saved under their token and loaded again in a later session', async () => {
+    const profiles = new MemoryProfileStore();
+    engine = new RoomEngine({ transport, profiles, logger: silentLogger });
+    const token = 'ab'.repeat(16);
+
+    const alice = await join('room', 'alice');
+    await alice.send('profile-load', { token });
+    assert.deepEqual(alice.lastEvent('profile-loaded'), { profile: null });
+    assert.deepEqual(alice.lastEvent('inventory-state').inventory.slice(0, 2).map(item => [item.name, item.quantity]), [['Tomato', 5], ['Pixel Mask', 1]]);
+
+    await alice.send('profile-save', {
+        token,
+        profile: {
+            score: 12,
+            discoveredLandmarks: ['1234:0:0', '1234:0:0', 7, '1234:5:3', '1234:camp'],
+            unlockedAvatars: ['default', 'golden'],
+            inventory: [{ name: 'Wings of the Void' }]
+        }
+    });
+    assert.ok(alice.lastEvent('profile-saved').updatedAt > 0);
+
+    alice.disconnect();
+    const later = await join('room', 'alice-again');
+    await later.send('profile-load', { token });
+    const { profile } = later.lastEvent('profile-loaded');
+    // Only real temples count, and each is worth 7 points at most
+    assert.equal(profile.score, 7);
+    assert.deepEqual(profile.discoveredLandmarks, ['1234:0:0']);
+    assert.deepEqual(profile.unlockedAvatars, ['default']);
+    assert.ok(later.lastEvent('inventory-state').inventory.every(item => item?.name !== 'Wings of the Void'));
+
+    // Another token starts afresh; junk is turned away
+    await later.send('profile-load', { token: 'cd'.repeat(16) });
+    assert.deepEqual(later.lastEvent('profile-loaded'), { profile: null });
+    await later.send('profile-save', { token: 'not-a-token', profile });
+    assert.equal(later.lastEvent('profile-rejected').reason, 'Invalid profile token');
+    await later.send('profile-save', { token, profile: 'everything' });
+    assert.equal(later.lastEvent('profile-rejected').reason, 'Invalid profile');
+    assert.equal([...profiles.profiles.keys()].some(key => key.includes(token)), false);
+});
+
+test('the server inventory decides what players hold, wear and loot', async () => {
+    const profiles = new MemoryProfileStore();
+    engine = new RoomEngine({ transport, profiles, logger: silentLogger });
+    const alice = await join('room', 'alice');
+    await alice.send('profile-load', { token: 'ab'.repeat(16) });
+    const state = () => alice.lastEvent('inventory-state');
+
+    // Pixel Mask from slot 1 onto the head, Pixel Wand into the right hand
+    await alice.send('inventory-equip', { slotIndex: 1 });
+    await alice.send('inventory-equip', { slotIndex: 4 });
+    assert.equal(state().equipment.head.name, 'Pixel Mask');
+    assert.equal(state().inventory[1], null);
+    await alice.send('inventory-equip', { slotIndex: 0 });
+    assert.equal(alice.lastEvent('inventory-denied').reason, 'That cannot be worn');
+
+    await alice.send('inventory-use', { slotIndex: 0 });
+    assert.equal(alice.lastEvent('inventory-used').item.name, 'Tomato');
+    assert.equal(state().inventory[0].quantity, 4);
+    await alice.send('inventory-move', { from: 0, to: 79 });
+    assert.equal(state().inventory[79].name, 'Tomato');
+
+    // The room's seed decides the loot; worn gear sets the outside bonuses
+    const room = await engine.registry.getRoom('room');
+    const temple = getTemplePosition(room.world.seed, 0, 1);
+    await alice.send('world-enter', { roomId: 'room', position: { x: 0, y: 1.6, z: 75 }, bonuses: { power: 99 } });
+    assert.equal(engine.worlds.get('room').players.get('alice').power, 1);
+    await walkTo(alice, 'room', temple);
+    await alice.send('world-open-chest', { roomId: 'room', chestKey: '0:1' });
+    const loot = rollChestLoot(room.world.seed, '0:1');
+    assert.equal(alice.lastEvent('world-chest-opened').loot.itemId, loot.itemId);
+    assert.ok(state().inventory.some(item => item?.itemId === loot.itemId));
+
+    // Quests pay out for what the server saw happen, so asking early gets nothing
+    const rewards = () => alice.eventsNamed('inventory-reward').filter(event => event.questId === 'into-the-dark');
+    await alice.send('inventory-claim-reward', { questId: 'into-the-dark' });
+    await alice.send('inventory-claim-reward', { questId: 'made-up' });
+    assert.deepEqual(rewards(), []);
+    const home = getTemplePosition(room.world.seed, 0, 0);
+    await walkTo(alice, 'room', home);
+    assert.equal(rewards()[0].item.name, 'Golden Tomato');
+    await alice.send('inventory-claim-reward', { questId: 'into-the-dark' });
+    assert.deepEqual(rewards().map(event => event.item?.name ?? null), ['Golden Tomato', null]);
+
+    // The vault is only reached down the temple's own stairs
+    await alice.send('world-open-vault', { roomId: 'room', cellKey: '0:1' });
+    assert.equal(alice.lastEvent('world-chest-denied').reason, 'You need to be at the chest to open it');
+    await alice.send('position-update', { roomId: 'room', position: { x: 0, y: 1.6, z: 6400 } });
+    await alice.send('world-open-vault', { roomId: 'room', cellKey: '0:1' });
+    assert.equal(alice.lastEvent('world-chest-denied').reason, 'You need to be at the chest to open it');
+    await walkTo(alice, 'room', temple);
+    await alice.send('position-update', { roomId: 'room', position: { x: 0, y: 1.6, z: 6400 } });
+    await alice.send('world-open-vault', { roomId: 'room', cellKey: '0:1' });
+    assert.ok(alice.lastEvent('world-vault-opened').loot.name);
+    await alice.send('world-open-vault', { roomId: 'room', cellKey: '0:1' });
+    assert.equal(alice.lastEvent('world-chest-denied').reason, 'You have already emptied this vault');
+});
+
+test('a chest stays shut when its loot does not fit, and vaults empty once without a stored profile', async () => {
+    const profiles = new MemoryProfileStore();
+    engine = new RoomEngine({ transport, profiles, logger: silentLogger });
+    const token = 'ab'.repeat(16);
+    await profiles.saveProfile(getProfileKey(token), { inventory: { slots: new Array(80).fill({ itemId: 'pixel-mask', quantity: 1 }) } });
+    const alice = await join('room', 'alice');
+    await alice.send('profile-load', { token });
+
+    const room = await engine.registry.getRoom('room');
+    const temple = getTemplePosition(room.world.seed, 0, 1);
+    await alice.send('world-enter', { roomId: 'room', position: { x: 0, y: 1.6, z: 75 } });
+    await walkTo(alice, 'room', temple);
+    await alice.send('world-open-chest', { roomId: 'room', chestKey: '0:1' });
+    assert.equal(alice.lastEvent('world-chest-denied').reason, 'Your bindle is full');
+    assert.equal(alice.lastEvent('world-chest-opened'), undefined);
+    assert.deepEqual((await engine.registry.getRoom('room')).world.openedChests, {});
+
+    const bob = await join('room', 'bob');
+    await bob.send('world-enter', { roomId: 'room', position: { x: 0, y: 1.6, z: 6400 } });
+    await walkTo(bob, 'room', temple);
+    await bob.send('position-update', { roomId: 'room', position: { x: 0, y: 1.6, z: 6400 } });
+    await bob.send('world-open-vault', { roomId: 'room', cellKey: '0:1' });
+    assert.ok(bob.lastEvent('world-vault-opened').loot.name);
+    await bob.send('world-open-vault', { roomId: 'room', cellKey: '0:1' });
+    assert.equal(bob.lastEvent('world-chest-denied').reason, 'You have already emptied this vault');
+});
+
+test('chests open only at temples, and once per profile in every room of a seed', async () => {
+    const profiles = new MemoryProfileStore();
+    engine = new RoomEngine({ transport, profiles, logger: silentLogger });
+    const creator = transport.connect(engine);
+    const enterRoom = async () => {
+        // Seed code YA is seed 1234
+        await creator.send('create-room', { worldSeed: 'YA' });
+        const roomId = creator.lastEvent('room-created').code;
+        const alice = await join(roomId, 'alice');
+        await alice.send('profile-load', { token: 'ab'.repeat(16) });
+        await alice.send('world-enter', { roomId, position: { x: 0, y: 1.6, z: 75 } });
+        return { alice, roomId };
+    };
+
+    const first = await enterRoom();
+    const emptyX = [1, 2, 3, 4, 5, 6].find(cellX => !shouldSpawnTemple(1234, cellX, 3));
+    await walkTo(first.alice, first.roomId, getTemplePosition(1234, emptyX, 3));
+    await first.alice.send('world-open-chest', { roomId: first.roomId, chestKey: `${emptyX}:3` });
+    assert.equal(first.alice.lastEvent('world-chest-denied').reason, 'You need to be at the chest to open it');
+
+    // Nobody gets to a temple faster than they can run
+    const temple = getTemplePosition(1234, 0, 1);
+    await first.alice.send('position-update', { roomId: first.roomId, position: { x: temple.x, y: 1.6, z: temple.z } });
+    await first.alice.send('world-open-chest', { roomId: first.roomId, chestKey: '0:1' });
+    assert.equal(first.alice.lastEvent('world-chest-denied').reason, 'You need to be at the chest to open it');
+    await walkTo(first.alice, first.roomId, temple);
+    await first.alice.send('world-open-chest', { roomId: first.roomId, chestKey: '0:1' });
+    assert.equal(first.alice.lastEvent('world-chest-opened').chestKey, '0:1');
+
+    const second = await enterRoom();
+    await walkTo(second.alice, second.roomId, temple);
+    await second.alice.send('world-open-chest', { roomId: second.roomId, chestKey: '0:1' });
+    assert.equal(second.alice.lastEvent('world-chest-denied').reason, 'You have already opened this chest');
+    assert.deepEqual((await engine.registry.getRoom(second.roomId)).world.openedChests, {});
+});
+
+test('trades swap both offers once both players confirm and are logged', async () => {
+    const tradeLog = new MemoryTradeLog();
+    engine = new RoomEngine({ transport, profiles: new MemoryProfileStore(), tradeLog, logger: silentLogger });
+    const alice = await join('room', 'alice');
+    const bob = await join('room', 'bob');
+    await alice.send('profile-load', { token: 'ab'.repeat(16) });
+    await bob.send('profile-load', { token: 'cd'.repeat(16) });
+
+    await alice.send('trade-request', { roomId: 'room', targetUserId: 'bob' });
+    const { tradeId, fromName } = bob.lastEvent('trade-requested');
+    assert.equal(fromName, 'alice');
+    await alice.send('trade-offer', { tradeId, slots: [1] });
+    assert.equal(alice.lastEvent('trade-denied').reason, 'That trade is not open');
+    await bob.send('trade-respond', { tradeId, accept: true });
+    assert.equal(alice.lastEvent('trade-updated').status, 'open');
+
+    // Pixel Mask for five tomatoes; a changed offer takes back confirmations
+    await alice.send('trade-offer', { tradeId, slots: [1] });
+    await bob.send('trade-offer', { tradeId, slots: [0, 0] });
+    assert.equal(bob.lastEvent('trade-denied').reason, 'Those items are not in your bindle');
+    await alice.send('trade-confirm', { tradeId });
+    await bob.send('trade-offer', { tradeId, slots: [0] });
+    assert.deepEqual(bob.lastEvent('trade-updated').confirmed, { alice: false, bob: false });
+    assert.equal(bob.lastEvent('trade-updated').offers.alice[0].name, 'Pixel Mask');
+    await alice.send('trade-confirm', { tradeId });
+    await bob.send('trade-confirm', { tradeId });
+
+    assert.ok(alice.lastEvent('trade-completed'));
+    assert.equal(alice.lastEvent('inventory-state').inventory[0].quantity, 10);
+    assert.equal(alice.lastEvent('inventory-state').inventory[1], null);
+    assert.equal(bob.lastEvent('inventory-state').inventory[0].name, 'Pixel Mask');
+    assert.equal(tradeLog.entries.length, 1);
+    assert.deepEqual(tradeLog.entries[0].sides.map(side => side.gave), [
+        [{ itemId: 'pixel-mask', quantity: 1 }],
+        [{ itemId: 'tomato', quantity: 5 }]
+    ]);
+
+    // Items that change hands before both confirm leave the trade open
+    await bob.send('trade-request', { roomId: 'room', targetUserId: 'alice' });
+    const second = alice.lastEvent('trade-requested').tradeId;
+    await alice.send('trade-respond', { tradeId: second, accept: true });
+    await alice.send('trade-offer', { tradeId: second, slots: [3] });
+    await alice.send('inventory-use', { slotIndex: 3 });
+    await alice.send('trade-confirm', { tradeId: second });
+    await bob.send('trade-confirm', { tradeId: second });
+    assert.equal(bob.lastEvent('trade-denied').reason, 'An offered item is no longer in the bindle');
+    assert.equal(bob.lastEvent('trade-updated').status, 'open');
+    assert.equal(tradeLog.entries.length, 1);
+
+    alice.disconnect();
+    assert.equal(bob.lastEvent('trade-closed').reason, 'They disconnected');
+    await bob.send('trade-request', { roomId: 'room', targetUserId: 'alice' });
+    assert.equal(bob.lastEvent('trade-denied').reason, 'They cannot trade right now');
+});
+
+test('a trade the store fails to save is closed, freeing both players to trade again', async () => {
+    const profiles = new MemoryProfileStore();
+    engine = new RoomEngine({ transport, profiles, logger: silentLogger });
+    const alice = await join('room', 'alice');
+    const bob = await join('room', 'bob');
+    await alice.send('profile-load', { token: 'ab'.repeat(16) });
+    await bob.send('profile-load', { token: 'cd'.repeat(16) });
+
+    await alice.send('trade-request', { roomId: 'room', targetUserId: 'bob' });
+    const { tradeId } = bob.lastEvent('trade-requested');
+    await bob.send('trade-respond', { tradeId, accept: true });
+    await alice.send('trade-offer', { tradeId, slots: [1] });
+    profiles.saveProfile = async () => { throw new Error('disk full'); };
+    await alice.send('trade-confirm', { tradeId });
+    await bob.send('trade-confirm', { tradeId });
+
+    assert.equal(alice.lastEvent('trade-completed'), undefined);
+    assert.equal(bob.lastEvent('trade-closed').reason, 'The trade could not be completed');
+    assert.equal(engine.trades.get(tradeId), null);
+    await bob.send('trade-request', { roomId: 'room', targetUserId: 'alice' });
+    assert.notEqual(alice.lastEvent('trade-requested').tradeId, tradeId);
+});
@@ -0,0 +1,131 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MediaStreamTrack, RTCPeerConnection, RtpHeader, RtpPacket } from 'werift';
+import { RelayClient, RelayServer, createStreamRelay } from '../server/relay/index.js';
+import { StreamRelay } from '../server/relay/StreamRelay.js';
+import { chooseLayer, getRelayLayers } from '../server/relay/layers.js';
+import { silentLogger } from './helpers/fakeTransport.js';
+
+const tick = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// The relay answers without trickle ICE, so offers must carry their candidates
+async function completeOffer(pc) {
+    await pc.setLocalDescription(await pc.createOffer());
+    if (pc.iceGatheringState !== 'complete') {
+        await new Promise(resolve => pc.iceGatheringStateChange.subscribe(state => state === 'complete' && resolve()));
+    }
+    return pc.localDescription;
+}
+
+test('viewers step down a layer on loss or latency and back up on a clean connection', () => {
+    assert.equal(chooseLayer(0, { lossRate: 0.08 }), 1);
+    assert.equal(chooseLayer(1, { rtt: 0.4 }), 2);
+    assert.equal(chooseLayer(2, { lossRate: 0.2 }), 2);
+    assert.equal(chooseLayer(0, { estimatedBitrate: 900_000 }), 1);
+
+    assert.equal(chooseLayer(2, { lossRate: 0, rtt: 0.05 }), 1);
+    assert.equal(chooseLayer(1, { lossRate: 0, rtt: 0.05, estimatedBitrate: 1_000_000 }), 1);
+    assert.equal(chooseLayer(1, { lossRate: 0, rtt: 0.05, estimatedBitrate: 2_000_000 }), 0);
+    assert.equal(chooseLayer(1, { lossRate: 0.03, rtt: 0.05 }), 1);
+    assert.equal(chooseLayer(5, {}, getRelayLayers().slice(0, 1)), 0);
+});
+
+test('a viewer\'s quality ceiling caps the layer they are forwarded', () => {
+    const clean = { lossRate: 0, rtt: 0.05, estimatedBitrate: 2_000_000 };
+    const SIMULCAST_LAYERS = getRelayLayers();
+    assert.equal(chooseLayer(1, clean, SIMULCAST_LAYERS, 1), 1);
+    assert.equal(chooseLayer(0, clean, SIMULCAST_LAYERS, 2), 2);
+    assert.equal(chooseLayer(2, clean, SIMULCAST_LAYERS, 1), 1);
+    assert.equal(chooseLayer(1, { lossRate: 0.08 }, SIMULCAST_LAYERS, 1), 2);
+});
+
+test('layer thresholds follow the bitrates of the stream\'s preset', () => {
+    const clean = { lossRate: 0, rtt: 0.05, estimatedBitrate: 2_000_000 };
+    assert.equal(chooseLayer(1, clean, getRelayLayers('standard')), 0);
+    assert.equal(chooseLayer(1, clean, getRelayLayers('game')), 1);
+    assert.deepEqual(getRelayLayers('game').map(layer => layer.maxBitrate), [3_000_000, 1_080_000, 330_000]);
+});
+
+test('simulcast tracks are ordered best first and a plain track is a single layer', () => {
+    const relay = new StreamRelay({ logger: silentLogger });
+    try {
+        const simulcast = relay.getLayers({ tracks: [{ rid: 'l' }, { rid: 'h' }, { rid: 'm' }] });
+        assert.deepEqual(simulcast.map(layer => layer.rid), ['h', 'm', 'l']);
+
+        const plain = { rid: undefined };
+        assert.deepEqual(relay.getLayers({ tracks: [plain], track: plain }).map(layer => layer.track), [plain]);
+    } finally {
+        relay.close();
+    }
+});
+
+test('a preset switched after publishing resets the bitrates viewers are stepped against', async () => {
+    const relay = new StreamRelay({ logger: silentLogger });
+    try {
+        const receiver = { tracks: [{ rid: 'h' }, { rid: 'm' }, { rid: 'l' }] };
+        relay.getRoom('room').publisher = {
+            pc: { close: async () => {} },
+            video: { receiver, layers: relay.getLayers(receiver, getRelayLayers('standard')) }
+        };
+        const layers = () => relay.rooms.get('room').publisher.video.layers;
+        const clean = { lossRate: 0, rtt: 0.05, estimatedBitrate: 2_000_000 };
+        assert.equal(chooseLayer(1, clean, layers()), 0);
+
+        await relay.setQuality('room', 'game');
+        assert.deepEqual(layers().map(layer => layer.maxBitrate), [3_000_000, 1_080_000, 330_000]);
+        assert.deepEqual(layers().map(layer => layer.track), receiver.tracks);
+        assert.equal(chooseLayer(1, clean, layers()), 1);
+    } finally {
+        await relay.close();
+    }
+});
+
+test('the relay is built from configuration and left out without it', async () => {
+    assert.equal(await createStreamRelay({}), null);
+    const client = await createStreamRelay({ STREAM_RELAY_URL: 'http://127.0.0.1:6390/', STREAM_RELAY_SECRET: 'secret' });
+    assert.ok(client instanceof RelayClient);
+    assert.deepEqual([client.url, client.secret], ['http://127.0.0.1:6390', 'secret']);
+
+    const local = await createStreamRelay({ STREAM_RELAY: 'local' });
+    assert.ok(local instanceof StreamRelay);
+    await local.close();
+});
+
+test('a standalone relay forwards the published stream to a subscriber', async (t) => {
+    const relay = new StreamRelay({ logger: silentLogger });
+    const server = new RelayServer(relay, { secret: 'shh' });
+    const client = new RelayClient(await server.listen(), { secret: 'shh' });
+    const publisher = new RTCPeerConnection({ iceServers: [] });
+    const viewer = new RTCPeerConnection({ iceServers: [] });
+    t.after(async () => {
+        await publisher.close();
+        await viewer.close();
+        await relay.close();
+        await server.close();
+    });
+
+    await assert.rejects(new RelayClient(client.url).unpublish('room'), /Unauthorized/);
+
+    const track = new MediaStreamTrack({ kind: 'video' });
+    publisher.addTransceiver(track, { direction: 'sendonly' });
+    await publisher.setRemoteDescription(await client.publish('room', await completeOffer(publisher)));
+
+    let received = 0;
+    viewer.addTransceiver('video', { direction: 'recvonly' });
+    viewer.onTrack.subscribe(remote => remote.onReceiveRtp.subscribe(() => received++));
+    await viewer.setRemoteDescription(await client.subscribe('room', 'bob', await completeOffer(viewer)));
+    assert.deepEqual(relay.getStats(), { rooms: 1, publishers: 1, subscribers: 1 });
+    await client.setQuality('room', 'game');
+
+    for (let seq = 0; seq < 250 && received === 0; seq++) {
+        const header = new RtpHeader({ sequenceNumber: seq, timestamp: seq * 3000, payloadType: 96, marker: true });
+        track.writeRtp(new RtpPacket(header, Buffer.from([0x10, 0, 0, 0])));
+        await tick(20);
+    }
+    assert.ok(received > 0, 'the viewer received no packets');
+
+    await client.unsubscribe('room', 'bob');
+    assert.equal(relay.getStats().subscribers, 0);
+    await client.unpublish('room');
+    assert.deepEqual(relay.getStats(), { rooms: 0, publishers: 0, subscribers: 0 });
+});
@@ -0,0 +1,148 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import { io as connectClient } from 'socket.io-client';
+import { BrokerServer } from '../server/cluster/BrokerServer.js';
+import { BrokerClient } from '../server/cluster/BrokerClient.js';
+import { SharedRoomRegistry } from '../server/cluster/SharedRoomRegistry.js';
+
+const SERVER_PATH = fileURLToPath(new URL('../server.js', import.meta.url));
+
+let broker;
+let brokerUrl;
+const nodes = [];
+const clients = [];
+
+function startNode(port) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(process.execPath, [SERVER_PATH], {
+            env: { ...process.env, PORT: String(port), BROKER_URL: brokerUrl, ROOM_STORE: 'memory' },
+            stdio: ['ignore', 'pipe', 'inherit']
+        });
+        nodes.push(child);
+
+        const timer = setTimeout(() => reject(new Error(`Node on port ${port} did not start`)), 10000);
+        child.stdout.on('data', (chunk) => {
+            if (chunk.toString().includes('Theatre server running')) {
+                clearTimeout(timer);
+                resolve(`http://127.0.0.1:${port}`);
+            }
+        });
+        child.once('exit', (code) => reject(new Error(`Node on port ${port} exited with ${code}`)));
+    });
+}
+
+function connect(url) {
+    const client = connectClient(url, { transports: ['websocket'], reconnection: false });
+    clients.push(client);
+    return client;
+}
+
+function nextEvent(client, event, timeoutMs = 3000) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${event}`)), timeoutMs);
+        client.once(event, (payload) => {
+            clearTimeout(timer);
+            resolve(payload);
+        });
+    });
+}
+
+async function join(url, roomId, userId) {
+    const client = connect(url);
+    const joined = nextEvent(client, 'room-joined');
+    client.emit('join-room', { roomId, userData: { id: userId, name: userId } });
+    return { client, joined: await joined };
+}
+
+before(async () => {
+    broker = new BrokerServer();
+    brokerUrl = await broker.listen();
+});
+
+after(async () => {
+    clients.forEach(client => client.close());
+    nodes.forEach(child => child.kill());
+    await broker.close();
+});
+
+test('shared registry replays conflicting updates so none are lost', async (t) => {
+    const clientA = await new BrokerClient(brokerUrl).connect();
+    const clientB = await new BrokerClient(brokerUrl).connect();
+    t.after(() => {
+        clientA.close();
+        clientB.close();
+    });
+    const registryA = new SharedRoomRegistry(clientA);
+    const registryB = new SharedRoomRegistry(clientB);
+
+    await registryA.updateRoom('race', room => room.addUser('alice', { id: 'alice' }), { create: true });
+    const results = await Promise.all([
+        registryA.updateRoom('race', room => room.assignSeat('alice', 5)),
+        registryB.updateRoom('race', room => {
+            room.addUser('bob', { id: 'bob' });
+            return room.assignSeat('bob', 5);
+        })
+    ]);
+
+    // Exactly one of the two nodes wins the seat
+    assert.equal(results.filter(({ result }) => result.success).length, 1);
+    const room = await registryB.getRoom('race');
+    assert.equal(room.users.size, 2);
+    assert.ok(['alice', 'bob'].includes(room.seats[5]));
+
+    const removed = await registryA.updateRoom('race', room => {
+        room.removeUser('alice');
+        room.removeUser('bob');
+    }, { deleteIfEmpty: true });
+    assert.equal(removed.deleted, true);
+    assert.equal(await registryB.getRoom('race'), null);
+});
+
+test('two server.js nodes share seats, host and broadcasts through the broker', async () => {
+    const [nodeA, nodeB] = await Promise.all([startNode(3911), startNode(3912)]);
+
+    const alice = await join(nodeA, 'theatre', 'alice');
+    assert.equal(alice.joined.role, 'host');
+
+    const userJoined = nextEvent(alice.client, 'user-joined');
+    const bob = await join(nodeB, 'theatre', 'bob');
+    assert.equal(bob.joined.role, 'viewer');
+    assert.equal(bob.joined.userCount, 2);
+    assert.equal((await userJoined).id, 'bob');
+
+    // A seat taken on one node is occupied on the other
+    const seatSeenByBob = nextEvent(bob.client, 'seat-assigned');
+    alice.client.emit('request-seat', { roomId: 'theatre', seatIndex: 4 });
+    assert.deepEqual(await seatSeenByBob, { userId: 'alice', seatIndex: 4 });
+
+    const denied = nextEvent(bob.client, 'seat-request-denied');
+    bob.client.emit('request-seat', { roomId: 'theatre', seatIndex: 4 });
+    assert.equal((await denied).reason, 'Seat already occupied');
+
+    // Host permissions are enforced from the shared room state
+    const permissionDenied = nextEvent(bob.client, 'permission-denied');
+    bob.client.emit('start-stream', { roomId: 'theatre' });
+    assert.equal((await permissionDenied).event, 'start-stream');
+
+    const rolesSeenByAlice = nextEvent(alice.client, 'roles-updated');
+    alice.client.emit('set-co-host', { roomId: 'theatre', targetUserId: 'bob', enabled: true });
+    assert.deepEqual(await rolesSeenByAlice, { host: 'alice', coHosts: ['bob'] });
+
+    const hostStaying = nextEvent(bob.client, 'permission-denied');
+    bob.client.emit('request-host', { roomId: 'theatre' });
+    assert.equal((await hostStaying).reason, 'The host is still here');
+
+    // Signaling reaches a socket connected to the other node
+    const offer = nextEvent(alice.client, 'stream-offer');
+    bob.client.emit('stream-offer', { roomId: 'theatre', targetUserId: 'alice', streamId: 'bob:screen', offer: { sdp: 'x' } });
+    assert.deepEqual(await offer, { fromUserId: 'bob', streamId: 'bob:screen', offer: { sdp: 'x' } });
+
+    // Once the host's connection drops on one node, a co-host on the other can take over
+    alice.client.close();
+    await new Promise(resolve => setTimeout(resolve, 300));
+    const hostChanged = nextEvent(bob.client, 'host-changed');
+    bob.client.emit('request-host', { roomId: 'theatre' });
+    assert.equal(await hostChanged, 'bob');
+});
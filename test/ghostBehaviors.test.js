@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as behaviors from '../shared/ghostBehaviors.js';
+
+const never = () => 1;
+const bounds = { minX: -1000, maxX: 1000, minZ: -1000, maxZ: 1000 };
+const surroundings = (temples = [], noises = []) => ({ templesNear: () => temples, noises, bounds });
+const player = (userId, x, z, extra = {}) => ({ userId, x, z, stealth: 0, protection: 0, safe: false, inGrace: false, ...extra });
+const ghost = (archetype, x, z, extra = {}) => behaviors.prepareGhost({
+    id: `${archetype}-${x}-${z}`, archetype, x, z, speed: 3, baseSpeed: 3, aggroRange: 20, killRange: 2, health: 3, alerted: false, ...extra
+});
+
+test('guardians see lit players in front of them unless a temple is in the way', () => {
+    const temple = { x: 0, z: 0 };
+    const guardian = ghost('guardian', 40, 0, { heading: 0, home: temple });
+
+    // Facing away from the temple: a player beyond it but behind the guardian is not seen
+    assert.equal(behaviors.notices(guardian, player('p', 0, 30), surroundings([temple])), false);
+
+    guardian.heading = Math.PI;
+    assert.equal(behaviors.notices(guardian, player('p', -30, 0), surroundings([temple])), false);
+    assert.equal(behaviors.notices(guardian, player('p', 20, 30), surroundings([temple])), true);
+
+    // Beacon light carries sight further; darkness and stealth shorten it
+    const far = player('p', 40 - 75, 40);
+    guardian.heading = Math.atan2(40, -75);
+    assert.equal(behaviors.notices(guardian, far, surroundings([])), false);
+    assert.equal(behaviors.notices(guardian, far, surroundings([{ x: far.x, z: far.z + 30 }])), true);
+    assert.equal(behaviors.notices(guardian, { ...far, stealth: 10 }, surroundings([{ x: far.x, z: far.z + 30 }])), false);
+});
+
+test('ambushers wait hidden and lunge once someone is close', () => {
+    const ambusher = ghost('ambusher', 0, 0);
+    const world = surroundings();
+    assert.equal(ambusher.hidden, true);
+
+    behaviors.stepGhosts([ambusher], [player('p', 20, 0)], world, 0.1, 1000, never);
+    assert.deepEqual([ambusher.x, ambusher.state], [0, 'hidden']);
+
+    behaviors.stepGhosts([ambusher], [player('p', 8, 0)], world, 0.1, 1100, never);
+    assert.equal(ambusher.state, 'chase');
+    assert.equal(ambusher.hidden, false);
+    const lunge = ambusher.x;
+
+    const wraith = ghost('wraith', 0, 0);
+    behaviors.stepGhosts([wraith], [player('p', 8, 0)], world, 0.1, 1100, never);
+    assert.ok(lunge > wraith.x * 1.2, 'ambushers burst faster than they chase');
+});
+
+test('a stalker that spots a player brings its pack, which fans out around the prey', () => {
+    const pack = [-0.9, 0, 0.9].map((flankOffset, i) => ghost('stalker', i * 4, 0, { heading: Math.PI / 2, packId: 7, flankOffset }));
+    const loner = ghost('stalker', 8, 0, { heading: -Math.PI / 2, packId: 8 });
+    const prey = player('p', 4, 50);
+
+    for (let i = 0; i < 20; i++) {
+        behaviors.stepGhosts([...pack, loner], [prey], surroundings(), 0.1, 1000 + i * 100, never);
+    }
+    assert.deepEqual(pack.map(member => member.state), ['chase', 'chase', 'chase']);
+    assert.notEqual(loner.state, 'chase');
+    assert.ok(pack[0].x < pack[1].x - 2 && pack[2].x > pack[1].x + 2, 'flankers close in from either side');
+});
+
+test('tomato throws draw ghosts that can hear them, and the boss hears from afar', () => {
+    const wraith = ghost('wraith', 0, 0, { aggroRange: 10 });
+    const boss = ghost('boss', 100, 0);
+    const ambusher = ghost('ambusher', 5, 5);
+    const noise = { x: 30, z: 0 };
+    behaviors.stepGhosts([wraith, boss, ambusher], [], surroundings([], [noise]), 0.1, 1000, never);
+
+    assert.equal(wraith.state, 'search');
+    assert.equal(boss.state, 'search');
+    assert.equal(ambusher.state, 'hidden');
+    assert.ok(wraith.x > 0 && boss.x < 100);
+});
+
+test('guardians give up the chase at the end of their leash and go back to patrolling', () => {
+    const guardian = ghost('guardian', 60, 0, { home: { x: 0, z: 0 }, alerted: true });
+    const world = surroundings();
+    behaviors.stepGhosts([guardian], [player('p', 90, 0)], world, 0.5, 1000, never);
+    assert.equal(guardian.state, 'chase');
+
+    for (let i = 0; i < 80 && guardian.state !== 'patrol'; i++) {
+        behaviors.stepGhosts([guardian], [player('p', 200, 0)], world, 0.5, 2000 + i * 500, never);
+    }
+    assert.equal(guardian.state, 'patrol');
+});
+
+test('tomatoes knock light ghosts further than heavy ones and turn them on the thrower', () => {
+    const thrower = { userId: 'p', x: 0, z: 0, power: 0, magic: 0 };
+    const wraith = ghost('wraith', 10, 0);
+    const boss = ghost('boss', 10, 0, { health: 15 });
+
+    assert.equal(behaviors.strikeGhost(wraith, thrower, 1000), 2);
+    assert.equal(behaviors.strikeGhost(boss, { ...thrower, power: 4 }, 1000), 13);
+    assert.ok(wraith.x - 10 > (boss.x - 10) * 2, 'the boss barely moves');
+    assert.deepEqual([wraith.state, wraith.targetId], ['chase', 'p']);
+});
+
+test('ghost strikes are softened by protection and wait for the cooldown', () => {
+    const wraith = ghost('wraith', 1, 0, { alerted: true });
+    const armoured = player('p', 0, 0, { protection: 5 });
+    const [hit] = behaviors.stepGhosts([wraith], [armoured], surroundings(), 0.05, 1000, never);
+    assert.deepEqual({ ...hit, from: undefined }, { userId: 'p', ghostId: wraith.id, damage: 14, from: undefined });
+    assert.deepEqual(behaviors.stepGhosts([wraith], [armoured], surroundings(), 0.05, 1500, never), []);
+    assert.equal(behaviors.stepGhosts([wraith], [armoured], surroundings(), 0.05, 2000, never).length, 1);
+});
@@ -0,0 +1,81 @@
+// In-memory stand-in for Socket.IO used to drive RoomEngine in tests.
+
+export class FakeSocket {
+    constructor(id, transport) {
+        this.id = id;
+        this.transport = transport;
+        this.handlers = new Map();
+        this.received = [];
+        this.rooms = new Set([id]);
+    }
+
+    on(event, handler) {
+        this.handlers.set(event, handler);
+    }
+
+    emit(event, payload) {
+        this.received.push({ event, payload });
+    }
+
+    join(roomId) {
+        this.rooms.add(roomId);
+    }
+
+    leave(roomId) {
+        this.rooms.delete(roomId);
+    }
+
+    // Simulate the client sending an event to the server. Resolves once the
+    // engine has finished handling it.
+    send(event, payload) {
+        const handler = this.handlers.get(event);
+        if (!handler) throw new Error(`No handler for ${event}`);
+        return handler(payload);
+    }
+
+    disconnect() {
+        this.transport.sockets.delete(this.id);
+        this.handlers.get('disconnect')?.();
+    }
+
+    eventsNamed(event) {
+        return this.received.filter(r => r.event === event).map(r => r.payload);
+    }
+
+    lastEvent(event) {
+        const events = this.eventsNamed(event);
+        return events[events.length - 1];
+    }
+}
+
+export class FakeTransport {
+    constructor() {
+        this.sockets = new Map();
+        this.nextId = 1;
+    }
+
+    connect(engine) {
+        const socket = new FakeSocket(`sock-${this.nextId++}`, this);
+        this.sockets.set(socket.id, socket);
+        engine.handleConnection(socket);
+        return socket;
+    }
+
+    emitToRoom(roomId, event, payload, exceptSocketId) {
+        this.sockets.forEach(socket => {
+            if (socket.id !== exceptSocketId && socket.rooms.has(roomId)) {
+                socket.emit(event, payload);
+            }
+        });
+    }
+
+    emitToSocket(socketId, event, payload) {
+        this.sockets.get(socketId)?.emit(event, payload);
+    }
+
+    removeFromRoom(socketId, roomId) {
+        this.sockets.get(socketId)?.leave(roomId);
+    }
+}
+
+export const silentLogger = { log() {}, warn() {}, error() {} };
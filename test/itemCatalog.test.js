@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LOOT_TABLES, loadCatalog, rollChestLoot } from '../server/items/catalog.js';
+import { validateCatalog } from '../server/items/itemFormat.js';
+
+const item = (fields) => ({ id: 'thing', name: 'Thing', icon: '🧦', description: 'A thing', type: 'equipment', slot: 'feet', ...fields });
+const table = (entries) => ({ rarityWeights: { common: 1 }, entries });
+const check = (items, tables = {}, startingItems = []) => validateCatalog(
+    { items, startingItems },
+    { tables: { temple: table([{ itemId: items[0].id, quantity: 1 }]), vault: table([{ itemId: items[0].id, quantity: 1 }]), ...tables } }
+);
+
+test('the shipped item catalog and loot tables are valid', () => {
+    const { catalog, lootTables } = loadCatalog();
+    assert.deepEqual(validateCatalog(catalog, lootTables), []);
+    assert.ok(catalog.items.every(entry => !entry.icon.includes('&#')));
+});
+
+test('the validator explains what is wrong with an item', () => {
+    assert.deepEqual(check([item()]), []);
+    assert.deepEqual(check([item({ icon: '&#x1F9E6;' })]), ['items[0] (thing): icon must be the emoji itself, not an HTML entity']);
+    assert.deepEqual(check([item(), item()]), ['items[1] (thing): id "thing" is used twice']);
+    assert.match(check([item({ slot: 'tail' })])[0], /slot must be one of/);
+    assert.deepEqual(check([item({ colour: 'red' })]), ['items[0] (thing): unknown field "colour"']);
+    assert.deepEqual(check([item({ type: 'wearable' })]), ['items[0] (thing): wearables need a model']);
+    assert.deepEqual(check([item({ type: 'consumable', slot: undefined, stackable: true, effect: { type: 'boost', stats: { speed: 'fast' }, durationMs: 1000 } })]), [
+        'items[0] (thing) effect: stat "speed" must be a number'
+    ]);
+});
+
+test('the validator checks loot tables and starting items against the catalog', () => {
+    assert.deepEqual(check([item()], {}, [{ itemId: 'thing', quantity: 2 }]), ['startingItems[0]: thing does not stack, so quantity must be 1']);
+    assert.deepEqual(check([item()], { vault: table([{ itemId: 'sock', quantity: 1 }]) }), ['loot table "vault" entries[0]: "sock" is not in the catalog']);
+    assert.deepEqual(check([item()], { temple: table([{ itemId: 'thing', quantity: 1, weight: 0 }]) }), [
+        'loot table "temple": every entry has a weight of 0, so nothing can drop'
+    ]);
+    assert.deepEqual(validateCatalog({ items: [item()], startingItems: [] }, { tables: { temple: table([{ itemId: 'thing', quantity: 1 }]) } }), [
+        'loot tables: the "vault" table is missing'
+    ]);
+});
+
+test('chest loot is rolled from the table for its tier', () => {
+    const vaultItems = LOOT_TABLES.vault.entries.map(entry => entry.itemId);
+    for (let i = 0; i < 20; i++) {
+        const loot = rollChestLoot(1234, `${i}:0`, 'vault');
+        assert.ok(vaultItems.includes(loot.itemId));
+        assert.deepEqual(rollChestLoot(1234, `${i}:0`, 'vault'), loot);
+    }
+});
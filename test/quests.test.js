@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { QUESTS, QuestLog, objectiveMatches } from '../shared/quests.js';
+import { ITEMS } from '../server/items/catalog.js';
+
+const quests = [
+    { id: 'explore', objectives: [{ type: 'discover', count: 2 }], reward: { name: 'Map' } },
+    { id: 'loot', objectives: [{ type: 'open-chest', rarity: 'rare', count: 1 }], reward: { name: 'Charm' } },
+    {
+        id: 'hunt',
+        objectives: [{ type: 'banish', count: 2 }, { type: 'banish', archetype: 'guardian', count: 1 }],
+        reward: { name: 'Helm' }
+    },
+    { id: 'fetch', objectives: [{ type: 'return-item', item: 'Golden Tomato', count: 1 }], reward: { name: 'Lantern' } }
+];
+const progress = (log, id) => log.getQuests().find(quest => quest.id === id);
+
+test('objectives count only the events they describe', () => {
+    assert.ok(objectiveMatches({ type: 'open-chest', rarity: 'rare' }, { type: 'open-chest', rarity: 'mythic' }));
+    assert.ok(!objectiveMatches({ type: 'open-chest', rarity: 'rare' }, { type: 'open-chest', rarity: 'uncommon' }));
+    assert.ok(objectiveMatches({ type: 'banish' }, { type: 'banish', archetype: 'boss' }));
+    assert.ok(!objectiveMatches({ type: 'banish', archetype: 'guardian' }, { type: 'banish', archetype: 'wraith' }));
+    assert.ok(!objectiveMatches({ type: 'discover' }, { type: 'banish' }));
+});
+
+test('quests complete once every objective is met, and only once', () => {
+    const log = new QuestLog(quests);
+
+    assert.deepEqual(log.record({ type: 'discover', key: '1:0:0' }), []);
+    assert.deepEqual(log.record({ type: 'discover', key: '1:0:0' }), [], 'the same temple counts once');
+    assert.deepEqual(log.record({ type: 'discover', key: '1:0:1' }).map(quest => quest.id), ['explore']);
+    assert.deepEqual(log.record({ type: 'discover', key: '1:1:1' }), []);
+
+    assert.deepEqual(log.record({ type: 'banish', archetype: 'guardian' }), []);
+    assert.deepEqual(progress(log, 'hunt').progress, [1, 1]);
+    assert.deepEqual(log.record({ type: 'banish', archetype: 'wraith' }).map(quest => quest.id), ['hunt']);
+
+    assert.deepEqual(log.record({ type: 'open-chest', rarity: 'common' }), []);
+    assert.equal(log.record({ type: 'open-chest', rarity: 'epic' }).length, 1);
+    assert.deepEqual(log.getQuests().map(quest => quest.completed), [true, true, true, false]);
+});
+
+test('return-item quests say what they want until it is delivered', () => {
+    const log = new QuestLog(quests);
+    assert.deepEqual(log.getWantedItems(), ['Golden Tomato']);
+    assert.equal(log.record({ type: 'return-item', item: 'Popcorn' }).length, 0);
+    assert.equal(log.record({ type: 'return-item', item: 'Golden Tomato' }).length, 1);
+    assert.deepEqual(log.getWantedItems(), []);
+});
+
+test('progress and rewards survive a save and reload', () => {
+    const log = new QuestLog(quests);
+    log.record({ type: 'discover', key: 'a' });
+    log.record({ type: 'discover', key: 'b' });
+    log.record({ type: 'banish', archetype: 'wraith' });
+    log.markRewarded('explore');
+    log.markRewarded('hunt');
+
+    const restored = new QuestLog(quests, JSON.parse(JSON.stringify(log.toJSON())));
+    assert.deepEqual(restored.getQuests(), log.getQuests());
+    assert.equal(progress(restored, 'hunt').rewarded, false, 'unfinished quests cannot be rewarded');
+    assert.deepEqual(restored.record({ type: 'discover', key: 'c' }), []);
+
+    // Damaged saves fall back to fresh progress
+    assert.deepEqual(new QuestLog(quests, { explore: { progress: ['x', 99] } }).getQuests()[0].progress, [0]);
+});
+
+test('the shipped quests are well formed', () => {
+    const types = ['discover', 'open-chest', 'banish', 'return-item'];
+    assert.equal(new Set(QUESTS.map(quest => quest.id)).size, QUESTS.length);
+    QUESTS.forEach((quest) => {
+        assert.ok(quest.title && quest.description, quest.id);
+        assert.ok(ITEMS[quest.reward?.itemId], quest.id);
+        quest.objectives.forEach(objective => assert.ok(types.includes(objective.type) && objective.count > 0, quest.id));
+    });
+});
@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { REPLAY_FORMAT, ReplayCursor, ReplayLog, parseReplay } from '../src/sessionReplay.js';
+
+function recordSession() {
+    const log = new ReplayLog({
+        roomId: 'room',
+        startedAt: 1000,
+        users: [{ id: 'alice', name: 'Alice', color: 0xff0000, position: { x: 1.234, y: 0, z: 15 }, seatIndex: null }]
+    });
+    log.record('position', { userId: 'alice', position: { x: 2, y: 0, z: 14 } }, 1100);
+    log.record('position', { userId: 'alice', position: { x: 3, y: 0, z: 13 } }, 1150);
+    log.record('join', { userId: 'bob', name: 'Bob', position: { x: 0, y: 0, z: 15 } }, 1500);
+    log.record('seat', { userId: 'alice', seatIndex: 4 }, 2000);
+    log.record('chat', { userId: 'bob', name: 'Bob', message: 'hi' }, 2500);
+    log.record('seat', { userId: 'alice', seatIndex: null }, 3000);
+    log.record('leave', { userId: 'bob' }, 3500);
+    return log.finish({ recording: 'night.webm', at: 4000 });
+}
+
+test('a replay log keeps what happened from the moment it started', () => {
+    const replay = recordSession();
+    assert.equal(replay.format, REPLAY_FORMAT);
+    assert.equal(replay.duration, 3000);
+    assert.deepEqual(replay.users[0].position, { x: 1.23, y: 0, z: 15 });
+    assert.deepEqual(replay.events.map(event => `${event.t} ${event.type}`),
+        ['100 position', '500 join', '1000 seat', '1500 chat', '2000 seat', '2500 leave'],
+        'moves closer together than the interval are dropped');
+    assert.deepEqual(replay.events[3], { t: 1500, type: 'chat', userId: 'bob', name: 'Bob', message: 'hi' });
+
+    const log = new ReplayLog({ startedAt: 0 });
+    assert.equal(log.record('dance', { userId: 'bob' }, 10), false);
+    assert.equal(log.record('seat', { userId: 'bob', seatIndex: -1 }, 10), false);
+});
+
+test('replays are checked when loaded', () => {
+    const replay = recordSession();
+    assert.deepEqual(parseReplay(JSON.parse(JSON.stringify(replay))), replay);
+    assert.throws(() => parseReplay({ format: 'mp4' }), /not a Threeatre replay/);
+    assert.throws(() => parseReplay({ ...replay, version: 2 }), /version 2 is not supported/);
+    assert.throws(() => parseReplay({ ...replay, events: [...replay.events].reverse() }), /out of order/);
+});
+
+test('the cursor walks a replay and starts over when rewound', () => {
+    const cursor = new ReplayCursor(recordSession());
+    assert.deepEqual(cursor.advance(1200).map(event => event.type), ['position', 'join', 'seat']);
+    assert.equal(cursor.users.get('alice').seatIndex, 4);
+    assert.deepEqual(cursor.users.get('alice').position, { x: 2, y: 0, z: 14 });
+    assert.ok(cursor.users.has('bob'));
+
+    assert.deepEqual(cursor.advance(4000).map(event => event.type), ['chat', 'seat', 'leave']);
+    assert.equal(cursor.users.has('bob'), false);
+    assert.equal(cursor.finished, true);
+
+    assert.deepEqual(cursor.advance(600).map(event => event.type), ['position', 'join']);
+    assert.equal(cursor.users.get('alice').seatIndex, null);
+    assert.equal(cursor.finished, false);
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    ClockSync, MAX_JITTER_BUFFER_MS, MAX_TARGET_MS, REPORT_TTL_MS,
+    getJitterBufferTarget, getRoomTarget, toServerTime
+} from '../src/streamLatency.js';
+
+test('the clock offset comes from the ping with the shortest round trip', () => {
+    const clock = new ClockSync(3);
+    assert.equal(clock.ready, false);
+    assert.equal(clock.serverNow(1000), 1000);
+
+    // Server 500ms ahead; the slow exchange answered late in its round trip
+    clock.addSample(1000, 1590, 1200);
+    clock.addSample(2000, 2520, 2040);
+    assert.equal(clock.offset, 500);
+    assert.equal(clock.serverNow(3000), 3500);
+
+    // Only the latest samples count
+    clock.addSample(3000, 3700, 3100);
+    clock.addSample(4000, 4700, 4100);
+    clock.addSample(5000, 5700, 5100);
+    assert.equal(clock.offset, 650);
+
+    clock.addSample(6000, Number.NaN, 6010);
+    clock.addSample(7000, 7500, 6990);
+    assert.equal(clock.samples.length, 3, 'broken samples are ignored');
+});
+
+test('media timestamps map onto the server clock from either epoch', () => {
+    const hostTimestamp = { mediaTime: 10_000, serverTime: 10_250 };
+    assert.equal(toServerTime(12_000, hostTimestamp), 12_250);
+    assert.equal(toServerTime(2_208_988_800_000 + 12_000, hostTimestamp), 12_250);
+    assert.equal(toServerTime(12_000), 12_000);
+});
+
+test('the room target follows the slowest recent viewer, up to a cap', () => {
+    const now = 100_000;
+    assert.equal(getRoomTarget([], now), null);
+    assert.equal(getRoomTarget([
+        { baseMs: 180, at: now - 1000 },
+        { baseMs: 420, at: now - 2000 },
+        { baseMs: 900, at: now - REPORT_TTL_MS - 1 }
+    ], now), 420);
+    assert.equal(getRoomTarget([{ baseMs: MAX_TARGET_MS + 2000, at: now }], now), MAX_TARGET_MS);
+    assert.equal(getRoomTarget([{ baseMs: 800, at: now }], now, 500), 500, 'a preset may hold viewers closer');
+});
+
+test('faster viewers buffer the difference to the target', () => {
+    assert.equal(getJitterBufferTarget({ baseMs: 180, minimumJitterMs: 40, targetMs: 420 }), 280);
+    // The slowest viewer, or one the cap left behind, adds nothing
+    assert.equal(getJitterBufferTarget({ baseMs: 420, minimumJitterMs: 40, targetMs: 420 }), 40);
+    assert.equal(getJitterBufferTarget({ baseMs: 5000, minimumJitterMs: 40, targetMs: MAX_TARGET_MS }), 40);
+    assert.equal(getJitterBufferTarget({ baseMs: 0, minimumJitterMs: 2000, targetMs: 3000 }), MAX_JITTER_BUFFER_MS);
+});
@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    getPreset, getScreenTexture, getSenderEncoding, getSimulcastEncodings
+} from '../shared/streamQuality.js';
+
+test('unknown presets fall back to the standard one', () => {
+    assert.equal(getPreset('hologram'), getPreset('standard'));
+});
+
+test('a viewer\'s ceiling and congestion scale down what a sender sends', () => {
+    assert.deepEqual(getSenderEncoding('standard'), { maxBitrate: 1_400_000, maxFramerate: 15, scaleResolutionDownBy: 1 });
+    assert.deepEqual(getSenderEncoding('game', { ceiling: 'low' }), { maxBitrate: 330_000, maxFramerate: 60, scaleResolutionDownBy: 4 });
+    assert.equal(getSenderEncoding('movie', { ceiling: 'medium', bitrateShare: 0.5 }).maxBitrate, 450_000);
+    assert.equal(getSimulcastEncodings('slides')[0].maxFramerate, 5);
+});
+
+test('the theatre screen redraws a stream as its preset and performance allow', () => {
+    assert.deepEqual(getScreenTexture('standard'), { maxWidth: 960, frameIntervalMs: 83 });
+    assert.deepEqual(getScreenTexture('standard', { performanceLevel: 2 }), { maxWidth: 540, frameIntervalMs: 167 });
+    assert.deepEqual(getScreenTexture('standard', { isLocalHost: true }), { maxWidth: 640, frameIntervalMs: 125 });
+    assert.deepEqual(getScreenTexture('standard', { isLocalHost: true, performanceLevel: 1 }), { maxWidth: 512, frameIntervalMs: 167 });
+    assert.deepEqual(getScreenTexture('standard', { isLocalHost: true, performanceLevel: 2 }), { maxWidth: 426, frameIntervalMs: 250 });
+    assert.deepEqual(getScreenTexture('slides', { performanceLevel: 5 }), { maxWidth: 1080, frameIntervalMs: 400 });
+    assert.equal(getScreenTexture('game').frameIntervalMs, 17);
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SPEAKER_GROUPS, getSpeakerFeeds, guessChannelCount } from '../src/surroundChannels.js';
+
+const channelsOf = (feeds, group) => feeds[group].map(({ channel }) => channel);
+
+test('stereo splits the side walls and only the upmixer reaches the back wall', () => {
+    const feeds = getSpeakerFeeds(2);
+    assert.deepEqual(channelsOf(feeds, 'left'), [0]);
+    assert.deepEqual(channelsOf(feeds, 'leftSurround'), [0]);
+    assert.deepEqual(channelsOf(feeds, 'right'), [1]);
+    assert.deepEqual(channelsOf(feeds, 'rightSurround'), [1]);
+    assert.deepEqual([...feeds.center, ...feeds.rearLeft, ...feeds.rearCenter, ...feeds.rearRight], []);
+
+    // The upmixed rear is each side minus the other, delayed
+    const upmixed = getSpeakerFeeds(2, { upmix: true });
+    assert.deepEqual(upmixed.rearLeft, [
+        { channel: 0, gain: 0.5, ambience: true },
+        { channel: 1, gain: -0.5, ambience: true }
+    ]);
+    assert.deepEqual(channelsOf(upmixed, 'rearRight'), [1, 0]);
+    assert.deepEqual(upmixed.left, feeds.left);
+});
+
+test('5.1 and 7.1 channels map to the front, side and rear groups', () => {
+    const surround = getSpeakerFeeds(6);
+    assert.deepEqual(channelsOf(surround, 'center'), [2, 3]);
+    assert.deepEqual(channelsOf(surround, 'leftSurround'), [4]);
+    assert.deepEqual(channelsOf(surround, 'rearRight'), [5]);
+    assert.deepEqual(getSpeakerFeeds(6, { upmix: true }), surround, 'only stereo is upmixed');
+
+    const wide = getSpeakerFeeds(8);
+    assert.deepEqual(channelsOf(wide, 'left'), [0]);
+    assert.deepEqual(channelsOf(wide, 'leftSurround'), [6]);
+    assert.deepEqual(channelsOf(wide, 'rightSurround'), [7]);
+    assert.deepEqual(channelsOf(wide, 'rearLeft'), [4]);
+    assert.deepEqual(channelsOf(wide, 'rearCenter'), [4, 5]);
+});
+
+test('mono and unknown layouts fall back to one center channel on the screen', () => {
+    for (const count of [1, 3]) {
+        const feeds = getSpeakerFeeds(count);
+        SPEAKER_GROUPS.filter(group => group !== 'center').forEach(group => assert.deepEqual(feeds[group], []));
+        assert.equal(feeds.center.length, count);
+        assert.equal(feeds.center.reduce((sum, { gain }) => sum + gain, 0), 1);
+    }
+});
+
+test('the channel count is guessed from which channels are heard', () => {
+    assert.equal(guessChannelCount([0, 0, 0, 0, 0, 0, 0, 0]), null);
+    assert.equal(guessChannelCount([0.4, 0, 0, 0, 0, 0, 0, 0]), 1);
+    assert.equal(guessChannelCount([0.4, 0.3, 0, 0, 0, 0, 0, 0]), 2);
+    assert.equal(guessChannelCount([0.4, 0.3, 0.5, 0, 0, 0, 0, 0]), 6);
+    assert.equal(guessChannelCount([0.4, 0.3, 0.5, 0.1, 0, 0, 0.2, 0]), 8);
+});
@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as client from '../src/worldGen.js';
+import * as server from '../server/world/worldGen.js';
+
+test('one seed always generates the same world', () => {
+    assert.deepEqual(client.generateWorldLayout(1234), client.generateWorldLayout(1234));
+    assert.deepEqual(client.generateAtmosphere(1234), client.generateAtmosphere(1234));
+    assert.deepEqual(client.generateGroundSpeckles(1234, 50), client.generateGroundSpeckles(1234, 50));
+    assert.notDeepEqual(client.generateWorldLayout(1234).decor, client.generateWorldLayout(4321).decor);
+
+    const loot = (seed, key) => client.rollLoot(seed, key, [40, 30, 20, 8, 1.8, 0.2]);
+    assert.equal(loot(1234, '0:1'), loot(1234, '0:1'));
+});
+
+test('a known seed keeps its layout', () => {
+    const layout = client.generateWorldLayout(1234);
+
+    assert.equal(layout.seedCode, 'YA');
+    assert.deepEqual(layout.temples.map(t => [t.cellKey, t.name, Math.round(t.x), Math.round(t.z)]), [
+        ['-1:0', 'Ancient Cathedral', -292, 106],
+        ['0:0', 'Golden Bastion', 12, 96],
+        ['0:1', 'Dread Spire', -27, 236],
+        ['1:-1', 'Ember Bastion', 233, 117],
+        ['1:0', 'Frost Citadel', 199, 125],
+        ['1:1', 'Storm Sanctum', 205, 300]
+    ]);
+    assert.deepEqual(layout.decor.props.slice(0, 4).map(prop => prop.kind), ['rock', 'rock', 'tree', 'rock']);
+    assert.deepEqual(layout.ghosts.map(ghost => `${ghost.archetype}:${ghost.health}`), [
+        'wraith:2', 'wraith:2', 'wraith:2', 'wraith:2', 'wraith:4', 'wraith:4', 'wraith:4', 'wraith:2',
+        'guardian:5', 'guardian:4', 'ambusher:2', 'ambusher:2', 'ambusher:2', 'stalker:2', 'stalker:2', 'stalker:2'
+    ]);
+});
+
+test('the client builds temples and dungeons where the server looks for them', () => {
+    for (const seed of [0, 42, 1234, 2 ** 32 - 1]) {
+        for (const temple of client.generateWorldLayout(seed, { x: 500, z: 250 }).temples) {
+            const { cellX, cellZ } = server.parseTempleCellKey(temple.cellKey);
+            assert.ok(server.shouldSpawnTemple(seed, cellX, cellZ));
+            assert.ok(server.isSafePosition(seed, temple.x, temple.z));
+
+            const dungeon = client.generateDungeon(seed, cellX, cellZ);
+            const origin = client.getDungeonOrigin(cellX, cellZ);
+            const edge = (dungeon.size / 2) * client.DUNGEON_TILE_SIZE;
+            assert.ok(server.isInDungeon(cellX, cellZ, origin.x + edge - 0.1, origin.z - edge + 0.1));
+            assert.ok(!server.isInDungeon(cellX, cellZ, origin.x + edge + 0.1, origin.z));
+        }
+
+        // A cell the seed leaves empty is built bare and is no shelter
+        const emptyX = Array.from({ length: 20 }, (_, i) => i).find(cellX => !server.shouldSpawnTemple(seed, cellX, 3));
+        const empty = server.getTemplePosition(seed, emptyX, 3);
+        assert.ok(!client.generateWorldLayout(seed, empty).temples.some(temple => temple.cellKey === `${emptyX}:3`));
+        assert.ok(!server.isSafePosition(seed, empty.x, empty.z));
+    }
+});
+
+test('seed codes round-trip and reject anything else', () => {
+    for (const seed of [0, 1234, 2 ** 32 - 1]) {
+        assert.equal(client.parseSeedCode(client.formatSeedCode(seed)), seed);
+        assert.equal(server.parseSeedCode(client.formatSeedCode(seed).toLowerCase()), seed);
+    }
+    assert.equal(client.parseSeedCode('ZZZZZZZ'), null);
+    assert.equal(server.parseSeedCode('not a seed'), null);
+    assert.equal(server.parseSeedCode(''), null);
+});
+
+test('temple dungeons hide their treasure behind one locked door and the key on the near side', () => {
+    const reachable = (dungeon, passable) => {
+        const seen = new Set([`${dungeon.entrance.x}:${dungeon.entrance.z}`]);
+        const queue = [dungeon.entrance];
+        while (queue.length > 0) {
+            const { x, z } = queue.shift();
+            for (const [nx, nz] of [[x + 1, z], [x - 1, z], [x, z + 1], [x, z - 1]]) {
+                const tile = dungeon.tiles[nz]?.[nx];
+                if (tile === undefined || !passable.includes(tile) || seen.has(`${nx}:${nz}`)) continue;
+                seen.add(`${nx}:${nz}`);
+                queue.push({ x: nx, z: nz });
+            }
+        }
+        return (point) => seen.has(`${point.x}:${point.z}`);
+    };
+    const { wall, floor, door, locked } = client.DUNGEON_TILE;
+
+    for (const seed of [0, 42, 1234, 2 ** 32 - 1]) {
+        for (const [cellX, cellZ] of [[0, 0], [0, 1], [-3, 2]]) {
+            const dungeon = client.generateDungeon(seed, cellX, cellZ);
+            assert.deepEqual(dungeon, client.generateDungeon(seed, cellX, cellZ));
+            assert.equal(dungeon.lockedDoors.length, 1);
+
+            const withoutKey = reachable(dungeon, [floor, door]);
+            assert.ok(withoutKey(dungeon.exit) && withoutKey(dungeon.key), `${seed} ${cellX}:${cellZ} key reachable`);
+            assert.ok(!withoutKey(dungeon.treasure), `${seed} ${cellX}:${cellZ} treasure sealed`);
+            assert.ok(reachable(dungeon, [floor, door, locked])(dungeon.treasure));
+            assert.ok(dungeon.traps.length >= 3 && dungeon.traps.every(trap => dungeon.tiles[trap.z][trap.x] === floor));
+            assert.ok(dungeon.tiles.every(row => row.length === dungeon.size && row.every(tile => tile !== undefined)));
+            assert.ok(dungeon.tiles[0].every(tile => tile === wall), 'the edge is solid');
+        }
+    }
+    assert.notDeepEqual(client.generateDungeon(1234, 0, 0).tiles, client.generateDungeon(1234, 0, 1).tiles);
+});